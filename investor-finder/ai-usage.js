@@ -0,0 +1,56 @@
+/**
+ * AI Usage Pricing and Quotas
+ *
+ * Every model call made for a user (see llm-client.js), including embedding
+ * the company for semantic fit (see embeddings.js), is recorded with its
+ * token counts and an estimated cost (see recordAiUsage in user-store.js). Users
+ * get a monthly budget, in estimated US dollars, that depends on their
+ * subscription tier; periods are calendar months in UTC.
+ */
+
+// USD per million tokens. Models are matched by prefix, so dated snapshots
+// ('gpt-4o-2024-08-06') use their family's price; keep more specific names first.
+const MODEL_PRICING = [
+    { model: 'gpt-4o-mini', input: 0.15, output: 0.60 },
+    { model: 'gpt-4o', input: 2.50, output: 10.00 },
+    { model: 'gpt-4.1-mini', input: 0.40, output: 1.60 },
+    { model: 'gpt-4.1', input: 2.00, output: 8.00 },
+    { model: 'text-embedding-3-small', input: 0.02, output: 0 },
+    { model: 'text-embedding-3-large', input: 0.13, output: 0 },
+    { model: 'text-embedding-ada-002', input: 0.10, output: 0 }
+];
+
+// Unknown models are priced like the most expensive one we use
+const FALLBACK_PRICING = { input: 2.50, output: 10.00 };
+
+// Monthly AI budget per subscription tier, in estimated USD
+const MONTHLY_AI_QUOTAS = {
+    free: 0.25,     // A handful of website analyses to try the product
+    paid: 1.00      // A quarter of what the $49/year plan brings in a month (~$4.08)
+};
+
+function pricingFor(model) {
+    return MODEL_PRICING.find(p => model && model.startsWith(p.model)) || FALLBACK_PRICING;
+}
+
+// Estimated USD cost of one completion from its `usage` block
+function estimateCost(model, usage = {}) {
+    const pricing = pricingFor(model);
+    const input = usage.prompt_tokens || 0;
+    const output = usage.completion_tokens || 0;
+    return (input * pricing.input + output * pricing.output) / 1e6;
+}
+
+// The current quota period: { start, resetsAt } as ISO timestamps
+function currentPeriod(now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { start: start.toISOString(), resetsAt: resetsAt.toISOString() };
+}
+
+module.exports = {
+    MODEL_PRICING,
+    MONTHLY_AI_QUOTAS,
+    estimateCost,
+    currentPeriod
+};
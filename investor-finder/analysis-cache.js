@@ -0,0 +1,98 @@
+/**
+ * Company Analysis Cache
+ *
+ * Server-wide cache of analyzeCompany() results, keyed by the normalized
+ * domain, so searching a site someone analyzed minutes ago costs neither a
+ * scrape nor a model call. Entries are stored with a hash of the scraped
+ * content they were produced from:
+ *
+ *   fresh      younger than the TTL: reused without touching the site
+ *   expired    the site is scraped again; if its content hash still matches,
+ *              the analysis is reused and its TTL restarted, otherwise the
+ *              site is analyzed again
+ *
+ * Entries live in a SQLite file (ANALYSIS_CACHE_DB_PATH, by default in the app
+ * data directory) so they survive restarts and are shared between worker
+ * processes.
+ */
+
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { ensureParentDir } = require('./app-data');
+
+const ANALYSIS_CACHE_CONFIG = {
+    ttlMs: (Number(process.env.ANALYSIS_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    maxAgeMs: 90 * 24 * 60 * 60 * 1000  // Unchecked this long, an entry is dropped
+};
+
+// Hash of the scraped fields analyzeCompany() reads; the URL itself is left out
+// so http/https and www variants of an unchanged page hash alike
+function contentHash(scrapedData) {
+    const { title, metaDescription, metaKeywords, ogTitle, ogDescription, headings, bodyText } = scrapedData;
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([title, metaDescription, metaKeywords, ogTitle, ogDescription, headings, bodyText]))
+        .digest('hex');
+}
+
+function openAnalysisCache(dbPath, options = {}) {
+    const { ttlMs, maxAgeMs } = { ...ANALYSIS_CACHE_CONFIG, ...options };
+    ensureParentDir(dbPath);
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`CREATE TABLE IF NOT EXISTS company_analyses (
+        domain TEXT PRIMARY KEY,
+        content_hash TEXT NOT NULL,
+        analysis TEXT NOT NULL,
+        analyzed_at INTEGER NOT NULL,   -- when the model produced the analysis
+        checked_at INTEGER NOT NULL     -- last time the content hash was confirmed
+    )`);
+
+    const stmts = {
+        get: db.prepare('SELECT * FROM company_analyses WHERE domain = ?'),
+        put: db.prepare(`INSERT INTO company_analyses (domain, content_hash, analysis, analyzed_at, checked_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(domain) DO UPDATE SET content_hash = excluded.content_hash, analysis = excluded.analysis,
+                analyzed_at = excluded.analyzed_at, checked_at = excluded.checked_at`),
+        touch: db.prepare('UPDATE company_analyses SET checked_at = ? WHERE domain = ?'),
+        purge: db.prepare('DELETE FROM company_analyses WHERE checked_at < ?'),
+        count: db.prepare('SELECT COUNT(*) AS n FROM company_analyses')
+    };
+
+    return {
+        ttlMs,
+
+        // { domain, content_hash, analysis, analyzed_at, checked_at, fresh } or null
+        get(domain, now = Date.now()) {
+            const row = stmts.get.get(domain);
+            if (!row) return null;
+            return {
+                ...row,
+                analysis: JSON.parse(row.analysis),
+                analyzed_at: new Date(row.analyzed_at).toISOString(),
+                checked_at: new Date(row.checked_at).toISOString(),
+                fresh: now - row.checked_at < ttlMs
+            };
+        },
+
+        put(domain, { analysis, contentHash }, now = Date.now()) {
+            stmts.put.run(domain, contentHash, JSON.stringify(analysis), now, now);
+        },
+
+        // The site was scraped again and hasn't changed: restart the TTL
+        touch(domain, now = Date.now()) {
+            stmts.touch.run(now, domain);
+        },
+
+        purge: (now = Date.now()) => stmts.purge.run(now - maxAgeMs).changes,
+        count: () => stmts.count.get().n,
+        close: () => db.close()
+    };
+}
+
+module.exports = {
+    ANALYSIS_CACHE_CONFIG,
+    contentHash,
+    openAnalysisCache
+};
@@ -0,0 +1,47 @@
+/**
+ * App Data Directory
+ *
+ * Where the server keeps its own state (users.db and the other SQLite stores).
+ * It is a sibling of the application directory rather than inside it, so
+ * nothing in it sits next to the pages the static handler serves.
+ * APP_DATA_DIR overrides the location, e.g. a mounted volume in production.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const APP_DATA_DIR = process.env.APP_DATA_DIR || path.join(__dirname, '..', 'data');
+
+// SQLite keeps uncommitted pages and locks in files next to the database
+const SQLITE_SIDECARS = ['-wal', '-shm', '-journal'];
+
+function appDataPath(name) {
+    return path.join(APP_DATA_DIR, name);
+}
+
+// Create the directory a database file goes in; better-sqlite3 won't
+function ensureParentDir(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+}
+
+/**
+ * Move a SQLite database (and its sidecar files) from where an older version
+ * kept it, unless there is already one at the new path. Returns whether it
+ * moved anything.
+ */
+function adoptLegacyDatabase(legacyPath, dbPath) {
+    if (legacyPath === dbPath || !fs.existsSync(legacyPath) || fs.existsSync(dbPath)) return false;
+    ensureParentDir(dbPath);
+    fs.renameSync(legacyPath, dbPath);
+    for (const suffix of SQLITE_SIDECARS) {
+        if (fs.existsSync(legacyPath + suffix)) fs.renameSync(legacyPath + suffix, dbPath + suffix);
+    }
+    return true;
+}
+
+module.exports = {
+    APP_DATA_DIR,
+    appDataPath,
+    ensureParentDir,
+    adoptLegacyDatabase
+};
@@ -0,0 +1,61 @@
+/**
+ * Signed Auth Tokens
+ *
+ * Stateless, expiring tokens for links sent by email (password reset, email
+ * verification). A token is base64url(JSON payload) + "." + HMAC-SHA256 of it,
+ * so it can't be forged or altered without the server secret.
+ *
+ * Payloads carry a purpose so a verification link can't be replayed as a reset
+ * link, and callers can bind a token to account state (e.g. the current password
+ * hash) so it stops working once that state changes.
+ */
+
+const crypto = require('crypto');
+
+function sign(secret, data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Create a token for `purpose` that expires after ttlMs
+function createAuthToken(secret, purpose, claims, ttlMs) {
+    const payload = { ...claims, purpose, exp: Date.now() + ttlMs };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${sign(secret, encoded)}`;
+}
+
+// Returns the token's claims, or null if it is malformed, forged, expired or for another purpose
+function verifyAuthToken(secret, token, purpose) {
+    if (typeof token !== 'string') return null;
+
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(sign(secret, encoded));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf-8'));
+    } catch (e) {
+        return null;
+    }
+
+    if (payload.purpose !== purpose || typeof payload.exp !== 'number' || payload.exp < Date.now()) {
+        return null;
+    }
+    return payload;
+}
+
+// Short, non-reversible fingerprint of a value (used to bind tokens to a password hash)
+function fingerprint(value) {
+    return crypto.createHash('sha256').update(String(value || '')).digest('base64url').slice(0, 16);
+}
+
+module.exports = {
+    createAuthToken,
+    verifyAuthToken,
+    fingerprint
+};
@@ -0,0 +1,83 @@
+/**
+ * Client IP Resolution
+ *
+ * X-Forwarded-For is only believed when the connection comes from a trusted
+ * proxy; otherwise any client could pick its own rate limit key by sending the
+ * header. The chain is walked from the right (the hop nearest to us), skipping
+ * trusted proxies, and the first untrusted address is the client.
+ *
+ * Trusted proxies are a comma-separated list of IPs, IPv4 CIDR ranges and the
+ * keywords `loopback` (127.0.0.0/8, ::1) and `private` (10/8, 172.16/12,
+ * 192.168/16, fc00::/7), e.g. TRUSTED_PROXIES="loopback,10.0.0.0/8".
+ */
+
+const net = require('net');
+
+const NAMED_RANGES = {
+    loopback: ['127.0.0.0/8', '::1'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// '::ffff:10.0.0.1' -> '10.0.0.1'
+function normalizeIp(ip) {
+    const trimmed = String(ip || '').trim();
+    return trimmed.startsWith('::ffff:') && net.isIPv4(trimmed.slice(7)) ? trimmed.slice(7) : trimmed;
+}
+
+function ipv4ToInt(ip) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+}
+
+// Returns a predicate for one entry of the trusted list
+function compileEntry(entry) {
+    const [address, bits] = entry.split('/');
+    if (net.isIPv4(address) && bits !== undefined) {
+        const prefix = Number(bits);
+        const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+        const base = ipv4ToInt(address) & mask;
+        return ip => net.isIPv4(ip) && (ipv4ToInt(ip) & mask) === base;
+    }
+    if (address === 'fc00::' && bits === '7') {
+        return ip => net.isIPv6(ip) && /^f[cd]/i.test(ip);
+    }
+    const exact = normalizeIp(address).toLowerCase();
+    return ip => ip.toLowerCase() === exact;
+}
+
+function parseTrustedProxies(list) {
+    const entries = (Array.isArray(list) ? list : String(list || '').split(','))
+        .map(e => e.trim())
+        .filter(Boolean)
+        .flatMap(e => NAMED_RANGES[e.toLowerCase()] || [e]);
+    return entries.map(compileEntry);
+}
+
+/**
+ * Build a getClientIP(req) function for the given trusted proxy list.
+ */
+function createClientIpResolver(trustedProxies) {
+    const matchers = parseTrustedProxies(trustedProxies);
+    const isTrusted = ip => matchers.some(match => match(ip));
+
+    return function getClientIP(req) {
+        const peer = normalizeIp(req.socket?.remoteAddress) || 'unknown';
+        if (!isTrusted(peer)) return peer;
+
+        const forwarded = req.headers['x-forwarded-for'];
+        if (forwarded) {
+            const hops = forwarded.split(',').map(normalizeIp).filter(Boolean);
+            for (let i = hops.length - 1; i >= 0; i--) {
+                if (!isTrusted(hops[i]) || i === 0) return hops[i];
+            }
+        }
+
+        const realIP = req.headers['x-real-ip'];
+        return realIP ? normalizeIp(realIP) : peer;
+    };
+}
+
+module.exports = {
+    normalizeIp,
+    parseTrustedProxies,
+    createClientIpResolver
+};
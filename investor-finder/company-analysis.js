@@ -0,0 +1,183 @@
+/**
+ * Company Analysis
+ *
+ * The model calls the server makes to understand a search: analyzeCompany()
+ * turns a crawled website, pitch deck or form into the company profile that
+ * matching works from, and parseNaturalLanguageQuery() turns a fund search
+ * typed in plain English into filters. Both take the LLM client to use (see
+ * llm-client.js), so they run just the same against recorded fixtures.
+ */
+
+const { createLogger } = require('./logger');
+const { LLM_SCHEMAS } = require('./llm-schemas');
+
+const log = createLogger('company-analysis');
+
+// The crawler's signals as prompt lines
+function describeSiteSignals({ pricing, customers, team_size, hiring }) {
+    const pricingNotes = [
+        pricing.price_points.length > 0 && `price points ${pricing.price_points.join(', ')}`,
+        pricing.free_plan && 'free plan',
+        pricing.free_trial && 'free trial',
+        pricing.contact_sales && 'contact sales / demo'
+    ].filter(Boolean);
+    const hiringNotes = [
+        hiring.careers_page && `careers page ${hiring.careers_page}`,
+        hiring.ats && `jobs on ${hiring.ats}`,
+        hiring.open_roles && `${hiring.open_roles} open roles${hiring.roles.length ? ` (${hiring.roles.join('; ')})` : ''}`
+    ].filter(Boolean);
+
+    return [
+        `- Pricing: ${pricingNotes.join('; ') || 'none found'}${pricing.page ? ` (from ${pricing.page})` : ''}`,
+        `- Customer logos / names: ${customers.join(', ') || 'none found'}`,
+        `- Team size hints: ${team_size.join('; ') || 'none found'}`,
+        `- Hiring: ${hiringNotes.join('; ') || 'no careers page found'}`
+    ].join('\n');
+}
+
+// Analyze company with the LLM (see llm-client.js). `scrapedData` is a crawled
+// website, or a pitch deck, one-pager or form from company-documents.js
+// (which have a `source` and no URL or site signals).
+async function analyzeCompany(llm, scrapedData, userId = null) {
+    log.info('\n🤖 Analyzing with AI...');
+
+    const { source } = scrapedData;
+    const details = source
+        ? `Source: ${source.label}
+Title: ${scrapedData.title}
+
+Content:
+${scrapedData.pages.map(page => `--- ${page.title.toUpperCase()}\n${page.text}`).join('\n\n')}
+
+This was written by the founders, so take their own claims about stage, market and traction at face value.`
+        : `Website: ${scrapedData.url}
+Domain: ${scrapedData.domain}
+Title: ${scrapedData.title}
+Meta Description: ${scrapedData.metaDescription}
+OG Description: ${scrapedData.ogDescription}
+Keywords: ${scrapedData.metaKeywords}
+
+Headings:
+${scrapedData.headings.join('\n')}
+
+Pages (text repeated across pages is shown once):
+${scrapedData.pages.map(page => `--- ${page.kind.toUpperCase()}: ${page.url}\n${page.text}`).join('\n\n')}
+
+Signals found on the site:
+${describeSiteSignals(scrapedData.signals)}
+
+Use the pricing, customer, team size and hiring signals as evidence for the business model, target market and stage.`;
+
+    const prompt = `Analyze this company ${source ? `description (${source.label})` : 'website'} and extract structured information for investor matching.
+
+${details}
+
+Based on this information, provide a JSON response with the following structure:
+{
+    "company_name": "The company name",
+    "description": "A 2-3 sentence description of what the company does",
+    "industry": "Primary industry (e.g., 'SaaS', 'Fintech', 'Healthcare', 'E-commerce', 'AI/ML', 'Consumer', 'Enterprise Software')",
+    "business_model": "B2B, B2C, B2B2C, Marketplace, or Platform",
+    "target_market": "Who are their customers",
+    "geography": "Target geography (e.g., 'United States', 'Global', 'Europe')",
+    "headquarters": "Where the company is based, as 'City, State/Region, Country'; null if not stated",
+    "estimated_stage": "Pre-Seed, Seed, Series A, Series B, Growth, or Unknown",
+    "raise_amount": "Target size of the round being raised, in USD, as a number; null unless stated",
+    "needs_lead": "true if the company is looking for a lead investor for this round, false if the round already has one; null unless stated",
+    "tags": ["array", "of", "relevant", "tags", "for", "investor", "matching"],
+    "focus_areas": ["primary", "focus", "areas"],
+    "confidence": 0.0 to 1.0
+}
+
+The tags should match common VC investment themes like: AI, SaaS, Fintech, Healthcare, B2B, B2C, Enterprise, Consumer, Marketplace, Mobile, Cloud, DevOps, Cybersecurity, Data Analytics, Machine Learning, E-commerce, EdTech, PropTech, InsurTech, HealthTech, FoodTech, CleanTech, Biotech, Hardware, IoT, AR/VR, Gaming, Social, Media, Advertising, Marketing Technology, HR Tech, Legal Tech, Supply Chain, Logistics, Transportation, Real Estate, Financial Services, Payments, Lending, Insurance, Wealth Management, etc.
+
+Return ONLY valid JSON, no markdown or explanation.`;
+
+    try {
+        const { data: analysis } = await llm.completeJson({
+            operation: 'analyze_company',
+            model: 'gpt-4o',
+            system: 'You are an expert venture capital analyst who analyzes companies and matches them with relevant investors. Always respond with valid JSON only.',
+            prompt,
+            temperature: 0.3,
+            maxTokens: 1000,
+            schema: LLM_SCHEMAS.companyAnalysis,
+            context: { userId }
+        });
+
+        log.info(`   ✅ Analysis complete: ${analysis.company_name} (${analysis.industry})`, {
+            company: analysis.company_name, industry: analysis.industry
+        });
+
+        if (source) {
+            return { ...analysis, source_type: source.type, source_name: source.name };
+        }
+        return {
+            ...analysis,
+            source_url: scrapedData.url,
+            source_domain: scrapedData.domain,
+            pages_crawled: scrapedData.pages.map(p => p.url),
+            site_signals: scrapedData.signals
+        };
+    } catch (error) {
+        log.error('   ❌ AI analysis error', { err: error });
+        throw new Error(`Failed to analyze company: ${error.message}`);
+    }
+}
+
+// Parse natural language query with AI
+async function parseNaturalLanguageQuery(llm, query, userId = null) {
+    if (!llm) {
+        log.warn('LLM client not initialized, skipping natural language parsing');
+        return null;
+    }
+
+    try {
+        log.info(`Parsing natural language query: ${query}`, { query });
+        const { data: parsed, text } = await llm.completeJson({
+            operation: 'parse_query',
+            model: 'gpt-4o',
+            system: `You are a search query parser for a VC/investor database. Extract structured filters from natural language queries.
+
+Return a JSON object with these optional fields:
+- name: string (fund name to search for)
+- stages: array of strings (Pre-Seed, Seed, Series A, Series B, Series C, Growth)
+- focuses: array of strings (industry focus areas like SaaS, Fintech, Healthcare, AI, etc.)
+- tags: array of strings (specific keywords)
+- locations: array of strings (countries or cities)
+- check_size_min: number (minimum check size in USD)
+- check_size_max: number (maximum check size in USD)
+- has_contacts: boolean (if they want funds with contact info)
+- leads_investments: boolean (if they want funds that lead rounds)
+- co_invests: boolean (if they want funds that co-invest or follow)
+- takes_board_seats: boolean (if they want funds that take board seats)
+
+Examples:
+"AI focused seed stage VCs in San Francisco" → {"focuses": ["AI"], "stages": ["Seed"], "locations": ["San Francisco", "United States"]}
+"Fintech investors who write $1-5M checks" → {"focuses": ["Fintech"], "check_size_min": 1000000, "check_size_max": 5000000}
+"Series A healthcare funds" → {"stages": ["Series A"], "focuses": ["Healthcare"]}
+"Lead investors for a fintech seed round" → {"leads_investments": true, "stages": ["Seed"], "focuses": ["Fintech"]}
+"Andreessen Horowitz" → {"name": "Andreessen Horowitz"}
+
+Only include fields that are clearly mentioned. Return valid JSON only.`,
+            prompt: query,
+            temperature: 0.1,
+            maxTokens: 500,
+            schema: LLM_SCHEMAS.searchFilters,
+            context: { userId }
+        });
+
+        log.debug(`AI parsed response: ${text}`);
+        log.info(`Parsed filters: ${JSON.stringify(parsed)}`, { filters: parsed });
+        return parsed;
+    } catch (error) {
+        log.error('Error parsing natural language query', { err: error });
+        // Return null to allow search to continue without AI parsing
+        return null;
+    }
+}
+
+module.exports = {
+    analyzeCompany,
+    parseNaturalLanguageQuery
+};
@@ -0,0 +1,194 @@
+/**
+ * Company Documents
+ *
+ * Stealth companies and founders with a placeholder site can't be analyzed
+ * from their website, so a search can instead describe the company with an
+ * uploaded pitch deck (PDF), a pasted one-pager or a structured form. Each is
+ * turned into a document shaped like the crawler's output (see
+ * site-crawler.js) so analyzeCompany() reads it the same way: `pages` holds
+ * the slides or the text, `bodyText` all of it, and `source` says where it
+ * came from instead of `url` and `domain`.
+ */
+
+const pdfParse = require('pdf-parse');
+
+const DOCUMENT_CONFIG = {
+    maxPdfBytes: 10 * 1024 * 1024,
+    maxPdfPages: 60,
+    maxSlideChars: 1500,
+    maxTotalChars: 12000        // Same text budget as a crawled website
+};
+
+// Form fields, in the order they are written out for the model
+const FORM_FIELDS = [
+    ['company_name', 'Company name'],
+    ['description', 'Description'],
+    ['industry', 'Industry'],
+    ['business_model', 'Business model'],
+    ['target_market', 'Target market'],
+    ['geography', 'Geography'],
+    ['headquarters', 'Headquarters'],
+    ['estimated_stage', 'Stage'],
+    ['raise_amount', 'Raising (USD)'],
+    ['needs_lead', 'Looking for a lead investor'],
+    ['tags', 'Tags'],
+    ['focus_areas', 'Focus areas']
+];
+
+class DocumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DocumentError';
+    }
+}
+
+function cleanText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t ]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Text of each page, in order, keeping line breaks where the text moves down
+async function extractPdfPages(buffer) {
+    if (buffer.length > DOCUMENT_CONFIG.maxPdfBytes) {
+        throw new DocumentError(`Pitch deck is too large (max ${DOCUMENT_CONFIG.maxPdfBytes / 1024 / 1024} MB)`);
+    }
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        throw new DocumentError('Pitch deck must be a PDF file');
+    }
+
+    const pages = [];
+    let parsed;
+    try {
+        parsed = await pdfParse(buffer, {
+            max: DOCUMENT_CONFIG.maxPdfPages,
+            pagerender: async page => {
+                const { items } = await page.getTextContent();
+                let text = '';
+                let lastY;
+                for (const item of items) {
+                    if (lastY !== undefined && item.transform[5] !== lastY) text += '\n';
+                    text += item.str;
+                    lastY = item.transform[5];
+                }
+                pages[page.pageIndex] = text;
+                return text;
+            }
+        });
+    } catch (err) {
+        throw new DocumentError(`Could not read the PDF: ${err.message}`);
+    }
+
+    return {
+        title: parsed.info?.Title?.trim() || '',
+        pageCount: parsed.numpages,
+        pages: Array.from(pages, text => cleanText(text || ''))
+    };
+}
+
+// Cap each page and the whole document, dropping pages once the budget is spent
+function fitPages(pages) {
+    const fitted = [];
+    let total = 0;
+    for (const page of pages) {
+        if (total >= DOCUMENT_CONFIG.maxTotalChars) break;
+        const text = page.text.slice(0, Math.min(DOCUMENT_CONFIG.maxSlideChars, DOCUMENT_CONFIG.maxTotalChars - total));
+        fitted.push({ ...page, text });
+        total += text.length;
+    }
+    return fitted;
+}
+
+function toDocument(source, title, pages) {
+    return {
+        source,
+        url: null,
+        domain: null,
+        title,
+        metaDescription: '',
+        metaKeywords: '',
+        ogTitle: '',
+        ogDescription: '',
+        headings: [],
+        bodyText: pages.map(p => p.text).join('\n\n'),
+        pages,
+        signals: null
+    };
+}
+
+async function documentFromPdf(filename, buffer) {
+    const { title, pageCount, pages } = await extractPdfPages(buffer);
+    const slides = pages
+        .map((text, i) => ({ url: null, kind: 'slide', title: `Slide ${i + 1}`, text }))
+        .filter(slide => slide.text);
+    if (slides.length === 0) {
+        throw new DocumentError('No text found in the PDF. Scanned decks need to be exported with selectable text.');
+    }
+
+    return toDocument({
+        type: 'pitch_deck',
+        name: filename,
+        label: `pitch deck ${filename}`,
+        summary: `Read ${slides.length} of ${pageCount} ${pageCount === 1 ? 'page' : 'pages'} from ${filename}`
+    }, title || filename, fitPages(slides));
+}
+
+function documentFromText(text) {
+    const cleaned = cleanText(text);
+    if (!cleaned) throw new DocumentError('Pitch text is empty');
+
+    return toDocument({
+        type: 'pitch_text',
+        name: null,
+        label: 'pasted one-pager',
+        summary: `Read ${cleaned.length.toLocaleString()} characters of pasted text`
+    }, cleaned.split('\n')[0].slice(0, 200), fitPages([{ url: null, kind: 'one-pager', title: 'One-pager', text: cleaned }]));
+}
+
+function formatField(value) {
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return [].concat(value).join(', ');
+}
+
+// The form's answers are the founder's own: they are also returned as
+// `fields` for the caller to keep over whatever the model makes of them
+function documentFromForm(form) {
+    const fields = {};
+    for (const [key] of FORM_FIELDS) {
+        const value = form[key];
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            fields[key] = value;
+        } else if (Array.isArray(value)) {
+            const items = value.map(v => v.trim()).filter(Boolean);
+            if (items.length > 0) fields[key] = items;
+        } else if (value && value.trim()) {
+            fields[key] = value.trim();
+        }
+    }
+    const text = FORM_FIELDS
+        .filter(([key]) => fields[key] !== undefined)
+        .map(([key, label]) => `${label}: ${formatField(fields[key])}`)
+        .join('\n');
+
+    return {
+        ...toDocument({
+            type: 'company_form',
+            name: fields.company_name || null,
+            label: 'company form',
+            summary: `Using the details entered for ${fields.company_name || 'your company'}`
+        }, fields.company_name || '', [{ url: null, kind: 'form', title: 'Company form', text }]),
+        fields
+    };
+}
+
+module.exports = {
+    DOCUMENT_CONFIG,
+    DocumentError,
+    extractPdfPages,
+    documentFromPdf,
+    documentFromText,
+    documentFromForm
+};
@@ -0,0 +1,349 @@
+/**
+ * Semantic Index
+ *
+ * Embeddings (see embeddings.js) of what each fund says it invests in (its
+ * description, thesis, focus and tags, plus the Founder Approach Guide from
+ * investor-enrichment.js) and of its portfolio companies, so matchInvestors()
+ * can compare an analyzed company with them by meaning rather than keywords.
+ *
+ * The index is built offline by running this file, which embeds the JSON
+ * exports in results/unified_database/ into embeddings.db. Each vector is
+ * stored with a hash of the text it was made from, so a rebuild only embeds
+ * what changed, and an interrupted build keeps every batch it finished.
+ * The server loads all vectors into memory and compares in-process, embedding
+ * only the company being matched. They take 4 bytes per dimension each, in
+ * one Float32Array: at 1536 dimensions (text-embedding-3-small) that is 6 KB a
+ * vector, so 50,000 funds and portfolio companies hold 300 MB per server
+ * process; the 512-dimension hash provider takes a third of that. While a
+ * rebuilt index loads, searches still running keep the old one alive too.
+ *
+ * Portfolio companies are embedded from their profile (see
+ * portfolio-enrichment.js) when they have one. The rest are only known by
+ * name, website and location, so their vectors are weaker evidence than the
+ * fund's own text.
+ *
+ * Usage:
+ *   node embedding-index.js [--provider openai|openai-compatible|hash] [--limit N]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { createEmbedder } = require('./embeddings');
+
+const DATA_DIR = path.join(__dirname, '..', 'results', 'unified_database');
+const EMBEDDINGS_DB_PATH = process.env.EMBEDDINGS_DB_PATH || path.join(DATA_DIR, 'embeddings.db');
+
+const INDEX_CONFIG = {
+    writeBatch: 256        // Texts embedded (and committed) per step of a build
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS vectors (
+    kind TEXT NOT NULL,             -- 'investor' or 'company'
+    key TEXT NOT NULL,              -- investor id, or lowercased company name
+    text_hash TEXT NOT NULL,
+    vector BLOB NOT NULL,           -- float32, unit length
+    PRIMARY KEY (kind, key)
+);
+
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+`;
+
+// ============================================================================
+// Texts
+// ============================================================================
+
+const companyKey = name => name.trim().toLowerCase();
+
+function joinLines(lines) {
+    return lines.filter(line => line && String(line).trim()).join('\n');
+}
+
+function listLine(label, values) {
+    const list = Array.isArray(values) ? values : [];
+    return list.length > 0 ? `${label}: ${list.join(', ')}` : '';
+}
+
+// What the fund says it invests in; the name is left out as it says nothing
+// about the fit
+function investorText(investor, guide) {
+    return joinLines([
+        investor.description,
+        investor.thesis,
+        listLine('Focus', investor.focus),
+        listLine('Tags', investor.tags),
+        guide?.summary,
+        guide?.investment_thesis,
+        guide?.what_excites_them
+    ]);
+}
+
+// What the company does, from its profile; otherwise the little the
+// investment record says
+function portfolioCompanyText(investment, profile) {
+    if (profile?.description) {
+        return joinLines([
+            investment.company_name,
+            profile.description,
+            listLine('Sectors', profile.sectors),
+            profile.business_model && `Business model: ${profile.business_model}`
+        ]);
+    }
+    const domain = (investment.company_website || '')
+        .replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+    return joinLines([
+        investment.company_name,
+        domain,
+        [investment.company_city, investment.company_country].filter(Boolean).join(', ')
+    ]);
+}
+
+// The company being matched, from its analysis (see analyzeCompany() in company-analysis.js)
+function companyAnalysisText(analysis) {
+    return joinLines([
+        analysis.description,
+        analysis.industry && `Industry: ${analysis.industry}`,
+        analysis.business_model && `Business model: ${analysis.business_model}`,
+        analysis.target_market && `Customers: ${analysis.target_market}`,
+        listLine('Focus', analysis.focus_areas),
+        listLine('Tags', analysis.tags)
+    ]);
+}
+
+function textHash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Every text the index should hold, from the JSON exports
+function collectDocuments(dataDir) {
+    const read = (file, fallback) => {
+        const filePath = path.join(dataDir, file);
+        return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : fallback;
+    };
+    const investors = read('investors.json', null);
+    if (!investors) throw new Error(`No investors.json found in ${dataDir}`);
+    const enriched = read('enriched_investors.json', {});
+    const investments = read('investments.json', []);
+    const profiles = new Map(read('portfolio_companies.json', []).map(p => [companyKey(p.company_name), p]));
+
+    const documents = [];
+    for (const investor of investors) {
+        const text = investorText(investor, enriched[investor.id]);
+        if (text) documents.push({ kind: 'investor', key: investor.id, text });
+    }
+
+    // One text per company, from its most complete investment record
+    const companies = new Map();
+    for (const investment of investments) {
+        if (!investment.company_name?.trim()) continue;
+        const key = companyKey(investment.company_name);
+        const text = portfolioCompanyText(investment, profiles.get(key));
+        if (!companies.has(key) || text.length > companies.get(key).length) companies.set(key, text);
+    }
+    for (const [key, text] of companies) {
+        documents.push({ kind: 'company', key, text });
+    }
+
+    return documents;
+}
+
+// ============================================================================
+// Build
+// ============================================================================
+
+// Writes stay in the WAL until the build checkpoints at the end, so the
+// server (which reloads when the file changes) sees each build once
+function openIndexDb(dbPath) {
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('wal_autocheckpoint = 0');
+    db.exec(SCHEMA);
+    return db;
+}
+
+/**
+ * Bring the index at dbPath up to date with the exports in dataDir. Vectors
+ * from another provider or model are dropped first, as they aren't comparable.
+ * Returns { embedded, unchanged, removed, remaining }.
+ */
+async function buildEmbeddingIndex({ dataDir = DATA_DIR, dbPath = EMBEDDINGS_DB_PATH, embedder, limit = Infinity, onProgress = () => {} }) {
+    const documents = collectDocuments(dataDir);
+    const db = openIndexDb(dbPath);
+
+    try {
+        const getMeta = key => db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value;
+        const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+        if (getMeta('provider') !== embedder.provider || getMeta('model') !== embedder.model) {
+            db.prepare('DELETE FROM vectors').run();
+            setMeta.run('provider', embedder.provider);
+            setMeta.run('model', embedder.model);
+        }
+
+        // Drop vectors whose fund or company is gone
+        const wanted = new Set(documents.map(doc => `${doc.kind}\t${doc.key}`));
+        const existing = new Map();
+        const remove = db.prepare('DELETE FROM vectors WHERE kind = ? AND key = ?');
+        let removed = 0;
+        for (const row of db.prepare('SELECT kind, key, text_hash FROM vectors').iterate()) {
+            existing.set(`${row.kind}\t${row.key}`, row.text_hash);
+        }
+        db.transaction(() => {
+            for (const id of existing.keys()) {
+                if (!wanted.has(id)) {
+                    remove.run(...id.split('\t'));
+                    removed++;
+                }
+            }
+        })();
+
+        const stale = documents
+            .map(doc => ({ ...doc, hash: textHash(doc.text) }))
+            .filter(doc => existing.get(`${doc.kind}\t${doc.key}`) !== doc.hash);
+        const todo = stale.slice(0, limit);
+
+        const upsert = db.prepare('INSERT OR REPLACE INTO vectors (kind, key, text_hash, vector) VALUES (?, ?, ?, ?)');
+        let embedded = 0;
+        for (let i = 0; i < todo.length; i += INDEX_CONFIG.writeBatch) {
+            const batch = todo.slice(i, i + INDEX_CONFIG.writeBatch);
+            const vectors = await embedder.embed(batch.map(doc => doc.text));
+            db.transaction(() => {
+                batch.forEach((doc, j) => {
+                    upsert.run(doc.kind, doc.key, doc.hash, Buffer.from(vectors[j].buffer, vectors[j].byteOffset, vectors[j].byteLength));
+                });
+            })();
+            embedded += batch.length;
+            onProgress({ embedded, total: todo.length });
+        }
+
+        setMeta.run('dimensions', String(db.prepare('SELECT length(vector) / 4 AS n FROM vectors LIMIT 1').get()?.n || 0));
+        setMeta.run('built_at', new Date().toISOString());
+        db.pragma('wal_checkpoint(TRUNCATE)');
+
+        return { embedded, unchanged: documents.length - stale.length, removed, remaining: stale.length - todo.length };
+    } finally {
+        db.close();
+    }
+}
+
+// ============================================================================
+// Query
+// ============================================================================
+
+/**
+ * Load the whole index into memory, or null when it hasn't been built:
+ *   { provider, model, dimensions, built_at, investors, companies, embed(texts, options) }
+ * `investors` maps investor id and `companies` lowercased company name to its
+ * vector, each a view into one buffer holding them all. embed() uses the
+ * provider and model the index was built with, and reports each call to
+ * `onCall` (see createEmbedder).
+ */
+function loadEmbeddingIndex(dbPath = EMBEDDINGS_DB_PATH, { onCall } = {}) {
+    if (!fs.existsSync(dbPath)) return null;
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    try {
+        const investors = new Map();
+        const companies = new Map();
+        let meta = {};
+        let dimensions = 0;
+        // One read transaction, so a build committing meanwhile can't outgrow the buffer
+        db.transaction(() => {
+            meta = Object.fromEntries(db.prepare('SELECT key, value FROM meta').all().map(row => [row.key, row.value]));
+            const size = db.prepare('SELECT COUNT(*) AS count, MAX(length(vector)) / 4 AS dimensions FROM vectors').get();
+            dimensions = size.dimensions || 0;
+            const vectors = new Float32Array(size.count * dimensions);
+            // Blobs are copied in byte by byte: their buffers aren't guaranteed to be 4-byte aligned
+            const bytes = new Uint8Array(vectors.buffer);
+            let offset = 0;
+            for (const row of db.prepare('SELECT kind, key, vector FROM vectors').iterate()) {
+                if (row.vector.length !== dimensions * 4) continue;
+                bytes.set(row.vector, offset * 4);
+                (row.kind === 'investor' ? investors : companies).set(row.key, vectors.subarray(offset, offset + dimensions));
+                offset += dimensions;
+            }
+        })();
+        if (investors.size === 0) return null;
+
+        let embedder = null;
+        return {
+            provider: meta.provider,
+            model: meta.model,
+            dimensions,
+            built_at: meta.built_at,
+            investors,
+            companies,
+            embed(texts, options) {
+                embedder = embedder || createEmbedder({ provider: meta.provider, model: meta.model, onCall });
+                return embedder.embed(texts, options);
+            }
+        };
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * The index at dbPath, loaded on first use and again whenever the file is
+ * rebuilt; null while there is none. `options` go to loadEmbeddingIndex.
+ */
+function createEmbeddingIndexLoader(dbPath = EMBEDDINGS_DB_PATH, options = {}) {
+    let index = null;
+    let loadedMtime = null;
+
+    return function current() {
+        const mtime = fs.existsSync(dbPath) ? fs.statSync(dbPath).mtimeMs : null;
+        if (mtime !== loadedMtime) {
+            // Let go of the old index first rather than hold both while loading
+            index = null;
+            index = mtime === null ? null : loadEmbeddingIndex(dbPath, options);
+            loadedMtime = mtime;
+        }
+        return index;
+    };
+}
+
+module.exports = {
+    EMBEDDINGS_DB_PATH,
+    companyKey,
+    companyAnalysisText,
+    buildEmbeddingIndex,
+    loadEmbeddingIndex,
+    createEmbeddingIndexLoader
+};
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+if (require.main === module) {
+    require('dotenv').config();
+    const args = process.argv.slice(2);
+    const getArg = name => {
+        const i = args.indexOf(name);
+        return i === -1 ? undefined : args[i + 1];
+    };
+
+    (async () => {
+        const embedder = createEmbedder({ provider: getArg('--provider') });
+        const limit = Number(getArg('--limit')) || Infinity;
+        console.log(`🧭 Building semantic index with ${embedder.provider} (${embedder.model})...`);
+        const start = Date.now();
+        const result = await buildEmbeddingIndex({
+            embedder,
+            limit,
+            onProgress: ({ embedded, total }) => console.log(`   ⏳ ${embedded.toLocaleString()} / ${total.toLocaleString()} embedded`)
+        });
+        console.log(`   ✅ ${result.embedded.toLocaleString()} embedded, ${result.unchanged.toLocaleString()} unchanged, ${result.removed.toLocaleString()} removed`);
+        if (result.remaining > 0) {
+            console.log(`   ⏸️  ${result.remaining.toLocaleString()} left for the next run`);
+        }
+        console.log(`\n✅ Saved to ${EMBEDDINGS_DB_PATH} in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+    })().catch(err => {
+        console.error('❌ Build failed:', err.message);
+        process.exit(1);
+    });
+}
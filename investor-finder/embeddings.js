@@ -0,0 +1,241 @@
+/**
+ * Embedding Providers
+ *
+ * Turns text into unit-length vectors for the semantic index (see
+ * embedding-index.js). Cosine similarity between two of them is their dot
+ * product.
+ *
+ * Providers (EMBEDDING_PROVIDER, default openai):
+ *   openai             api.openai.com with OPENAI_API_KEY; EMBEDDING_MODEL,
+ *                      default text-embedding-3-small
+ *   openai-compatible  any server speaking the embeddings API, e.g. a local
+ *                      Ollama, llama.cpp or text-embeddings-inference:
+ *                      EMBEDDING_BASE_URL, EMBEDDING_MODEL, optional
+ *                      EMBEDDING_API_KEY
+ *   hash               hashed bag of words and word pairs, computed in-process.
+ *                      Deterministic and offline: for tests and development,
+ *                      it only sees shared vocabulary, not meaning
+ *
+ *   const embedder = createEmbedder();
+ *   const [vector] = await embedder.embed(['B2B payments for freight brokers']);
+ */
+
+const EMBEDDING_DEFAULTS = {
+    openaiModel: 'text-embedding-3-small',
+    hashDimensions: 512,
+    batchSize: 64,          // Texts per request
+    maxChars: 8000,         // Texts are cut to this before embedding
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    timeoutMs: 60000
+};
+
+class EmbeddingError extends Error {
+    constructor(message, { status, retryable = false } = {}) {
+        super(message);
+        this.name = 'EmbeddingError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+// Cosine similarity of two unit vectors
+function cosine(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+}
+
+// ============================================================================
+// Providers: embedBatch(texts) -> { vectors: Float32Array[], usage }
+// ============================================================================
+
+function createEmbeddingsApiAdapter({ name, baseUrl, apiKey, model }) {
+    const endpoint = `${baseUrl.replace(/\/$/, '')}/embeddings`;
+
+    return {
+        name,
+        model,
+        async embedBatch(texts) {
+            let response;
+            try {
+                response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+                    },
+                    body: JSON.stringify({ model, input: texts }),
+                    signal: AbortSignal.timeout(EMBEDDING_DEFAULTS.timeoutMs)
+                });
+            } catch (err) {
+                throw new EmbeddingError(`${name} request failed: ${err.message}`, { retryable: true });
+            }
+
+            const text = await response.text();
+            if (!response.ok) {
+                throw new EmbeddingError(`${name} returned ${response.status}: ${text.slice(0, 300)}`, {
+                    status: response.status,
+                    retryable: response.status === 429 || response.status >= 500
+                });
+            }
+            // Results carry their input's index; don't rely on their order
+            const data = JSON.parse(text);
+            const vectors = [];
+            for (const item of data.data) {
+                vectors[item.index] = normalize(Float32Array.from(item.embedding));
+            }
+            return { vectors, usage: { prompt_tokens: data.usage?.prompt_tokens || 0, completion_tokens: 0 } };
+        }
+    };
+}
+
+const STOPWORDS = new Set(('a an and are as at be by for from has have in into is it its of on or our that the their ' +
+    'this to we with you your they them who which will can more than all also').split(' '));
+
+// FNV-1a
+function hashToken(token) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => !STOPWORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function createHashAdapter({ dimensions }) {
+    return {
+        name: 'hash',
+        model: `hash-${dimensions}`,
+        async embedBatch(texts) {
+            const vectors = texts.map(text => {
+                const words = tokenize(text);
+                const counts = new Map();
+                words.forEach((word, i) => {
+                    counts.set(word, (counts.get(word) || 0) + 1);
+                    if (i > 0) counts.set(`${words[i - 1]} ${word}`, (counts.get(`${words[i - 1]} ${word}`) || 0) + 1);
+                });
+                const vector = new Float32Array(dimensions);
+                for (const [token, count] of counts) {
+                    const hash = hashToken(token);
+                    // The top bit picks the sign so collisions tend to cancel out
+                    vector[hash % dimensions] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+                }
+                return normalize(vector);
+            });
+            return { vectors, usage: { prompt_tokens: 0, completion_tokens: 0 } };
+        }
+    };
+}
+
+function createAdapter(options) {
+    const provider = options.provider || process.env.EMBEDDING_PROVIDER || 'openai';
+
+    switch (provider) {
+        case 'openai':
+            return createEmbeddingsApiAdapter({
+                name: 'openai',
+                baseUrl: 'https://api.openai.com/v1',
+                apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+                model: options.model || process.env.EMBEDDING_MODEL || EMBEDDING_DEFAULTS.openaiModel
+            });
+        case 'openai-compatible': {
+            const baseUrl = options.baseUrl || process.env.EMBEDDING_BASE_URL;
+            const model = options.model || process.env.EMBEDDING_MODEL;
+            if (!baseUrl || !model) {
+                throw new Error('EMBEDDING_BASE_URL and EMBEDDING_MODEL are required for the openai-compatible provider');
+            }
+            return createEmbeddingsApiAdapter({
+                name: 'openai-compatible',
+                baseUrl,
+                apiKey: options.apiKey || process.env.EMBEDDING_API_KEY,
+                model
+            });
+        }
+        case 'hash': {
+            const dimensions = Number(options.model?.replace(/^hash-/, '')) || EMBEDDING_DEFAULTS.hashDimensions;
+            return createHashAdapter({ dimensions });
+        }
+        default:
+            throw new Error(`Unknown embedding provider "${provider}" (expected openai, openai-compatible or hash)`);
+    }
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Create an embedder. Options (all optional; environment variables otherwise):
+ *   provider, model, baseUrl, apiKey, batchSize
+ *   onCall({ operation, provider, model, outcome, durationSeconds, usage, attempts, context, error })
+ * `provider` and `model` identify the vector space: vectors are only
+ * comparable when both match. onCall is the LLM client's hook (see
+ * llm-client.js), called once per batch with operation 'embed'.
+ */
+function createEmbedder(options = {}) {
+    const adapter = createAdapter(options);
+    const batchSize = options.batchSize || EMBEDDING_DEFAULTS.batchSize;
+    const onCall = options.onCall || (() => {});
+
+    async function embedWithRetry(texts, context) {
+        const started = process.hrtime.bigint();
+        const report = (outcome, usage, attempts, error) => onCall({
+            operation: 'embed', provider: adapter.name, model: adapter.model, outcome,
+            durationSeconds: Number(process.hrtime.bigint() - started) / 1e9, usage, attempts, context, error
+        });
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const { vectors, usage } = await adapter.embedBatch(texts);
+                report('success', usage, attempt);
+                return vectors;
+            } catch (err) {
+                if (!err.retryable || attempt > EMBEDDING_DEFAULTS.maxRetries) {
+                    report('error', { prompt_tokens: 0, completion_tokens: 0 }, attempt, err);
+                    throw err;
+                }
+                await sleep(EMBEDDING_DEFAULTS.baseDelayMs * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    return {
+        provider: adapter.name,
+        model: adapter.model,
+
+        // One unit vector per text, in order. `context` is passed to onCall
+        async embed(texts, { context } = {}) {
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += batchSize) {
+                const batch = texts.slice(i, i + batchSize).map(text => text.slice(0, EMBEDDING_DEFAULTS.maxChars));
+                vectors.push(...await embedWithRetry(batch, context));
+            }
+            return vectors;
+        }
+    };
+}
+
+module.exports = {
+    EMBEDDING_DEFAULTS,
+    EmbeddingError,
+    cosine,
+    createEmbedder
+};
@@ -23,11 +23,17 @@
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { createLogger, withLogContext } = require('./logger');
+const { createLlmClient, describeUsage } = require('./llm-client');
+const { LLM_SCHEMAS } = require('./llm-schemas');
 
-// OpenAI setup
-const OpenAI = require('openai');
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
+const log = createLogger('founder-enrichment');
+
+// Model calls go through LLM_PROVIDER (see llm-client.js)
+const llm = createLlmClient({
+    onRetry: ({ operation, attempt, delayMs, error }) => log.warn(
+        `   ⏳ ${operation} failed (${error.message}), retry ${attempt} in ${delayMs/1000}s`,
+        { operation, retry: attempt, delay_ms: delayMs })
 });
 
 // Configuration
@@ -178,7 +184,7 @@ async function bingSearch(query) {
 }
 
 // ============================================================================
-// AI-powered founder extraction (using OpenAI's web browsing capability)
+// AI-powered founder extraction from scraped web content
 // ============================================================================
 
 async function extractFoundersWithAI(companyName, companyWebsite, webContent) {
@@ -214,37 +220,25 @@ Rules:
 - Be conservative - only include people you're confident are founders`;
 
     try {
-        const response = await openai.chat.completions.create({
+        const { data: result } = await llm.completeJson({
+            operation: 'extract_founders',
             model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: 'You extract structured data from web content. Always respond with valid JSON.' },
-                { role: 'user', content: prompt }
-            ],
+            system: 'You extract structured data from web content. Always respond with valid JSON.',
+            prompt,
             temperature: 0.1,
-            response_format: { type: 'json_object' }
-        });
-        
-        const content = response.choices[0].message.content;
-        const result = JSON.parse(content);
-        
-        // Deduplicate founders by name
-        const seen = new Set();
-        result.founders = (result.founders || []).filter(f => {
-            const key = f.name?.toLowerCase();
-            if (!key || seen.has(key)) return false;
-            seen.add(key);
-            return true;
+            schema: LLM_SCHEMAS.founders
         });
         
+        result.founders = dedupeFounders(result.founders);
         return result;
     } catch (error) {
-        console.error(`   ⚠️ AI extraction error: ${error.message}`);
+        log.warn('   ⚠️ AI extraction error', { err: error });
         return { founders: [], confidence: 'failed', source: error.message };
     }
 }
 
-// Use OpenAI to search and find founders directly (most reliable)
-async function findFoundersWithOpenAI(companyName, companyWebsite) {
+// Ask the model for the founders directly (most reliable)
+async function findFoundersWithAI(companyName, companyWebsite) {
     const prompt = `Find the founders/co-founders of the startup company "${companyName}"${companyWebsite ? ` (website: ${companyWebsite})` : ''}.
 
 Search your knowledge to identify who founded this company.
@@ -269,35 +263,34 @@ Rules:
 - If you don't know the founders, return empty array with low confidence`;
 
     try {
-        const response = await openai.chat.completions.create({
+        const { data: result } = await llm.completeJson({
+            operation: 'find_founders',
             model: 'gpt-4o',  // Use full model for better knowledge
-            messages: [
-                { role: 'system', content: 'You are a startup research assistant with extensive knowledge of tech companies and their founders.' },
-                { role: 'user', content: prompt }
-            ],
+            system: 'You are a startup research assistant with extensive knowledge of tech companies and their founders.',
+            prompt,
             temperature: 0.1,
-            response_format: { type: 'json_object' }
-        });
-        
-        const content = response.choices[0].message.content;
-        const result = JSON.parse(content);
-        
-        // Deduplicate
-        const seen = new Set();
-        result.founders = (result.founders || []).filter(f => {
-            const key = f.name?.toLowerCase();
-            if (!key || seen.has(key)) return false;
-            seen.add(key);
-            return true;
+            schema: LLM_SCHEMAS.founders
         });
         
+        result.founders = dedupeFounders(result.founders);
         return result;
     } catch (error) {
-        console.error(`   ⚠️ OpenAI search error: ${error.message}`);
+        log.warn('   ⚠️ AI search error', { err: error });
         return { founders: [], confidence: 'failed', source: error.message };
     }
 }
 
+// Drop nameless entries and repeats of the same person (by name)
+function dedupeFounders(founders) {
+    const seen = new Set();
+    return founders.filter(f => {
+        const key = f.name?.toLowerCase();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
 // ============================================================================
 // LinkedIn search for missing profiles
 // ============================================================================
@@ -340,18 +333,18 @@ async function searchLinkedIn(founderName, companyName) {
 // ============================================================================
 
 async function enrichCompany(company) {
-    console.log(`\n📊 Processing: ${company.company_name}`);
-    console.log(`   Website: ${company.company_website || 'N/A'}`);
+    log.info(`\n📊 Processing: ${company.company_name}`);
+    log.info(`   Website: ${company.company_website || 'N/A'}`);
     
     let extraction = { founders: [], confidence: 'none' };
     
-    // Strategy 1: Use OpenAI's knowledge directly (fastest, no rate limiting)
-    console.log(`   🤖 Querying AI knowledge base...`);
-    extraction = await findFoundersWithOpenAI(company.company_name, company.company_website);
+    // Strategy 1: Use the model's knowledge directly (fastest, no rate limiting)
+    log.info(`   🤖 Querying AI knowledge base...`);
+    extraction = await findFoundersWithAI(company.company_name, company.company_website);
     
     // Strategy 2: If AI doesn't know, try scraping company website
     if (extraction.founders.length === 0 && company.company_website) {
-        console.log(`   🌐 Scraping company website...`);
+        log.info(`   🌐 Scraping company website...`);
         const websiteContent = await scrapeCompanyWebsite(company.company_website);
         
         if (websiteContent) {
@@ -365,7 +358,7 @@ async function enrichCompany(company) {
     
     // Strategy 3: If still no results, try search engines
     if (extraction.founders.length === 0) {
-        console.log(`   🔍 Searching DuckDuckGo...`);
+        log.info(`   🔍 Searching DuckDuckGo...`);
         const searchQuery = `"${company.company_name}" founder co-founder CEO`;
         const searchResults = await duckDuckGoSearch(searchQuery);
         await sleep(getRandomDelay());
@@ -382,7 +375,7 @@ async function enrichCompany(company) {
     // Try to find LinkedIn URLs for founders without them
     for (const founder of extraction.founders) {
         if (!founder.linkedin_url && founder.name) {
-            console.log(`   🔗 Searching LinkedIn for: ${founder.name}`);
+            log.info(`   🔗 Searching LinkedIn for: ${founder.name}`);
             founder.linkedin_url = await searchLinkedIn(founder.name, company.company_name);
         }
     }
@@ -403,9 +396,11 @@ async function enrichCompany(company) {
     const founderCount = extraction.founders.length;
     const linkedInCount = extraction.founders.filter(f => f.linkedin_url).length;
     
-    console.log(`   ✅ Found ${founderCount} founders (${extraction.confidence} confidence), ${linkedInCount} with LinkedIn`);
+    log.info(`   ✅ Found ${founderCount} founders (${extraction.confidence} confidence), ${linkedInCount} with LinkedIn`, {
+        founders: founderCount, linkedin: linkedInCount, confidence: extraction.confidence
+    });
     for (const f of extraction.founders) {
-        console.log(`      - ${f.name} (${f.title}) ${f.linkedin_url ? '✓ LinkedIn' : '✗ No LinkedIn'}`);
+        log.info(`      - ${f.name} (${f.title}) ${f.linkedin_url ? '✓ LinkedIn' : '✗ No LinkedIn'}`);
     }
     
     return result;
@@ -469,7 +464,7 @@ function saveFounders(founders) {
     
     fs.writeFileSync(CONFIG.PORTFOLIO_FOUNDERS_PATH, JSON.stringify(flatFounders, null, 2));
     
-    console.log(`   💾 Saved ${founders.length} companies, ${flatFounders.length} founder records`);
+    log.info(`   💾 Saved ${founders.length} companies, ${flatFounders.length} founder records`);
 }
 
 // Create SQL schema for founders table
@@ -502,7 +497,7 @@ CREATE INDEX IF NOT EXISTS idx_portfolio_founders_linkedin ON portfolio_founders
 function saveSchema() {
     const schemaPath = path.join(__dirname, '../results/unified_database/portfolio_founders_schema.sql');
     fs.writeFileSync(schemaPath, generateFoundersSchema());
-    console.log(`   📄 Schema saved to: ${schemaPath}`);
+    log.info(`   📄 Schema saved to: ${schemaPath}`);
 }
 
 // ============================================================================
@@ -510,8 +505,8 @@ function saveSchema() {
 // ============================================================================
 
 async function main() {
-    console.log('🚀 Founder Enrichment Script v2');
-    console.log('================================\n');
+    log.info('🚀 Founder Enrichment Script v2');
+    log.info('================================\n');
     
     // Parse command line args
     const args = process.argv.slice(2);
@@ -533,25 +528,25 @@ async function main() {
             // Reset progress
             if (fs.existsSync(CONFIG.PROGRESS_PATH)) {
                 fs.unlinkSync(CONFIG.PROGRESS_PATH);
-                console.log('🔄 Progress reset');
+                log.info('🔄 Progress reset');
             }
         }
     }
     
-    console.log(`📅 Processing investments since: ${sinceDate}`);
-    console.log(`📦 Batch size: ${batchSize} companies`);
-    if (limit) console.log(`🔢 Limit: ${limit} companies`);
+    log.info(`📅 Processing investments since: ${sinceDate}`);
+    log.info(`📦 Batch size: ${batchSize} companies`);
+    if (limit) log.info(`🔢 Limit: ${limit} companies`);
     
     // Load investments
-    console.log('\n📂 Loading investments...');
+    log.info('\n📂 Loading investments...');
     const investments = JSON.parse(fs.readFileSync(CONFIG.INVESTMENTS_PATH, 'utf8'));
-    console.log(`   Total investments: ${investments.length}`);
+    log.info(`   Total investments: ${investments.length}`);
     
     // Filter by date and get unique companies
     const recentInvestments = investments.filter(inv => 
         inv.announced_date && inv.announced_date >= sinceDate
     );
-    console.log(`   Investments since ${sinceDate}: ${recentInvestments.length}`);
+    log.info(`   Investments since ${sinceDate}: ${recentInvestments.length}`);
     
     // Get unique companies (by name + website)
     const companyMap = new Map();
@@ -563,7 +558,7 @@ async function main() {
     }
     
     let uniqueCompanies = Array.from(companyMap.values());
-    console.log(`   Unique companies: ${uniqueCompanies.length}`);
+    log.info(`   Unique companies: ${uniqueCompanies.length}`);
     
     // Load progress
     const progress = loadProgress();
@@ -573,17 +568,17 @@ async function main() {
     uniqueCompanies = uniqueCompanies.filter(c => 
         !processedSet.has(`${c.company_name}|${c.company_website || ''}`)
     );
-    console.log(`   Already processed: ${progress.processed.length}`);
-    console.log(`   Remaining to process: ${uniqueCompanies.length}`);
+    log.info(`   Already processed: ${progress.processed.length}`);
+    log.info(`   Remaining to process: ${uniqueCompanies.length}`);
     
     // Apply limit
     if (limit) {
         uniqueCompanies = uniqueCompanies.slice(0, limit);
-        console.log(`   Processing (with limit): ${uniqueCompanies.length}`);
+        log.info(`   Processing (with limit): ${uniqueCompanies.length}`);
     }
     
     if (uniqueCompanies.length === 0) {
-        console.log('\n✅ All companies already processed!');
+        log.info('\n✅ All companies already processed!');
         
         // Still save schema
         saveSchema();
@@ -592,14 +587,14 @@ async function main() {
     
     // Load existing founders
     const founders = loadFounders();
-    console.log(`   Existing founder records: ${founders.length}`);
+    log.info(`   Existing founder records: ${founders.length}`);
     
     // Save schema
     saveSchema();
     
     // Process each company
-    console.log('\n🏃 Starting enrichment...');
-    console.log('─'.repeat(50));
+    log.info('\n🏃 Starting enrichment...');
+    log.info('─'.repeat(50));
     
     let processed = 0;
     let foundersFound = 0;
@@ -609,7 +604,8 @@ async function main() {
     
     for (const company of uniqueCompanies) {
         try {
-            const result = await enrichCompany(company);
+            // Every line logged for this company carries its name
+            const result = await withLogContext({ company: company.company_name }, () => enrichCompany(company));
             founders.push(result);
             
             const newFounders = result.founders.length;
@@ -640,18 +636,20 @@ async function main() {
                 const remaining = uniqueCompanies.length - processed;
                 const eta = remaining / rate;
                 
-                console.log(`\n📊 Progress: ${processed}/${uniqueCompanies.length} | Founders: ${foundersFound} | LinkedIn: ${linkedInFound} | ETA: ${Math.round(eta/60)}min`);
+                log.info(`\n📊 Progress: ${processed}/${uniqueCompanies.length} | Founders: ${foundersFound} | LinkedIn: ${linkedInFound} | ETA: ${Math.round(eta/60)}min`, {
+                    processed, total: uniqueCompanies.length, founders: foundersFound, linkedin: linkedInFound, eta_seconds: Math.round(eta)
+                });
             }
             
             // Batch pause to avoid rate limiting
             if (batchCount >= batchSize) {
-                console.log(`\n⏸️  Batch complete. Pausing ${CONFIG.BATCH_PAUSE/1000}s to avoid rate limits...`);
+                log.info(`\n⏸️  Batch complete. Pausing ${CONFIG.BATCH_PAUSE/1000}s to avoid rate limits...`);
                 await sleep(CONFIG.BATCH_PAUSE);
                 batchCount = 0;
             }
             
         } catch (error) {
-            console.error(`   ❌ Error processing ${company.company_name}: ${error.message}`);
+            log.error(`   ❌ Error processing ${company.company_name}`, { company: company.company_name, err: error });
             
             // Still save progress on error
             saveFounders(founders);
@@ -665,20 +663,29 @@ async function main() {
     
     const totalTime = (Date.now() - startTime) / 1000;
     
-    console.log('\n' + '═'.repeat(50));
-    console.log('📊 SUMMARY');
-    console.log('═'.repeat(50));
-    console.log(`   Companies processed: ${processed}`);
-    console.log(`   Founders found: ${foundersFound}`);
-    console.log(`   LinkedIn profiles: ${linkedInFound}`);
-    console.log(`   Time elapsed: ${Math.round(totalTime/60)} minutes`);
-    console.log(`   Rate: ${(processed/totalTime*60).toFixed(1)} companies/min`);
-    console.log('');
-    console.log('📁 Output files:');
-    console.log(`   ${CONFIG.FOUNDERS_PATH}`);
-    console.log(`   ${CONFIG.PORTFOLIO_FOUNDERS_PATH}`);
-    console.log('\n✅ Done!');
+    log.info('\n' + '═'.repeat(50));
+    log.info('📊 SUMMARY');
+    log.info('═'.repeat(50));
+    log.info(`   Companies processed: ${processed}`);
+    log.info(`   Founders found: ${foundersFound}`);
+    log.info(`   LinkedIn profiles: ${linkedInFound}`);
+    log.info(`   Time elapsed: ${Math.round(totalTime/60)} minutes`);
+    log.info(`   Rate: ${(processed/totalTime*60).toFixed(1)} companies/min`);
+    
+    const usage = llm.usageSummary();
+    log.info(`   AI tokens: ${describeUsage(usage)}`, usage);
+    log.info('\n📁 Output files:');
+    log.info(`   ${CONFIG.FOUNDERS_PATH}`);
+    log.info(`   ${CONFIG.PORTFOLIO_FOUNDERS_PATH}`);
+    log.info('\n✅ Done!');
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(err => log.error('❌ Founder enrichment failed', { err }));
+}
+
+module.exports = {
+    extractFoundersWithAI,
+    findFoundersWithAI
+};
 
@@ -0,0 +1,109 @@
+/**
+ * Fund Activity
+ *
+ * How actively a fund is deploying, read from the announced dates of its deals
+ * and its last fund close: deals per quarter over the past year, time since the
+ * last deal, whether the pace is picking up or slowing down, and how long ago
+ * the current fund closed. Quarters are rolling 91-day windows ending now, so
+ * a fund's numbers move as time passes even when the snapshot doesn't.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACTIVITY_CONFIG = {
+    quarterDays: 91,
+    yearQuarters: 4,
+    trendMinDeals: 3,           // Fewer deals than this over the year gives no trend
+    trendRatio: 1.5,            // Last two quarters vs the two before
+    quietDays: 18 * 30,         // No deal for this long: quiet
+    dormantDays: 3 * 365,       // ...and for this long: dormant
+    freshFundDays: 2 * 365      // A fund closed this recently still has capital to deploy
+};
+
+function daysSince(date, now) {
+    const time = Date.parse(date);
+    if (!Number.isFinite(time)) return null;
+    return Math.max(0, Math.floor((now - time) / DAY_MS));
+}
+
+/**
+ * Activity of a fund from its deals' announced dates (any order, blanks
+ * ignored) and its fund close date:
+ *
+ *   deals_last_quarter, deals_last_year, deals_per_quarter
+ *   last_deal_date, days_since_last_deal
+ *   trend                 'up', 'flat', 'down', or null with too few deals
+ *   fund_close_date, days_since_fund_close
+ *   status                'active' (a deal in the past year), 'quiet',
+ *                         'dormant', or 'unknown' without any dates
+ */
+function fundActivity(dealDates, fundCloseDate, now = Date.now()) {
+    const { quarterDays, yearQuarters } = ACTIVITY_CONFIG;
+    const quarters = new Array(yearQuarters).fill(0);   // [0] is the latest quarter
+    let lastDealDate = null;
+    let daysSinceLastDeal = null;
+
+    for (const date of dealDates) {
+        const days = date ? daysSince(date, now) : null;
+        if (days === null) continue;
+        if (daysSinceLastDeal === null || days < daysSinceLastDeal) {
+            daysSinceLastDeal = days;
+            lastDealDate = date;
+        }
+        const quarter = Math.floor(days / quarterDays);
+        if (quarter < yearQuarters) quarters[quarter]++;
+    }
+
+    const dealsLastYear = quarters.reduce((sum, n) => sum + n, 0);
+    const daysSinceFundClose = fundCloseDate ? daysSince(fundCloseDate, now) : null;
+
+    return {
+        deals_last_quarter: quarters[0],
+        deals_last_year: dealsLastYear,
+        deals_per_quarter: Math.round(dealsLastYear / yearQuarters * 10) / 10,
+        last_deal_date: lastDealDate,
+        days_since_last_deal: daysSinceLastDeal,
+        trend: dealTrend(quarters),
+        fund_close_date: daysSinceFundClose === null ? null : fundCloseDate,
+        days_since_fund_close: daysSinceFundClose,
+        status: activityStatus(dealsLastYear, daysSinceLastDeal)
+    };
+}
+
+// Deals in the last two quarters against the two before
+function dealTrend(quarters) {
+    const recent = quarters[0] + quarters[1];
+    const earlier = quarters[2] + quarters[3];
+    if (recent + earlier < ACTIVITY_CONFIG.trendMinDeals) return null;
+    if (recent >= earlier * ACTIVITY_CONFIG.trendRatio) return 'up';
+    if (earlier >= recent * ACTIVITY_CONFIG.trendRatio) return 'down';
+    return 'flat';
+}
+
+function activityStatus(dealsLastYear, daysSinceLastDeal) {
+    if (daysSinceLastDeal === null) return 'unknown';
+    if (dealsLastYear > 0) return 'active';
+    return daysSinceLastDeal >= ACTIVITY_CONFIG.dormantDays ? 'dormant' : 'quiet';
+}
+
+// "12 days ago", "5 months ago", "3 years ago"
+function describeAge(days) {
+    if (days < 1) return 'today';
+    const [count, unit] = days < 60 ? [days, 'day']
+        : days < 2 * 365 ? [Math.round(days / 30.4), 'month']
+        : [Math.floor(days / 365), 'year'];
+    return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+}
+
+// Whether a fund closed recently enough to still be writing first checks
+function isFreshFund(activity) {
+    return activity.days_since_fund_close !== null
+        && activity.days_since_fund_close <= ACTIVITY_CONFIG.freshFundDays;
+}
+
+module.exports = {
+    ACTIVITY_CONFIG,
+    fundActivity,
+    describeAge,
+    isFreshFund
+};
@@ -0,0 +1,239 @@
+/**
+ * Geography
+ *
+ * Turns the free-text places found in the data into comparable locations:
+ * a company's headquarters ("Austin, TX"), a fund's investment_geography
+ * entries ("Texas", "Midwest", "Europe", "Global") and portfolio companies'
+ * company_city / company_country. Investments carry no state, so US cities
+ * are resolved to their state from a list of the usual startup cities.
+ *
+ * A location is { city, state, country, regions, area, global } with display
+ * names (city 'Austin', state 'Texas', country 'United States'); `regions` are
+ * the regions its country belongs to, `area` names a region or US sub-region
+ * that is the whole of the place, e.g. 'Europe' or 'Midwest'.
+ */
+
+const US = 'United States';
+
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+    CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+    LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island', SC: 'South Carolina',
+    SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+// US cities (and metro nicknames) that show up as company or fund locations
+const US_CITY_STATES = {
+    'san francisco': 'CA', 'bay area': 'CA', 'silicon valley': 'CA', 'palo alto': 'CA', 'menlo park': 'CA',
+    'mountain view': 'CA', 'san jose': 'CA', 'oakland': 'CA', 'berkeley': 'CA', 'los angeles': 'CA',
+    'santa monica': 'CA', 'san diego': 'CA', 'irvine': 'CA', 'sacramento': 'CA',
+    'new york': 'NY', 'new york city': 'NY', 'nyc': 'NY', 'brooklyn': 'NY', 'buffalo': 'NY',
+    'boston': 'MA', 'cambridge': 'MA', 'seattle': 'WA', 'bellevue': 'WA', 'portland': 'OR',
+    'austin': 'TX', 'dallas': 'TX', 'houston': 'TX', 'san antonio': 'TX', 'fort worth': 'TX',
+    'denver': 'CO', 'boulder': 'CO', 'salt lake city': 'UT', 'lehi': 'UT', 'provo': 'UT',
+    'phoenix': 'AZ', 'scottsdale': 'AZ', 'tempe': 'AZ', 'las vegas': 'NV', 'albuquerque': 'NM',
+    'chicago': 'IL', 'detroit': 'MI', 'ann arbor': 'MI', 'minneapolis': 'MN', 'st. paul': 'MN',
+    'milwaukee': 'WI', 'madison': 'WI', 'columbus': 'OH', 'cleveland': 'OH', 'cincinnati': 'OH',
+    'indianapolis': 'IN', 'st. louis': 'MO', 'saint louis': 'MO', 'kansas city': 'MO', 'omaha': 'NE',
+    'des moines': 'IA', 'pittsburgh': 'PA', 'philadelphia': 'PA', 'baltimore': 'MD', 'washington dc': 'DC',
+    'arlington': 'VA', 'richmond': 'VA', 'atlanta': 'GA', 'miami': 'FL',
+    'tampa': 'FL', 'orlando': 'FL', 'jacksonville': 'FL', 'nashville': 'TN', 'memphis': 'TN',
+    'chattanooga': 'TN', 'raleigh': 'NC', 'durham': 'NC', 'charlotte': 'NC', 'birmingham': 'AL',
+    'new orleans': 'LA', 'oklahoma city': 'OK', 'tulsa': 'OK', 'louisville': 'KY', 'boise': 'ID',
+    'san francisco bay area': 'CA', 'honolulu': 'HI', 'anchorage': 'AK', 'providence': 'RI', 'hartford': 'CT', 'new haven': 'CT',
+    'burlington': 'VT'
+};
+
+// US sub-regions funds name as their investment geography
+const US_REGIONS = {
+    'Midwest': ['IL', 'IN', 'IA', 'KS', 'MI', 'MN', 'MO', 'NE', 'ND', 'OH', 'SD', 'WI'],
+    'Northeast': ['CT', 'ME', 'MA', 'NH', 'NJ', 'NY', 'PA', 'RI', 'VT'],
+    'Southeast': ['AL', 'AR', 'FL', 'GA', 'KY', 'LA', 'MS', 'NC', 'SC', 'TN', 'VA', 'WV'],
+    'Southwest': ['AZ', 'NM', 'OK', 'TX'],
+    'Mountain West': ['CO', 'ID', 'MT', 'NV', 'UT', 'WY'],
+    'Pacific Northwest': ['OR', 'WA'],
+    'West Coast': ['CA', 'OR', 'WA'],
+    'East Coast': ['CT', 'DE', 'FL', 'GA', 'ME', 'MD', 'MA', 'NH', 'NJ', 'NY', 'NC', 'RI', 'SC', 'VA'],
+    'Mid-Atlantic': ['DC', 'DE', 'MD', 'NJ', 'NY', 'PA', 'VA'],
+    'Great Lakes': ['IL', 'IN', 'MI', 'MN', 'NY', 'OH', 'PA', 'WI'],
+    'Rust Belt': ['IL', 'IN', 'MI', 'NY', 'OH', 'PA', 'WV', 'WI'],
+    'Heartland': ['IA', 'KS', 'MO', 'NE', 'ND', 'OK', 'SD'],
+    'Rocky Mountains': ['CO', 'ID', 'MT', 'UT', 'WY']
+};
+
+// Regions of the world and their countries
+const WORLD_REGIONS = {
+    'North America': [US, 'Canada', 'Mexico'],
+    'Latin America': ['Mexico', 'Brazil', 'Argentina', 'Chile', 'Colombia', 'Peru', 'Uruguay', 'Costa Rica',
+        'Ecuador', 'Guatemala', 'Panama', 'Dominican Republic'],
+    'Europe': ['United Kingdom', 'Ireland', 'Germany', 'France', 'Netherlands', 'Belgium', 'Luxembourg',
+        'Switzerland', 'Austria', 'Spain', 'Portugal', 'Italy', 'Sweden', 'Norway', 'Denmark', 'Finland',
+        'Iceland', 'Estonia', 'Latvia', 'Lithuania', 'Poland', 'Czech Republic', 'Slovakia', 'Hungary',
+        'Romania', 'Bulgaria', 'Greece', 'Croatia', 'Slovenia', 'Serbia', 'Ukraine'],
+    'Middle East': ['Israel', 'United Arab Emirates', 'Saudi Arabia', 'Qatar', 'Bahrain', 'Kuwait', 'Jordan',
+        'Turkey', 'Egypt', 'Lebanon'],
+    'Africa': ['Nigeria', 'Kenya', 'South Africa', 'Egypt', 'Ghana', 'Morocco', 'Rwanda', 'Ethiopia',
+        'Tanzania', 'Uganda', 'Senegal', "Cote d'Ivoire"],
+    'Asia': ['India', 'China', 'Japan', 'South Korea', 'Singapore', 'Hong Kong', 'Taiwan', 'Indonesia',
+        'Vietnam', 'Philippines', 'Malaysia', 'Thailand', 'Pakistan', 'Bangladesh', 'Sri Lanka'],
+    'Southeast Asia': ['Singapore', 'Indonesia', 'Vietnam', 'Philippines', 'Malaysia', 'Thailand'],
+    'Oceania': ['Australia', 'New Zealand']
+};
+
+const REGION_ALIASES = {
+    'europe': 'Europe', 'eu': 'Europe', 'european union': 'Europe', 'emea': 'Europe', 'western europe': 'Europe',
+    'northern europe': 'Europe', 'nordics': 'Europe', 'cee': 'Europe', 'central and eastern europe': 'Europe',
+    'north america': 'North America', 'latin america': 'Latin America', 'latam': 'Latin America',
+    'south america': 'Latin America', 'middle east': 'Middle East', 'mena': 'Middle East',
+    'africa': 'Africa', 'sub-saharan africa': 'Africa', 'asia': 'Asia', 'apac': 'Asia',
+    'asia pacific': 'Asia', 'southeast asia': 'Southeast Asia', 'sea': 'Southeast Asia',
+    'oceania': 'Oceania', 'anz': 'Oceania'
+};
+
+const COUNTRY_ALIASES = {
+    'us': US, 'u.s.': US, 'usa': US, 'u.s.a.': US, 'united states of america': US, 'america': US,
+    'uk': 'United Kingdom', 'u.k.': 'United Kingdom', 'great britain': 'United Kingdom', 'britain': 'United Kingdom',
+    'england': 'United Kingdom', 'scotland': 'United Kingdom', 'wales': 'United Kingdom',
+    'uae': 'United Arab Emirates', 'korea': 'South Korea', 'czechia': 'Czech Republic', 'holland': 'Netherlands'
+};
+
+const GLOBAL_TERMS = new Set(['global', 'worldwide', 'international', 'anywhere', 'all', 'any']);
+
+// Lookup tables by lowercased name
+const COUNTRIES = new Map();
+for (const countries of Object.values(WORLD_REGIONS)) {
+    for (const country of countries) COUNTRIES.set(country.toLowerCase(), country);
+}
+for (const [alias, country] of Object.entries(COUNTRY_ALIASES)) COUNTRIES.set(alias, country);
+
+const STATES = new Map();
+for (const [code, name] of Object.entries(US_STATES)) {
+    STATES.set(name.toLowerCase(), code);
+    STATES.set(code.toLowerCase(), code);
+}
+
+const AREAS = new Map(Object.entries(REGION_ALIASES));
+for (const name of [...Object.keys(WORLD_REGIONS), ...Object.keys(US_REGIONS)]) AREAS.set(name.toLowerCase(), name);
+
+function regionsOf(country) {
+    return Object.keys(WORLD_REGIONS).filter(region => WORLD_REGIONS[region].includes(country));
+}
+
+function titleCase(name) {
+    return name.replace(/\b\w/g, c => c.toUpperCase()).replace(/\b(Dc|Nyc)\b/g, acronym => acronym.toUpperCase());
+}
+
+function emptyLocation() {
+    return { city: null, state: null, country: null, regions: [], area: null, global: false };
+}
+
+// One place, e.g. 'Austin, TX', 'Lagos, Nigeria', 'Texas' or 'Midwest'. The
+// `country` argument is used when the text doesn't name one (investments keep
+// city and country apart). Returns null for nothing recognisable.
+const parseCache = new Map();
+function parseLocation(text, country = null) {
+    const key = `${text || ''}|${country || ''}`;
+    if (parseCache.has(key)) return parseCache.get(key);
+
+    const location = emptyLocation();
+    const parts = String(text || '')
+        .replace(/washington,?\s*d\.?c\.?/i, 'washington dc')
+        .split(',')
+        .map(part => part.trim().toLowerCase())
+        .filter(Boolean);
+    if (country) parts.push(String(country).trim().toLowerCase());
+
+    parts.forEach((part, i) => {
+        if (i === 0 && parts.length > 1 && US_CITY_STATES[part]) {
+            // 'New York, NY': the city, not the state
+            location.city = titleCase(part);
+        } else if (GLOBAL_TERMS.has(part)) {
+            location.global = true;
+        } else if (COUNTRIES.has(part)) {
+            location.country = location.country || COUNTRIES.get(part);
+        } else if (STATES.has(part) && (i > 0 || part.length > 2)) {
+            location.state = location.state || US_STATES[STATES.get(part)];
+        } else if (AREAS.has(part)) {
+            location.area = location.area || AREAS.get(part);
+        } else if (i === 0) {
+            location.city = titleCase(part);
+        }
+    });
+
+    // A known US city gives its state, unless the place is elsewhere (London, Ontario)
+    const cityState = location.city && US_CITY_STATES[location.city.toLowerCase()];
+    if (cityState && !location.state && (!location.country || location.country === US)) {
+        location.state = US_STATES[cityState];
+    }
+    if (location.state || (location.area && US_REGIONS[location.area])) location.country = location.country || US;
+    if (location.country) location.regions = regionsOf(location.country);
+
+    // A lone unknown name could be anything ('Emerging markets'); only a city with a country counts
+    const result = location.state || location.country || location.area || location.global
+        ? location
+        : null;
+    if (parseCache.size > 50000) parseCache.clear();
+    parseCache.set(key, result);
+    return result;
+}
+
+// Several places, as funds list them: an array of entries, or text such as
+// 'United States and Canada' or 'Texas / Oklahoma'
+function parseAreas(value) {
+    const entries = Array.isArray(value) ? value : [value];
+    return entries
+        .flatMap(entry => String(entry || '').split(/\s*(?:;|\/|\band\b|&|\|)\s*/i))
+        .map(entry => parseLocation(entry))
+        .filter(Boolean);
+}
+
+// Whether `place` lies within `area`: true, false, or null when `place` isn't
+// known precisely enough to tell (a company known only by country, against a
+// fund that invests in one state)
+function isWithin(place, area) {
+    if (area.global) return true;
+    if (area.city) {
+        if (!place.city) return null;
+        return place.city === area.city && (!area.state || place.state === area.state);
+    }
+    if (area.state) {
+        if (!place.state) return place.country && place.country !== US ? false : null;
+        return place.state === area.state;
+    }
+    if (area.area && US_REGIONS[area.area]) {
+        if (!place.state) return place.country && place.country !== US ? false : null;
+        return US_REGIONS[area.area].some(code => US_STATES[code] === place.state);
+    }
+    if (area.country) {
+        if (!place.country) return place.area ? false : null;
+        return place.country === area.country;
+    }
+    if (area.area) {
+        if (place.area === area.area) return true;
+        if (!place.country) return null;
+        return place.regions.includes(area.area);
+    }
+    return null;
+}
+
+// Short display name, e.g. 'Austin, Texas', 'Texas', 'Midwest'
+function describeLocation(location) {
+    if (location.global) return 'Global';
+    if (location.city) return [location.city, location.state || location.country].filter(Boolean).join(', ');
+    return location.state || location.area || location.country;
+}
+
+module.exports = {
+    US_STATES,
+    US_REGIONS,
+    WORLD_REGIONS,
+    parseLocation,
+    parseAreas,
+    isWithin,
+    describeLocation
+};
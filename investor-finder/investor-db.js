@@ -0,0 +1,801 @@
+#!/usr/bin/env node
+/**
+ * Investor Database (SQLite)
+ *
+ * Embedded SQLite store for the unified investor database. The JSON files
+ * written by build_unified_database.js and the enrichment scripts are imported
+ * into results/unified_database/investors.db, and the server queries it through
+ * indexed lookups instead of holding every record in memory.
+ *
+ * Usage:
+ *   node investor-db.js            Re-import the JSON files into investors.db
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+// Paths
+const DATA_DIR = path.join(__dirname, '..', 'results', 'unified_database');
+const DB_PATH = path.join(DATA_DIR, 'investors.db');
+
+// Source files imported into the database
+const SOURCE_FILES = {
+    investors: 'investors.json',
+    teamMembers: 'team_members.json',
+    investments: 'investments.json',
+    founders: 'founders.json',
+    enriched: 'enriched_investors.json',
+    portfolioCompanies: 'portfolio_companies.json'
+};
+
+// Stored in meta; files imported with an older schema are re-imported
+const SCHEMA_VERSION = 2;
+
+// Columns stored as JSON text and parsed back into arrays/objects on read
+const INVESTOR_JSON_COLUMNS = ['stages', 'focus', 'tags', 'fund_types', 'investment_geography', 'badges'];
+const INVESTOR_BOOLEAN_COLUMNS = ['verified', 'leads_investments', 'co_invests', 'takes_board_seats'];
+const TEAM_JSON_COLUMNS = ['emails', 'personal_emails', 'work_emails', 'phones', 'twitter', 'github',
+    'current_company', 'experience', 'education', 'skills'];
+
+// ============================================================================
+// Schema
+// ============================================================================
+
+// Tables follow schema.sql from build_unified_database.js, plus the extra investor
+// fields captured by visible_full_scraper.js and two derived count columns so fund
+// search can filter and sort without touching the child tables.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS investors (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    slug TEXT UNIQUE,
+    website TEXT,
+    secondary_website TEXT,
+    description TEXT,
+    city TEXT,
+    region TEXT,
+    country TEXT,
+    check_size_min REAL,
+    check_size_max REAL,
+    sweet_spot REAL,
+    fund_size REAL,
+    fund_close_date TEXT,
+    stages TEXT,
+    focus TEXT,
+    tags TEXT,
+    fund_types TEXT,
+    leads_investments INTEGER,
+    co_invests INTEGER,
+    takes_board_seats INTEGER,
+    thesis TEXT,
+    traction_metrics TEXT,
+    investment_geography TEXT,
+    verified INTEGER DEFAULT 0,
+    badges TEXT,
+    linkedin_url TEXT,
+    twitter_url TEXT,
+    profile_url TEXT,
+    scraped_at TEXT,
+    portfolio_count INTEGER DEFAULT 0,
+    contacts_count INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS team_members (
+    id TEXT PRIMARY KEY,
+    investor_id TEXT REFERENCES investors(id) ON DELETE CASCADE,
+    investor_slug TEXT,
+    investor_name TEXT,
+    name TEXT NOT NULL,
+    title TEXT,
+    headline TEXT,
+    emails TEXT,
+    personal_emails TEXT,
+    work_emails TEXT,
+    phones TEXT,
+    linkedin_url TEXT,
+    twitter TEXT,
+    github TEXT,
+    location TEXT,
+    country TEXT,
+    industry TEXT,
+    current_company TEXT,
+    experience TEXT,
+    education TEXT,
+    skills TEXT,
+    enriched INTEGER DEFAULT 0,
+    enriched_at TEXT,
+    avatar_url TEXT,
+    has_email INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS investments (
+    id TEXT PRIMARY KEY,
+    investor_id TEXT REFERENCES investors(id) ON DELETE CASCADE,
+    investor_slug TEXT,
+    company_name TEXT NOT NULL,
+    company_website TEXT,
+    amount_raised REAL,
+    announced_date TEXT,
+    company_city TEXT,
+    company_country TEXT,
+    article_url TEXT,
+    scraped_at TEXT
+);
+
+-- Founders of portfolio companies, keyed by lowercased company name
+CREATE TABLE IF NOT EXISTS founders (
+    company_key TEXT PRIMARY KEY,
+    company_name TEXT,
+    founders TEXT
+);
+
+-- Portfolio company profiles from portfolio-enrichment.js, keyed by
+-- lowercased company name
+CREATE TABLE IF NOT EXISTS portfolio_companies (
+    company_key TEXT PRIMARY KEY,
+    company_name TEXT,
+    data TEXT
+);
+
+-- Founder Approach Guides from investor-enrichment.js
+CREATE TABLE IF NOT EXISTS enriched_investors (
+    investor_id TEXT PRIMARY KEY,
+    data TEXT
+);
+
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_investor ON team_members(investor_id);
+CREATE INDEX IF NOT EXISTS idx_team_has_email ON team_members(has_email);
+CREATE INDEX IF NOT EXISTS idx_investment_investor ON investments(investor_id, announced_date);
+CREATE INDEX IF NOT EXISTS idx_investment_date ON investments(announced_date);
+CREATE INDEX IF NOT EXISTS idx_investment_company ON investments(company_name);
+CREATE INDEX IF NOT EXISTS idx_investor_country ON investors(country);
+CREATE INDEX IF NOT EXISTS idx_investor_city ON investors(city);
+CREATE INDEX IF NOT EXISTS idx_investor_rank ON investors(verified DESC, portfolio_count DESC);
+`;
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Fund search orderings. The activity ones read deal dates through the
+// (investor_id, announced_date) index; `?` is the date a year ago.
+const FUND_SORT_ORDERS = {
+    relevance: 'verified DESC, portfolio_count DESC, rowid',
+    activity: `(SELECT COUNT(*) FROM investments
+            WHERE investor_id = investors.id AND announced_date >= ?) DESC,
+        (SELECT MAX(announced_date) FROM investments WHERE investor_id = investors.id) DESC,
+        verified DESC, portfolio_count DESC, rowid`,
+    last_deal: `(SELECT MAX(announced_date) FROM investments WHERE investor_id = investors.id) DESC,
+        verified DESC, portfolio_count DESC, rowid`
+};
+
+// ============================================================================
+// Row Conversion Helpers
+// ============================================================================
+
+// Arrays may be stored as comma-separated strings in older exports
+function toArray(val) {
+    if (!val) return [];
+    if (Array.isArray(val)) return val;
+    if (typeof val === 'string') return val.split(',').map(s => s.trim()).filter(Boolean);
+    return [];
+}
+
+function toJSON(val) {
+    return val === undefined || val === null ? null : JSON.stringify(val);
+}
+
+function parseJSON(text, fallback) {
+    if (text === null || text === undefined) return fallback;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function toBoolean(val) {
+    if (val === null || val === undefined) return null;
+    return val ? 1 : 0;
+}
+
+function toNumber(val) {
+    if (val === null || val === undefined || val === '') return null;
+    const num = Number(val);
+    return Number.isFinite(num) ? num : null;
+}
+
+function investorToRow(inv) {
+    return {
+        id: inv.id,
+        name: inv.name || '',
+        slug: inv.slug || null,
+        website: inv.website || '',
+        secondary_website: inv.secondary_website || '',
+        description: inv.description || '',
+        city: inv.city || '',
+        region: inv.region || '',
+        country: inv.country || '',
+        check_size_min: toNumber(inv.check_size_min),
+        check_size_max: toNumber(inv.check_size_max),
+        sweet_spot: toNumber(inv.sweet_spot),
+        fund_size: toNumber(inv.fund_size),
+        fund_close_date: inv.fund_close_date || null,
+        stages: toJSON(toArray(inv.stages)),
+        focus: toJSON(toArray(inv.focus)),
+        tags: toJSON(toArray(inv.tags)),
+        fund_types: toJSON(toArray(inv.fund_types)),
+        leads_investments: toBoolean(inv.leads_investments),
+        co_invests: toBoolean(inv.co_invests),
+        takes_board_seats: toBoolean(inv.takes_board_seats),
+        thesis: inv.thesis || '',
+        traction_metrics: inv.traction_metrics || '',
+        investment_geography: toJSON(toArray(inv.investment_geography)),
+        verified: inv.verified ? 1 : 0,
+        badges: toJSON(toArray(inv.badges)),
+        linkedin_url: inv.linkedin_url || '',
+        twitter_url: inv.twitter_url || '',
+        profile_url: inv.profile_url || '',
+        scraped_at: inv.scraped_at || null
+    };
+}
+
+function rowToInvestor(row) {
+    if (!row) return null;
+    const inv = { ...row };
+    for (const col of INVESTOR_JSON_COLUMNS) {
+        inv[col] = parseJSON(row[col], []);
+    }
+    for (const col of INVESTOR_BOOLEAN_COLUMNS) {
+        inv[col] = row[col] === null ? null : row[col] === 1;
+    }
+    inv.verified = row.verified === 1;
+    return inv;
+}
+
+function teamMemberToRow(tm) {
+    const row = {
+        id: tm.id,
+        investor_id: tm.investor_id,
+        investor_slug: tm.investor_slug || '',
+        investor_name: tm.investor_name || '',
+        name: tm.name || '',
+        title: tm.title || '',
+        headline: tm.headline || '',
+        linkedin_url: tm.linkedin_url || '',
+        location: tm.location || '',
+        country: tm.country || '',
+        industry: tm.industry || '',
+        enriched: tm.enriched ? 1 : 0,
+        enriched_at: tm.enriched_at || null,
+        avatar_url: tm.avatar_url || '',
+        has_email: (tm.emails?.length > 0 || tm.work_emails?.length > 0) ? 1 : 0
+    };
+    for (const col of TEAM_JSON_COLUMNS) {
+        row[col] = toJSON(tm[col] ?? (col === 'current_company' ? null : []));
+    }
+    return row;
+}
+
+function rowToTeamMember(row) {
+    if (!row) return null;
+    const tm = { ...row };
+    for (const col of TEAM_JSON_COLUMNS) {
+        tm[col] = parseJSON(row[col], col === 'current_company' ? null : []);
+    }
+    tm.enriched = row.enriched === 1;
+    delete tm.has_email;
+    return tm;
+}
+
+function investmentToRow(inv) {
+    return {
+        id: inv.id,
+        investor_id: inv.investor_id,
+        investor_slug: inv.investor_slug || '',
+        company_name: inv.company_name || '',
+        company_website: inv.company_website || '',
+        amount_raised: toNumber(inv.amount_raised),
+        announced_date: inv.announced_date || '',
+        company_city: inv.company_city || '',
+        company_country: inv.company_country || '',
+        article_url: inv.article_url || '',
+        scraped_at: inv.scraped_at || null
+    };
+}
+
+function columnsOf(row) {
+    const cols = Object.keys(row);
+    return {
+        names: cols.join(', '),
+        params: cols.map(c => '@' + c).join(', ')
+    };
+}
+
+// ============================================================================
+// Database Handle
+// ============================================================================
+
+// Open an investor database file and return its query interface.
+// All lookups go through prepared statements backed by the indexes above.
+function openInvestorDb(dbPath = DB_PATH, options = {}) {
+    const db = new Database(dbPath, { readonly: !!options.readonly, fileMustExist: !!options.readonly });
+    if (!options.readonly) {
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = OFF');
+        db.exec(SCHEMA);
+    }
+
+    const investorCols = columnsOf(investorToRow({ id: '' }));
+    const teamCols = columnsOf(teamMemberToRow({ id: '' }));
+    const investmentCols = columnsOf(investmentToRow({ id: '' }));
+
+    const stmts = {
+        investorById: db.prepare('SELECT * FROM investors WHERE id = ?'),
+        investorBySlug: db.prepare('SELECT * FROM investors WHERE slug = ?'),
+        allInvestors: db.prepare('SELECT * FROM investors ORDER BY rowid'),
+        teamByInvestor: db.prepare('SELECT * FROM team_members WHERE investor_id = ? ORDER BY rowid'),
+        investmentsByInvestor: db.prepare('SELECT * FROM investments WHERE investor_id = ? ORDER BY announced_date DESC, rowid'),
+        allInvestments: db.prepare('SELECT * FROM investments ORDER BY investor_id, announced_date DESC, rowid'),
+        founders: db.prepare('SELECT founders FROM founders WHERE company_key = ?'),
+        portfolioProfile: db.prepare('SELECT data FROM portfolio_companies WHERE company_key = ?'),
+        allPortfolioProfiles: db.prepare('SELECT company_key, data FROM portfolio_companies'),
+        enrichment: db.prepare('SELECT data FROM enriched_investors WHERE investor_id = ?'),
+        meta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        counts: db.prepare(`SELECT
+            (SELECT COUNT(*) FROM investors) AS investors,
+            (SELECT COUNT(*) FROM team_members) AS team_members,
+            (SELECT COUNT(*) FROM team_members WHERE has_email = 1) AS team_with_emails,
+            (SELECT COUNT(*) FROM investments) AS investments,
+            (SELECT COUNT(*) FROM founders) AS founders,
+            (SELECT COUNT(*) FROM portfolio_companies) AS portfolio_companies,
+            (SELECT COUNT(*) FROM enriched_investors) AS enriched_investors`)
+    };
+
+    if (!options.readonly) {
+        Object.assign(stmts, {
+            upsertInvestor: db.prepare(`INSERT OR REPLACE INTO investors (${investorCols.names}, portfolio_count, contacts_count)
+                VALUES (${investorCols.params},
+                    (SELECT COUNT(*) FROM investments WHERE investor_id = @id),
+                    (SELECT COUNT(*) FROM team_members WHERE investor_id = @id AND has_email = 1))`),
+            upsertTeamMember: db.prepare(`INSERT OR REPLACE INTO team_members (${teamCols.names}) VALUES (${teamCols.params})`),
+            upsertInvestment: db.prepare(`INSERT OR REPLACE INTO investments (${investmentCols.names}) VALUES (${investmentCols.params})`),
+            upsertFounders: db.prepare('INSERT OR REPLACE INTO founders (company_key, company_name, founders) VALUES (?, ?, ?)'),
+            upsertPortfolioProfile: db.prepare('INSERT OR REPLACE INTO portfolio_companies (company_key, company_name, data) VALUES (?, ?, ?)'),
+            upsertEnrichment: db.prepare('INSERT OR REPLACE INTO enriched_investors (investor_id, data) VALUES (?, ?)'),
+            setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)'),
+            refreshCounts: db.prepare(`UPDATE investors SET
+                portfolio_count = (SELECT COUNT(*) FROM investments WHERE investor_id = investors.id),
+                contacts_count = (SELECT COUNT(*) FROM team_members WHERE investor_id = investors.id AND has_email = 1)
+                WHERE id = ?`),
+            refreshAllCounts: db.prepare(`UPDATE investors SET
+                portfolio_count = (SELECT COUNT(*) FROM investments WHERE investor_id = investors.id),
+                contacts_count = (SELECT COUNT(*) FROM team_members WHERE investor_id = investors.id AND has_email = 1)`)
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // Reads
+    // ------------------------------------------------------------------------
+
+    function getInvestor(idOrSlug) {
+        return rowToInvestor(stmts.investorById.get(idOrSlug) || stmts.investorBySlug.get(idOrSlug));
+    }
+
+    // Full scan, used by matching and filter options (which score every fund)
+    function listInvestors() {
+        return stmts.allInvestors.all().map(rowToInvestor);
+    }
+
+    function getTeam(investorId) {
+        return stmts.teamByInvestor.all(investorId).map(rowToTeamMember);
+    }
+
+    // Investments are returned newest first
+    function getInvestments(investorId) {
+        return stmts.investmentsByInvestor.all(investorId);
+    }
+
+    function getFounders(companyName) {
+        if (!companyName) return [];
+        const row = stmts.founders.get(companyName.toLowerCase());
+        return row ? parseJSON(row.founders, []) : [];
+    }
+
+    // Profile of a portfolio company (description, sectors, business model,
+    // stage at investment), or null when it hasn't been profiled
+    function getPortfolioProfile(companyName) {
+        if (!companyName) return null;
+        const row = stmts.portfolioProfile.get(companyName.trim().toLowerCase());
+        return row ? parseJSON(row.data, null) : null;
+    }
+
+    // Every fund's investments and every portfolio company profile, read in one
+    // scan each, for callers that look at the portfolio of every fund (matching,
+    // fund lists). Its lookups answer like getInvestments and getPortfolioProfile.
+    function loadPortfolioIndex() {
+        const investments = new Map();
+        for (const row of stmts.allInvestments.iterate()) {
+            if (!investments.has(row.investor_id)) investments.set(row.investor_id, []);
+            investments.get(row.investor_id).push(row);
+        }
+        const profiles = new Map();
+        for (const row of stmts.allPortfolioProfiles.iterate()) {
+            profiles.set(row.company_key, parseJSON(row.data, null));
+        }
+        return {
+            getInvestments: investorId => investments.get(investorId) || [],
+            getPortfolioProfile: companyName => (companyName && profiles.get(companyName.trim().toLowerCase())) || null
+        };
+    }
+
+    function getEnrichment(investorId) {
+        const row = stmts.enrichment.get(investorId);
+        return row ? parseJSON(row.data, null) : null;
+    }
+
+    function getMeta(key) {
+        const row = stmts.meta.get(key);
+        return row ? row.value : null;
+    }
+
+    function getCounts() {
+        return stmts.counts.get();
+    }
+
+    // Find team members by person name. Mirrors the fuzzy rules of the fund
+    // search: full or partial name match, or every query word in the name.
+    function findTeamMembersByName(query, limit) {
+        const q = query.toLowerCase().trim();
+        const words = q.split(/\s+/).filter(Boolean);
+        const params = [q, q];
+        const wordClauses = words.map(w => {
+            params.push(w);
+            return 'instr(lower(name), ?) > 0';
+        });
+        const sql = `SELECT * FROM team_members
+            WHERE name <> '' AND (instr(lower(name), ?) > 0 OR instr(?, lower(name)) > 0
+                ${wordClauses.length ? `OR (${wordClauses.join(' AND ')})` : ''})
+            ORDER BY rowid LIMIT ?`;
+        params.push(limit);
+        return db.prepare(sql).all(...params).map(rowToTeamMember);
+    }
+
+    function getInvestorsByIds(ids) {
+        if (ids.length === 0) return [];
+        const placeholders = ids.map(() => '?').join(', ');
+        return db.prepare(`SELECT * FROM investors WHERE id IN (${placeholders}) ORDER BY rowid`)
+            .all(...ids)
+            .map(rowToInvestor);
+    }
+
+    // Filter, rank and paginate investors. Criteria mirror the fund search filters;
+    // each one is translated to a SQL predicate so only the requested page is loaded.
+    // `sort` is one of FUND_SORT_ORDERS.
+    function findInvestors(criteria, { offset = 0, limit = 50, sort = 'relevance' } = {}) {
+        const where = [];
+        const params = [];
+
+        if (criteria.name) {
+            const name = criteria.name.toLowerCase();
+            where.push(`(instr(lower(name), ?) > 0 OR (name <> '' AND instr(?, lower(name)) > 0)
+                OR instr(lower(coalesce(slug, '')), ?) > 0)`);
+            params.push(name, name, name.replace(/\s+/g, '-'));
+        }
+
+        // A pure name search ignores the remaining filters
+        if (!criteria.isNameSearch) {
+            const anyOf = (values, clause) => {
+                const parts = values.map(v => {
+                    params.push(...clause.params(v.toLowerCase()));
+                    return clause.sql;
+                });
+                where.push(`(${parts.join(' OR ')})`);
+            };
+
+            if (criteria.stages?.length) {
+                anyOf(criteria.stages, {
+                    sql: 'EXISTS (SELECT 1 FROM json_each(investors.stages) WHERE instr(lower(value), ?) > 0)',
+                    params: v => [v]
+                });
+            }
+            if (criteria.focuses?.length) {
+                anyOf(criteria.focuses, {
+                    sql: `EXISTS (SELECT 1 FROM (SELECT value FROM json_each(investors.focus)
+                            UNION ALL SELECT value FROM json_each(investors.tags))
+                        WHERE instr(lower(value), ?) > 0 OR instr(?, lower(value)) > 0)`,
+                    params: v => [v, v]
+                });
+            }
+            if (criteria.tags?.length) {
+                anyOf(criteria.tags, {
+                    sql: 'EXISTS (SELECT 1 FROM json_each(investors.tags) WHERE instr(lower(value), ?) > 0)',
+                    params: v => [v]
+                });
+            }
+            if (criteria.locations?.length) {
+                anyOf(criteria.locations, {
+                    sql: `instr(lower(city || ' ' || region || ' ' || country), ?) > 0`,
+                    params: v => [v]
+                });
+            }
+            if (criteria.us_city) {
+                where.push('instr(lower(city), ?) > 0');
+                params.push(criteria.us_city.toLowerCase());
+            }
+            if (criteria.check_size_min) {
+                where.push('coalesce(nullif(check_size_max, 0), nullif(sweet_spot, 0), 0) >= ?');
+                params.push(criteria.check_size_min);
+            }
+            if (criteria.check_size_max) {
+                where.push('coalesce(check_size_min, 0) <= ?');
+                params.push(criteria.check_size_max);
+            }
+            if (criteria.has_contacts) {
+                where.push('contacts_count > 0');
+            }
+            if (criteria.verified_only) {
+                where.push('verified = 1');
+            }
+            for (const role of ['leads_investments', 'co_invests', 'takes_board_seats']) {
+                if (criteria[role]) where.push(`${role} = 1`);
+            }
+            if (criteria.active_since) {
+                where.push(`EXISTS (SELECT 1 FROM investments
+                    WHERE investments.investor_id = investors.id AND announced_date >= ?)`);
+                params.push(criteria.active_since);
+            }
+        }
+
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const total = db.prepare(`SELECT COUNT(*) AS total FROM investors ${whereSql}`).get(...params).total;
+        const order = FUND_SORT_ORDERS[sort] || FUND_SORT_ORDERS.relevance;
+        const orderParams = order.includes('?') ? [new Date(Date.now() - YEAR_MS).toISOString().slice(0, 10)] : [];
+        const rows = db.prepare(`SELECT * FROM investors ${whereSql}
+            ORDER BY ${order} LIMIT ? OFFSET ?`)
+            .all(...params, ...orderParams, limit, offset);
+
+        return { total, results: rows.map(rowToInvestor) };
+    }
+
+    // ------------------------------------------------------------------------
+    // Writes (single-record updates without rewriting the whole dataset)
+    // ------------------------------------------------------------------------
+
+    function upsertInvestor(investor) {
+        stmts.upsertInvestor.run(investorToRow(investor));
+    }
+
+    function upsertTeamMember(member) {
+        stmts.upsertTeamMember.run(teamMemberToRow(member));
+        stmts.refreshCounts.run(member.investor_id);
+    }
+
+    function upsertInvestment(investment) {
+        stmts.upsertInvestment.run(investmentToRow(investment));
+        stmts.refreshCounts.run(investment.investor_id);
+    }
+
+    function setFounders(companyName, companyFounders) {
+        if (!companyName) return;
+        stmts.upsertFounders.run(companyName.toLowerCase(), companyName, toJSON(companyFounders || []));
+    }
+
+    function setPortfolioProfile(companyName, profile) {
+        if (!companyName) return;
+        stmts.upsertPortfolioProfile.run(companyName.trim().toLowerCase(), companyName, toJSON(profile));
+    }
+
+    function setEnrichment(investorId, data) {
+        stmts.upsertEnrichment.run(investorId, toJSON(data));
+    }
+
+    function setMeta(key, value) {
+        stmts.setMeta.run(key, String(value));
+    }
+
+    // Bulk load records inside one transaction; counts are refreshed once at the end
+    const bulkLoad = options.readonly ? null : db.transaction(data => {
+        for (const inv of data.investors || []) stmts.upsertInvestor.run(investorToRow(inv));
+        for (const tm of data.teamMembers || []) stmts.upsertTeamMember.run(teamMemberToRow(tm));
+        for (const inv of data.investments || []) stmts.upsertInvestment.run(investmentToRow(inv));
+        for (const record of data.founders || []) {
+            if (record.company_name && record.founders && record.founders.length > 0) {
+                setFounders(record.company_name, record.founders);
+            }
+        }
+        for (const profile of data.portfolioCompanies || []) {
+            if (profile.company_name) setPortfolioProfile(profile.company_name, profile);
+        }
+        for (const [investorId, enrichment] of Object.entries(data.enriched || {})) {
+            setEnrichment(investorId, enrichment);
+        }
+        stmts.refreshAllCounts.run();
+    });
+
+    return {
+        db,
+        path: dbPath,
+        getInvestor,
+        getInvestorsByIds,
+        listInvestors,
+        getTeam,
+        getInvestments,
+        getFounders,
+        getPortfolioProfile,
+        loadPortfolioIndex,
+        getEnrichment,
+        getMeta,
+        getCounts,
+        findTeamMembersByName,
+        findInvestors,
+        upsertInvestor,
+        upsertTeamMember,
+        upsertInvestment,
+        setFounders,
+        setPortfolioProfile,
+        setEnrichment,
+        setMeta,
+        bulkLoad,
+        close: () => db.close()
+    };
+}
+
+// ============================================================================
+// JSON Import
+// ============================================================================
+
+function readJSONFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+// Newest modification time across the JSON source files
+function getSourceMtime(dataDir = DATA_DIR) {
+    let latest = 0;
+    for (const file of Object.values(SOURCE_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (fs.existsSync(filePath)) {
+            latest = Math.max(latest, fs.statSync(filePath).mtimeMs);
+        }
+    }
+    return latest;
+}
+
+// Schema version a database file was imported with (1 before it was recorded)
+function readSchemaVersion(dbPath) {
+    const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    try {
+        const row = db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+        return row ? Number(row.value) : 1;
+    } catch (e) {
+        return null;
+    } finally {
+        db.close();
+    }
+}
+
+// The database needs a (re)import when it is missing, older than its sources,
+// or was imported with an older schema
+function isDatabaseStale(dataDir = DATA_DIR, dbPath = DB_PATH) {
+    if (!fs.existsSync(dbPath)) return true;
+    if (fs.statSync(dbPath).mtimeMs < getSourceMtime(dataDir)) return true;
+    return readSchemaVersion(dbPath) !== SCHEMA_VERSION;
+}
+
+// Snapshot version: build time plus a short fingerprint of the source files
+function getSourceVersion(dataDir = DATA_DIR) {
+    const hash = crypto.createHash('sha1');
+    for (const file of Object.values(SOURCE_FILES)) {
+        const filePath = path.join(dataDir, file);
+        if (fs.existsSync(filePath)) {
+            const stat = fs.statSync(filePath);
+            hash.update(`${file}:${stat.size}:${stat.mtimeMs};`);
+        }
+    }
+    const stamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return `${stamp}-${hash.digest('hex').slice(0, 8)}`;
+}
+
+// Build a fresh SQLite file at outPath from the unified JSON files
+function buildDatabaseFile(dataDir, outPath) {
+    const sourceMtime = getSourceMtime(dataDir);
+    const version = getSourceVersion(dataDir);
+    const data = {
+        investors: readJSONFile(path.join(dataDir, SOURCE_FILES.investors), null),
+        teamMembers: readJSONFile(path.join(dataDir, SOURCE_FILES.teamMembers), []),
+        investments: readJSONFile(path.join(dataDir, SOURCE_FILES.investments), []),
+        founders: readJSONFile(path.join(dataDir, SOURCE_FILES.founders), []),
+        enriched: readJSONFile(path.join(dataDir, SOURCE_FILES.enriched), {}),
+        portfolioCompanies: readJSONFile(path.join(dataDir, SOURCE_FILES.portfolioCompanies), [])
+    };
+    if (!data.investors) {
+        throw new Error(`No ${SOURCE_FILES.investors} found in ${dataDir} (run build_unified_database.js first)`);
+    }
+
+    removeDatabaseFile(outPath);
+
+    const handle = openInvestorDb(outPath);
+    try {
+        handle.bulkLoad(data);
+        handle.setMeta('version', version);
+        handle.setMeta('schema_version', SCHEMA_VERSION);
+        handle.setMeta('imported_at', new Date().toISOString());
+        handle.setMeta('source_mtime', sourceMtime);
+        handle.db.pragma('journal_mode = DELETE');
+    } finally {
+        handle.close();
+    }
+
+    return {
+        version,
+        counts: {
+            investors: data.investors.length,
+            team_members: data.teamMembers.length,
+            investments: data.investments.length,
+            founders: data.founders.length,
+            portfolio_companies: data.portfolioCompanies.length,
+            enriched_investors: Object.keys(data.enriched).length
+        }
+    };
+}
+
+function removeDatabaseFile(dbPath) {
+    for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+    }
+}
+
+// Import the unified JSON files into a fresh SQLite file. The import is written to
+// a temporary file and renamed into place so readers never see a half-built database.
+function importUnifiedDatabase(dataDir = DATA_DIR, dbPath = DB_PATH) {
+    const tmpPath = `${dbPath}.${process.pid}.tmp`;
+    const { counts } = buildDatabaseFile(dataDir, tmpPath);
+
+    for (const suffix of ['-wal', '-shm']) {
+        if (fs.existsSync(dbPath + suffix)) fs.unlinkSync(dbPath + suffix);
+    }
+    fs.renameSync(tmpPath, dbPath);
+
+    return counts;
+}
+
+module.exports = {
+    DATA_DIR,
+    DB_PATH,
+    SOURCE_FILES,
+    FUND_SORT_ORDERS,
+    openInvestorDb,
+    buildDatabaseFile,
+    removeDatabaseFile,
+    importUnifiedDatabase,
+    getSourceMtime,
+    isDatabaseStale
+};
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+if (require.main === module) {
+    console.log('📂 Importing unified database into SQLite...');
+    const start = Date.now();
+    try {
+        const counts = importUnifiedDatabase();
+        console.log(`   ✅ ${counts.investors.toLocaleString()} investors`);
+        console.log(`   ✅ ${counts.team_members.toLocaleString()} team members`);
+        console.log(`   ✅ ${counts.investments.toLocaleString()} investments`);
+        console.log(`   ✅ ${counts.founders.toLocaleString()} founder records`);
+        console.log(`   ✅ ${counts.portfolio_companies.toLocaleString()} portfolio company profiles`);
+        console.log(`   ✅ ${counts.enriched_investors.toLocaleString()} enriched investor profiles`);
+        console.log(`\n✅ Saved to ${DB_PATH} in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+    } catch (err) {
+        console.error('❌ Import failed:', err.message);
+        process.exit(1);
+    }
+}
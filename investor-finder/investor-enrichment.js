@@ -18,10 +18,24 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 require('dotenv').config();
+const { createLogger, withLogContext } = require('./logger');
+const { createLlmClient, describeUsage } = require('./llm-client');
+const { LLM_SCHEMAS } = require('./llm-schemas');
+
+const log = createLogger('investor-enrichment');
 
 // Configuration
 const TAVILY_API_KEY = process.env.TAVILY_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+// Model calls go through LLM_PROVIDER (see llm-client.js); rate limits back off
+// exponentially: 2s, 4s, 8s, 16s, 32s
+const llm = createLlmClient({
+    maxRetries: 5,
+    baseDelayMs: 2000,
+    onRetry: ({ attempt, delayMs, error }) => log.warn(
+        `   ⏳ ${error.status === 429 ? 'Rate limited (429)' : error.message}. Waiting ${delayMs/1000}s before retry ${attempt}/5...`,
+        { retry: attempt, delay_ms: delayMs })
+});
 
 // Paths
 const DATA_DIR = path.join(__dirname, '..', 'results', 'unified_database');
@@ -113,10 +127,10 @@ async function searchTavily(query) {
             }));
         }
         
-        console.error(`   ⚠️  Tavily search failed: ${response.status}`);
+        log.warn(`   ⚠️  Tavily search failed: ${response.status}`, { status: response.status });
         return [];
     } catch (error) {
-        console.error(`   ⚠️  Tavily error: ${error.message}`);
+        log.warn('   ⚠️  Tavily error', { err: error });
         return [];
     }
 }
@@ -148,7 +162,7 @@ async function researchInvestor(investor, teamMembers) {
     // Execute all searches
     const allResults = [];
     for (const query of queries) {
-        console.log(`   🔍 Searching: ${query.substring(0, 60)}...`);
+        log.info(`   🔍 Searching: ${query.substring(0, 60)}...`);
         const results = await searchTavily(query);
         allResults.push(...results);
         await sleep(500); // Small delay between searches
@@ -169,13 +183,10 @@ async function researchInvestor(investor, teamMembers) {
 }
 
 // ============================================================================
-// OpenAI GPT-4o Analysis
+// GPT-4o Analysis
 // ============================================================================
 
-async function analyzeWithGPT(investor, teamMembers, researchContent, retryCount = 0) {
-    const MAX_RETRIES = 5;
-    const BASE_DELAY = 2000; // 2 seconds
-    
+async function analyzeWithGPT(investor, teamMembers, researchContent) {
     const keyMembers = teamMembers
         .filter(tm => tm.investor_id === investor.id)
         .slice(0, 5)
@@ -221,47 +232,18 @@ Guidelines:
 Respond ONLY with valid JSON, no additional text.`;
 
     try {
-        const response = await makeRequest(
-            'https://api.openai.com/v1/chat/completions',
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`
-                }
-            },
-            JSON.stringify({
-                model: 'gpt-4o',
-                messages: [
-                    { role: 'system', content: 'You are a helpful assistant that outputs only valid JSON.' },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.7,
-                max_tokens: 1500
-            })
-        );
-
-        if (response.status === 200 && response.data.choices?.[0]?.message?.content) {
-            const content = response.data.choices[0].message.content;
-            // Extract JSON from response (handle markdown code blocks)
-            const jsonMatch = content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-        }
-        
-        // Handle rate limiting (429) with exponential backoff
-        if (response.status === 429 && retryCount < MAX_RETRIES) {
-            const delay = BASE_DELAY * Math.pow(2, retryCount); // Exponential backoff: 2s, 4s, 8s, 16s, 32s
-            console.log(`   ⏳ Rate limited (429). Waiting ${delay/1000}s before retry ${retryCount + 1}/${MAX_RETRIES}...`);
-            await sleep(delay);
-            return analyzeWithGPT(investor, teamMembers, researchContent, retryCount + 1);
-        }
-        
-        console.error(`   ⚠️  OpenAI analysis failed: ${response.status}`);
-        return null;
+        const { data } = await llm.completeJson({
+            operation: 'investor_guide',
+            model: 'gpt-4o',
+            system: 'You are a helpful assistant that outputs only valid JSON.',
+            prompt,
+            temperature: 0.7,
+            maxTokens: 1500,
+            schema: LLM_SCHEMAS.investorGuide
+        });
+        return data;
     } catch (error) {
-        console.error(`   ⚠️  OpenAI error: ${error.message}`);
+        log.warn('   ⚠️  AI analysis failed', { err: error });
         return null;
     }
 }
@@ -318,6 +300,12 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Tokens and estimated cost of this run's model calls
+function logTokenUsage() {
+    const usage = llm.usageSummary();
+    log.info(`   🪙 AI tokens: ${describeUsage(usage)}`, usage);
+}
+
 function formatDuration(ms) {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -333,27 +321,25 @@ function formatDuration(ms) {
 // ============================================================================
 
 async function main() {
-    console.log('\n╔══════════════════════════════════════════════════════════════════════════════╗');
-    console.log('║               Investor Enrichment Pipeline (Tavily + AI)                      ║');
-    console.log('╚══════════════════════════════════════════════════════════════════════════════╝\n');
+    log.banner('Investor Enrichment Pipeline (Tavily + AI)');
 
     // Load data
-    console.log('📂 Loading data...');
+    log.info('📂 Loading data...');
     const investors = JSON.parse(fs.readFileSync(INVESTORS_PATH, 'utf-8'));
     const teamMembers = JSON.parse(fs.readFileSync(TEAM_MEMBERS_PATH, 'utf-8'));
-    console.log(`   ✅ Loaded ${investors.length} investors`);
-    console.log(`   ✅ Loaded ${teamMembers.length} team members`);
+    log.info(`   ✅ Loaded ${investors.length} investors`);
+    log.info(`   ✅ Loaded ${teamMembers.length} team members`);
 
     // Filter to US investors
     const usInvestors = investors.filter(inv => inv.country === 'United States');
-    console.log(`   🇺🇸 ${usInvestors.length} US investors found`);
+    log.info(`   🇺🇸 ${usInvestors.length} US investors found`);
 
     // Load progress
     const progress = RESUME ? loadProgress() : { enriched_ids: [], last_updated: null };
     const enrichedData = RESUME ? loadEnrichedData() : {};
     
     if (RESUME && progress.enriched_ids.length > 0) {
-        console.log(`   🔄 Resuming from previous run (${progress.enriched_ids.length} already enriched)`);
+        log.info(`   🔄 Resuming from previous run (${progress.enriched_ids.length} already enriched)`);
     }
 
     // Prioritize investors with team members who have emails (more likely to be contacted)
@@ -376,25 +362,25 @@ async function main() {
         .slice(0, LIMIT)
         .map(p => p.investor);
 
-    console.log(`\n📊 Enrichment Plan:`);
-    console.log(`   • Target: ${LIMIT} investors`);
-    console.log(`   • Already enriched: ${progress.enriched_ids.length}`);
-    console.log(`   • To enrich this run: ${toEnrich.length}`);
-    console.log(`   • Estimated time: ${formatDuration(toEnrich.length * (DELAY_MS + 5000))}`);
+    log.info(`\n📊 Enrichment Plan:`);
+    log.info(`   • Target: ${LIMIT} investors`);
+    log.info(`   • Already enriched: ${progress.enriched_ids.length}`);
+    log.info(`   • To enrich this run: ${toEnrich.length}`);
+    log.info(`   • Estimated time: ${formatDuration(toEnrich.length * (DELAY_MS + 5000))}`);
 
     if (DRY_RUN) {
-        console.log('\n🔍 DRY RUN - Would enrich these investors:');
+        log.info('\n🔍 DRY RUN - Would enrich these investors:');
         toEnrich.slice(0, 10).forEach((inv, i) => {
-            console.log(`   ${i + 1}. ${inv.name} (${inv.city || 'Unknown location'})`);
+            log.info(`   ${i + 1}. ${inv.name} (${inv.city || 'Unknown location'})`);
         });
         if (toEnrich.length > 10) {
-            console.log(`   ... and ${toEnrich.length - 10} more`);
+            log.info(`   ... and ${toEnrich.length - 10} more`);
         }
         return;
     }
 
     if (toEnrich.length === 0) {
-        console.log('\n✅ No investors to enrich. All done!');
+        log.info('\n✅ No investors to enrich. All done!');
         return;
     }
 
@@ -402,11 +388,11 @@ async function main() {
     const researchCache = loadResearchCache();
     const cachedCount = Object.keys(researchCache).length;
     if (cachedCount > 0) {
-        console.log(`   📦 Research cache: ${cachedCount} investors cached (will skip Tavily for these)`);
+        log.info(`   📦 Research cache: ${cachedCount} investors cached (will skip Tavily for these)`);
     }
 
     // Start enrichment
-    console.log('\n🚀 Starting enrichment...\n');
+    log.info('\n🚀 Starting enrichment...\n');
     const startTime = Date.now();
     let successCount = 0;
     let failCount = 0;
@@ -416,65 +402,68 @@ async function main() {
         const investor = toEnrich[i];
         const progressPct = Math.round(((i + 1) / toEnrich.length) * 100);
         
-        console.log(`\n[${i + 1}/${toEnrich.length}] (${progressPct}%) ${investor.name}`);
-        console.log(`   📍 ${[investor.city, investor.region].filter(Boolean).join(', ')}`);
-
-        try {
-            let research;
-            
-            // Step 1: Check cache or do web research
-            if (researchCache[investor.id]) {
-                // Use cached Tavily results
-                research = researchCache[investor.id];
-                console.log(`   📦 Using cached research (${research.sources.length} sources)`);
-                cacheHits++;
-            } else {
-                // Do fresh Tavily research
-                console.log('   📚 Researching...');
-                research = await researchInvestor(investor, teamMembers);
-                console.log(`   ✅ Found ${research.sources.length} sources`);
+        // Every line logged for this investor carries its id
+        await withLogContext({ investor_id: investor.id }, async () => {
+            log.info(`\n[${i + 1}/${toEnrich.length}] (${progressPct}%) ${investor.name}`, { investor: investor.name });
+            log.info(`   📍 ${[investor.city, investor.region].filter(Boolean).join(', ')}`);
+
+            try {
+                let research;
                 
-                // Save to cache immediately (even if GPT fails later)
-                researchCache[investor.id] = research;
-                saveResearchCache(researchCache);
-            }
+                // Step 1: Check cache or do web research
+                if (researchCache[investor.id]) {
+                    // Use cached Tavily results
+                    research = researchCache[investor.id];
+                    log.info(`   📦 Using cached research (${research.sources.length} sources)`);
+                    cacheHits++;
+                } else {
+                    // Do fresh Tavily research
+                    log.info('   📚 Researching...');
+                    research = await researchInvestor(investor, teamMembers);
+                    log.info(`   ✅ Found ${research.sources.length} sources`);
+                
+                    // Save to cache immediately (even if GPT fails later)
+                    researchCache[investor.id] = research;
+                    saveResearchCache(researchCache);
+                }
 
-            // Step 2: AI analysis
-            console.log('   🤖 Analyzing with AI...');
-            const analysis = await analyzeWithGPT(investor, teamMembers, research.content);
-            
-            // Add delay after GPT call to prevent rate limiting
-            await sleep(1500);
-
-            if (analysis) {
-                // Save enrichment data
-                enrichedData[investor.id] = {
-                    researched_at: new Date().toISOString(),
-                    sources: research.sources,
-                    raw_research_content: research.content,
-                    ...analysis
-                };
+                // Step 2: AI analysis
+                log.info('   🤖 Analyzing with AI...');
+                const analysis = await analyzeWithGPT(investor, teamMembers, research.content);
+                
+                // Add delay after GPT call to prevent rate limiting
+                await sleep(1500);
+
+                if (analysis) {
+                    // Save enrichment data
+                    enrichedData[investor.id] = {
+                        researched_at: new Date().toISOString(),
+                        sources: research.sources,
+                        raw_research_content: research.content,
+                        ...analysis
+                    };
                 
-                progress.enriched_ids.push(investor.id);
-                saveProgress(progress);
-                saveEnrichedData(enrichedData);
+                    progress.enriched_ids.push(investor.id);
+                    saveProgress(progress);
+                    saveEnrichedData(enrichedData);
                 
-                // Remove from cache after successful enrichment (no longer needed)
-                delete researchCache[investor.id];
-                saveResearchCache(researchCache);
+                    // Remove from cache after successful enrichment (no longer needed)
+                    delete researchCache[investor.id];
+                    saveResearchCache(researchCache);
                 
-                successCount++;
-                console.log(`   ✅ Enriched successfully`);
-                console.log(`   💡 Summary: ${analysis.summary?.substring(0, 100)}...`);
-            } else {
+                    successCount++;
+                    log.info(`   ✅ Enriched successfully`, { sources: research.sources.length });
+                    log.info(`   💡 Summary: ${analysis.summary?.substring(0, 100)}...`);
+                } else {
+                    failCount++;
+                    log.warn(`   ❌ Analysis failed (research cached for retry)`);
+                }
+
+            } catch (error) {
                 failCount++;
-                console.log(`   ❌ Analysis failed (research cached for retry)`);
+                log.error('   ❌ Error', { err: error });
             }
-
-        } catch (error) {
-            failCount++;
-            console.error(`   ❌ Error: ${error.message}`);
-        }
+        });
 
         // Delay before next investor
         if (i < toEnrich.length - 1) {
@@ -483,22 +472,27 @@ async function main() {
     }
     
     if (cacheHits > 0) {
-        console.log(`\n📦 Cache stats: ${cacheHits} Tavily calls saved by using cached research`);
+        log.info(`\n📦 Cache stats: ${cacheHits} Tavily calls saved by using cached research`);
     }
 
     // Summary
     const elapsed = Date.now() - startTime;
-    console.log('\n╔══════════════════════════════════════════════════════════════════════════════╗');
-    console.log('║                           Enrichment Complete                                ║');
-    console.log('╚══════════════════════════════════════════════════════════════════════════════╝');
-    console.log(`\n📊 Results:`);
-    console.log(`   ✅ Successfully enriched: ${successCount}`);
-    console.log(`   ❌ Failed: ${failCount}`);
-    console.log(`   ⏱️  Total time: ${formatDuration(elapsed)}`);
-    console.log(`   📁 Data saved to: ${ENRICHED_PATH}`);
-    console.log(`\n💡 To continue enriching more investors, run with --resume flag\n`);
+    log.banner('Enrichment Complete');
+    log.info(`\n📊 Results:`);
+    log.info(`   ✅ Successfully enriched: ${successCount}`);
+    log.info(`   ❌ Failed: ${failCount}`);
+    log.info(`   ⏱️  Total time: ${formatDuration(elapsed)}`);
+    logTokenUsage();
+    log.info(`   📁 Data saved to: ${ENRICHED_PATH}`);
+    log.info(`\n💡 To continue enriching more investors, run with --resume flag\n`);
 }
 
 // Run
-main().catch(console.error);
+if (require.main === module) {
+    main().catch(err => log.error('❌ Enrichment failed', { err }));
+}
+
+module.exports = {
+    analyzeWithGPT
+};
 
@@ -0,0 +1,288 @@
+/**
+ * Investor Database Snapshots
+ *
+ * Keeps the live investor database swappable while the server runs. When the
+ * JSON exports in results/unified_database/ change (build_unified_database.js,
+ * investor-enrichment.js, founder-enrichment.js), a new SQLite snapshot is built
+ * in a worker thread, validated, and swapped in atomically.
+ *
+ * Requests acquire the current snapshot when they start and keep using it until
+ * they finish, so a swap never changes the data under an in-flight request. A
+ * retired snapshot is closed once its last request releases it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const {
+    DATA_DIR,
+    DB_PATH,
+    SOURCE_FILES,
+    openInvestorDb,
+    buildDatabaseFile,
+    removeDatabaseFile,
+    importUnifiedDatabase,
+    getSourceMtime,
+    isDatabaseStale
+} = require('./investor-db');
+const { createLogger } = require('./logger');
+
+const log = createLogger('investor-snapshots');
+
+const SNAPSHOT_CONFIG = {
+    debounceMs: 15 * 1000,      // Wait for the exports to go quiet before rebuilding
+    minRetainedRatio: 0.5,      // Reject snapshots that lose more than half the investors
+    historySize: 10             // Number of past swaps reported by status()
+};
+
+const WATCHED_FILES = new Set(Object.values(SOURCE_FILES));
+
+// ============================================================================
+// Worker: build a snapshot file off the main thread
+// ============================================================================
+
+if (!isMainThread && workerData?.task === 'build-snapshot') {
+    try {
+        const result = buildDatabaseFile(workerData.dataDir, workerData.outPath);
+        parentPort.postMessage({ ok: true, result });
+    } catch (err) {
+        parentPort.postMessage({ ok: false, error: err.message });
+    }
+}
+
+function buildInWorker(dataDir, outPath) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, {
+            workerData: { task: 'build-snapshot', dataDir, outPath }
+        });
+        let settled = false;
+        worker.once('message', msg => {
+            settled = true;
+            if (msg.ok) resolve(msg.result);
+            else reject(new Error(msg.error));
+        });
+        worker.once('error', err => {
+            settled = true;
+            reject(err);
+        });
+        worker.once('exit', code => {
+            if (!settled) reject(new Error(`Snapshot worker exited with code ${code}`));
+        });
+    });
+}
+
+// ============================================================================
+// Snapshot Manager
+// ============================================================================
+
+// Check a freshly built database before it goes live
+function validateSnapshot(handle, previous) {
+    const check = handle.db.pragma('quick_check', { simple: true });
+    if (check !== 'ok') {
+        throw new Error(`Integrity check failed: ${check}`);
+    }
+
+    const counts = handle.getCounts();
+    if (counts.investors === 0) {
+        throw new Error('Snapshot contains no investors');
+    }
+    if (previous && counts.investors < previous.counts.investors * SNAPSHOT_CONFIG.minRetainedRatio) {
+        throw new Error(`Snapshot has ${counts.investors} investors, down from ${previous.counts.investors}`);
+    }
+    return counts;
+}
+
+function createSnapshot(handle, counts) {
+    return {
+        version: handle.getMeta('version') || 'unknown',
+        imported_at: handle.getMeta('imported_at'),
+        source_mtime: Number(handle.getMeta('source_mtime')) || 0,
+        loaded_at: new Date().toISOString(),
+        counts,
+        db: handle,
+        refs: 0,
+        retired: false
+    };
+}
+
+function createSnapshotManager(options = {}) {
+    const dataDir = options.dataDir || DATA_DIR;
+    const dbPath = options.dbPath || DB_PATH;
+    const debounceMs = options.debounceMs ?? SNAPSHOT_CONFIG.debounceMs;
+    const onSwap = options.onSwap || (() => {});
+
+    let current = null;
+    let watcher = null;
+    let debounceTimer = null;
+    let reloadPromise = null;
+    let pendingReload = null;       // { force, waiters } for one more pass after the one in flight
+    const history = [];
+    const state = {
+        last_reload_at: null,
+        last_error: null
+    };
+
+    function retire(snapshot) {
+        snapshot.retired = true;
+        if (snapshot.refs === 0) {
+            snapshot.db.close();
+        }
+    }
+
+    function swap(next) {
+        const previous = current;
+        current = next;
+        history.unshift({ version: next.version, loaded_at: next.loaded_at, counts: next.counts });
+        history.splice(SNAPSHOT_CONFIG.historySize);
+        if (previous) retire(previous);
+        onSwap(next, previous);
+    }
+
+    // Open the database at startup, importing the JSON exports first if needed
+    function loadInitial() {
+        if (isDatabaseStale(dataDir, dbPath)) {
+            importUnifiedDatabase(dataDir, dbPath);
+        }
+        const handle = openInvestorDb(dbPath, { readonly: true });
+        swap(createSnapshot(handle, handle.getCounts()));
+        return current;
+    }
+
+    // Take a reference to the live snapshot; pair every call with release()
+    function acquire() {
+        if (!current) {
+            throw new Error('Investor database is not loaded');
+        }
+        current.refs++;
+        return current;
+    }
+
+    function release(snapshot) {
+        snapshot.refs--;
+        if (snapshot.retired && snapshot.refs === 0) {
+            snapshot.db.close();
+        }
+    }
+
+    async function rebuild(force) {
+        if (!force && current && getSourceMtime(dataDir) <= current.source_mtime) {
+            return { swapped: false, reason: 'unchanged' };
+        }
+
+        const tmpPath = `${dbPath}.${process.pid}.next.tmp`;
+        let handle = null;
+        try {
+            await buildInWorker(dataDir, tmpPath);
+
+            handle = openInvestorDb(tmpPath, { readonly: true });
+            const counts = validateSnapshot(handle, current);
+
+            // The open handle follows the file through the rename; the retired
+            // snapshot keeps reading the file it was opened on.
+            fs.renameSync(tmpPath, dbPath);
+            const next = createSnapshot(handle, counts);
+            handle = null;
+            swap(next);
+
+            state.last_error = null;
+            return { swapped: true, version: next.version };
+        } catch (err) {
+            if (handle) handle.close();
+            removeDatabaseFile(tmpPath);
+            state.last_error = { message: err.message, at: new Date().toISOString() };
+            throw err;
+        } finally {
+            state.last_reload_at = new Date().toISOString();
+        }
+    }
+
+    // Rebuild and swap in a new snapshot. Concurrent calls share one rebuild,
+    // and a change that arrives mid-rebuild triggers one more pass afterwards.
+    // A forced call mid-rebuild waits for that pass, which is forced too: the
+    // one in flight may have found the exports unchanged before it was made.
+    function reload({ force = false } = {}) {
+        if (reloadPromise) {
+            pendingReload = pendingReload || { force: false, waiters: [] };
+            if (!force) return reloadPromise;
+            pendingReload.force = true;
+            return new Promise((resolve, reject) => pendingReload.waiters.push({ resolve, reject }));
+        }
+        reloadPromise = rebuild(force).finally(() => {
+            reloadPromise = null;
+            if (pendingReload) {
+                const { force: forceNext, waiters } = pendingReload;
+                pendingReload = null;
+                reload({ force: forceNext }).then(
+                    result => waiters.forEach(waiter => waiter.resolve(result)),
+                    err => {
+                        // Without a forced call waiting on this pass, its failure is only logged
+                        if (waiters.length === 0) log.error('   ❌ Database reload failed', { err });
+                        waiters.forEach(waiter => waiter.reject(err));
+                    }
+                );
+            }
+        });
+        return reloadPromise;
+    }
+
+    function scheduleReload(onResult) {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            reload()
+                .then(result => onResult(null, result))
+                .catch(err => onResult(err));
+        }, debounceMs);
+        debounceTimer.unref?.();
+    }
+
+    // Watch the export directory; onResult(err, result) is called after each reload attempt
+    function watch(onResult = () => {}) {
+        if (watcher) return watcher;
+        watcher = fs.watch(dataDir, (eventType, filename) => {
+            if (filename && WATCHED_FILES.has(path.basename(filename))) {
+                scheduleReload(onResult);
+            }
+        });
+        watcher.on('error', err => onResult(err));
+        return watcher;
+    }
+
+    function close() {
+        clearTimeout(debounceTimer);
+        if (watcher) watcher.close();
+        watcher = null;
+        if (current) retire(current);
+        current = null;
+    }
+
+    function status() {
+        return {
+            version: current?.version || null,
+            imported_at: current?.imported_at || null,
+            loaded_at: current?.loaded_at || null,
+            counts: current?.counts || null,
+            in_flight_requests: current?.refs || 0,
+            reloading: !!reloadPromise,
+            watching: !!watcher,
+            last_reload_at: state.last_reload_at,
+            last_error: state.last_error,
+            history
+        };
+    }
+
+    return {
+        loadInitial,
+        acquire,
+        release,
+        reload,
+        watch,
+        close,
+        status,
+        isLoaded: () => !!current
+    };
+}
+
+module.exports = {
+    createSnapshotManager,
+    validateSnapshot
+};
@@ -0,0 +1,349 @@
+/**
+ * LLM Client
+ *
+ * One client for every model call in the server and the enrichment pipelines.
+ * It sends chat completions through a provider adapter, retries transient
+ * failures, parses and validates JSON output against a schema (see schema.js)
+ * and keeps a running tally of tokens used.
+ *
+ * Providers (LLM_PROVIDER, default openai):
+ *   openai             api.openai.com with OPENAI_API_KEY
+ *   openai-compatible  any server speaking the chat completions API, e.g. a local
+ *                      llama.cpp, Ollama or vLLM: LLM_BASE_URL, optional
+ *                      LLM_API_KEY, and LLM_MODEL to replace the requested models
+ *   fixture            replays recorded responses from LLM_FIXTURES_DIR without
+ *                      touching the network; a request with no exact recording
+ *                      falls back to the operation's default (<operation>.json)
+ *
+ * LLM_RECORD_FIXTURES=1 with a live provider saves every response as a fixture.
+ *
+ *   const llm = createLlmClient();
+ *   const { data, usage } = await llm.completeJson({
+ *       operation: 'analyze_company', model: 'gpt-4o', system, prompt, schema
+ *   });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validate, describeErrors } = require('./schema');
+const { estimateCost } = require('./ai-usage');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+const RETRY_DEFAULTS = {
+    maxRetries: 3,          // Retries after the first attempt
+    baseDelayMs: 1000,      // Doubled on every retry: 1s, 2s, 4s...
+    maxDelayMs: 30000,
+    timeoutMs: 60000
+};
+
+class LlmError extends Error {
+    constructor(message, { code, status, retryable = false, details } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================================
+// Provider adapters: send({ model, messages, temperature, maxTokens, json })
+// -> { content, model, usage }
+// ============================================================================
+
+function createChatCompletionsAdapter({ name, baseUrl, apiKey, modelOverride, jsonMode, timeoutMs }) {
+    const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+    return {
+        name,
+        async send({ model, messages, temperature, maxTokens, json }) {
+            const body = {
+                model: modelOverride || model,
+                messages,
+                temperature,
+                max_tokens: maxTokens
+            };
+            if (json && jsonMode) body.response_format = { type: 'json_object' };
+
+            let response;
+            try {
+                response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+                    },
+                    body: JSON.stringify(body),
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+            } catch (err) {
+                throw new LlmError(`${name} request failed: ${err.message}`, { code: 'LLM_NETWORK', retryable: true });
+            }
+
+            const text = await response.text();
+            if (!response.ok) {
+                let message = text.slice(0, 300);
+                try {
+                    message = JSON.parse(text).error?.message || message;
+                } catch (e) {
+                    // Not JSON; keep the raw snippet
+                }
+                const error = new LlmError(`${name} returned ${response.status}: ${message}`, {
+                    code: 'LLM_HTTP',
+                    status: response.status,
+                    retryable: response.status === 429 || response.status >= 500
+                });
+                const retryAfter = Number(response.headers.get('retry-after'));
+                if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+                throw error;
+            }
+
+            const data = JSON.parse(text);
+            return {
+                content: data.choices?.[0]?.message?.content ?? '',
+                model: data.model || body.model,
+                usage: data.usage || {}
+            };
+        }
+    };
+}
+
+// Stable name for a request, so a recording is found again on replay
+function fixtureKey(operation, request) {
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify([request.model, request.messages, request.temperature, request.maxTokens, !!request.json]))
+        .digest('hex')
+        .slice(0, 16);
+    return `${operation}-${hash}`;
+}
+
+function createFixtureAdapter({ dir }) {
+    function read(file) {
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const { content, model, usage } = fixture.response;
+        return {
+            content: typeof content === 'string' ? content : JSON.stringify(content),
+            model: model || 'fixture',
+            usage: usage || {}
+        };
+    }
+
+    return {
+        name: 'fixture',
+        async send(request, operation) {
+            const exact = path.join(dir, `${fixtureKey(operation, request)}.json`);
+            const fallback = path.join(dir, `${operation}.json`);
+            if (fs.existsSync(exact)) return read(exact);
+            if (fs.existsSync(fallback)) return read(fallback);
+            throw new LlmError(`No fixture for ${operation} (looked for ${exact} and ${fallback})`, {
+                code: 'LLM_FIXTURE_MISSING'
+            });
+        }
+    };
+}
+
+// Wrap a live adapter so every response is also saved as a fixture
+function recordingAdapter(adapter, dir) {
+    return {
+        name: adapter.name,
+        async send(request, operation) {
+            const response = await adapter.send(request, operation);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(
+                path.join(dir, `${fixtureKey(operation, request)}.json`),
+                JSON.stringify({ operation, request, response }, null, 2)
+            );
+            return response;
+        }
+    };
+}
+
+function createAdapter(options) {
+    const provider = options.provider || process.env.LLM_PROVIDER || 'openai';
+    const fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    const timeoutMs = options.timeoutMs || RETRY_DEFAULTS.timeoutMs;
+    let adapter;
+
+    switch (provider) {
+        case 'openai':
+            adapter = createChatCompletionsAdapter({
+                name: 'openai',
+                baseUrl: options.baseUrl || 'https://api.openai.com/v1',
+                apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+                jsonMode: true,
+                timeoutMs
+            });
+            break;
+        case 'openai-compatible': {
+            const baseUrl = options.baseUrl || process.env.LLM_BASE_URL;
+            if (!baseUrl) throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+            adapter = createChatCompletionsAdapter({
+                name: 'openai-compatible',
+                baseUrl,
+                apiKey: options.apiKey || process.env.LLM_API_KEY,
+                modelOverride: options.model || process.env.LLM_MODEL,
+                jsonMode: process.env.LLM_JSON_MODE === '1',
+                timeoutMs
+            });
+            break;
+        }
+        case 'fixture':
+            return createFixtureAdapter({ dir: fixturesDir });
+        default:
+            throw new Error(`Unknown LLM provider "${provider}" (expected openai, openai-compatible or fixture)`);
+    }
+
+    const record = options.recordFixtures ?? process.env.LLM_RECORD_FIXTURES === '1';
+    return record ? recordingAdapter(adapter, fixturesDir) : adapter;
+}
+
+// ============================================================================
+// Output parsing
+// ============================================================================
+
+// Models wrap JSON in code fences or add a sentence around it; take the object
+function extractJson(content) {
+    const text = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new LlmError('Model response contained no JSON object', { code: 'LLM_INVALID_OUTPUT', retryable: true });
+    }
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (err) {
+        throw new LlmError(`Model returned invalid JSON: ${err.message}`, { code: 'LLM_INVALID_OUTPUT', retryable: true });
+    }
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Create a client. Options (all optional; environment variables otherwise):
+ *   provider, baseUrl, apiKey, model, fixturesDir, recordFixtures  adapter selection
+ *   maxRetries, baseDelayMs, maxDelayMs, timeoutMs                 retry policy
+ *   onCall({ operation, provider, model, outcome, durationSeconds, usage, attempts, context, error })
+ *   onRetry({ operation, attempt, delayMs, error })
+ */
+function createLlmClient(options = {}) {
+    const adapter = options.adapter || createAdapter(options);
+    const retry = { ...RETRY_DEFAULTS, ...pick(options, Object.keys(RETRY_DEFAULTS)) };
+    const onCall = options.onCall || (() => {});
+    const onRetry = options.onRetry || (() => {});
+    const totals = { requests: 0, prompt_tokens: 0, completion_tokens: 0, by_model: {} };
+
+    function tally(model, usage) {
+        totals.requests++;
+        totals.prompt_tokens += usage.prompt_tokens || 0;
+        totals.completion_tokens += usage.completion_tokens || 0;
+        const entry = totals.by_model[model] || (totals.by_model[model] = { requests: 0, prompt_tokens: 0, completion_tokens: 0 });
+        entry.requests++;
+        entry.prompt_tokens += usage.prompt_tokens || 0;
+        entry.completion_tokens += usage.completion_tokens || 0;
+    }
+
+    async function run({ operation, model, system, prompt, messages, temperature = 0.3, maxTokens = 1000, json, schema, context }) {
+        const request = {
+            model,
+            messages: messages || [
+                ...(system ? [{ role: 'system', content: system }] : []),
+                { role: 'user', content: prompt }
+            ],
+            temperature,
+            maxTokens,
+            json
+        };
+        const started = process.hrtime.bigint();
+        const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+        const usage = { prompt_tokens: 0, completion_tokens: 0 };
+        let responseModel = model;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await adapter.send(request, operation);
+                responseModel = response.model;
+                // Every attempt that reached the model costs tokens, even if its output is rejected
+                usage.prompt_tokens += response.usage.prompt_tokens || 0;
+                usage.completion_tokens += response.usage.completion_tokens || 0;
+
+                let data;
+                if (json) {
+                    data = extractJson(response.content);
+                    const errors = schema ? validate(schema, data) : [];
+                    if (errors.length > 0) {
+                        throw new LlmError(`Model output failed validation: ${describeErrors(errors)}`, {
+                            code: 'LLM_INVALID_OUTPUT', retryable: true, details: errors
+                        });
+                    }
+                }
+
+                tally(responseModel, usage);
+                onCall({ operation, provider: adapter.name, model: responseModel, outcome: 'success',
+                    durationSeconds: elapsed(), usage, attempts: attempt, context });
+                return { text: response.content, data, model: responseModel, usage, attempts: attempt };
+            } catch (err) {
+                const error = err instanceof LlmError ? err : new LlmError(err.message, { code: 'LLM_ERROR' });
+                if (!error.retryable || attempt > retry.maxRetries) {
+                    if (usage.prompt_tokens || usage.completion_tokens) tally(responseModel, usage);
+                    onCall({ operation, provider: adapter.name, model: responseModel, outcome: 'error',
+                        durationSeconds: elapsed(), usage, attempts: attempt, context, error });
+                    throw error;
+                }
+                const delayMs = Math.min(retry.maxDelayMs, error.retryAfterMs || retry.baseDelayMs * 2 ** (attempt - 1));
+                onRetry({ operation, attempt, delayMs, error });
+                await sleep(delayMs);
+            }
+        }
+    }
+
+    return {
+        provider: adapter.name,
+
+        // Plain text completion: { text, model, usage, attempts }
+        complete: request => run({ ...request, json: false }),
+
+        // JSON completion validated against `schema`: { data, text, model, usage, attempts }
+        completeJson: request => run({ ...request, json: true }),
+
+        // Tokens used by this client so far
+        usageTotals: () => JSON.parse(JSON.stringify(totals)),
+
+        // usageTotals() with the provider and an estimated cost, for log lines
+        usageSummary() {
+            const usage = JSON.parse(JSON.stringify(totals));
+            const cost = Object.entries(usage.by_model)
+                .reduce((sum, [model, tokens]) => sum + estimateCost(model, tokens), 0);
+            return { provider: adapter.name, ...usage, estimated_cost_usd: cost };
+        }
+    };
+}
+
+// '1200 prompt + 300 completion (~$0.01, openai)' from usageSummary()
+function describeUsage(summary) {
+    return `${summary.prompt_tokens} prompt + ${summary.completion_tokens} completion ` +
+        `(~$${summary.estimated_cost_usd.toFixed(2)}, ${summary.provider})`;
+}
+
+function pick(object, keys) {
+    const picked = {};
+    for (const key of keys) {
+        if (object[key] !== undefined) picked[key] = object[key];
+    }
+    return picked;
+}
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    LlmError,
+    extractJson,
+    fixtureKey,
+    describeUsage,
+    createLlmClient
+};
@@ -0,0 +1,105 @@
+/**
+ * Output Schemas for LLM Prompts
+ *
+ * What each prompt must return, in the JSON Schema subset understood by
+ * schema.js. llm-client.js validates every JSON completion against its schema
+ * and retries once the model returns something that doesn't fit. Keep them in
+ * step with the prompts, and lenient: they reject output the caller can't use,
+ * not output that is merely sparse.
+ */
+
+const text = { type: 'string', nullable: true };
+const textList = { type: 'array', items: { type: 'string' } };
+
+const LLM_SCHEMAS = {
+    // analyzeCompany() in company-analysis.js
+    companyAnalysis: {
+        type: 'object',
+        required: ['company_name', 'industry'],
+        properties: {
+            company_name: { type: 'string', minLength: 1 },
+            description: text,
+            industry: { type: 'string' },
+            business_model: text,
+            target_market: text,
+            geography: text,
+            headquarters: text,
+            estimated_stage: text,
+            raise_amount: { type: 'number', minimum: 0, nullable: true },
+            needs_lead: { type: 'boolean', nullable: true },
+            tags: textList,
+            focus_areas: textList,
+            confidence: { type: 'number', minimum: 0, maximum: 1, nullable: true }
+        }
+    },
+
+    // parseNaturalLanguageQuery() in company-analysis.js; every filter is optional
+    searchFilters: {
+        type: 'object',
+        properties: {
+            name: text,
+            stages: textList,
+            focuses: textList,
+            tags: textList,
+            locations: textList,
+            check_size_min: { type: 'number', nullable: true },
+            check_size_max: { type: 'number', nullable: true },
+            has_contacts: { type: 'boolean', nullable: true },
+            leads_investments: { type: 'boolean', nullable: true },
+            co_invests: { type: 'boolean', nullable: true },
+            takes_board_seats: { type: 'boolean', nullable: true }
+        }
+    },
+
+    // analyzeWithGPT() in investor-enrichment.js
+    investorGuide: {
+        type: 'object',
+        required: ['summary'],
+        properties: {
+            summary: { type: 'string', minLength: 1 },
+            investment_thesis: text,
+            what_excites_them: text,
+            approach_tips: textList,
+            red_flags: textList,
+            talking_points: textList,
+            personal_interests: textList
+        }
+    },
+
+    // extractFoundersWithAI() and findFoundersWithAI() in founder-enrichment.js
+    founders: {
+        type: 'object',
+        required: ['founders'],
+        properties: {
+            founders: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: text,
+                        title: text,
+                        linkedin_url: text
+                    }
+                }
+            },
+            confidence: text,
+            source: text
+        }
+    },
+
+    // profileCompany() in portfolio-enrichment.js; description is null when
+    // the model can't tell what the company does
+    portfolioProfile: {
+        type: 'object',
+        required: ['sectors'],
+        properties: {
+            description: text,
+            sectors: textList,
+            business_model: text,
+            stage_at_investment: text,
+            confidence: text
+        }
+    }
+};
+
+module.exports = { LLM_SCHEMAS };
@@ -0,0 +1,135 @@
+/**
+ * Structured Logger
+ *
+ * Leveled logging shared by the server and the data pipelines. Each call takes a
+ * message and an optional object of fields:
+ *
+ *   const log = createLogger('enrichment');
+ *   log.info('   ✅ Enriched successfully', { investor_id: id, sources: 4 });
+ *   log.error('   ❌ Analysis failed', { err });
+ *
+ * Two output formats, chosen with LOG_FORMAT:
+ *   json    one JSON object per line (time, level, component, msg, fields) for
+ *           log shippers and pipelines; the default when stdout isn't a terminal
+ *   pretty  just the message as written, as console.log used to print it; the
+ *           default in a terminal
+ *
+ * LOG_LEVEL sets the minimum level (debug, info, warn, error, silent; default info).
+ *
+ * Fields bound with withLogContext() are added to every line logged inside the
+ * callback, including from code several async calls deep. The server uses this
+ * to stamp each request's lines with its request ID.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const contextStorage = new AsyncLocalStorage();
+
+function resolveLevel(level) {
+    const name = String(level || process.env.LOG_LEVEL || 'info').toLowerCase();
+    return LEVELS[name] !== undefined ? name : 'info';
+}
+
+function resolveFormat(format) {
+    const name = String(format || process.env.LOG_FORMAT || '').toLowerCase();
+    if (name === 'json' || name === 'pretty') return name;
+    return process.stdout.isTTY ? 'pretty' : 'json';
+}
+
+function serializeError(err) {
+    if (!(err instanceof Error)) return err;
+    const out = { name: err.name, message: err.message };
+    if (err.code !== undefined) out.code = err.code;
+    if (err.status !== undefined) out.status = err.status;
+    out.stack = err.stack;
+    return out;
+}
+
+function formatJson(level, component, msg, fields) {
+    const entry = { time: new Date().toISOString(), level };
+    if (component) entry.component = component;
+    entry.msg = msg.trim();
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) entry[key] = key === 'err' ? serializeError(value) : value;
+    }
+    return JSON.stringify(entry);
+}
+
+// The message as written; fields are left to the JSON format, except an error's message
+function formatPretty(msg, fields, showStack) {
+    const { err } = fields;
+    let line = msg;
+    if (err) {
+        line += `: ${err.message || err}`;
+        if (showStack && err.stack) line += `\n${err.stack}`;
+    }
+    return line;
+}
+
+/**
+ * Create a logger. `component` names the emitting module ('server', 'enrichment');
+ * `options` may override level, format and the output streams.
+ */
+function createLogger(component, options = {}) {
+    const level = resolveLevel(options.level);
+    const format = resolveFormat(options.format);
+    const stdout = options.stdout || process.stdout;
+    const stderr = options.stderr || process.stderr;
+    const bound = options.fields || {};
+    const threshold = LEVELS[level];
+
+    function write(levelName, msg, fields = {}) {
+        if (LEVELS[levelName] < threshold) return;
+        const all = { ...contextStorage.getStore(), ...bound, ...fields };
+        const stream = LEVELS[levelName] >= LEVELS.warn ? stderr : stdout;
+        const line = format === 'json'
+            ? formatJson(levelName, component, msg, all)
+            : formatPretty(msg, fields, levelName === 'error' && threshold <= LEVELS.debug);
+        stream.write(line + '\n');
+    }
+
+    return {
+        level,
+        format,
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        isLevelEnabled: levelName => LEVELS[levelName] >= threshold,
+
+        // A logger that adds `fields` to every line
+        child(fields) {
+            return createLogger(component, { ...options, level, format, fields: { ...bound, ...fields } });
+        },
+
+        // Boxed title in pretty mode; a plain info line in JSON
+        banner(title) {
+            if (format === 'json') {
+                write('info', title);
+                return;
+            }
+            const width = 78;
+            const padLeft = Math.floor((width - title.length) / 2);
+            const inner = ' '.repeat(padLeft) + title + ' '.repeat(width - title.length - padLeft);
+            write('info', `\n╔${'═'.repeat(width)}╗\n║${inner}║\n╚${'═'.repeat(width)}╝\n`);
+        }
+    };
+}
+
+// Run `fn` with `fields` added to every log line it (transitively) emits
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function getLogContext() {
+    return contextStorage.getStore() || {};
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    withLogContext,
+    getLogContext
+};
@@ -0,0 +1,113 @@
+/**
+ * Mail Transport
+ *
+ * Outgoing email (password resets, address verification) goes through one of
+ * several interchangeable transports, chosen with MAIL_TRANSPORT:
+ *
+ *   smtp     Real delivery via SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   file     Each message is written as JSON to MAIL_DIR (default: mail-outbox in
+ *            the app data directory, see app-data.js; never the served directory,
+ *            as messages carry live reset and verification links)
+ *   console  Messages are logged at debug level, so LOG_LEVEL=debug shows them
+ *            (default when SMTP isn't configured). With NODE_ENV=production
+ *            their links are redacted: they are live reset and verification links.
+ *
+ * Every transport exposes the same send({ to, subject, text, html }) method.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appDataPath } = require('./app-data');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mailer');
+
+const DEFAULT_MAIL_DIR = appDataPath('mail-outbox');
+
+function createSmtpTransport(options) {
+    // Loaded lazily so the file/console transports work without nodemailer installed
+    const nodemailer = require('nodemailer');
+    const transporter = options.url
+        ? nodemailer.createTransport(options.url)
+        : nodemailer.createTransport({
+            host: options.host,
+            port: options.port,
+            secure: options.port === 465,
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail({ from: options.from, ...message });
+            return { id: info.messageId };
+        }
+    };
+}
+
+function createFileTransport(options) {
+    const dir = options.dir || DEFAULT_MAIL_DIR;
+
+    return {
+        name: 'file',
+        async send(message) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const sentAt = new Date().toISOString();
+            const id = `${sentAt.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}`;
+            const record = { id, from: options.from, sent_at: sentAt, ...message };
+            await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+            return { id };
+        }
+    };
+}
+
+function createConsoleTransport(options) {
+    const redact = text => (options.redactLinks ? text.replace(/https?:\/\/\S+/g, '[link redacted]') : text);
+
+    return {
+        name: 'console',
+        async send(message) {
+            const body = redact(message.text).split('\n').map(line => `   ${line}`).join('\n');
+            options.log.debug(`📧 Mail to ${message.to}: ${message.subject}\n   From: ${options.from}\n${body}`, {
+                subject: message.subject
+            });
+            return { id: null };
+        }
+    };
+}
+
+// Build a transport from explicit options, falling back to MAIL_* / SMTP_* env vars
+function createMailTransport(options = {}) {
+    const env = process.env;
+    const config = {
+        transport: options.transport || env.MAIL_TRANSPORT || (env.SMTP_URL || env.SMTP_HOST ? 'smtp' : 'console'),
+        from: options.from || env.MAIL_FROM || 'Investor Match <no-reply@localhost>',
+        url: options.url || env.SMTP_URL,
+        host: options.host || env.SMTP_HOST,
+        port: Number(options.port || env.SMTP_PORT) || 587,
+        user: options.user || env.SMTP_USER,
+        pass: options.pass || env.SMTP_PASS,
+        dir: options.dir || env.MAIL_DIR,
+        redactLinks: options.redactLinks ?? env.NODE_ENV === 'production',
+        log: options.log || log
+    };
+
+    switch (config.transport) {
+        case 'smtp':
+            if (!config.url && !config.host) {
+                throw new Error('MAIL_TRANSPORT=smtp requires SMTP_URL or SMTP_HOST');
+            }
+            return createSmtpTransport(config);
+        case 'file':
+            return createFileTransport(config);
+        case 'console':
+            return createConsoleTransport(config);
+        default:
+            throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+}
+
+module.exports = {
+    DEFAULT_MAIL_DIR,
+    createMailTransport
+};
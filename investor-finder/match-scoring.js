@@ -0,0 +1,529 @@
+/**
+ * Match Scoring
+ *
+ * The pieces of a fund's match score that matchInvestors() in server.js adds
+ * up: category mapping for focus areas and tags, check-size, geography,
+ * deployment, lead and semantic fit, and portfolio similarity. Each scorer
+ * takes plain rows and returns points with the reasons shown to the user, or
+ * null when it has nothing to go on.
+ */
+
+const { US_REGIONS, parseLocation, parseAreas, isWithin, describeLocation } = require('./geography');
+const { ACTIVITY_CONFIG, describeAge, isFreshFund } = require('./fund-activity');
+const { companyKey } = require('./embedding-index');
+const { cosine } = require('./embeddings');
+
+// Helper to ensure array
+function toArray(val) {
+    if (!val) return [];
+    if (Array.isArray(val)) return val;
+    if (typeof val === 'string') return val.split(',').map(s => s.trim()).filter(Boolean);
+    return [];
+}
+
+// Normalize text for comparison
+function normalize(text) {
+    if (!text) return '';
+    return String(text).toLowerCase().trim();
+}
+
+// Normalize URL for comparison
+function normalizeUrl(url) {
+    if (!url) return '';
+    return url.toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/$/, '')
+        .trim();
+}
+
+// Semantic category mapping - maps various terms to canonical categories
+const CATEGORY_MAP = {
+    // AI & ML
+    'ai': 'ai', 'artificial intelligence': 'ai', 'machine learning': 'ai', 'ml': 'ai', 
+    'deep learning': 'ai', 'generative ai': 'ai', 'llm': 'ai',
+
+    // SaaS & Software
+    'saas': 'saas', 'software': 'saas', 'software as a service': 'saas', 'cloud': 'saas',
+    'enterprise software': 'saas', 'b2b software': 'saas',
+
+    // Fintech
+    'fintech': 'fintech', 'financial technology': 'fintech', 'payments': 'fintech',
+    'banking': 'fintech', 'financial services': 'fintech', 'lending': 'fintech',
+    'wealth management': 'fintech', 'insurtech': 'fintech', 'insurance': 'fintech',
+    'b2b payments': 'fintech',
+
+    // Healthcare
+    'healthcare': 'healthcare', 'health care': 'healthcare', 'healthtech': 'healthcare',
+    'health tech': 'healthcare', 'digital health': 'healthcare', 'medtech': 'healthcare',
+    'biotech': 'healthcare', 'biotechnology': 'healthcare', 'life sciences': 'healthcare',
+
+    // E-commerce & Marketplaces
+    'ecommerce': 'ecommerce', 'e-commerce': 'ecommerce', 'commerce': 'ecommerce',
+    'marketplace': 'ecommerce', 'marketplaces': 'ecommerce', 'retail': 'ecommerce',
+    'd2c': 'ecommerce', 'direct to consumer': 'ecommerce',
+
+    // B2B & Enterprise
+    'b2b': 'b2b', 'enterprise': 'b2b', 'b2b & enterprise': 'b2b',
+    'business to business': 'b2b',
+
+    // Consumer
+    'b2c': 'consumer', 'consumer': 'consumer', 'b2b2c': 'consumer',
+    'consumer services': 'consumer',
+
+    // Developer Tools & Infrastructure
+    'developer tools': 'devtools', 'devtools': 'devtools', 'dev tools': 'devtools',
+    'infrastructure': 'devtools', 'api': 'devtools', 'developer': 'devtools',
+    'data infrastructure': 'devtools', 'cloud infrastructure': 'devtools',
+
+    // Security
+    'cybersecurity': 'security', 'security': 'security', 'privacy': 'security',
+    'privacy and security': 'security', 'infosec': 'security',
+
+    // Data & Analytics
+    'analytics': 'data', 'data': 'data', 'data analytics': 'data', 'big data': 'data',
+
+    // Climate & Sustainability
+    'climate': 'climate', 'climate tech': 'climate', 'cleantech': 'climate',
+    'sustainability': 'climate', 'energy': 'climate', 'clean energy': 'climate',
+
+    // Real Estate
+    'proptech': 'realestate', 'real estate': 'realestate', 'property': 'realestate',
+
+    // Education
+    'edtech': 'education', 'education': 'education', 'ed tech': 'education',
+
+    // Logistics & Supply Chain
+    'logistics': 'logistics', 'supply chain': 'logistics', 'transportation': 'logistics',
+    'supply chain management': 'logistics',
+
+    // HR & Future of Work
+    'hr': 'hr', 'hr tech': 'hr', 'human resources': 'hr', 'recruiting': 'hr',
+    'future of work': 'hr',
+
+    // Marketing
+    'marketing': 'marketing', 'marketing technology': 'marketing', 'martech': 'marketing',
+    'advertising': 'marketing', 'adtech': 'marketing',
+
+    // Other verticals
+    'legal tech': 'legal', 'legaltech': 'legal',
+    'foodtech': 'food', 'food': 'food', 'agriculture': 'food', 'agtech': 'food',
+    'gaming': 'gaming', 'games': 'gaming', 'esports': 'gaming',
+    'media': 'media', 'content': 'media', 'media and entertainment': 'media',
+    'robotics': 'robotics', 'automation': 'robotics',
+    'iot': 'iot', 'internet of things': 'iot', 'hardware': 'iot',
+    'blockchain': 'crypto', 'crypto': 'crypto', 'web3': 'crypto',
+    'mobile': 'mobile', 'apps': 'mobile', 'applications': 'mobile',
+};
+
+// Get canonical category for a term
+function getCategory(term) {
+    const normalized = normalize(term);
+    // Direct lookup
+    if (CATEGORY_MAP[normalized]) return CATEGORY_MAP[normalized];
+    // Partial match
+    for (const [key, category] of Object.entries(CATEGORY_MAP)) {
+        if (normalized.includes(key) || key.includes(normalized)) {
+            return category;
+        }
+    }
+    return normalized; // Return as-is if no mapping
+}
+
+// Extract categories from a list of terms
+function extractCategories(terms) {
+    const categories = new Set();
+    for (const term of terms) {
+        // A blank term would partially match every key (and come out as 'ai')
+        if (!normalize(term)) continue;
+        const cat = getCategory(term);
+        if (cat) categories.add(cat);
+    }
+    return categories;
+}
+
+// Check-size fit: can the fund's checks cover a meaningful share of the round?
+const CHECK_SIZE_FIT = {
+    minShare: 0.1,      // A check under 10% of the round isn't worth a slot in it
+    leadShare: 0.25,    // A sweet spot of 25%+ can anchor the round
+    // Funds that state no check sizes: initial checks of 1-5% of the fund
+    fundShare: { low: 0.01, high: 0.05 }
+};
+
+function formatUsd(amount) {
+    if (amount >= 1e9) return `$${+(amount / 1e9).toFixed(1)}B`;
+    if (amount >= 1e6) return `$${+(amount / 1e6).toFixed(1)}M`;
+    if (amount >= 1e3) return `$${Math.round(amount / 1e3)}K`;
+    return `$${Math.round(amount)}`;
+}
+
+// Score (-15 to 10 points) and reason for how the fund's checks fit the round,
+// or null when the raise or the fund's check sizes are unknown. Check ranges
+// estimated from the fund size count for less either way.
+function scoreCheckSizeFit(investor, raiseAmount) {
+    if (!(raiseAmount > 0)) return null;
+
+    let { check_size_min: min, check_size_max: max, sweet_spot: sweetSpot } = investor;
+    const fundSize = investor.fund_size;
+    const estimated = !min && !max && !sweetSpot;
+    if (estimated) {
+        if (!fundSize) return null;
+        min = fundSize * CHECK_SIZE_FIT.fundShare.low;
+        max = fundSize * CHECK_SIZE_FIT.fundShare.high;
+    }
+
+    const round = `your ${formatUsd(raiseAmount)} round`;
+    const share = amount => `${Math.round(Math.min(amount, raiseAmount) / raiseAmount * 100)}%`;
+    // A stated maximum alone says nothing about how small the checks go
+    const smallest = min || sweetSpot;
+    const largest = max || sweetSpot || min;
+    const checks = estimated ? `a ${formatUsd(fundSize)} fund typically writes` : 'writes';
+    const range = min && max ? (min === max ? formatUsd(min) : `${formatUsd(min)}-${formatUsd(max)}`)
+        : max ? `up to ${formatUsd(max)}`
+        : min ? `${formatUsd(min)}+`
+        : `about ${formatUsd(sweetSpot)}`;
+
+    if (smallest && smallest > raiseAmount) {
+        return estimated
+            ? { score: -5, reason: `Check size: ${checks} ${range} checks, more than ${round}` }
+            : { score: -15, reason: `Check size: minimum check ${formatUsd(smallest)} is more than ${round}` };
+    }
+    if (largest < raiseAmount * CHECK_SIZE_FIT.minShare) {
+        return estimated
+            ? { score: -5, reason: `Check size: ${checks} ${range} checks, under ${share(largest)} of ${round}` }
+            : { score: -10, reason: `Check size: largest check ${formatUsd(largest)} is only ${share(largest)} of ${round}` };
+    }
+    if (!estimated && sweetSpot && sweetSpot >= raiseAmount * CHECK_SIZE_FIT.leadShare && sweetSpot <= raiseAmount) {
+        return { score: 10, reason: `Check size: sweet spot ${formatUsd(sweetSpot)} is ${share(sweetSpot)} of ${round}` };
+    }
+    return {
+        score: estimated ? 4 : 7,
+        reason: `Check size: ${checks} ${range} checks, ${largest >= raiseAmount ? 'enough to cover' : `up to ${share(largest)} of`} ${round}`
+    };
+}
+
+// Geography fit: does the fund invest where the company is, and has it before?
+const GEOGRAPHY_FIT = {
+    statedSpecific: 6,      // Stated geography names the company's state, US sub-region, city or (non-US) country
+    statedBroad: 2,         // ...or only something broad that contains it, like the US or Europe
+    statedExcluded: -10,    // Every stated geography leaves the company out
+    hqCity: 3,
+    hqArea: 2,              // Same state, or same country outside the US
+    maxPortfolio: 8,        // A point per portfolio company in the company's state (country outside the US), plus city
+    max: 15
+};
+
+// Where the company is: its headquarters, else its geography when that names a
+// single place ('Texas', 'Nigeria'), else null
+function companyLocation(companyAnalysis) {
+    const hq = parseLocation(companyAnalysis.headquarters);
+    if (hq && !hq.global) return hq;
+    const areas = parseAreas(companyAnalysis.geography || '');
+    return areas.length === 1 && !areas[0].global ? areas[0] : null;
+}
+
+// The part of the world a company's neighbours share: its state in the US,
+// its country elsewhere. Null when that isn't known.
+function localArea(place) {
+    if (place.state) return { ...parseLocation(place.state), describe: place.state };
+    if (place.country && place.country !== 'United States') return { ...parseLocation(place.country), describe: place.country };
+    return null;
+}
+
+// Score (-10 to 15 points) and reasons for the fund's fit with where the
+// company is, from its stated investment geography, its HQ and where its
+// portfolio companies are; null when the company's location is unknown
+function scoreGeographyFit(investor, portfolio, place) {
+    if (!place) return null;
+    let score = 0;
+    const reasons = [];
+
+    // What the fund says it invests in
+    const areas = parseAreas(investor.investment_geography);
+    const verdicts = areas.map(area => isWithin(place, area));
+    const covering = areas.filter((area, i) => verdicts[i] === true && !area.global);
+    if (covering.length > 0) {
+        const isSpecific = area => area.city || area.state || US_REGIONS[area.area] ||
+            (area.country && !area.area && area.country !== 'United States');
+        const specific = covering.find(isSpecific);
+        score += specific ? GEOGRAPHY_FIT.statedSpecific : GEOGRAPHY_FIT.statedBroad;
+        reasons.push(`Geography: invests in ${describeLocation(specific || covering[0])}`);
+    } else if (areas.length > 0 && verdicts.every(verdict => verdict === false)) {
+        score += GEOGRAPHY_FIT.statedExcluded;
+        reasons.push(`Geography: invests in ${areas.map(describeLocation).join(', ')} only`);
+    }
+
+    // Where the fund is
+    const hq = parseLocation([investor.city, investor.region].filter(Boolean).join(', '), investor.country);
+    const area = localArea(place);
+    if (hq && place.city && hq.city === place.city) {
+        score += GEOGRAPHY_FIT.hqCity;
+        reasons.push(`Geography: HQ in ${describeLocation(hq)}`);
+    } else if (hq && area && isWithin(hq, area)) {
+        score += GEOGRAPHY_FIT.hqArea;
+        reasons.push(`Geography: HQ in ${describeLocation(hq)}`);
+    }
+
+    // Where its portfolio companies are
+    if (area) {
+        let inArea = 0;
+        let inCity = 0;
+        for (const investment of portfolio) {
+            const location = parseLocation(investment.company_city, investment.company_country);
+            if (!location || !isWithin(location, area)) continue;
+            inArea++;
+            if (place.city && location.city === place.city) inCity++;
+        }
+        if (inArea > 0) {
+            score += Math.min(GEOGRAPHY_FIT.maxPortfolio, inArea + inCity);
+            const cityNote = inCity > 0 && inCity < inArea ? ` (${inCity} in ${place.city})` : '';
+            reasons.push(`Invested in ${inArea} ${inArea === 1 ? 'company' : 'companies'} in ${inCity === inArea ? place.city : area.describe}${cityNote}`);
+        }
+    }
+
+    return { score: Math.min(GEOGRAPHY_FIT.max, score), reasons };
+}
+
+// Deployment activity: is the fund still writing checks, and how many?
+const DEPLOYMENT_FIT = {
+    pace: [[8, 8], [4, 6], [1, 3]],     // [deals in the past year, points], first match wins
+    quiet: -8,                          // No deal in 18 months
+    dormant: -15,                       // No deal in 3 years
+    trend: 2,                           // Pace picking up (+) or slowing down (-)
+    freshFund: 3,                       // Closed a fund in the past two years
+    max: 10
+};
+
+function formatMonth(date) {
+    return new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+// Score (-15 to 10 points) and reasons for how actively the fund is deploying,
+// or null when it has neither dated deals nor a fund close date
+function scoreDeploymentActivity(activity) {
+    const freshFund = isFreshFund(activity);
+    if (activity.status === 'unknown' && !freshFund) return null;
+
+    let score = 0;
+    const reasons = [];
+    const { deals_last_year: dealsLastYear, days_since_last_deal: daysSince } = activity;
+
+    if (activity.status === 'active') {
+        score += DEPLOYMENT_FIT.pace.find(([deals]) => dealsLastYear >= deals)[1];
+        if (activity.trend === 'up') score += DEPLOYMENT_FIT.trend;
+        if (activity.trend === 'down') score -= DEPLOYMENT_FIT.trend;
+        const trend = { up: ', picking up', down: ', slowing down' }[activity.trend] || '';
+        reasons.push(`Activity: ${dealsLastYear} ${dealsLastYear === 1 ? 'deal' : 'deals'} in the past year, last ${describeAge(daysSince)}${trend}`);
+    } else if (activity.status === 'dormant') {
+        score += DEPLOYMENT_FIT.dormant;
+        reasons.push(`Activity: no deals since ${formatMonth(activity.last_deal_date)}`);
+    } else if (activity.status === 'quiet') {
+        if (daysSince >= ACTIVITY_CONFIG.quietDays) score += DEPLOYMENT_FIT.quiet;
+        reasons.push(`Activity: last deal ${describeAge(daysSince)}`);
+    }
+
+    if (freshFund) {
+        score += DEPLOYMENT_FIT.freshFund;
+        reasons.push(`Activity: closed a fund in ${formatMonth(activity.fund_close_date)}`);
+    }
+
+    return { score: Math.min(DEPLOYMENT_FIT.max, score), reasons };
+}
+
+// Lead fit: a company still looking for a lead wants funds that lead rounds at
+// its stage; one whose round already has a lead wants funds that follow
+const LEAD_FIT = {
+    leadsAtStage: 10,
+    leadsOtherStage: 3,     // Leads, but not at the company's stage (or its stage is unknown)
+    followsOnly: -10,
+    coInvests: 3
+};
+
+// Score (-10 to 10 points) and reason for the fund's role in the round, or
+// null when the company hasn't said whether it needs a lead or the fund's
+// role is unknown
+function scoreLeadFit(investor, needsLead, stage, stageMatched) {
+    const boardSeats = investor.takes_board_seats ? ' and takes board seats' : '';
+    if (needsLead === true) {
+        if (investor.leads_investments === true) {
+            return stageMatched
+                ? { score: LEAD_FIT.leadsAtStage, reason: `Lead: leads ${stage} rounds${boardSeats}` }
+                : { score: LEAD_FIT.leadsOtherStage, reason: `Lead: leads rounds${boardSeats}${stage ? `, not at ${stage}` : ''}` };
+        }
+        if (investor.leads_investments === false) {
+            return { score: LEAD_FIT.followsOnly, reason: `Lead: ${investor.co_invests ? 'co-invests only' : 'does not lead rounds'}` };
+        }
+    } else if (needsLead === false && investor.co_invests === true) {
+        return { score: LEAD_FIT.coInvests, reason: 'Lead: co-invests alongside a lead' };
+    }
+    return null;
+}
+
+// Semantic fit: cosine similarity of the company to the fund's own text and to
+// its portfolio companies (see embedding-index.js). Raw similarities depend on
+// the embedding model, so points scale from the median similarity in this
+// search (none) to the top percentile (all).
+const SEMANTIC_FIT = {
+    thesis: 20,
+    portfolio: 10,
+    topPercentile: 0.99,
+    portfolioTopK: 3,       // Portfolio similarity is the mean of the closest few companies
+    minReasonPoints: 3      // Fewer points than this are too faint to list as a reason
+};
+
+// Similarities of the company to every indexed fund and portfolio company,
+// with the ranges that turn them into points
+function prepareSemanticFit({ index, vector }) {
+    const similarities = vectors => {
+        const byKey = new Map();
+        for (const [key, v] of vectors) byKey.set(key, cosine(vector, v));
+        const sorted = Float64Array.from(byKey.values()).sort();
+        const at = q => sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : 0;
+        return { byKey, sorted, low: at(0.5), high: at(SEMANTIC_FIT.topPercentile) };
+    };
+    return { investors: similarities(index.investors), companies: similarities(index.companies) };
+}
+
+function semanticPoints(similarity, { low, high }, max) {
+    if (high <= low) return 0;
+    return Math.round(max * Math.min(1, Math.max(0, (similarity - low) / (high - low))));
+}
+
+// Score (0 to 30 points) and reasons for how close the fund's thesis and
+// portfolio are to the company
+function scoreSemanticFit(semanticFit, investor, portfolio) {
+    let score = 0;
+    const reasons = [];
+    const { investors, companies } = semanticFit;
+
+    const similarity = investors.byKey.get(investor.id);
+    if (similarity !== undefined) {
+        const points = semanticPoints(similarity, investors, SEMANTIC_FIT.thesis);
+        score += points;
+        if (points >= SEMANTIC_FIT.minReasonPoints) {
+            // Share of funds at least as close, found by binary search in the sorted list
+            let lo = 0;
+            let hi = investors.sorted.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (investors.sorted[mid] < similarity) lo = mid + 1;
+                else hi = mid;
+            }
+            const top = Math.max(1, Math.ceil((investors.sorted.length - lo) / investors.sorted.length * 100));
+            reasons.push(`Thesis: close to what you do (top ${top}% of funds)`);
+        }
+    }
+
+    const seen = new Set();
+    const closest = [];
+    for (const investment of portfolio) {
+        const key = companyKey(investment.company_name || '');
+        if (!key || seen.has(key) || !companies.byKey.has(key)) continue;
+        seen.add(key);
+        closest.push({ company: investment.company_name, similarity: companies.byKey.get(key) });
+    }
+    if (closest.length > 0) {
+        const top = closest.sort((a, b) => b.similarity - a.similarity).slice(0, SEMANTIC_FIT.portfolioTopK);
+        const mean = top.reduce((sum, c) => sum + c.similarity, 0) / top.length;
+        const points = semanticPoints(mean, companies, SEMANTIC_FIT.portfolio);
+        score += points;
+        if (points >= SEMANTIC_FIT.minReasonPoints) {
+            reasons.push(`Similar portfolio: ${top.map(c => c.company).join(', ')}`);
+        }
+    }
+
+    return { score, reasons };
+}
+
+// Portfolio similarity against a profiled portfolio company: one point per
+// sector category it shares with the company, and half a point each for the
+// same business model and for being backed at the same stage. Null when no
+// sector is shared, as a business model alone says little.
+function portfolioProfileMatch(profile, companyCategories, companyModel, companyStage) {
+    const sectors = toArray(profile.sectors);
+    const shared = [...extractCategories(sectors.map(normalize))].filter(c => companyCategories.has(c));
+    if (shared.length === 0) return null;
+
+    const model = normalize(profile.business_model || '');
+    const stage = normalize(profile.stage_at_investment || '');
+    const sameModel = !!model && !!companyModel && getCategory(model) === getCategory(companyModel);
+    const sameStage = !!stage && stage === companyStage;
+    return {
+        score: shared.length + (sameModel ? 0.5 : 0) + (sameStage ? 0.5 : 0),
+        profiled: true,
+        shared,
+        same_model: sameModel,
+        same_stage: sameStage,
+        description: profile.description,
+        sectors,
+        business_model: profile.business_model || null,
+        stage_at_investment: profile.stage_at_investment || null
+    };
+}
+
+// Industry words in company names, for portfolio companies without a
+// profile. Matched as whole words only: "ai" is not in "Kaizen", nor "med"
+// in "MedCloud"
+const NAME_PATTERNS = {
+    'fintech': ['pay', 'payments', 'bank', 'banking', 'finance', 'money', 'credit', 'loan', 'loans', 'wallet'],
+    'healthcare': ['health', 'medical', 'care', 'bio', 'pharma', 'clinic', 'doctor', 'therapeutics'],
+    'ai': ['ai', 'ml', 'intelligence', 'neural', 'cognitive'],
+    'saas': ['cloud', 'software'],
+    'ecommerce': ['shop', 'store', 'cart', 'commerce', 'market'],
+    'security': ['secure', 'security', 'cyber', 'guard', 'shield'],
+    'data': ['data', 'analytics', 'insights', 'metrics'],
+};
+
+// Words of a company name or website host ("pay-flow.io" -> pay, flow, io)
+function nameWords(text) {
+    return new Set(normalizeUrl(text || '').split('/')[0].split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+// Portfolio similarity guessed from whole words of the company's name and website
+function portfolioNameMatch(investment, companyCategories) {
+    const words = new Set([...nameWords(investment.company_name), ...nameWords(investment.company_website)]);
+    let similarity = 0;
+
+    for (const category of companyCategories) {
+        if (words.has(category)) {
+            similarity += 1;
+        } else if ((NAME_PATTERNS[category] || []).some(pattern => words.has(pattern))) {
+            similarity += 0.5;
+        }
+    }
+
+    return similarity > 0 ? { score: similarity, profiled: false } : null;
+}
+
+// "PayFlow (fintech, B2B, Seed)" for a profiled match, the bare name otherwise
+function describePortfolioMatch(match) {
+    if (!match.profiled) return match.company;
+    const evidence = [...match.shared];
+    if (match.same_model) evidence.push(match.business_model);
+    if (match.same_stage) evidence.push(match.stage_at_investment);
+    return `${match.company} (${evidence.join(', ')})`;
+}
+
+module.exports = {
+    toArray,
+    normalize,
+    normalizeUrl,
+    getCategory,
+    extractCategories,
+    CHECK_SIZE_FIT,
+    formatUsd,
+    scoreCheckSizeFit,
+    GEOGRAPHY_FIT,
+    companyLocation,
+    scoreGeographyFit,
+    DEPLOYMENT_FIT,
+    scoreDeploymentActivity,
+    LEAD_FIT,
+    scoreLeadFit,
+    SEMANTIC_FIT,
+    prepareSemanticFit,
+    scoreSemanticFit,
+    portfolioProfileMatch,
+    portfolioNameMatch,
+    describePortfolioMatch
+};
@@ -0,0 +1,152 @@
+/**
+ * Prometheus Metrics
+ *
+ * A minimal in-process metrics registry (counters, gauges, histograms with
+ * labels) rendered in the Prometheus text exposition format for /metrics.
+ * Gauges can take a collect() callback that is evaluated at scrape time, for
+ * values that live elsewhere (database counts, active sessions).
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Stable key for a label set, in the metric's declared label order
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+    const picked = {};
+    for (const name of labelNames) picked[name] = labels[name] ?? '';
+    return picked;
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        metric.name = prefix + metric.name;
+        metrics.push(metric);
+        return metric;
+    }
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        return register({
+            name, help, type: 'counter',
+            inc(labels = {}, value = 1) {
+                const key = labelKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += value;
+                series.set(key, entry);
+            },
+            render() {
+                return [...series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+            }
+        });
+    }
+
+    function gauge(name, help, labelNames = [], collect = null) {
+        const series = new Map();
+        return register({
+            name, help, type: 'gauge',
+            set(labels, value) {
+                series.set(labelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+            },
+            render() {
+                if (collect) {
+                    // collect() returns a number, or [{ labels, value }] for labelled gauges
+                    const collected = collect();
+                    if (collected === null || collected === undefined) return [];
+                    const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                    return values.map(v => `${this.name}${formatLabels(pickLabels(labelNames, v.labels))} ${v.value}`);
+                }
+                return [...series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+            }
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        const bounds = [...buckets].sort((a, b) => a - b);
+
+        function observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            bounds.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+
+        return register({
+            name, help, type: 'histogram',
+            observe,
+            // Returns a function that records the elapsed seconds when called
+            startTimer(labels = {}) {
+                const start = process.hrtime.bigint();
+                return (extraLabels = {}) => {
+                    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                    observe({ ...labels, ...extraLabels }, seconds);
+                    return seconds;
+                };
+            },
+            render() {
+                const lines = [];
+                for (const s of series.values()) {
+                    bounds.forEach((bound, i) => {
+                        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+                    });
+                    lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+                    lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+                    lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+                }
+                return lines;
+            }
+        });
+    }
+
+    // Prometheus text exposition format (version 0.0.4)
+    function render() {
+        const out = [];
+        for (const metric of metrics) {
+            let lines;
+            try {
+                lines = metric.render();
+            } catch (err) {
+                continue; // A failing collector shouldn't break the whole scrape
+            }
+            out.push(`# HELP ${metric.name} ${metric.help}`);
+            out.push(`# TYPE ${metric.name} ${metric.type}`);
+            out.push(...lines);
+        }
+        return out.join('\n') + '\n';
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render,
+        contentType: 'text/plain; version=0.0.4; charset=utf-8'
+    };
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createMetricsRegistry
+};
@@ -0,0 +1,115 @@
+/**
+ * OpenAPI Document
+ *
+ * Builds an OpenAPI 3.0 description of the public API straight from the router's
+ * route table, so the document can't drift from what the server actually serves.
+ * Summaries come from each route's metadata object, request bodies from its
+ * jsonBody() schema and security requirements from its requireApiKey() scope.
+ */
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        details: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+// '/api/v1/funds/:id' -> '/api/v1/funds/{id}'
+function toOpenApiPath(pattern) {
+    return pattern.replace(/:(\w+)/g, '{$1}');
+}
+
+function buildOperation(route) {
+    const { meta } = route;
+    const operation = {
+        summary: meta.summary,
+        description: meta.description,
+        tags: meta.tags,
+        operationId: meta.operationId,
+        parameters: route.params.map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+        })),
+        responses: {
+            200: { description: meta.response || 'Success', content: { 'application/json': {} } },
+            429: errorResponse('Rate limit or daily quota exceeded')
+        }
+    };
+
+    if (route.bodySchema) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: route.bodySchema } }
+        };
+        operation.responses[400] = errorResponse('Invalid request body');
+        operation.responses[413] = errorResponse('Request body too large');
+    }
+
+    if (route.scope) {
+        operation.security = [{ ApiKeyHeader: [] }, { BearerAuth: [] }];
+        operation['x-required-scope'] = route.scope;
+        operation.description = [meta.description, `Requires an API key with the \`${route.scope}\` scope.`]
+            .filter(Boolean).join('\n\n');
+        operation.responses[401] = errorResponse('Missing or invalid API key');
+        operation.responses[403] = errorResponse('API key lacks the required scope');
+    } else {
+        operation.security = [];
+    }
+
+    if (route.params.length > 0) {
+        operation.responses[404] = errorResponse('Not found');
+    }
+
+    return JSON.parse(JSON.stringify(operation)); // drop undefined fields
+}
+
+// Build the document for every route under `prefix`
+function buildOpenApiDocument(routes, { prefix, title, version, description, serverUrl, scopes = [] }) {
+    const paths = {};
+    for (const route of routes) {
+        if (!route.pattern.startsWith(prefix)) continue;
+        const path = toOpenApiPath(route.pattern);
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = buildOperation(route);
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title, version, description },
+        servers: serverUrl ? [{ url: serverUrl }] : [],
+        paths,
+        components: {
+            securitySchemes: {
+                ApiKeyHeader: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: `API key created on the profile page. Scopes: ${scopes.join(', ')}`
+                },
+                BearerAuth: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' }
+            },
+            schemas: { Error: ERROR_SCHEMA }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
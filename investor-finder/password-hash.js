@@ -0,0 +1,98 @@
+/**
+ * Password Hashing
+ *
+ * Passwords are hashed with scrypt and a random per-user salt. The parameters
+ * are stored alongside the hash so they can be raised later without breaking
+ * existing accounts:
+ *
+ *     scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ *
+ * Accounts created before this module existed have unsalted SHA-256 hex digests.
+ * verifyPassword() still accepts those and reports needsRehash, so the caller can
+ * upgrade the stored hash after the next successful login.
+ *
+ * A missing hash (no such account) is checked against a dummy hash made with
+ * the current parameters, so a failed login takes as long either way and its
+ * timing doesn't tell which emails are registered.
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_CONFIG = {
+    N: 16384,       // CPU/memory cost (2^14, ~16 MB per hash)
+    r: 8,
+    p: 1,
+    keyLength: 64,
+    saltLength: 16
+};
+
+const LEGACY_SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+function scrypt(password, salt, { N, r, p, keyLength }) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keyLength, { N, r, p, maxmem: 256 * N * r }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+async function hashPassword(password) {
+    const { N, r, p, saltLength } = SCRYPT_CONFIG;
+    const salt = crypto.randomBytes(saltLength);
+    const key = await scrypt(password, salt, SCRYPT_CONFIG);
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+function parseScryptHash(stored) {
+    const parts = stored.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return null;
+
+    const [N, r, p] = parts.slice(1, 4).map(Number);
+    if (![N, r, p].every(Number.isInteger)) return null;
+
+    const salt = Buffer.from(parts[4], 'base64');
+    const key = Buffer.from(parts[5], 'base64');
+    return { N, r, p, salt, key };
+}
+
+// Stands in for the hash of an account that doesn't exist; made on first use
+let dummyHash = null;
+function getDummyHash() {
+    dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+    return dummyHash;
+}
+
+// Check a password against a stored hash. Returns { valid, needsRehash }.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+    if (!stored) {
+        await verifyPassword(password, await getDummyHash());
+        return { valid: false, needsRehash: false };
+    }
+
+    if (LEGACY_SHA256_PATTERN.test(stored)) {
+        const expected = Buffer.from(stored.toLowerCase(), 'hex');
+        const actual = crypto.createHash('sha256').update(password).digest();
+        return { valid: crypto.timingSafeEqual(actual, expected), needsRehash: true };
+    }
+
+    const parsed = parseScryptHash(stored);
+    if (!parsed || parsed.key.length === 0) {
+        return { valid: false, needsRehash: false };
+    }
+
+    const key = await scrypt(password, parsed.salt, { ...parsed, keyLength: parsed.key.length });
+    const valid = crypto.timingSafeEqual(key, parsed.key);
+    const needsRehash = parsed.N !== SCRYPT_CONFIG.N || parsed.r !== SCRYPT_CONFIG.r ||
+        parsed.p !== SCRYPT_CONFIG.p || parsed.key.length !== SCRYPT_CONFIG.keyLength;
+    return { valid, needsRehash };
+}
+
+module.exports = {
+    SCRYPT_CONFIG,
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,403 @@
+#!/usr/bin/env node
+/**
+ * Portfolio Company Enrichment Script
+ *
+ * Builds a profile of every distinct portfolio company in investments.json:
+ * what it does, its sector categories, its business model and the stage it
+ * was at when the fund invested. Matching compares the company being matched
+ * with these profiles instead of guessing sectors from company names.
+ *
+ * Each company's website is read with the same crawler as the server (see
+ * site-crawler.js) and summarized by the model; companies without a readable
+ * site are profiled from the model's own knowledge, with low confidence.
+ * Profiles are saved to portfolio_companies.json every few companies, and
+ * companies already profiled are skipped, so an interrupted run picks up
+ * where it stopped.
+ *
+ * Usage:
+ *   node portfolio-enrichment.js [--limit N] [--since YYYY-MM-DD] [--reset]
+ *
+ * Examples:
+ *   node portfolio-enrichment.js --limit 10          # Test with 10 companies
+ *   node portfolio-enrichment.js --since 2024-01-01  # Companies with a deal since 2024
+ *   node portfolio-enrichment.js --reset             # Profile every company again
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+const { createLogger, withLogContext } = require('./logger');
+const { createLlmClient, describeUsage } = require('./llm-client');
+const { LLM_SCHEMAS } = require('./llm-schemas');
+const { createCrawler } = require('./site-crawler');
+
+const log = createLogger('portfolio-enrichment');
+
+// Model calls go through LLM_PROVIDER (see llm-client.js)
+const llm = createLlmClient({
+    onRetry: ({ operation, attempt, delayMs, error }) => log.warn(
+        `   ⏳ ${operation} failed (${error.message}), retry ${attempt} in ${delayMs/1000}s`,
+        { operation, retry: attempt, delay_ms: delayMs })
+});
+
+// Configuration
+const CONFIG = {
+    // Data paths
+    INVESTMENTS_PATH: path.join(__dirname, '../results/unified_database/investments.json'),
+    PORTFOLIO_COMPANIES_PATH: path.join(__dirname, '../results/unified_database/portfolio_companies.json'),
+    PROGRESS_PATH: path.join(__dirname, '../results/unified_database/portfolio_enrichment_progress.json'),
+
+    // Crawling: a homepage and an about or product page say what a company does
+    CRAWL_MAX_PAGES: 3,
+    CRAWL_BUDGET_MS: 15000,
+    MAX_PROMPT_CHARS: 6000,
+
+    DELAY_MS: 500,     // Pause between companies (ms)
+    SAVE_EVERY: 5,     // Companies between incremental saves
+
+    // Defaults
+    DEFAULT_SINCE_DATE: null,
+    DEFAULT_LIMIT: null,
+};
+
+const companyKey = name => name.trim().toLowerCase();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// Website content
+// ============================================================================
+
+let crawler = null;
+async function getCrawler() {
+    if (!crawler) {
+        const fetch = (await import('node-fetch')).default;
+        const cheerio = await import('cheerio');
+        crawler = createCrawler({
+            fetch,
+            cheerio,
+            log,
+            maxPages: CONFIG.CRAWL_MAX_PAGES,
+            budgetMs: CONFIG.CRAWL_BUDGET_MS
+        });
+    }
+    return crawler;
+}
+
+// Text of the company's website for the prompt, or null when it can't be read
+async function readWebsite(websiteUrl) {
+    if (!websiteUrl) return null;
+    const url = /^https?:\/\//i.test(websiteUrl) ? websiteUrl : `https://${websiteUrl}`;
+
+    try {
+        const site = await (await getCrawler()).crawl(url);
+        const text = [
+            site.title,
+            site.metaDescription || site.ogDescription,
+            site.headings.slice(0, 10).join(' | '),
+            site.bodyText
+        ].filter(Boolean).join('\n');
+        return text.trim() ? text.substring(0, CONFIG.MAX_PROMPT_CHARS) : null;
+    } catch (error) {
+        log.info(`   ⚠️ Could not read website: ${error.message}`);
+        return null;
+    }
+}
+
+// ============================================================================
+// AI-powered profile
+// ============================================================================
+
+function describeRound(company) {
+    const parts = [];
+    if (company.amount_raised) parts.push(`raised $${Number(company.amount_raised).toLocaleString()}`);
+    if (company.announced_date) parts.push(`announced ${company.announced_date}`);
+    return parts.length > 0 ? parts.join(', ') : 'Unknown';
+}
+
+async function profileCompany(company, websiteText) {
+    const prompt = `Profile this startup, which a venture fund invested in.
+
+Company: ${company.company_name}
+Website: ${company.company_website || 'Unknown'}
+Location: ${[company.company_city, company.company_country].filter(Boolean).join(', ') || 'Unknown'}
+Round the fund invested in: ${describeRound(company)}
+
+${websiteText ? `Website content:\n${websiteText}` : 'No website content available; use what you know about the company.'}
+
+Return a JSON object:
+{
+  "description": "One or two sentences on what the company does and for whom, or null if you can't tell",
+  "sectors": ["1-4 sector categories, e.g. Fintech, Healthcare, AI, SaaS, Developer Tools, Security, Climate, E-commerce, Logistics, Education"],
+  "business_model": "B2B, B2C, B2B2C, Marketplace or Hardware",
+  "stage_at_investment": "Pre-Seed, Seed, Series A, Series B, Series C or Growth",
+  "confidence": "high/medium/low"
+}
+
+Rules:
+- Base the description on the website content when there is some
+- Judge the stage from the round size and date (under $3M is usually Pre-Seed or Seed, $5-20M Series A)
+- Use null for anything you can't determine rather than guessing`;
+
+    const { data: result } = await llm.completeJson({
+        operation: 'profile_portfolio_company',
+        model: 'gpt-4o-mini',
+        system: 'You are a venture research analyst who profiles startups. Always respond with valid JSON.',
+        prompt,
+        temperature: 0.1,
+        schema: LLM_SCHEMAS.portfolioProfile
+    });
+    return result;
+}
+
+// ============================================================================
+// Main enrichment logic
+// ============================================================================
+
+async function enrichCompany(company) {
+    log.info(`\n📊 Processing: ${company.company_name}`);
+    log.info(`   Website: ${company.company_website || 'N/A'}`);
+
+    log.info(`   🌐 Reading website...`);
+    const websiteText = await readWebsite(company.company_website);
+
+    log.info(`   🤖 Profiling ${websiteText ? 'from website' : 'from AI knowledge'}...`);
+    const profile = await profileCompany(company, websiteText);
+
+    if (!profile.description) {
+        log.info(`   ✗ Not enough to go on (${profile.confidence || 'no'} confidence)`);
+        return null;
+    }
+
+    const result = {
+        company_key: companyKey(company.company_name),
+        company_name: company.company_name,
+        company_website: company.company_website || null,
+        description: profile.description,
+        sectors: profile.sectors.slice(0, 4),
+        business_model: profile.business_model || null,
+        stage_at_investment: profile.stage_at_investment || null,
+        amount_raised: company.amount_raised || null,
+        announced_date: company.announced_date || null,
+        confidence: profile.confidence || null,
+        source: websiteText ? 'website' : 'model',
+        profiled_at: new Date().toISOString()
+    };
+
+    log.info(`   ✅ ${result.sectors.join(', ') || 'No sectors'} | ${result.business_model || '?'} | ${result.stage_at_investment || '?'}`, {
+        sectors: result.sectors, business_model: result.business_model,
+        stage: result.stage_at_investment, source: result.source
+    });
+
+    return result;
+}
+
+// One entry per company (by lowercased name). The earliest dated investment
+// is the round the stage at investment refers to.
+function distinctCompanies(investments) {
+    const companies = new Map();
+    for (const inv of investments) {
+        if (!inv.company_name?.trim()) continue;
+        const key = companyKey(inv.company_name);
+        const existing = companies.get(key);
+        if (!existing) {
+            companies.set(key, { ...inv });
+            continue;
+        }
+        if (inv.announced_date && (!existing.announced_date || inv.announced_date < existing.announced_date)) {
+            companies.set(key, { ...inv, company_website: inv.company_website || existing.company_website });
+        } else if (!existing.company_website && inv.company_website) {
+            existing.company_website = inv.company_website;
+        }
+    }
+    return Array.from(companies.values());
+}
+
+// ============================================================================
+// Progress tracking and data persistence
+// ============================================================================
+
+function loadProgress() {
+    try {
+        if (fs.existsSync(CONFIG.PROGRESS_PATH)) {
+            return JSON.parse(fs.readFileSync(CONFIG.PROGRESS_PATH, 'utf8'));
+        }
+    } catch (e) {}
+    return { processed: [], lastRun: null, stats: { total: 0, profiled: 0, fromWebsite: 0 } };
+}
+
+function saveProgress(progress) {
+    fs.writeFileSync(CONFIG.PROGRESS_PATH, JSON.stringify(progress, null, 2));
+}
+
+function loadProfiles() {
+    try {
+        if (fs.existsSync(CONFIG.PORTFOLIO_COMPANIES_PATH)) {
+            return JSON.parse(fs.readFileSync(CONFIG.PORTFOLIO_COMPANIES_PATH, 'utf8'));
+        }
+    } catch (e) {}
+    return [];
+}
+
+function saveProfiles(profiles) {
+    fs.writeFileSync(CONFIG.PORTFOLIO_COMPANIES_PATH, JSON.stringify(profiles, null, 2));
+    log.info(`   💾 Saved ${profiles.length} company profiles`);
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main() {
+    log.info('🚀 Portfolio Company Enrichment');
+    log.info('==============================\n');
+
+    // Parse command line args
+    const args = process.argv.slice(2);
+    let limit = CONFIG.DEFAULT_LIMIT;
+    let sinceDate = CONFIG.DEFAULT_SINCE_DATE;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--limit' && args[i + 1]) {
+            limit = parseInt(args[i + 1]);
+        }
+        if (args[i] === '--since' && args[i + 1]) {
+            sinceDate = args[i + 1];
+        }
+        if (args[i] === '--reset') {
+            // Profile every company again; existing profiles are replaced as they are redone
+            if (fs.existsSync(CONFIG.PROGRESS_PATH)) {
+                fs.unlinkSync(CONFIG.PROGRESS_PATH);
+                log.info('🔄 Progress reset');
+            }
+        }
+    }
+
+    if (sinceDate) log.info(`📅 Processing companies with a deal since: ${sinceDate}`);
+    if (limit) log.info(`🔢 Limit: ${limit} companies`);
+
+    // Load investments
+    log.info('\n📂 Loading investments...');
+    const investments = JSON.parse(fs.readFileSync(CONFIG.INVESTMENTS_PATH, 'utf8'));
+    log.info(`   Total investments: ${investments.length}`);
+
+    const selected = sinceDate
+        ? investments.filter(inv => inv.announced_date && inv.announced_date >= sinceDate)
+        : investments;
+    let companies = distinctCompanies(selected);
+    log.info(`   Unique companies: ${companies.length}`);
+
+    // Load progress
+    const progress = loadProgress();
+    const processedSet = new Set(progress.processed);
+
+    // Filter out already processed
+    companies = companies.filter(c => !processedSet.has(companyKey(c.company_name)));
+    log.info(`   Already processed: ${progress.processed.length}`);
+    log.info(`   Remaining to process: ${companies.length}`);
+
+    // Apply limit
+    if (limit) {
+        companies = companies.slice(0, limit);
+        log.info(`   Processing (with limit): ${companies.length}`);
+    }
+
+    if (companies.length === 0) {
+        log.info('\n✅ All companies already processed!');
+        return;
+    }
+
+    // Load existing profiles, keyed so a redone company replaces its old profile
+    const profiles = new Map(loadProfiles().map(p => [p.company_key, p]));
+    log.info(`   Existing profiles: ${profiles.size}`);
+
+    // Process each company
+    log.info('\n🏃 Starting enrichment...');
+    log.info('─'.repeat(50));
+
+    let processed = 0;
+    let profiled = 0;
+    let fromWebsite = 0;
+    const startTime = Date.now();
+
+    const save = () => {
+        saveProfiles([...profiles.values()]);
+        saveProgress(progress);
+    };
+
+    for (const company of companies) {
+        try {
+            // Every line logged for this company carries its name
+            const result = await withLogContext({ company: company.company_name }, () => enrichCompany(company));
+            if (result) {
+                profiles.set(result.company_key, result);
+                profiled++;
+                if (result.source === 'website') fromWebsite++;
+            }
+
+            // Update progress; companies the model couldn't profile aren't retried until --reset
+            progress.processed.push(companyKey(company.company_name));
+            progress.lastRun = new Date().toISOString();
+            progress.stats = {
+                total: progress.processed.length,
+                profiled: profiles.size,
+                fromWebsite: [...profiles.values()].filter(p => p.source === 'website').length
+            };
+
+            processed++;
+
+            // Save incrementally
+            if (processed % CONFIG.SAVE_EVERY === 0) {
+                save();
+
+                const elapsed = (Date.now() - startTime) / 1000;
+                const rate = processed / elapsed;
+                const remaining = companies.length - processed;
+                const eta = remaining / rate;
+
+                log.info(`\n📊 Progress: ${processed}/${companies.length} | Profiled: ${profiled} | From website: ${fromWebsite} | ETA: ${Math.round(eta/60)}min`, {
+                    processed, total: companies.length, profiled, from_website: fromWebsite, eta_seconds: Math.round(eta)
+                });
+            }
+
+            await sleep(CONFIG.DELAY_MS);
+
+        } catch (error) {
+            // Not marked as processed, so the next run tries again
+            log.error(`   ❌ Error processing ${company.company_name}`, { company: company.company_name, err: error });
+            save();
+        }
+    }
+
+    // Final save
+    save();
+
+    const totalTime = (Date.now() - startTime) / 1000;
+
+    log.info('\n' + '═'.repeat(50));
+    log.info('📊 SUMMARY');
+    log.info('═'.repeat(50));
+    log.info(`   Companies processed: ${processed}`);
+    log.info(`   Profiles built: ${profiled} (${fromWebsite} from websites)`);
+    log.info(`   Total profiles: ${profiles.size}`);
+    log.info(`   Time elapsed: ${Math.round(totalTime/60)} minutes`);
+    log.info(`   Rate: ${(processed/totalTime*60).toFixed(1)} companies/min`);
+
+    const usage = llm.usageSummary();
+    log.info(`   AI tokens: ${describeUsage(usage)}`, usage);
+    log.info('\n📁 Output file:');
+    log.info(`   ${CONFIG.PORTFOLIO_COMPANIES_PATH}`);
+    log.info('\n✅ Done!');
+}
+
+if (require.main === module) {
+    main().catch(err => log.error('❌ Portfolio enrichment failed', { err }));
+}
+
+module.exports = {
+    profileCompany,
+    enrichCompany,
+    distinctCompanies
+};
@@ -0,0 +1,160 @@
+/**
+ * Rate Limiter
+ *
+ * Token buckets: each key (`user:<id>` or `ip:<address>`) gets a bucket per
+ * limit type that holds up to `capacity` tokens and refills at `perMinute`
+ * tokens a minute. A request spends one token, so short bursts up to the
+ * capacity are fine while the sustained rate is capped at the refill rate.
+ * Buckets are independent: running out of search tokens doesn't lock a client
+ * out of the rest of the API.
+ *
+ * Limits come from a policy table keyed by tier (anonymous, free, paid, ...)
+ * and type (general, search, auth).
+ *
+ * Bucket state lives in a pluggable store:
+ *   memory  per-process Map; limits reset on restart
+ *   sqlite  a SQLite file; survives restarts and is shared by every worker
+ *           process pointed at the same file. The server keeps it in the app
+ *           data directory (see app-data.js), away from the served pages
+ */
+
+const Database = require('better-sqlite3');
+const { ensureParentDir } = require('./app-data');
+
+// Buckets untouched for this long are full again and can be dropped
+const IDLE_BUCKET_TTL_MS = 60 * 60 * 1000;
+
+// Refill a bucket to `now` and try to spend `cost` tokens. Pure, so every
+// store applies exactly the same arithmetic.
+function takeTokens(state, policy, cost, now) {
+    const ratePerMs = policy.perMinute / 60000;
+    const elapsed = state ? Math.max(0, now - state.updated_at) : 0;
+    const available = state ? Math.min(policy.capacity, state.tokens + elapsed * ratePerMs) : policy.capacity;
+    const allowed = available >= cost;
+    const tokens = allowed ? available - cost : available;
+
+    return {
+        state: { tokens, updated_at: now },
+        result: {
+            allowed,
+            limit: policy.capacity,
+            remaining: Math.floor(tokens),
+            resetIn: Math.ceil((policy.capacity - tokens) / ratePerMs / 1000),
+            retryAfter: allowed ? undefined : Math.max(1, Math.ceil((cost - tokens) / ratePerMs / 1000))
+        }
+    };
+}
+
+function createMemoryStore() {
+    const buckets = new Map(); // key -> { tokens, updated_at }
+
+    return {
+        name: 'memory',
+
+        take(key, policy, cost, now) {
+            const { state, result } = takeTokens(buckets.get(key), policy, cost, now);
+            buckets.set(key, state);
+            return result;
+        },
+
+        purge(now = Date.now()) {
+            let removed = 0;
+            for (const [key, state] of buckets) {
+                if (now - state.updated_at > IDLE_BUCKET_TTL_MS) {
+                    buckets.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        close() {
+            buckets.clear();
+        }
+    };
+}
+
+function createSqliteStore(dbPath) {
+    ensureParentDir(dbPath);
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        key TEXT PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL
+    )`);
+
+    const stmts = {
+        get: db.prepare('SELECT tokens, updated_at FROM rate_limit_buckets WHERE key = ?'),
+        upsert: db.prepare(`INSERT INTO rate_limit_buckets (key, tokens, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at`),
+        purge: db.prepare('DELETE FROM rate_limit_buckets WHERE updated_at < ?')
+    };
+
+    // Read-modify-write under an immediate (write) transaction, so two workers
+    // can't both spend the last token
+    const take = db.transaction((key, policy, cost, now) => {
+        const { state, result } = takeTokens(stmts.get.get(key), policy, cost, now);
+        stmts.upsert.run(key, state.tokens, state.updated_at);
+        return result;
+    });
+
+    return {
+        name: 'sqlite',
+        take: (key, policy, cost, now) => take.immediate(key, policy, cost, now),
+        purge: (now = Date.now()) => stmts.purge.run(now - IDLE_BUCKET_TTL_MS).changes,
+        close: () => db.close()
+    };
+}
+
+function createStore(type, options = {}) {
+    switch (type) {
+        case 'sqlite':
+            return createSqliteStore(options.dbPath);
+        case 'memory':
+        case undefined:
+            return createMemoryStore();
+        default:
+            throw new Error(`Unknown rate limit store "${type}" (expected memory or sqlite)`);
+    }
+}
+
+/**
+ * Create a limiter over `store` with a `{ tier: { type: { capacity, perMinute } } }`
+ * policy table. Tiers missing a type fall back to `defaultTier`.
+ */
+function createRateLimiter({ store = createMemoryStore(), policies, defaultTier = 'anonymous' }) {
+    function policyFor(tier, type) {
+        const policy = policies[tier]?.[type] || policies[defaultTier]?.[type];
+        if (!policy) throw new Error(`No rate limit policy for ${tier}/${type}`);
+        return policy;
+    }
+
+    // Spend `cost` tokens from `key`'s `type` bucket
+    function check({ key, type = 'general', tier = defaultTier, cost = 1 }) {
+        const result = store.take(`${type}:${key}`, policyFor(tier, type), cost, Date.now());
+        if (!result.allowed) {
+            result.message = `Rate limit exceeded. Please try again in ${result.retryAfter} seconds.`;
+        }
+        return { ...result, type, tier };
+    }
+
+    return {
+        store: store.name,
+        check,
+        policyFor,
+        purge: () => store.purge(),
+        close: () => store.close()
+    };
+}
+
+module.exports = {
+    IDLE_BUCKET_TTL_MS,
+    takeTokens,
+    createMemoryStore,
+    createSqliteStore,
+    createStore,
+    createRateLimiter
+};
@@ -0,0 +1,272 @@
+/**
+ * Request Schemas for the JSON API
+ *
+ * Body schemas and size limits for the routes in server.js, in the JSON Schema
+ * subset understood by schema.js. Keep them in step with the handlers: a field
+ * the handler reads should be declared here.
+ */
+
+const { API_KEY_CONFIG } = require('./user-store');
+const { FUND_SORT_ORDERS } = require('./investor-db');
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+const email = { type: 'string', format: 'email', maxLength: 254 };
+const password = { type: 'string', minLength: 6, maxLength: 1024 };
+const website = { type: 'string', maxLength: 2048 };
+const authToken = { type: 'string', minLength: 1, maxLength: 2048 };     // Reset / verification link token
+const recordId = { type: 'string', minLength: 1, maxLength: 100 };
+const stringList = { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 100 } };
+
+// Company profile as produced by analyzeCompany() in company-analysis.js
+const companyProfile = {
+    type: 'object',
+    properties: {
+        company_name: { type: 'string', maxLength: 200 },
+        description: { type: 'string', maxLength: 2000 },
+        industry: { type: 'string', maxLength: 100 },
+        business_model: { type: 'string', maxLength: 100 },
+        target_market: { type: 'string', maxLength: 500 },
+        geography: { type: 'string', maxLength: 100 },
+        headquarters: { type: 'string', maxLength: 200, nullable: true },     // 'City, State, Country'
+        estimated_stage: { type: 'string', maxLength: 50 },
+        tags: stringList,
+        focus_areas: stringList,
+        raise_amount: { type: 'number', minimum: 0, maximum: 10000000000, nullable: true },    // Target round size in USD
+        needs_lead: { type: 'boolean', nullable: true }     // Still looking for a lead investor for the round
+    }
+};
+
+// Company details typed into the search form (see company-documents.js)
+const companyForm = {
+    ...companyProfile,
+    required: ['company_name', 'description'],
+    properties: {
+        ...companyProfile.properties,
+        company_name: { type: 'string', minLength: 1, maxLength: 200 },
+        description: { type: 'string', minLength: 1, maxLength: 2000 }
+    }
+};
+
+const REQUEST_SCHEMAS = {
+    // Exactly one of website_url, pitch_deck, pitch_text or company (checked by the handler)
+    search: {
+        limit: 14 * MB,     // A 10 MB deck, base64-encoded
+        schema: {
+            type: 'object',
+            properties: {
+                website_url: { ...website, minLength: 1 },
+                pitch_deck: {
+                    type: 'object',
+                    required: ['filename', 'content_base64'],
+                    properties: {
+                        filename: { type: 'string', minLength: 1, maxLength: 255 },
+                        content_base64: { type: 'string', minLength: 1 }
+                    }
+                },
+                pitch_text: { type: 'string', minLength: 1, maxLength: 50000 },
+                company: companyForm,
+                force_refresh: { type: 'boolean' },     // Skip the shared analysis cache
+                async: { type: 'boolean' }              // Queue a job and return 202 with its ID
+            }
+        }
+    },
+
+    // A company analysis corrected by the user, matched again without the AI
+    rematch: {
+        limit: 16 * KB,
+        schema: {
+            type: 'object',
+            required: ['company'],
+            properties: {
+                company: {
+                    ...companyProfile,
+                    required: ['company_name'],
+                    properties: {
+                        ...companyProfile.properties,
+                        company_name: { type: 'string', minLength: 1, maxLength: 200 }
+                    }
+                }
+            }
+        }
+    },
+
+    fundSearch: {
+        limit: 16 * KB,
+        schema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', maxLength: 500, nullable: true },
+                name: { type: 'string', maxLength: 200, nullable: true },
+                stages: stringList,
+                focuses: stringList,
+                tags: stringList,
+                locations: stringList,
+                us_city: { type: 'string', maxLength: 100, nullable: true },
+                check_size_min: { type: 'number', minimum: 0, nullable: true },
+                check_size_max: { type: 'number', minimum: 0, nullable: true },
+                has_contacts: { type: 'boolean', nullable: true },
+                verified_only: { type: 'boolean', nullable: true },
+                recently_active_days: { type: 'integer', minimum: 1, maximum: 3650, nullable: true },
+                leads_investments: { type: 'boolean', nullable: true },
+                co_invests: { type: 'boolean', nullable: true },
+                takes_board_seats: { type: 'boolean', nullable: true },
+                sort: { type: 'string', enum: Object.keys(FUND_SORT_ORDERS), nullable: true },
+                page: { type: 'integer', minimum: 1, maximum: 1000 },
+                limit: { type: 'integer', minimum: 1, maximum: 100 }
+            }
+        }
+    },
+
+    updateProfile: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            properties: {
+                company_website: { ...website, nullable: true }
+            }
+        }
+    },
+
+    register: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            required: ['email', 'password', 'company_website'],
+            properties: {
+                email,
+                password,
+                company_website: { ...website, minLength: 1 }
+            }
+        }
+    },
+
+    // No minimum length: accounts from before the current password rules still log in
+    login: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            required: ['email', 'password'],
+            properties: {
+                email,
+                password: { type: 'string', minLength: 1, maxLength: 1024 }
+            }
+        }
+    },
+
+    forgotPassword: {
+        limit: 2 * KB,
+        schema: {
+            type: 'object',
+            required: ['email'],
+            properties: {
+                email
+            }
+        }
+    },
+
+    resetPassword: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            required: ['token', 'password'],
+            properties: {
+                token: authToken,
+                password
+            }
+        }
+    },
+
+    verifyEmail: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            required: ['token'],
+            properties: {
+                token: authToken
+            }
+        }
+    },
+
+    deleteSearch: {
+        limit: 2 * KB,
+        schema: {
+            type: 'object',
+            required: ['search_id'],
+            properties: {
+                search_id: recordId
+            }
+        }
+    },
+
+    revokeSession: {
+        limit: 2 * KB,
+        schema: {
+            type: 'object',
+            required: ['session_id'],
+            properties: {
+                session_id: recordId
+            }
+        }
+    },
+
+    createCheckoutSession: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            required: ['email', 'password', 'company_website'],
+            properties: {
+                email,
+                password,
+                company_website: { ...website, minLength: 1 }
+            }
+        }
+    },
+
+    apiMatch: {
+        limit: 16 * KB,
+        schema: {
+            type: 'object',
+            properties: {
+                website_url: { ...website, minLength: 1 },
+                company: companyProfile,
+                limit: { type: 'integer', minimum: 1, maximum: 100 },
+                force_refresh: { type: 'boolean' }      // With website_url: skip the analysis cache
+            }
+        }
+    },
+
+    createApiKey: {
+        limit: 4 * KB,
+        schema: {
+            type: 'object',
+            required: ['name', 'scopes'],
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 100 },
+                scopes: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: API_KEY_CONFIG.scopes.length,
+                    items: { type: 'string', enum: API_KEY_CONFIG.scopes }
+                },
+                quota_per_day: { type: 'integer', minimum: 1, maximum: API_KEY_CONFIG.maxQuotaPerDay }
+            }
+        }
+    },
+
+    verifyPayment: {
+        limit: 2 * KB,
+        schema: {
+            type: 'object',
+            required: ['session_id'],
+            properties: {
+                session_id: { type: 'string', minLength: 1, maxLength: 255 }
+            }
+        }
+    }
+};
+
+module.exports = {
+    REQUEST_SCHEMAS
+};
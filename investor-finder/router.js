@@ -0,0 +1,273 @@
+/**
+ * HTTP Router
+ *
+ * A small method + path router for the API. Routes are declared with path
+ * parameters (`/api/funds/:id`) and a chain of handlers; each handler receives
+ * the request context and a `next` function, so auth, rate limiting and body
+ * parsing are ordinary middleware placed in front of the route handler.
+ *
+ * Exact paths always win over parameterised ones regardless of declaration
+ * order, so `/api/funds/filters` can never be swallowed by `/api/funds/:id`.
+ *
+ * Errors thrown from any handler are turned into uniform JSON responses:
+ * an HttpError keeps its status and message, anything else becomes a logged 500.
+ *
+ * A route may pass a plain object before its handlers to describe itself
+ * ({ summary, description, tags }); routes() returns it together with what the
+ * middleware declares (body schema, API key scope) for generating API docs.
+ */
+
+const { validate, describeErrors } = require('./schema');
+const { createLogger } = require('./logger');
+
+const log = createLogger('router');
+
+const DEFAULT_BODY_LIMIT = 100 * 1024; // 100 KB
+
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.extra = extra;     // Additional fields merged into the JSON error body
+    }
+}
+
+// Turn '/api/funds/:id' into a matcher that extracts { id }
+function compilePath(pattern) {
+    const keys = [];
+    const source = pattern
+        .split('/')
+        .map(segment => {
+            if (segment.startsWith(':')) {
+                keys.push(segment.slice(1));
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+
+    return {
+        keys,
+        regex: new RegExp(`^${source}/?$`),
+        isStatic: keys.length === 0
+    };
+}
+
+function createRouter(options = {}) {
+    const send = options.send || ((res, status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    });
+
+    const routes = [];
+    const middleware = [];
+
+    function add(method, pattern, args) {
+        const meta = typeof args[0] === 'object' ? args[0] : {};
+        const handlers = typeof args[0] === 'object' ? args.slice(1) : args;
+        if (handlers.length === 0) {
+            throw new Error(`Route ${method} ${pattern} has no handler`);
+        }
+        routes.push({ method, pattern, meta, handlers, ...compilePath(pattern) });
+    }
+
+    function describe(route) {
+        const declared = key => route.handlers.find(h => h[key] !== undefined)?.[key];
+        return {
+            method: route.method,
+            pattern: route.pattern,
+            params: route.keys,
+            meta: route.meta,
+            bodySchema: declared('bodySchema') || null,
+            scope: declared('scope') || null
+        };
+    }
+
+    // Run middleware for every matched route whose path starts with prefix
+    function use(prefix, fn) {
+        if (typeof prefix === 'function') {
+            fn = prefix;
+            prefix = '/';
+        }
+        middleware.push({ prefix, fn });
+    }
+
+    function matchPath(route, pathname) {
+        const match = route.regex.exec(pathname);
+        if (!match) return null;
+
+        const params = {};
+        route.keys.forEach((key, i) => {
+            try {
+                params[key] = decodeURIComponent(match[i + 1]);
+            } catch (e) {
+                params[key] = match[i + 1];
+            }
+        });
+        return params;
+    }
+
+    // Find the route for a request: exact paths first, then parameterised ones
+    function find(method, pathname) {
+        const allowed = new Set();
+        for (const staticPass of [true, false]) {
+            for (const route of routes) {
+                if (route.isStatic !== staticPass) continue;
+                const params = matchPath(route, pathname);
+                if (!params) continue;
+                if (route.method === method || (method === 'HEAD' && route.method === 'GET')) {
+                    return { route, params };
+                }
+                allowed.add(route.method);
+            }
+            if (allowed.size > 0) break;
+        }
+        return { route: null, allowed: [...allowed] };
+    }
+
+    function sendError(ctx, err) {
+        const { res } = ctx;
+        if (!(err instanceof HttpError)) {
+            log.error(`${ctx.req.method} ${ctx.url.pathname} error`, { route: ctx.route, err });
+        }
+        if (res.headersSent) {
+            if (!res.writableEnded) res.end();
+            return;
+        }
+
+        const status = err instanceof HttpError ? err.status : 500;
+        const message = err instanceof HttpError ? err.message : 'Internal server error';
+        send(res, status, { error: message, ...(err.extra || {}) });
+    }
+
+    // Dispatch a request context. Returns false if no route matches the path,
+    // so the caller can fall through (e.g. to static files).
+    async function handle(ctx) {
+        const { route, params, allowed } = find(ctx.req.method, ctx.url.pathname);
+
+        if (!route) {
+            if (allowed.length === 0) return false;
+            ctx.res.setHeader('Allow', allowed.join(', '));
+            sendError(ctx, new HttpError(405, `Method ${ctx.req.method} not allowed`));
+            return true;
+        }
+
+        ctx.params = params;
+        ctx.route = route.pattern;
+
+        const chain = [
+            ...middleware.filter(m => ctx.url.pathname.startsWith(m.prefix)).map(m => m.fn),
+            ...route.handlers
+        ];
+
+        let index = -1;
+        async function dispatch(i) {
+            if (i <= index) throw new Error('next() called multiple times');
+            index = i;
+            const fn = chain[i];
+            if (fn) await fn(ctx, () => dispatch(i + 1));
+        }
+
+        try {
+            await dispatch(0);
+        } catch (err) {
+            sendError(ctx, err);
+        }
+        return true;
+    }
+
+    return {
+        get: (pattern, ...args) => add('GET', pattern, args),
+        post: (pattern, ...args) => add('POST', pattern, args),
+        put: (pattern, ...args) => add('PUT', pattern, args),
+        delete: (pattern, ...args) => add('DELETE', pattern, args),
+        use,
+        handle,
+        routes: () => routes.map(describe)
+    };
+}
+
+// Read the raw request body, rejecting with 413 once it exceeds `limit` bytes
+function readBody(req, limit = DEFAULT_BODY_LIMIT) {
+    return new Promise((resolve, reject) => {
+        const declared = Number(req.headers['content-length']);
+        if (declared > limit) {
+            req.resume();
+            reject(new HttpError(413, `Request body too large (max ${limit} bytes)`));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > limit) {
+                tooLarge = true;
+                reject(new HttpError(413, `Request body too large (max ${limit} bytes)`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!tooLarge) resolve(Buffer.concat(chunks).toString('utf-8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+// Middleware: parse a JSON body into ctx.body (an empty body becomes {}).
+// With a schema (see schema.js), invalid bodies are rejected with 400 and a
+// `details` list of { field, message }.
+function jsonBody({ limit = DEFAULT_BODY_LIMIT, schema = null } = {}) {
+    const middleware = async (ctx, next) => {
+        const raw = await readBody(ctx.req, limit);
+        if (raw.trim() === '') {
+            ctx.body = {};
+        } else {
+            try {
+                ctx.body = JSON.parse(raw);
+            } catch (e) {
+                throw new HttpError(400, 'Request body must be valid JSON');
+            }
+        }
+
+        if (schema) {
+            const errors = validate(schema, ctx.body);
+            if (errors.length > 0) {
+                throw new HttpError(400, describeErrors(errors), { details: errors });
+            }
+        }
+        await next();
+    };
+
+    // Exposed so routes can be introspected (e.g. for API docs)
+    middleware.bodySchema = schema;
+    middleware.bodyLimit = limit;
+    return middleware;
+}
+
+// Middleware: report unexpected errors from later handlers with a route-specific
+// message instead of the generic one (HttpErrors pass through unchanged)
+function errorMessage(message) {
+    return async (ctx, next) => {
+        try {
+            await next();
+        } catch (err) {
+            if (err instanceof HttpError) throw err;
+            log.error(`${ctx.req.method} ${ctx.url.pathname} error`, { route: ctx.route, err });
+            throw new HttpError(500, message);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_BODY_LIMIT,
+    HttpError,
+    createRouter,
+    readBody,
+    jsonBody,
+    errorMessage
+};
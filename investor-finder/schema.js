@@ -0,0 +1,113 @@
+/**
+ * Request Schemas
+ *
+ * Declarative validation for JSON request bodies, using a small subset of JSON
+ * Schema (the same shape OpenAPI uses), so route schemas can double as API docs:
+ *
+ *   type          'object' | 'string' | 'number' | 'integer' | 'boolean' | 'array'
+ *   nullable      null is accepted in addition to `type`
+ *   properties, required                       (objects)
+ *   minLength, maxLength, pattern, format      (strings; format: 'email')
+ *   minimum, maximum                           (numbers)
+ *   items, minItems, maxItems                  (arrays)
+ *   enum
+ *
+ * validate() collects every problem rather than stopping at the first, so a
+ * client gets one error per offending field.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validate `value` against `schema`; returns [{ field, message }] (empty when valid)
+function validate(schema, value, field = '') {
+    const errors = [];
+    const fail = message => errors.push({ field: field || '(body)', message });
+
+    if (value === null) {
+        if (!schema.nullable) fail('must not be null');
+        return errors;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail('has an invalid format');
+            }
+            if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+                fail('must be a valid email address');
+            }
+            break;
+
+        case 'number':
+        case 'integer':
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`must be at most ${schema.maximum}`);
+            }
+            break;
+
+        case 'array':
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                fail(`must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, i) => errors.push(...validate(schema.items, item, `${field}[${i}]`)));
+            }
+            break;
+
+        case 'object':
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+                }
+            }
+            for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+                if (value[key] !== undefined) {
+                    errors.push(...validate(propSchema, value[key], field ? `${field}.${key}` : key));
+                }
+            }
+            break;
+    }
+
+    return errors;
+}
+
+// One readable sentence for clients that only show `error`
+function describeErrors(errors) {
+    return errors.map(e => `${e.field} ${e.message}`).join('; ');
+}
+
+module.exports = {
+    validate,
+    describeErrors
+};
@@ -0,0 +1,182 @@
+/**
+ * Search Job Queue
+ *
+ * Runs website searches (scrape, analyze, match) in the background so the HTTP
+ * request that starts one can return straight away with a job ID. Each job
+ * keeps an ordered log of events (status changes, phase progress, the result
+ * or error) that subscribers receive as they happen; a subscriber that
+ * connects late, or reconnects, is replayed what it missed first.
+ *
+ * Jobs run at most `concurrency` at a time in FIFO order, and an owner can't
+ * have more than `maxActivePerOwner` queued or running. Finished jobs are kept
+ * for `retentionMs` so results can be fetched after the fact.
+ *
+ * Jobs live in memory: they belong to the process that accepted them and are
+ * lost on restart.
+ */
+
+const crypto = require('crypto');
+
+const SEARCH_JOB_CONFIG = {
+    concurrency: Number(process.env.SEARCH_JOB_CONCURRENCY) || 2,
+    maxActivePerOwner: 3,
+    retentionMs: 60 * 60 * 1000     // Finished jobs (and their results) kept for an hour
+};
+
+class JobLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JobLimitError';
+    }
+}
+
+/**
+ * Create a queue. `run(input, progress, job)` does the work and resolves with
+ * the result; `progress(phase, state, message)` reports phase progress.
+ */
+function createJobQueue({ run, concurrency, maxActivePerOwner, retentionMs } = {}) {
+    const config = { ...SEARCH_JOB_CONFIG, ...pickDefined({ concurrency, maxActivePerOwner, retentionMs }) };
+    const jobs = new Map();        // id -> job
+    const waiting = [];            // ids in FIFO order
+    let running = 0;
+
+    function emit(job, type, data) {
+        const event = { id: job.events.length + 1, type, data };
+        job.events.push(event);
+        for (const listener of job.listeners) listener(event);
+    }
+
+    function isFinished(job) {
+        return job.status === 'succeeded' || job.status === 'failed';
+    }
+
+    // Public view of a job (no input, listeners or event log)
+    function view(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            phase: job.phase,
+            position: job.status === 'queued' ? job.position : undefined,
+            created_at: job.created_at,
+            started_at: job.started_at,
+            finished_at: job.finished_at,
+            result: job.result,
+            error: job.error
+        };
+    }
+
+    function pump() {
+        while (running < config.concurrency && waiting.length > 0) {
+            execute(jobs.get(waiting.shift()));
+        }
+        // Tell waiting jobs where they now stand in the queue
+        waiting.forEach((id, i) => {
+            const job = jobs.get(id);
+            if (job.position === i + 1) return;
+            job.position = i + 1;
+            emit(job, 'status', { status: 'queued', position: job.position });
+        });
+    }
+
+    async function execute(job) {
+        running++;
+        job.status = 'running';
+        job.started_at = new Date().toISOString();
+        emit(job, 'status', { status: 'running' });
+
+        const progress = (phase, state, message) => {
+            job.phase = phase;
+            emit(job, 'progress', { phase, state, message });
+        };
+
+        try {
+            job.result = await run(job.input, progress, job);
+            job.status = 'succeeded';
+            emit(job, 'complete', { result: job.result });
+        } catch (err) {
+            job.status = 'failed';
+            job.error = { message: err.message, status: err.status || 500 };
+            emit(job, 'failed', { error: job.error.message, status: job.error.status });
+        } finally {
+            job.finished_at = new Date().toISOString();
+            job.input = null;
+            job.listeners.clear();
+            running--;
+            pump();
+        }
+    }
+
+    return {
+        // Queue a job for `owner`; throws JobLimitError when the owner has too many
+        enqueue(owner, input) {
+            const active = [...jobs.values()].filter(j => j.owner === owner && !isFinished(j)).length;
+            if (active >= config.maxActivePerOwner) {
+                throw new JobLimitError(`You already have ${active} searches in progress. Please wait for one to finish.`);
+            }
+
+            const job = {
+                id: crypto.randomUUID(),
+                owner,
+                input,
+                status: 'queued',
+                phase: null,
+                position: null,
+                created_at: new Date().toISOString(),
+                started_at: null,
+                finished_at: null,
+                result: null,
+                error: null,
+                events: [],
+                listeners: new Set()
+            };
+            jobs.set(job.id, job);
+            waiting.push(job.id);
+            pump();
+            return view(job);
+        },
+
+        // The job if it exists and belongs to `owner`
+        get(id, owner) {
+            const job = jobs.get(id);
+            return job && job.owner === owner ? view(job) : null;
+        },
+
+        // Replay events after `lastEventId`, then deliver new ones until the job
+        // finishes. Returns an unsubscribe function.
+        subscribe(id, listener, lastEventId = 0) {
+            const job = jobs.get(id);
+            for (const event of job.events) {
+                if (event.id > lastEventId) listener(event);
+            }
+            if (isFinished(job)) return () => {};
+            job.listeners.add(listener);
+            return () => job.listeners.delete(listener);
+        },
+
+        // Drop finished jobs past their retention
+        purge(now = Date.now()) {
+            let removed = 0;
+            for (const [id, job] of jobs) {
+                if (isFinished(job) && now - Date.parse(job.finished_at) > config.retentionMs) {
+                    jobs.delete(id);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        stats() {
+            return { queued: waiting.length, running, retained: jobs.size };
+        }
+    };
+}
+
+function pickDefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+    SEARCH_JOB_CONFIG,
+    JobLimitError,
+    createJobQueue
+};
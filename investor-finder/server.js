@@ -4,9 +4,10 @@ const path = require('path');
 const { URL } = require('url');
 const Stripe = require('stripe');
 require('dotenv').config();
+const { appDataPath, adoptLegacyDatabase } = require('./app-data');
 
 // Dynamic imports for ESM modules
-let fetch, cheerio, OpenAI;
+let fetch, cheerio;
 
 const PORT = 3000;
 
@@ -14,122 +15,35 @@ const PORT = 3000;
 // Rate Limiting Configuration
 // ============================================================================
 
+// Token buckets per subscription tier and limit type (see rate-limiter.js):
+// `capacity` is the burst allowed, `perMinute` the sustained rate. Tiers that
+// don't list a type use the anonymous limit.
 const RATE_LIMIT = {
-    windowMs: 60 * 1000,        // 1 minute window
-    maxRequests: 100,           // Max 100 requests per window for general endpoints
-    maxSearchRequests: 10,      // Max 10 AI search requests per window (expensive)
-    maxAuthRequests: 5,         // Max 5 login/register attempts per window
-    blockDurationMs: 5 * 60 * 1000  // Block for 5 minutes if limit exceeded
-};
-
-// In-memory rate limit storage: IP -> { requests: [{timestamp}], blocked_until }
-const rateLimitStore = new Map();
-
-// Clean up old rate limit entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, data] of rateLimitStore.entries()) {
-        // Remove entries older than the window + block duration
-        if (data.blocked_until && data.blocked_until < now) {
-            data.blocked_until = null;
-        }
-        // Clean old requests
-        data.requests = data.requests.filter(r => now - r.timestamp < RATE_LIMIT.windowMs);
-        data.searchRequests = (data.searchRequests || []).filter(r => now - r.timestamp < RATE_LIMIT.windowMs);
-        data.authRequests = (data.authRequests || []).filter(r => now - r.timestamp < RATE_LIMIT.windowMs);
-        // Remove empty entries
-        if (data.requests.length === 0 && !data.blocked_until) {
-            rateLimitStore.delete(ip);
+    tiers: {
+        anonymous: {
+            general: { capacity: 100, perMinute: 100 },
+            search: { capacity: 10, perMinute: 10 },    // AI searches are expensive
+            auth: { capacity: 5, perMinute: 1 }         // Login/register attempts, always per IP
+        },
+        free: {
+            general: { capacity: 100, perMinute: 100 },
+            search: { capacity: 10, perMinute: 10 }
+        },
+        paid: {
+            general: { capacity: 300, perMinute: 300 },
+            search: { capacity: 30, perMinute: 30 }
         }
-    }
-}, 5 * 60 * 1000);
-
-// Get client IP from request (handles proxies)
-function getClientIP(req) {
-    // Check for forwarded IP (when behind proxy/load balancer)
-    const forwarded = req.headers['x-forwarded-for'];
-    if (forwarded) {
-        return forwarded.split(',')[0].trim();
-    }
-    const realIP = req.headers['x-real-ip'];
-    if (realIP) {
-        return realIP.trim();
-    }
-    // Fallback to socket address
-    return req.socket?.remoteAddress || req.connection?.remoteAddress || 'unknown';
-}
+    },
+    // RATE_LIMIT_STORE=sqlite keeps buckets in a file, so limits survive
+    // restarts and are shared by every worker using the same RATE_LIMIT_DB_PATH
+    store: process.env.RATE_LIMIT_STORE || 'memory',
+    dbPath: process.env.RATE_LIMIT_DB_PATH || appDataPath('rate-limits.db'),
+    // Proxies allowed to set X-Forwarded-For (see client-ip.js)
+    trustedProxies: process.env.TRUSTED_PROXIES ?? 'loopback'
+};
 
-// Check rate limit for an IP
-function checkRateLimit(ip, type = 'general') {
-    const now = Date.now();
-    
-    if (!rateLimitStore.has(ip)) {
-        rateLimitStore.set(ip, { 
-            requests: [], 
-            searchRequests: [],
-            authRequests: [],
-            blocked_until: null 
-        });
-    }
-    
-    const data = rateLimitStore.get(ip);
-    
-    // Check if IP is blocked
-    if (data.blocked_until && data.blocked_until > now) {
-        const remainingMs = data.blocked_until - now;
-        return { 
-            allowed: false, 
-            blocked: true,
-            retryAfter: Math.ceil(remainingMs / 1000),
-            message: `Too many requests. Please try again in ${Math.ceil(remainingMs / 1000)} seconds.`
-        };
-    }
-    
-    // Clean old entries
-    data.requests = data.requests.filter(r => now - r.timestamp < RATE_LIMIT.windowMs);
-    data.searchRequests = (data.searchRequests || []).filter(r => now - r.timestamp < RATE_LIMIT.windowMs);
-    data.authRequests = (data.authRequests || []).filter(r => now - r.timestamp < RATE_LIMIT.windowMs);
-    
-    // Determine which limit to check
-    let currentCount, maxLimit, requestArray;
-    if (type === 'search') {
-        requestArray = data.searchRequests;
-        currentCount = requestArray.length;
-        maxLimit = RATE_LIMIT.maxSearchRequests;
-    } else if (type === 'auth') {
-        requestArray = data.authRequests;
-        currentCount = requestArray.length;
-        maxLimit = RATE_LIMIT.maxAuthRequests;
-    } else {
-        requestArray = data.requests;
-        currentCount = requestArray.length;
-        maxLimit = RATE_LIMIT.maxRequests;
-    }
-    
-    // Check if limit exceeded
-    if (currentCount >= maxLimit) {
-        // Block the IP for the block duration
-        data.blocked_until = now + RATE_LIMIT.blockDurationMs;
-        console.log(`⚠️ Rate limit exceeded for IP ${ip} (${type}). Blocked until ${new Date(data.blocked_until).toISOString()}`);
-        return { 
-            allowed: false, 
-            blocked: true,
-            retryAfter: Math.ceil(RATE_LIMIT.blockDurationMs / 1000),
-            message: `Rate limit exceeded. Please try again in ${Math.ceil(RATE_LIMIT.blockDurationMs / 1000)} seconds.`
-        };
-    }
-    
-    // Add request to the appropriate counter
-    requestArray.push({ timestamp: now });
-    
-    return { 
-        allowed: true, 
-        remaining: maxLimit - currentCount - 1,
-        limit: maxLimit,
-        resetIn: Math.ceil(RATE_LIMIT.windowMs / 1000)
-    };
-}
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Company analyses are shared by every user for ANALYSIS_CACHE_TTL_HOURS (see analysis-cache.js)
+const ANALYSIS_CACHE_DB_PATH = process.env.ANALYSIS_CACHE_DB_PATH || appDataPath('analysis-cache.db');
 
 // Stripe Configuration
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
@@ -137,97 +51,305 @@ const STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY;
 const STRIPE_PRICE_AMOUNT = 4900; // $49.00 in cents
 const stripe = new Stripe(STRIPE_SECRET_KEY);
 
-// Database paths (relative to parent directory)
-const DATA_DIR = path.join(__dirname, '..', 'results', 'unified_database');
-const INVESTORS_PATH = path.join(DATA_DIR, 'investors.json');
-const TEAM_MEMBERS_PATH = path.join(DATA_DIR, 'team_members.json');
-const INVESTMENTS_PATH = path.join(DATA_DIR, 'investments.json');
-const FOUNDERS_PATH = path.join(DATA_DIR, 'founders.json');
-const ENRICHED_PATH = path.join(DATA_DIR, 'enriched_investors.json');
-const USERS_PATH = path.join(__dirname, 'users.json');
-
-// In-memory database
-let investors = [];
-let teamMembers = [];
-let investments = [];
-let founders = [];
-let enrichedInvestors = {}; // investor_id -> enrichment data
-let foundersByCompany = new Map(); // company_name -> founders[]
-let users = []; // User accounts
-let sessions = new Map(); // sessionToken -> user
-let openai = null;
+// Investor database (SQLite, imported from results/unified_database/*.json)
+const { DATA_DIR, DB_PATH, isDatabaseStale } = require('./investor-db');
+const { createSnapshotManager } = require('./investor-snapshots');
+const { USERS_DB_PATH, LEGACY_USERS_DB_PATH, LEGACY_USERS_PATH, SESSION_CONFIG, API_KEY_CONFIG, openUserStore } = require('./user-store');
+const { hashPassword, verifyPassword } = require('./password-hash');
+const { createAuthToken, verifyAuthToken, fingerprint } = require('./auth-tokens');
+const { createMailTransport } = require('./mailer');
+const { HttpError, createRouter, jsonBody, errorMessage } = require('./router');
+const { REQUEST_SCHEMAS } = require('./request-schemas');
+const { buildOpenApiDocument } = require('./openapi');
+const { MONTHLY_AI_QUOTAS, estimateCost, currentPeriod } = require('./ai-usage');
+const { createMetricsRegistry } = require('./metrics');
+const { createLogger, withLogContext, getLogContext } = require('./logger');
+const { createStore, createRateLimiter } = require('./rate-limiter');
+const { createClientIpResolver } = require('./client-ip');
+const { createLlmClient } = require('./llm-client');
+const { analyzeCompany, parseNaturalLanguageQuery } = require('./company-analysis');
+const { contentHash, openAnalysisCache } = require('./analysis-cache');
+const { SEARCH_JOB_CONFIG, JobLimitError, createJobQueue } = require('./search-jobs');
+const { createCrawler } = require('./site-crawler');
+const { DocumentError, documentFromPdf, documentFromText, documentFromForm } = require('./company-documents');
+const { describeLocation } = require('./geography');
+const { fundActivity } = require('./fund-activity');
+const { EMBEDDINGS_DB_PATH, companyAnalysisText, createEmbeddingIndexLoader } = require('./embedding-index');
+const {
+    toArray, normalize, normalizeUrl, extractCategories, formatUsd, companyLocation,
+    scoreCheckSizeFit, scoreGeographyFit, scoreDeploymentActivity, scoreLeadFit,
+    prepareSemanticFit, scoreSemanticFit, portfolioProfileMatch, portfolioNameMatch, describePortfolioMatch
+} = require('./match-scoring');
+
+const log = createLogger('server');
+
+// Public base URL used in links sent by email
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+
+// Lifetimes of the links sent by email
+const AUTH_TOKEN_TTL = {
+    passwordReset: 60 * 60 * 1000,          // 1 hour
+    emailVerification: 3 * 24 * 60 * 60 * 1000  // 3 days
+};
+
+// Admin accounts (comma-separated emails) allowed to use /api/admin/*
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+
+// Client IP (X-Forwarded-For only from trusted proxies) and request rate limits
+const getClientIP = createClientIpResolver(RATE_LIMIT.trustedProxies);
+const rateLimiter = createRateLimiter({
+    store: createStore(RATE_LIMIT.store, { dbPath: RATE_LIMIT.dbPath }),
+    policies: RATE_LIMIT.tiers
+});
+setInterval(() => rateLimiter.purge(), 5 * 60 * 1000).unref();
+
+// Live investor database; hot-reloaded when the JSON exports change
+const investorSnapshots = createSnapshotManager({ dataDir: DATA_DIR, dbPath: DB_PATH });
+const filterOptionsCache = new WeakMap(); // investorDb -> filter options
+const portfolioIndexCache = new WeakMap(); // investorDb -> every fund's investments and portfolio profiles
+const currentEmbeddingIndex = createEmbeddingIndexLoader(EMBEDDINGS_DB_PATH, { onCall: recordLlmCall }); // Semantic index, reloaded when rebuilt
+let userStore = null; // User accounts and login sessions (users.db)
+let mailer = null; // Outgoing email (see mailer.js for MAIL_TRANSPORT options)
+let authTokenSecret = null; // Signs password reset / email verification links
+let llm = null; // Model calls (see llm-client.js for LLM_PROVIDER options)
+let analysisCache = null; // analyzeCompany() results by domain (analysis-cache.db)
+let crawler = null; // Reads company websites (see site-crawler.js)
+let ready = false; // Set once initialize() has loaded the database; gates /readyz
 
 // ============================================================================
-// User Authentication System
+// Metrics (Prometheus text format at /metrics)
 // ============================================================================
 
-const crypto = require('crypto');
+const metrics = createMetricsRegistry();
 
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
-}
+const httpRequestsTotal = metrics.counter(
+    'http_requests_total', 'HTTP requests by route pattern and status code',
+    ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram(
+    'http_request_duration_seconds', 'HTTP request latency by route pattern',
+    ['method', 'route']);
+const llmRequestsTotal = metrics.counter(
+    'llm_requests_total', 'LLM calls by provider, operation and outcome (retries included)',
+    ['provider', 'operation', 'outcome']);
+const llmRequestDuration = metrics.histogram(
+    'llm_request_duration_seconds', 'LLM call latency by operation, retries included',
+    ['provider', 'operation'], [0.25, 0.5, 1, 2, 5, 10, 20, 40, 60]);
+const llmTokensTotal = metrics.counter(
+    'llm_tokens_total', 'LLM tokens used by operation and kind (prompt, completion)',
+    ['provider', 'operation', 'kind']);
+const llmCostTotal = metrics.counter(
+    'llm_estimated_cost_usd_total', 'Estimated LLM spend in USD by operation',
+    ['provider', 'operation']);
+const analysisCacheLookupsTotal = metrics.counter(
+    'analysis_cache_lookups_total', 'Company analysis cache lookups by result (hit, revalidated, changed, miss, refreshed)',
+    ['result']);
+const rateLimitRejectionsTotal = metrics.counter(
+    'rate_limit_rejections_total', 'Requests rejected with 429 by rate limit bucket',
+    ['type']);
+
+metrics.gauge('investor_db_records', 'Records in the live investor database snapshot', ['table'], () => {
+    const counts = investorSnapshots.status().counts;
+    return counts && Object.entries(counts).map(([table, value]) => ({ labels: { table }, value }));
+});
+metrics.gauge('analysis_cache_entries', 'Company analyses in the cache', [], () => analysisCache?.count());
+metrics.gauge('search_jobs', 'Background search jobs by state', ['state'], () => {
+    const { queued, running } = searchJobs.stats();
+    return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+});
+metrics.gauge('active_sessions', 'Unexpired login sessions', [], () => userStore?.countActiveSessions());
+metrics.gauge('process_uptime_seconds', 'Seconds since the server process started', [], () => process.uptime());
+metrics.gauge('server_ready', '1 once the database is loaded and the server accepts traffic', [], () => ready ? 1 : 0);
 
-function generateSessionToken() {
-    return crypto.randomBytes(32).toString('hex');
+// onCall hook of the LLM client and the embedder: count the call as a success
+// or error and charge its tokens to the monthly AI quota of `context.userId`. Tokens spent on
+// failed attempts are charged too. A self-hosted openai-compatible model costs
+// nothing; fixture replays are priced like the model they recorded, so quota
+// behaviour can be exercised offline.
+function recordLlmCall({ operation, provider, model, outcome, durationSeconds, usage, context }) {
+    llmRequestsTotal.inc({ provider, operation, outcome });
+    llmRequestDuration.observe({ provider, operation }, durationSeconds);
+    
+    const costUsd = provider === 'openai-compatible' ? 0 : estimateCost(model, usage);
+    llmTokensTotal.inc({ provider, operation, kind: 'prompt' }, usage.prompt_tokens);
+    llmTokensTotal.inc({ provider, operation, kind: 'completion' }, usage.completion_tokens);
+    llmCostTotal.inc({ provider, operation }, costUsd);
+    const userId = context?.userId;
+    if (!userId || (!usage.prompt_tokens && !usage.completion_tokens)) return;
+    
+    userStore.recordAiUsage(userId, {
+        operation,
+        model,
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+        costUsd
+    });
 }
 
+// ============================================================================
+// User Authentication System
+// ============================================================================
+
+const crypto = require('crypto');
+
 function loadUsers() {
-    try {
-        if (fs.existsSync(USERS_PATH)) {
-            users = JSON.parse(fs.readFileSync(USERS_PATH, 'utf-8'));
-            console.log(`   ✅ Loaded ${users.length} users`);
-        } else {
-            users = [];
-            saveUsers();
-            console.log('   ✅ Created new users database');
-        }
-    } catch (err) {
-        console.error('   ❌ Error loading users:', err.message);
-        users = [];
+    // users.db used to sit next to the code, where it could be downloaded
+    if (adoptLegacyDatabase(LEGACY_USERS_DB_PATH, USERS_DB_PATH)) {
+        log.info(`   🚚 Moved users.db to ${USERS_DB_PATH}`);
+    }
+    userStore = openUserStore(USERS_DB_PATH);
+    
+    // One-time import of accounts from the legacy users.json flat file
+    const migrated = userStore.migrateFromJson(LEGACY_USERS_PATH);
+    if (migrated > 0) {
+        log.info(`   ✅ Migrated ${migrated} users from users.json`, { migrated });
     }
+    log.info(`   ✅ Loaded ${userStore.countUsers()} users`);
+    
+    // Sessions expire server-side; sweep out the dead ones periodically
+    const purged = userStore.purgeExpiredSessions();
+    log.info(`   ✅ ${userStore.countActiveSessions()} active sessions${purged ? ` (${purged} expired removed)` : ''}`);
+    setInterval(() => {
+        userStore.purgeExpiredSessions();
+        userStore.purgeExpiredPendingRegistrations();
+    }, 60 * 60 * 1000).unref();
+}
+
+function loadAnalysisCache() {
+    // Older versions kept the cache next to the code
+    adoptLegacyDatabase(path.join(__dirname, 'analysis-cache.db'), ANALYSIS_CACHE_DB_PATH);
+    analysisCache = openAnalysisCache(ANALYSIS_CACHE_DB_PATH);
+    analysisCache.purge();
+    log.info(`   ✅ ${analysisCache.count()} cached company analyses`);
+    setInterval(() => analysisCache.purge(), 24 * 60 * 60 * 1000).unref();
 }
 
-function saveUsers() {
-    fs.writeFileSync(USERS_PATH, JSON.stringify(users, null, 2));
+// Signing secret for reset / verification links, and the mail transport that sends them
+function setupAuthMail() {
+    // Set AUTH_TOKEN_SECRET when running several servers against one users.db
+    authTokenSecret = process.env.AUTH_TOKEN_SECRET || userStore.getOrCreateSecret('auth_tokens');
+    mailer = createMailTransport();
+    log.info(`   ✅ Mail transport: ${mailer.name}${mailer.name === 'console' ? ' (messages logged at debug level)' : ''}`);
 }
 
 function findUserByEmail(email) {
-    return users.find(u => u.email.toLowerCase() === email.toLowerCase());
+    return userStore.findByEmail(email);
 }
 
 function findUserById(id) {
-    return users.find(u => u.id === id);
+    return userStore.findById(id);
+}
+
+// Paid subscription that hasn't lapsed
+function hasActiveSubscription(user) {
+    const expiresAt = user.expires_at ? new Date(user.expires_at) : null;
+    return user.status === 'active' && (!expiresAt || expiresAt > new Date());
+}
+
+// Rate limit / quota tier for a signed-in user
+function subscriptionTier(user) {
+    return hasActiveSubscription(user) ? 'paid' : 'free';
+}
+
+// This month's AI usage against the user's quota
+function getAiQuota(user) {
+    const tier = subscriptionTier(user);
+    const period = currentPeriod();
+    const usage = userStore.getAiUsage(user.id, period.start);
+    const limitUsd = MONTHLY_AI_QUOTAS[tier];
+    return {
+        tier,
+        period_start: period.start,
+        resets_at: period.resetsAt,
+        limit_usd: limitUsd,
+        used_usd: usage.cost_usd,
+        remaining_usd: Math.max(0, limitUsd - usage.cost_usd),
+        exhausted: usage.cost_usd >= limitUsd,
+        requests: usage.requests,
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+        by_operation: usage.by_operation
+    };
+}
+
+// 402 for a request that needs OpenAI once the monthly quota is used up
+function aiQuotaExceededError(quota) {
+    const { by_operation, ...summary } = quota;
+    return new HttpError(402, `Monthly AI usage quota reached. It resets on ${quota.resets_at.slice(0, 10)}.`, {
+        code: 'ai_quota_exceeded',
+        usage: summary,
+        ...(quota.tier === 'free' ? { action: 'upgrade' } : {})
+    });
+}
+
+// Create a persistent session for a user and set the cookie
+function startSession(req, res, user) {
+    const session = userStore.createSession(user.id, {
+        ip: getClientIP(req),
+        userAgent: req.headers['user-agent']
+    });
+    setSessionCookie(res, session.token, session.expires_at);
+    return session;
+}
+
+// Email a link that proves the user owns their address
+async function sendVerificationEmail(user) {
+    const token = createAuthToken(authTokenSecret, 'verify_email', {
+        sub: user.id,
+        email: user.email.toLowerCase()
+    }, AUTH_TOKEN_TTL.emailVerification);
+    const link = `${APP_URL}/verify-email.html?token=${encodeURIComponent(token)}`;
+    
+    await mailer.send({
+        to: user.email,
+        subject: 'Confirm your Investor Match email',
+        text: `Welcome to Investor Match!\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 3 days.`,
+        html: `<p>Welcome to Investor Match!</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 3 days.</p>`
+    });
+}
+
+// Email a one-time password reset link. The token is bound to the current
+// password hash, so it stops working as soon as the password changes.
+async function sendPasswordResetEmail(user) {
+    const token = createAuthToken(authTokenSecret, 'reset_password', {
+        sub: user.id,
+        pwd: fingerprint(user.password_hash)
+    }, AUTH_TOKEN_TTL.passwordReset);
+    const link = `${APP_URL}/reset-password.html?token=${encodeURIComponent(token)}`;
+    
+    await mailer.send({
+        to: user.email,
+        subject: 'Reset your Investor Match password',
+        text: `Someone asked to reset the password for ${user.email}.\n\nChoose a new password here:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+        html: `<p>Someone asked to reset the password for ${user.email}.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+    });
+}
+
+// Registration shouldn't fail because the mail server is down; the user can resend later
+function sendVerificationEmailInBackground(user) {
+    sendVerificationEmail(user).catch(err => {
+        log.error(`❌ Failed to send verification email to ${user.email}`, { user_id: user.id, err });
+    });
 }
 
-function findUserBySession(sessionToken) {
-    return sessions.get(sessionToken);
+function isAdmin(user) {
+    return !!user && ADMIN_EMAILS.includes(user.email.toLowerCase());
 }
 
-// Add a search to user's history
+// Add a search to user's history (the store keeps only the last 20)
 function addSearchToHistory(userId, searchData) {
-    const user = findUserById(userId);
-    if (!user) return;
+    if (!findUserById(userId)) return;
     
-    if (!user.search_history) {
-        user.search_history = [];
-    }
-    
-    // Add new search at the beginning
-    user.search_history.unshift({
+    userStore.addSearch(userId, {
         id: crypto.randomUUID(),
         query: searchData.query,
         company_name: searchData.company_name,
         matches_count: searchData.matches_count,
-        type: searchData.type || 'website_search', // 'website_search' or 'fund_search'
+        type: searchData.type || 'website_search', // 'website_search', 'document_search' or 'fund_search'
         searched_at: new Date().toISOString()
     });
-    
-    // Keep only last 20 searches
-    if (user.search_history.length > 20) {
-        user.search_history = user.search_history.slice(0, 20);
-    }
-    
-    saveUsers();
 }
 
 function getSessionFromCookie(req) {
@@ -238,9 +360,9 @@ function getSessionFromCookie(req) {
     return match ? match[1] : null;
 }
 
-function setSessionCookie(res, sessionToken) {
-    // Set cookie that expires in 7 days
-    const expires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toUTCString();
+function setSessionCookie(res, sessionToken, expiresAt) {
+    // Cookie lives as long as the server-side session (7 days, renewed while in use)
+    const expires = new Date(expiresAt || Date.now() + SESSION_CONFIG.ttlMs).toUTCString();
     res.setHeader('Set-Cookie', `session=${sessionToken}; Path=/; HttpOnly; Expires=${expires}`);
 }
 
@@ -249,6 +371,10 @@ function clearSessionCookie(res) {
 }
 
 // MIME types for static files
+// The only files served from the app directory: the top-level pages. The code,
+// users.json and fixtures next to them are not
+const STATIC_PAGES = new Set(fs.readdirSync(__dirname).filter(file => path.extname(file) === '.html'));
+
 const MIME_TYPES = {
     '.html': 'text/html',
     '.css': 'text/css',
@@ -261,274 +387,259 @@ const MIME_TYPES = {
 
 // Initialize dynamic imports and database
 async function initialize() {
-    console.log('🚀 Initializing Investor Match...\n');
+    log.info('🚀 Initializing Investor Match...\n');
     
     // Load ESM modules
-    console.log('📦 Loading modules...');
+    log.info('📦 Loading modules...');
     const fetchModule = await import('node-fetch');
     fetch = fetchModule.default;
     
     const cheerioModule = await import('cheerio');
     cheerio = cheerioModule;
+    crawler = createCrawler({ fetch, cheerio, log });
+    
+    // Initialize LLM client
+    llm = createLlmClient({
+        onCall: recordLlmCall,
+        onRetry: ({ operation, attempt, delayMs, error }) => log.warn(
+            `   ⏳ ${operation} attempt ${attempt} failed, retrying in ${delayMs}ms`,
+            { operation, attempt, delay_ms: delayMs, err: error })
+    });
+    log.info(`✅ LLM client initialized (${llm.provider})\n`, { provider: llm.provider });
     
-    const OpenAIModule = await import('openai');
-    OpenAI = OpenAIModule.default;
-    
-    // Initialize OpenAI client
-    openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-    console.log('✅ OpenAI client initialized\n');
-    
-    // Load database
-    console.log('📂 Loading database...');
-    
-    try {
-        const investorsData = fs.readFileSync(INVESTORS_PATH, 'utf-8');
-        investors = JSON.parse(investorsData);
-        console.log(`   ✅ Loaded ${investors.length.toLocaleString()} investors`);
-    } catch (err) {
-        console.error('   ❌ Error loading investors:', err.message);
-    }
-    
-    try {
-        const teamData = fs.readFileSync(TEAM_MEMBERS_PATH, 'utf-8');
-        teamMembers = JSON.parse(teamData);
-        console.log(`   ✅ Loaded ${teamMembers.length.toLocaleString()} team members`);
-    } catch (err) {
-        console.error('   ❌ Error loading team members:', err.message);
-    }
+    // Open database (re-import from JSON when the exports are newer)
+    log.info('📂 Loading database...');
     
-    try {
-        const investmentsData = fs.readFileSync(INVESTMENTS_PATH, 'utf-8');
-        investments = JSON.parse(investmentsData);
-        console.log(`   ✅ Loaded ${investments.length.toLocaleString()} investments`);
-    } catch (err) {
-        console.error('   ❌ Error loading investments:', err.message);
+    if (isDatabaseStale(DATA_DIR, DB_PATH)) {
+        log.info('   🔄 Importing JSON exports into SQLite...');
     }
     
-    // Load founders data
+    const snapshot = investorSnapshots.loadInitial();
+    const counts = snapshot.counts;
+    log.info(`   ✅ Snapshot ${snapshot.version}`, { snapshot: snapshot.version, counts });
+    log.info(`   ✅ ${counts.investors.toLocaleString()} investors`);
+    log.info(`   ✅ ${counts.team_members.toLocaleString()} team members`);
+    log.info(`   ✅ ${counts.investments.toLocaleString()} investments`);
+    log.info(`   ✅ ${counts.founders.toLocaleString()} companies with founders`);
+    log.info(`   ✅ ${counts.portfolio_companies.toLocaleString()} portfolio company profiles`);
+    log.info(`   ✅ ${counts.enriched_investors.toLocaleString()} enriched investor profiles`);
+    
+    // Reload the database in the background whenever the exports change
     try {
-        if (fs.existsSync(FOUNDERS_PATH)) {
-            const foundersData = fs.readFileSync(FOUNDERS_PATH, 'utf-8');
-            founders = JSON.parse(foundersData);
-            console.log(`   ✅ Loaded ${founders.length.toLocaleString()} founder records`);
-            
-            // Build company -> founders index
-            for (const record of founders) {
-                const key = record.company_name?.toLowerCase();
-                if (key && record.founders && record.founders.length > 0) {
-                    foundersByCompany.set(key, record.founders);
-                }
+        investorSnapshots.watch((err, result) => {
+            if (err) {
+                log.error('   ❌ Database reload failed', { err });
+            } else if (result.swapped) {
+                log.info(`🔄 Database reloaded: snapshot ${result.version}`, { snapshot: result.version });
             }
-            console.log(`   ✅ Indexed founders for ${foundersByCompany.size.toLocaleString()} companies`);
-        } else {
-            console.log('   ⚠️ No founders.json found (run founder-enrichment.js to generate)');
-        }
+        });
+        log.info(`   👀 Watching ${DATA_DIR} for changes`);
     } catch (err) {
-        console.error('   ❌ Error loading founders:', err.message);
+        log.warn(`   ⚠️ Could not watch ${DATA_DIR}`, { err });
     }
     
-    // Load enriched investor data (approach guides)
-    try {
-        if (fs.existsSync(ENRICHED_PATH)) {
-            enrichedInvestors = JSON.parse(fs.readFileSync(ENRICHED_PATH, 'utf-8'));
-            const count = Object.keys(enrichedInvestors).length;
-            console.log(`   ✅ Loaded ${count.toLocaleString()} enriched investor profiles`);
-        } else {
-            console.log('   ⚠️ No enriched_investors.json found (run investor-enrichment.js to generate)');
-        }
-    } catch (err) {
-        console.error('   ❌ Error loading enriched investors:', err.message);
+    // Semantic matching is skipped until the index is built (npm run build-embeddings)
+    const embeddingIndex = currentEmbeddingIndex();
+    if (embeddingIndex) {
+        log.info(`   ✅ Semantic index: ${embeddingIndex.investors.size.toLocaleString()} investors, ` +
+            `${embeddingIndex.companies.size.toLocaleString()} portfolio companies (${embeddingIndex.provider}, ${embeddingIndex.model})`);
+    } else {
+        log.warn('   ⚠️ No semantic index; matching without it (run npm run build-embeddings)');
     }
     
-    // Load users
     loadUsers();
+    loadAnalysisCache();
+    setupAuthMail();
     
-    // Build lookup indexes for faster queries
-    buildIndexes();
-    
-    console.log('\n✅ Database loaded successfully!\n');
-}
-
-// Build indexes for faster lookups
-const investorById = new Map();
-const teamByInvestorId = new Map();
-const investmentsByInvestorId = new Map();
-
-function buildIndexes() {
-    console.log('🔧 Building indexes...');
-    
-    // Index investors by ID
-    investors.forEach(inv => {
-        investorById.set(inv.id, inv);
-    });
-    
-    // Index team members by investor ID
-    teamMembers.forEach(tm => {
-        if (!teamByInvestorId.has(tm.investor_id)) {
-            teamByInvestorId.set(tm.investor_id, []);
-        }
-        teamByInvestorId.get(tm.investor_id).push(tm);
-    });
-    
-    // Index investments by investor ID
-    investments.forEach(inv => {
-        if (!investmentsByInvestorId.has(inv.investor_id)) {
-            investmentsByInvestorId.set(inv.investor_id, []);
-        }
-        investmentsByInvestorId.get(inv.investor_id).push(inv);
-    });
-    
-    console.log('   ✅ Indexes built');
+    log.info('\n✅ Database loaded successfully!\n');
 }
 
-// Scrape website content
+// Crawl the company website: the homepage plus its most useful internal pages
 async function scrapeWebsite(url) {
-    console.log(`\n🌐 Scraping website: ${url}`);
+    log.info(`\n🌐 Crawling website: ${url}`, { url });
     
     try {
-        // Normalize URL
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-            url = 'https://' + url;
-        }
-        
-        const response = await fetch(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.5'
-            },
-            timeout: 15000
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        
-        const html = await response.text();
-        const $ = cheerio.load(html);
-        
-        // Remove scripts, styles, and other non-content elements
-        $('script, style, nav, footer, header, iframe, noscript').remove();
-        
-        // Extract relevant content
-        const title = $('title').text().trim();
-        const metaDescription = $('meta[name="description"]').attr('content') || '';
-        const metaKeywords = $('meta[name="keywords"]').attr('content') || '';
-        const ogTitle = $('meta[property="og:title"]').attr('content') || '';
-        const ogDescription = $('meta[property="og:description"]').attr('content') || '';
-        
-        // Get main content text
-        const bodyText = $('body').text()
-            .replace(/\s+/g, ' ')
-            .trim()
-            .substring(0, 8000); // Limit to avoid token limits
-        
-        // Get headings
-        const headings = [];
-        $('h1, h2, h3').each((i, el) => {
-            const text = $(el).text().trim();
-            if (text && text.length < 200) {
-                headings.push(text);
-            }
+        const scrapedData = await crawler.crawl(url);
+        log.info(`   ✅ Crawled ${scrapedData.pages.length} pages (${scrapedData.bodyText.length} chars)`, {
+            url, pages: scrapedData.pages.map(p => p.url), chars: scrapedData.bodyText.length
         });
-        
-        const domain = new URL(url).hostname.replace('www.', '');
-        
-        console.log(`   ✅ Scraped successfully (${bodyText.length} chars)`);
-        
-        return {
-            url,
-            domain,
-            title,
-            metaDescription,
-            metaKeywords,
-            ogTitle,
-            ogDescription,
-            headings: headings.slice(0, 20),
-            bodyText
-        };
+        return scrapedData;
     } catch (error) {
-        console.error(`   ❌ Scraping error: ${error.message}`);
+        log.error('   ❌ Scraping error', { url, err: error });
         throw new Error(`Failed to scrape website: ${error.message}`);
     }
 }
 
-// Analyze company with OpenAI
-async function analyzeCompany(scrapedData) {
-    console.log('\n🤖 Analyzing with AI...');
-    
-    const prompt = `Analyze this company website and extract structured information for investor matching.
-
-Website: ${scrapedData.url}
-Domain: ${scrapedData.domain}
-Title: ${scrapedData.title}
-Meta Description: ${scrapedData.metaDescription}
-OG Description: ${scrapedData.ogDescription}
-Keywords: ${scrapedData.metaKeywords}
-
-Headings:
-${scrapedData.headings.join('\n')}
-
-Content:
-${scrapedData.bodyText.substring(0, 6000)}
-
-Based on this information, provide a JSON response with the following structure:
-{
-    "company_name": "The company name",
-    "description": "A 2-3 sentence description of what the company does",
-    "industry": "Primary industry (e.g., 'SaaS', 'Fintech', 'Healthcare', 'E-commerce', 'AI/ML', 'Consumer', 'Enterprise Software')",
-    "business_model": "B2B, B2C, B2B2C, Marketplace, or Platform",
-    "target_market": "Who are their customers",
-    "geography": "Target geography (e.g., 'United States', 'Global', 'Europe')",
-    "estimated_stage": "Pre-Seed, Seed, Series A, Series B, Growth, or Unknown",
-    "tags": ["array", "of", "relevant", "tags", "for", "investor", "matching"],
-    "focus_areas": ["primary", "focus", "areas"],
-    "confidence": 0.0 to 1.0
+// Cache key for a website: its normalized domain, so 'https://www.acme.com/about'
+// and 'acme.com' share one analysis
+function analysisCacheKey(websiteUrl) {
+    try {
+        const url = /^https?:\/\//i.test(websiteUrl) ? websiteUrl : `https://${websiteUrl}`;
+        return normalizeUrl(new URL(url).hostname);
+    } catch (e) {
+        return normalizeUrl(websiteUrl);
+    }
+}
+
+// Scrape and analyze a website, reusing the cached analysis of its domain when
+// it is still fresh or the page content hasn't changed since. forceRefresh
+// always scrapes and analyzes again. Returns { analysis, cache } where `cache`
+// says how the analysis was obtained, for the response. onProgress(phase,
+// state, message) reports the scraping and analyzing phases.
+async function analyzeWebsite(websiteUrl, { userId = null, forceRefresh = false, onProgress = () => {} } = {}) {
+    const domain = analysisCacheKey(websiteUrl);
+    const cached = forceRefresh ? null : analysisCache.get(domain);
+    const describe = (result, entry) => {
+        analysisCacheLookupsTotal.inc({ result });
+        log.info(`   🗄️  Analysis cache ${result}: ${domain}`, { domain, cache: result });
+        return {
+            status: result,
+            domain,
+            analyzed_at: entry.analyzed_at,
+            expires_at: new Date(Date.parse(entry.checked_at) + analysisCache.ttlMs).toISOString()
+        };
+    };
+    
+    if (cached?.fresh) {
+        onProgress('scraping', 'skipped', `Using the analysis of ${domain} from ${cached.analyzed_at}`);
+        onProgress('analyzing', 'skipped', 'Analysis reused from cache');
+        return { analysis: cached.analysis, cache: describe('hit', cached) };
+    }
+    
+    onProgress('scraping', 'started', `Reading ${websiteUrl}`);
+    const scrapedData = await scrapeWebsite(websiteUrl);
+    onProgress('scraping', 'done', `Read ${scrapedData.pages.length} ${scrapedData.pages.length === 1 ? 'page' : 'pages'}`);
+    const hash = contentHash(scrapedData);
+    if (cached && cached.content_hash === hash) {
+        analysisCache.touch(domain);
+        onProgress('analyzing', 'skipped', 'Site unchanged since the last analysis');
+        return { analysis: cached.analysis, cache: describe('revalidated', analysisCache.get(domain)) };
+    }
+    
+    onProgress('analyzing', 'started', 'Analyzing the company with AI');
+    const analysis = await analyzeCompany(llm, scrapedData, userId);
+    onProgress('analyzing', 'done', `${analysis.company_name} (${analysis.industry})`);
+    analysisCache.put(domain, { analysis, contentHash: hash });
+    const result = forceRefresh ? 'refreshed' : cached ? 'changed' : 'miss';
+    return { analysis, cache: describe(result, analysisCache.get(domain)) };
 }
 
-The tags should match common VC investment themes like: AI, SaaS, Fintech, Healthcare, B2B, B2C, Enterprise, Consumer, Marketplace, Mobile, Cloud, DevOps, Cybersecurity, Data Analytics, Machine Learning, E-commerce, EdTech, PropTech, InsurTech, HealthTech, FoodTech, CleanTech, Biotech, Hardware, IoT, AR/VR, Gaming, Social, Media, Advertising, Marketing Technology, HR Tech, Legal Tech, Supply Chain, Logistics, Transportation, Real Estate, Financial Services, Payments, Lending, Insurance, Wealth Management, etc.
+// Fields of a company analysis the user can correct and save as their company
+// profile (REQUEST_SCHEMAS.rematch), and those of them their own website's
+// searches keep from it instead of the model's fresh guess
+const COMPANY_PROFILE_FIELDS = ['company_name', 'description', 'industry', 'business_model', 'target_market',
+    'geography', 'headquarters', 'estimated_stage', 'tags', 'focus_areas', 'raise_amount', 'needs_lead'];
+const CORRECTED_PROFILE_FIELDS = ['industry', 'business_model', 'target_market', 'geography', 'headquarters',
+    'estimated_stage', 'tags', 'focus_areas', 'raise_amount', 'needs_lead'];
+
+function pickFields(object, fields) {
+    return Object.fromEntries(fields.filter(field => object[field] != null).map(field => [field, object[field]]));
+}
 
-Return ONLY valid JSON, no markdown or explanation.`;
+// The ways a search can describe the company; a request gives exactly one
+const SEARCH_INPUTS = ['website_url', 'pitch_deck', 'pitch_text', 'company'];
 
+// Read the non-website search inputs into a document for analyzeCompany() (see
+// company-documents.js); null for a website search. Unreadable PDFs are a 400.
+async function searchDocument({ pitch_deck, pitch_text, company }) {
     try {
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are an expert venture capital analyst who analyzes companies and matches them with relevant investors. Always respond with valid JSON only.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 1000
-        });
-        
-        const content = response.choices[0].message.content.trim();
-        
-        // Parse JSON (handle potential markdown code blocks)
-        let jsonStr = content;
-        if (content.startsWith('```')) {
-            jsonStr = content.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+        if (pitch_deck) {
+            return await documentFromPdf(pitch_deck.filename, Buffer.from(pitch_deck.content_base64, 'base64'));
         }
-        
-        const analysis = JSON.parse(jsonStr);
-        console.log(`   ✅ Analysis complete: ${analysis.company_name} (${analysis.industry})`);
-        
-        return {
-            ...analysis,
-            source_url: scrapedData.url,
-            source_domain: scrapedData.domain
-        };
+        if (pitch_text) return documentFromText(pitch_text);
+        if (company) return documentFromForm(company);
+        return null;
     } catch (error) {
-        console.error(`   ❌ AI analysis error: ${error.message}`);
-        throw new Error(`Failed to analyze company: ${error.message}`);
+        if (error instanceof DocumentError) throw new HttpError(400, error.message);
+        throw error;
+    }
+}
+
+// Analyze a pitch deck, one-pager or form. These aren't cached: they belong to
+// one user and there is no site to check for changes. Whatever the founder
+// typed into the form is kept over the model's reading of it; their tags and
+// focus areas come first, followed by any the model added.
+async function analyzeDocument(document, { userId = null, onProgress = () => {} } = {}) {
+    onProgress('scraping', 'done', document.source.summary);
+    onProgress('analyzing', 'started', 'Analyzing the company with AI');
+    const analysis = await analyzeCompany(llm, document, userId);
+    for (const [key, value] of Object.entries(document.fields || {})) {
+        analysis[key] = Array.isArray(value) ? [...new Set([...value, ...toArray(analysis[key])])] : value;
+    }
+    onProgress('analyzing', 'done', `${analysis.company_name} (${analysis.industry})`);
+    return { analysis, cache: null };
+}
+
+// A search: analyze the website or document, match investors, record it in the
+// user's history and, for their own company website, keep the results on their
+// account
+async function runSearch(investorDb, user, { website_url, document, force_refresh = false }, onProgress = () => {}) {
+    // Steps 1-2: Scrape website and analyze with AI (or reuse the cached analysis)
+    const { analysis: companyAnalysis, cache } = document
+        ? await analyzeDocument(document, { userId: user.id, onProgress })
+        : await analyzeWebsite(website_url, {
+            userId: user.id,
+            forceRefresh: force_refresh,
+            onProgress
+        });
+    
+    // The user's corrections to their own company's profile outlive a re-analysis
+    const ownWebsite = website_url && user.company_website && normalizeUrl(website_url) === normalizeUrl(user.company_website);
+    if (ownWebsite && user.company_profile) {
+        Object.assign(companyAnalysis, pickFields(user.company_profile, CORRECTED_PROFILE_FIELDS));
+    }
+    
+    // Step 3: Match investors
+    onProgress('matching', 'started', 'Matching against the investor database');
+    const matches = matchInvestors(investorDb, companyAnalysis, 50, await semanticQuery(companyAnalysis, user.id));
+    onProgress('matching', 'done', `${matches.length} matching investors`);
+    
+    // Step 4: Format and return results
+    const results = { ...formatResults(investorDb, matches, companyAnalysis), analysis_cache: cache };
+    
+    // Track search in user history
+    addSearchToHistory(user.id, {
+        query: website_url || document.source.label,
+        company_name: companyAnalysis.name || companyAnalysis.company_name || website_url,
+        matches_count: matches.length,
+        type: document ? 'document_search' : 'website_search'
+    });
+    
+    // Cache the results for the user's company website
+    if (ownWebsite) {
+        userStore.updateUser(user.id, {
+            cached_results: {
+                results: results,
+                cached_at: new Date().toISOString()
+            }
+        });
     }
+    
+    return results;
 }
 
+// Background search jobs (POST /api/search with async: true). A job pins its
+// own database snapshot while it runs, since the request that queued it is
+// long gone; its log lines carry the queuing request's ID and the job ID.
+const searchJobs = createJobQueue({
+    ...SEARCH_JOB_CONFIG,
+    run: (input, progress, job) => withLogContext({ request_id: input.request_id, job_id: job.id }, async () => {
+        const user = findUserById(input.userId);
+        if (!user) throw new HttpError(401, 'Account no longer exists');
+        
+        const snapshot = investorSnapshots.acquire();
+        try {
+            return await runSearch(snapshot.db, user, input, progress);
+        } catch (error) {
+            log.error('Search job error', { err: error });
+            throw error;
+        } finally {
+            investorSnapshots.release(snapshot);
+        }
+    })
+});
+setInterval(() => searchJobs.purge(), 5 * 60 * 1000).unref();
+
 // ============================================================================
 // IMPROVED MATCHING ALGORITHM v2
 // - A) Focus weighted higher than tags (no double counting)
@@ -536,136 +647,32 @@ Return ONLY valid JSON, no markdown or explanation.`;
 // - C) Transparent scoring breakdown
 // ============================================================================
 
-// Helper to ensure value is an array
-function toArray(val) {
-    if (!val) return [];
-    if (Array.isArray(val)) return val;
-    if (typeof val === 'string') return [val];
-    return [];
-}
-
-// Normalize text for comparison
-function normalize(text) {
-    if (!text) return '';
-    return String(text).toLowerCase().trim();
-}
-
-// Normalize URL for comparison
-function normalizeUrl(url) {
-    if (!url) return '';
-    return url.toLowerCase()
-        .replace(/^https?:\/\//, '')
-        .replace(/^www\./, '')
-        .replace(/\/$/, '')
-        .trim();
-}
-
-// Semantic category mapping - maps various terms to canonical categories
-const CATEGORY_MAP = {
-    // AI & ML
-    'ai': 'ai', 'artificial intelligence': 'ai', 'machine learning': 'ai', 'ml': 'ai', 
-    'deep learning': 'ai', 'generative ai': 'ai', 'llm': 'ai',
-    
-    // SaaS & Software
-    'saas': 'saas', 'software': 'saas', 'software as a service': 'saas', 'cloud': 'saas',
-    'enterprise software': 'saas', 'b2b software': 'saas',
-    
-    // Fintech
-    'fintech': 'fintech', 'financial technology': 'fintech', 'payments': 'fintech',
-    'banking': 'fintech', 'financial services': 'fintech', 'lending': 'fintech',
-    'wealth management': 'fintech', 'insurtech': 'fintech', 'insurance': 'fintech',
-    'b2b payments': 'fintech',
-    
-    // Healthcare
-    'healthcare': 'healthcare', 'health care': 'healthcare', 'healthtech': 'healthcare',
-    'health tech': 'healthcare', 'digital health': 'healthcare', 'medtech': 'healthcare',
-    'biotech': 'healthcare', 'biotechnology': 'healthcare', 'life sciences': 'healthcare',
-    
-    // E-commerce & Marketplaces
-    'ecommerce': 'ecommerce', 'e-commerce': 'ecommerce', 'commerce': 'ecommerce',
-    'marketplace': 'ecommerce', 'marketplaces': 'ecommerce', 'retail': 'ecommerce',
-    'd2c': 'ecommerce', 'direct to consumer': 'ecommerce',
-    
-    // B2B & Enterprise
-    'b2b': 'b2b', 'enterprise': 'b2b', 'b2b & enterprise': 'b2b',
-    'business to business': 'b2b',
-    
-    // Consumer
-    'b2c': 'consumer', 'consumer': 'consumer', 'b2b2c': 'consumer',
-    'consumer services': 'consumer',
-    
-    // Developer Tools & Infrastructure
-    'developer tools': 'devtools', 'devtools': 'devtools', 'dev tools': 'devtools',
-    'infrastructure': 'devtools', 'api': 'devtools', 'developer': 'devtools',
-    'data infrastructure': 'devtools', 'cloud infrastructure': 'devtools',
-    
-    // Security
-    'cybersecurity': 'security', 'security': 'security', 'privacy': 'security',
-    'privacy and security': 'security', 'infosec': 'security',
-    
-    // Data & Analytics
-    'analytics': 'data', 'data': 'data', 'data analytics': 'data', 'big data': 'data',
-    
-    // Climate & Sustainability
-    'climate': 'climate', 'climate tech': 'climate', 'cleantech': 'climate',
-    'sustainability': 'climate', 'energy': 'climate', 'clean energy': 'climate',
-    
-    // Real Estate
-    'proptech': 'realestate', 'real estate': 'realestate', 'property': 'realestate',
-    
-    // Education
-    'edtech': 'education', 'education': 'education', 'ed tech': 'education',
-    
-    // Logistics & Supply Chain
-    'logistics': 'logistics', 'supply chain': 'logistics', 'transportation': 'logistics',
-    'supply chain management': 'logistics',
-    
-    // HR & Future of Work
-    'hr': 'hr', 'hr tech': 'hr', 'human resources': 'hr', 'recruiting': 'hr',
-    'future of work': 'hr',
-    
-    // Marketing
-    'marketing': 'marketing', 'marketing technology': 'marketing', 'martech': 'marketing',
-    'advertising': 'marketing', 'adtech': 'marketing',
-    
-    // Other verticals
-    'legal tech': 'legal', 'legaltech': 'legal',
-    'foodtech': 'food', 'food': 'food', 'agriculture': 'food', 'agtech': 'food',
-    'gaming': 'gaming', 'games': 'gaming', 'esports': 'gaming',
-    'media': 'media', 'content': 'media', 'media and entertainment': 'media',
-    'robotics': 'robotics', 'automation': 'robotics',
-    'iot': 'iot', 'internet of things': 'iot', 'hardware': 'iot',
-    'blockchain': 'crypto', 'crypto': 'crypto', 'web3': 'crypto',
-    'mobile': 'mobile', 'apps': 'mobile', 'applications': 'mobile',
-};
-
-// Get canonical category for a term
-function getCategory(term) {
-    const normalized = normalize(term);
-    // Direct lookup
-    if (CATEGORY_MAP[normalized]) return CATEGORY_MAP[normalized];
-    // Partial match
-    for (const [key, category] of Object.entries(CATEGORY_MAP)) {
-        if (normalized.includes(key) || key.includes(normalized)) {
-            return category;
-        }
+// The company's vector and the index to compare it with, or null when there is
+// no index or the company can't be embedded; matching goes on without it. The
+// embedding is charged to the user's AI quota.
+async function semanticQuery(companyAnalysis, userId) {
+    const index = currentEmbeddingIndex();
+    const text = companyAnalysisText(companyAnalysis);
+    if (!index || !text) return null;
+    
+    try {
+        const [vector] = await index.embed([text], { context: { userId } });
+        return { index, vector };
+    } catch (error) {
+        log.warn('   ⚠️ Could not embed the company, matching without semantic fit', { err: error });
+        return null;
     }
-    return normalized; // Return as-is if no mapping
 }
 
-// Extract categories from a list of terms
-function extractCategories(terms) {
-    const categories = new Set();
-    for (const term of terms) {
-        const cat = getCategory(term);
-        if (cat) categories.add(cat);
-    }
-    return categories;
-}
+// Relevance points (focus + tags + portfolio + semantic fit) a fund needs to be
+// a match: a focus match, three similar portfolio companies, several shared
+// tags or a close thesis
+const MIN_RELEVANCE = 15;
 
-// Match investors based on company analysis
-function matchInvestors(companyAnalysis, limit = 50) {
-    console.log('\n🔍 Matching investors...');
+// Match investors based on company analysis. `semantic` comes from
+// semanticQuery(); without it there is no semantic fit component.
+function matchInvestors(investorDb, companyAnalysis, limit = 50, semantic = null) {
+    log.info('\n🔍 Matching investors...');
     
     // ========================================================================
     // STEP 1: Extract and categorize company attributes
@@ -674,9 +681,11 @@ function matchInvestors(companyAnalysis, limit = 50) {
     const companyIndustry = normalize(companyAnalysis.industry || '');
     const companyModel = normalize(companyAnalysis.business_model || '');
     const companyStage = normalize(companyAnalysis.estimated_stage || '');
-    const companyGeo = normalize(companyAnalysis.geography || '');
+    const companyGeo = companyLocation(companyAnalysis);
     const companyTags = toArray(companyAnalysis.tags).map(normalize);
     const companyFocusAreas = toArray(companyAnalysis.focus_areas).map(normalize);
+    const raiseAmount = Number(companyAnalysis.raise_amount) || null;
+    const needsLead = typeof companyAnalysis.needs_lead === 'boolean' ? companyAnalysis.needs_lead : null;
     
     // Get canonical categories for the company
     const companyCategories = extractCategories([
@@ -686,21 +695,37 @@ function matchInvestors(companyAnalysis, limit = 50) {
         ...companyFocusAreas
     ]);
     
-    console.log(`   Company: ${companyAnalysis.company_name}`);
-    console.log(`   Industry: ${companyIndustry}`);
-    console.log(`   Categories: ${[...companyCategories].join(', ')}`);
-    console.log(`   Stage: ${companyStage}`);
+    log.info(`   Company: ${companyAnalysis.company_name}`);
+    log.info(`   Industry: ${companyIndustry}`);
+    log.info(`   Categories: ${[...companyCategories].join(', ')}`);
+    log.info(`   Stage: ${companyStage}`);
+    log.info(`   Raise: ${raiseAmount ? formatUsd(raiseAmount) : 'unknown'}`);
+    log.info(`   Needs lead: ${needsLead === null ? 'unknown' : needsLead ? 'yes' : 'no'}`);
+    log.info(`   Location: ${companyGeo ? describeLocation(companyGeo) : 'unknown'}`, {
+        company: companyAnalysis.company_name, industry: companyIndustry,
+        categories: [...companyCategories], stage: companyStage, raise_amount: raiseAmount, needs_lead: needsLead,
+        location: companyGeo && describeLocation(companyGeo)
+    });
+    
+    const semanticFit = semantic && prepareSemanticFit(semantic);
+    const portfolioIndex = getPortfolioIndex(investorDb);
+    log.info(`   Semantic index: ${semantic ? `${semantic.index.provider} (${semantic.index.model})` : 'not used'}`);
     
     // ========================================================================
     // STEP 2: Score each investor
     // ========================================================================
-    const scoredInvestors = investors.map(investor => {
+    const scoredInvestors = investorDb.listInvestors().map(investor => {
         const scores = {
             focusMatch: 0,      // Max 40 points - PRIMARY focus alignment
             tagMatch: 0,        // Max 20 points - Secondary tag alignment  
             portfolioMatch: 0,  // Max 25 points - Similar portfolio companies
             stageMatch: 0,      // Max 15 points - Stage alignment
             hasContacts: 0,     // Max 10 points - Practical utility
+            checkSizeFit: 0,    // -15 to 10 points - Checks that fit the round
+            geoMatch: 0,        // -10 to 15 points - Invests where the company is
+            activityMatch: 0,   // -15 to 10 points - Still deploying capital
+            leadMatch: 0,       // -10 to 10 points - Leads (or follows) as the round needs
+            semanticMatch: 0,   // Max 30 points - Thesis and portfolio close in meaning
         };
         const matchReasons = [];
         
@@ -737,70 +762,50 @@ function matchInvestors(companyAnalysis, limit = 50) {
         // --------------------------------------------------------------------
         // B) PORTFOLIO SIMILARITY (25 points max) - Have they invested in similar companies?
         // --------------------------------------------------------------------
-        const portfolio = investmentsByInvestorId.get(investor.id) || [];
+        const portfolio = portfolioIndex.getInvestments(investor.id);
         let portfolioMatches = [];
         
         if (portfolio.length > 0) {
+            const seen = new Set();
             for (const investment of portfolio) {
-                const portfolioCompanyName = normalize(investment.company_name || '');
-                
-                // Check if portfolio company is in a similar space
-                // We can infer from company name patterns or check against known categories
-                let similarity = 0;
-                
-                // Check for keyword matches in portfolio company names
-                for (const category of companyCategories) {
-                    if (portfolioCompanyName.includes(category) || 
-                        (investment.company_website && normalize(investment.company_website).includes(category))) {
-                        similarity += 1;
-                    }
-                }
-                
-                // Check for industry-specific patterns in company names
-                const industryPatterns = {
-                    'fintech': ['pay', 'bank', 'fin', 'money', 'credit', 'loan', 'wallet'],
-                    'healthcare': ['health', 'med', 'care', 'bio', 'pharma', 'clinic', 'doctor'],
-                    'ai': ['ai', 'ml', 'intelligence', 'neural', 'cognitive', 'smart'],
-                    'saas': ['cloud', 'platform', 'software', 'app'],
-                    'ecommerce': ['shop', 'store', 'cart', 'commerce', 'market'],
-                    'security': ['secure', 'cyber', 'protect', 'guard', 'shield'],
-                    'data': ['data', 'analytics', 'insight', 'metric'],
-                };
-                
-                for (const category of companyCategories) {
-                    const patterns = industryPatterns[category] || [];
-                    for (const pattern of patterns) {
-                        if (portfolioCompanyName.includes(pattern)) {
-                            similarity += 0.5;
-                            break;
-                        }
-                    }
-                }
+                const key = normalize(investment.company_name || '');
+                if (!key || seen.has(key)) continue;
+                seen.add(key);
                 
-                if (similarity > 0) {
-                    portfolioMatches.push({
-                        company: investment.company_name,
-                        score: similarity
-                    });
+                // Profiled companies (portfolio-enrichment.js) are compared on
+                // what they actually do; the rest by their name
+                const profile = portfolioIndex.getPortfolioProfile(investment.company_name);
+                const match = profile
+                    ? portfolioProfileMatch(profile, companyCategories, companyModel, companyStage)
+                    : portfolioNameMatch(investment, companyCategories);
+                if (match) {
+                    portfolioMatches.push({ company: investment.company_name, ...match });
                 }
             }
             
             // Score based on number and quality of portfolio matches
             if (portfolioMatches.length > 0) {
-                // Sort by similarity score
-                portfolioMatches.sort((a, b) => b.score - a.score);
+                // Profiled matches first, then by similarity
+                portfolioMatches.sort((a, b) => (b.profiled - a.profiled) || (b.score - a.score));
                 const topMatches = portfolioMatches.slice(0, 5);
-                const avgScore = topMatches.reduce((sum, m) => sum + m.score, 0) / topMatches.length;
                 
                 // 5 points per similar company, max 25
                 scores.portfolioMatch = Math.min(25, topMatches.length * 5);
-                
-                if (topMatches.length > 0) {
-                    matchReasons.push(`Portfolio: ${topMatches.slice(0, 3).map(m => m.company).join(', ')}`);
-                }
+                matchReasons.push(`Portfolio: ${topMatches.slice(0, 3).map(describePortfolioMatch).join(', ')}`);
             }
         }
         
+        // --------------------------------------------------------------------
+        // SEMANTIC FIT (30 points max) - Embedding similarity of the company
+        // to the fund's description, thesis and approach guide (20), and to
+        // its closest portfolio companies (10)
+        // --------------------------------------------------------------------
+        if (semanticFit) {
+            const semanticScore = scoreSemanticFit(semanticFit, investor, portfolio);
+            scores.semanticMatch = semanticScore.score;
+            matchReasons.push(...semanticScore.reasons);
+        }
+        
         // --------------------------------------------------------------------
         // STAGE MATCH (15 points)
         // --------------------------------------------------------------------
@@ -826,36 +831,78 @@ function matchInvestors(companyAnalysis, limit = 50) {
         }
         
         // --------------------------------------------------------------------
-        // HAS CONTACTS (10 points) - Practical utility bonus
+        // LEAD FIT (-10 to 10 points) - Only when the company says whether it
+        // needs a lead. Funds that lead at its stage come first
         // --------------------------------------------------------------------
-        const team = teamByInvestorId.get(investor.id) || [];
-        const teamWithEmails = team.filter(t => 
-            (t.emails && t.emails.length > 0) || 
-            (t.work_emails && t.work_emails.length > 0)
-        );
+        const leadFit = scoreLeadFit(investor, needsLead, companyStage, scores.stageMatch > 0);
+        if (leadFit) {
+            scores.leadMatch = leadFit.score;
+            matchReasons.push(leadFit.reason);
+        }
         
-        if (teamWithEmails.length > 0) {
+        // --------------------------------------------------------------------
+        // HAS CONTACTS (10 points) - Practical utility bonus
+        // --------------------------------------------------------------------
+        if (investor.contacts_count > 0) {
             scores.hasContacts = 10;
         }
         
+        // --------------------------------------------------------------------
+        // CHECK-SIZE FIT (-15 to 10 points) - Only with a target raise amount.
+        // Funds whose checks are too big for the round, or too small to be a
+        // meaningful share of it, are pushed down
+        // --------------------------------------------------------------------
+        const checkSizeFit = scoreCheckSizeFit(investor, raiseAmount);
+        if (checkSizeFit) {
+            scores.checkSizeFit = checkSizeFit.score;
+            matchReasons.push(checkSizeFit.reason);
+        }
+        
+        // --------------------------------------------------------------------
+        // GEOGRAPHY FIT (-10 to 15 points) - Stated investment geography, HQ,
+        // and portfolio companies near the company. Funds that only invest
+        // somewhere else are pushed down
+        // --------------------------------------------------------------------
+        const geoFit = scoreGeographyFit(investor, portfolio, companyGeo);
+        if (geoFit) {
+            scores.geoMatch = geoFit.score;
+            matchReasons.push(...geoFit.reasons);
+        }
+        
+        // --------------------------------------------------------------------
+        // DEPLOYMENT ACTIVITY (-15 to 10 points) - Deal pace over the past
+        // year and a recent fund close. Funds with no deals in years are
+        // pushed down
+        // --------------------------------------------------------------------
+        const activity = fundActivity(portfolio.map(inv => inv.announced_date), investor.fund_close_date);
+        const activityFit = scoreDeploymentActivity(activity);
+        if (activityFit) {
+            scores.activityMatch = activityFit.score;
+            matchReasons.push(...activityFit.reasons);
+        }
+        
         // --------------------------------------------------------------------
         // C) CALCULATE TOTAL SCORE (Transparent breakdown)
+        // Relevance (what the fund invests in) decides whether it is a match
+        // at all; stage, contacts, check size, geography, activity and lead
+        // fit only rank the funds that are
         // --------------------------------------------------------------------
-        const totalScore = scores.focusMatch + scores.tagMatch + scores.portfolioMatch + 
-                          scores.stageMatch + scores.hasContacts;
+        const relevance = scores.focusMatch + scores.tagMatch + scores.portfolioMatch + scores.semanticMatch;
+        const totalScore = relevance +
+                          scores.stageMatch + scores.hasContacts + scores.checkSizeFit + scores.geoMatch +
+                          scores.activityMatch + scores.leadMatch;
         
         return {
             investor,
+            relevance,
             score: totalScore,
             scores, // Detailed breakdown
             matchReasons,
-            teamMembers: team,
-            teamWithEmails: teamWithEmails.length,
+            teamWithEmails: investor.contacts_count,
             portfolioCount: portfolio.length,
             portfolioMatches: portfolioMatches.slice(0, 5),
-            recentInvestments: portfolio
-                .sort((a, b) => new Date(b.announced_date || 0) - new Date(a.announced_date || 0))
-                .slice(0, 5)
+            activity,
+            recentInvestments: portfolio.slice(0, 5) // Already newest first
         };
     });
     
@@ -863,7 +910,7 @@ function matchInvestors(companyAnalysis, limit = 50) {
     // STEP 3: Filter and sort
     // ========================================================================
     const matches = scoredInvestors
-        .filter(m => m.score >= 25) // Must have meaningful match (focus OR portfolio)
+        .filter(m => m.relevance >= MIN_RELEVANCE) // Focus, tags, portfolio or semantic fit; bonuses don't count
         .sort((a, b) => {
             // Primary: total score
             if (b.score !== a.score) return b.score - a.score;
@@ -872,13 +919,18 @@ function matchInvestors(companyAnalysis, limit = 50) {
         })
         .slice(0, limit);
     
-    console.log(`   ✅ Found ${matches.length} matching investors`);
+    // Load team members only for the investors that made the cut
+    for (const match of matches) {
+        match.teamMembers = investorDb.getTeam(match.investor.id);
+    }
+    
+    log.info(`   ✅ Found ${matches.length} matching investors`, { matches: matches.length });
     
     return matches;
 }
 
 // Format investor results for API response
-function formatResults(matches, companyAnalysis) {
+function formatResults(investorDb, matches, companyAnalysis) {
     return {
         company: companyAnalysis,
         total_matches: matches.length,
@@ -895,6 +947,9 @@ function formatResults(matches, companyAnalysis) {
                 sweet_spot: m.investor.sweet_spot
             },
             fund_size: m.investor.fund_size,
+            leads_investments: m.investor.leads_investments,
+            co_invests: m.investor.co_invests,
+            takes_board_seats: m.investor.takes_board_seats,
             stages: m.investor.stages || [],
             focus: m.investor.focus || [],
             tags: m.investor.tags || [],
@@ -908,9 +963,10 @@ function formatResults(matches, companyAnalysis) {
             match_reasons: m.matchReasons,
             portfolio_count: m.portfolioCount,
             portfolio_matches: m.portfolioMatches || [],
+            activity: m.activity,
             recent_investments: m.recentInvestments.map(inv => {
                 // Look up founders for this company
-                const companyFounders = foundersByCompany.get(inv.company_name?.toLowerCase()) || [];
+                const companyFounders = investorDb.getFounders(inv.company_name);
                 return {
                     company: inv.company_name,
                     website: inv.company_website,
@@ -938,7 +994,7 @@ function formatResults(matches, companyAnalysis) {
                 tm.linkedin_url
             ),
             // Founder Approach Guide (enrichment data)
-            approach_guide: enrichedInvestors[m.investor.id] || null
+            approach_guide: investorDb.getEnrichment(m.investor.id)
         }))
     };
 }
@@ -947,29 +1003,35 @@ function formatResults(matches, companyAnalysis) {
 // FUND SEARCH FUNCTIONS
 // ============================================================================
 
-// Helper to ensure array
-function toArray(val) {
-    if (!val) return [];
-    if (Array.isArray(val)) return val;
-    if (typeof val === 'string') return val.split(',').map(s => s.trim()).filter(Boolean);
-    return [];
+// Every fund's investments and portfolio company profiles, read in one pass the
+// first time a database is searched rather than with a query per fund. A
+// snapshot never changes, so they stay valid for its lifetime.
+function getPortfolioIndex(investorDb) {
+    if (!portfolioIndexCache.has(investorDb)) portfolioIndexCache.set(investorDb, investorDb.loadPortfolioIndex());
+    return portfolioIndexCache.get(investorDb);
 }
 
-// Get available filter options from the database
-function getFilterOptions() {
+// Get available filter options from the database (computed once per database)
+function getFilterOptions(investorDb) {
+    if (filterOptionsCache.has(investorDb)) return filterOptionsCache.get(investorDb);
+    
     const stages = new Set();
     const focusCounts = new Map(); // Track focus area frequency
     const tags = new Set();
     const locations = new Set();
     const usCityCounts = new Map(); // Track US city frequency
+    const roleCounts = { leads_investments: 0, co_invests: 0, takes_board_seats: 0 };
     
-    investors.forEach(inv => {
+    investorDb.listInvestors().forEach(inv => {
         toArray(inv.stages).forEach(s => stages.add(s));
         toArray(inv.focus).forEach(f => {
             focusCounts.set(f, (focusCounts.get(f) || 0) + 1);
         });
         toArray(inv.tags).slice(0, 10).forEach(t => tags.add(t));
         if (inv.country) locations.add(inv.country);
+        for (const role of Object.keys(roleCounts)) {
+            if (inv[role]) roleCounts[role]++;
+        }
         
         // Collect US cities
         const isUS = inv.country === 'United States' || inv.country === 'USA' || inv.country === 'US' || 
@@ -1001,7 +1063,7 @@ function getFilterOptions() {
         sortedLocations.unshift('United States');
     }
     
-    return {
+    const options = {
         stages: Array.from(stages).sort(),
         focuses: topFocuses,
         tags: Array.from(tags).sort().slice(0, 100), // Top 100 tags
@@ -1020,73 +1082,27 @@ function getFilterOptions() {
             { label: 'Last 90 days', days: 90 },
             { label: 'Last 6 months', days: 180 },
             { label: 'Last year', days: 365 }
+        ],
+        // Boolean fund search filters for the fund's role in a round
+        deal_roles: [
+            { label: 'Leads rounds', key: 'leads_investments', count: roleCounts.leads_investments },
+            { label: 'Co-invests', key: 'co_invests', count: roleCounts.co_invests },
+            { label: 'Takes board seats', key: 'takes_board_seats', count: roleCounts.takes_board_seats }
+        ],
+        sort_options: [
+            { label: 'Best match', value: 'relevance' },
+            { label: 'Most active', value: 'activity' },
+            { label: 'Latest deal', value: 'last_deal' }
         ]
     };
+    filterOptionsCache.set(investorDb, options);
+    return options;
 }
 
-// Parse natural language query with AI
-async function parseNaturalLanguageQuery(query) {
-    if (!openai) {
-        console.log('OpenAI not initialized, skipping natural language parsing');
-        return null;
-    }
-    
-    try {
-        console.log('Parsing natural language query:', query);
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4o',
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a search query parser for a VC/investor database. Extract structured filters from natural language queries.
-
-Return a JSON object with these optional fields:
-- name: string (fund name to search for)
-- stages: array of strings (Pre-Seed, Seed, Series A, Series B, Series C, Growth)
-- focuses: array of strings (industry focus areas like SaaS, Fintech, Healthcare, AI, etc.)
-- tags: array of strings (specific keywords)
-- locations: array of strings (countries or cities)
-- check_size_min: number (minimum check size in USD)
-- check_size_max: number (maximum check size in USD)
-- has_contacts: boolean (if they want funds with contact info)
-
-Examples:
-"AI focused seed stage VCs in San Francisco" → {"focuses": ["AI"], "stages": ["Seed"], "locations": ["San Francisco", "United States"]}
-"Fintech investors who write $1-5M checks" → {"focuses": ["Fintech"], "check_size_min": 1000000, "check_size_max": 5000000}
-"Series A healthcare funds" → {"stages": ["Series A"], "focuses": ["Healthcare"]}
-"Andreessen Horowitz" → {"name": "Andreessen Horowitz"}
-
-Only include fields that are clearly mentioned. Return valid JSON only.`
-                },
-                {
-                    role: 'user',
-                    content: query
-                }
-            ],
-            temperature: 0.1,
-            max_tokens: 500
-        });
-        
-        const content = response.choices[0].message.content;
-        console.log('AI parsed response:', content);
-        // Extract JSON from response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            console.log('Parsed filters:', parsed);
-            return parsed;
-        }
-        return null;
-    } catch (error) {
-        console.error('Error parsing natural language query:', error.message || error);
-        // Return null to allow search to continue without AI parsing
-        return null;
-    }
-}
-
-// Search funds with filters
-// skipAI: if true, skip OpenAI parsing to prevent API abuse from unauthenticated users
-async function searchFunds(filters, skipAI = false) {
+// Search funds with filters against a database snapshot
+// skipAI: if true, skip AI parsing to prevent API abuse from unauthenticated users
+// userId: account charged for the AI call
+async function searchFunds(investorDb, filters, skipAI = false, userId = null) {
     const {
         query,           // Natural language query
         name,            // Fund name search
@@ -1100,6 +1116,10 @@ async function searchFunds(filters, skipAI = false) {
         has_contacts,    // Only funds with contacts
         verified_only,   // Only verified funds
         recently_active_days, // Only funds with investments in last N days
+        leads_investments, // Only funds that lead rounds
+        co_invests,      // Only funds that co-invest
+        takes_board_seats, // Only funds that take board seats
+        sort,            // 'relevance' (default), 'activity' or 'last_deal'
         page = 1,
         limit = 50
     } = filters;
@@ -1116,21 +1136,16 @@ async function searchFunds(filters, skipAI = false) {
     
     // First, try to find team members (individual investors) by name
     if (looksLikeDirectSearch) {
-        const matchingTeamMembers = teamMembers.filter(tm => {
-            const tmName = (tm.name || '').toLowerCase();
-            return tmName.includes(queryLower) || 
-                   queryLower.includes(tmName) ||
-                   tmName.split(/\s+/).some(word => word.toLowerCase().startsWith(queryLower)) ||
-                   queryLower.split(/\s+/).every(qWord => tmName.includes(qWord));
-        });
+        // Fetch one past the cap so we can tell when the name is too generic
+        const matchingTeamMembers = investorDb.findTeamMembersByName(queryLower, 51);
         
         if (matchingTeamMembers.length > 0 && matchingTeamMembers.length <= 50) {
             // Found matching team members - return their funds
-            console.log(`Person search for "${query}" found ${matchingTeamMembers.length} team members`);
+            log.info(`Person search for "${query}" found ${matchingTeamMembers.length} team members`);
             
             // Get unique investor IDs for these team members
             const matchingInvestorIds = new Set(matchingTeamMembers.map(tm => tm.investor_id));
-            const matchingFunds = investors.filter(inv => matchingInvestorIds.has(inv.id));
+            const matchingFunds = investorDb.getInvestorsByIds([...matchingInvestorIds]);
             
             // Sort funds by how many matching team members they have
             const fundMatchCounts = new Map();
@@ -1149,13 +1164,12 @@ async function searchFunds(filters, skipAI = false) {
             const paginatedResults = matchingFunds.slice(startIndex, startIndex + limit);
             
             const formattedResults = paginatedResults.map(inv => {
-                const team = teamByInvestorId.get(inv.id) || [];
+                const team = investorDb.getTeam(inv.id);
                 const teamWithContacts = team.filter(tm => 
                     (tm.emails && tm.emails.length > 0) || 
                     (tm.work_emails && tm.work_emails.length > 0) ||
                     tm.linkedin_url
                 );
-                const portfolio = investmentsByInvestorId.get(inv.id) || [];
                 
                 // Highlight matching team members
                 const matchingMembers = team.filter(tm => {
@@ -1180,7 +1194,8 @@ async function searchFunds(filters, skipAI = false) {
                     tags: toArray(inv.tags).slice(0, 8),
                     verified: inv.verified,
                     contacts_count: teamWithContacts.length,
-                    portfolio_count: portfolio.length,
+                    portfolio_count: inv.portfolio_count,
+                    activity: fundActivity(getPortfolioIndex(investorDb).getInvestments(inv.id).map(i => i.announced_date), inv.fund_close_date),
                     matching_team_members: matchingMembers
                 };
             });
@@ -1199,21 +1214,15 @@ async function searchFunds(filters, skipAI = false) {
     
     // Try direct fund name search if it looks like a fund name
     if (looksLikeDirectSearch) {
-        const directMatches = investors.filter(inv => {
-            const invName = (inv.name || '').toLowerCase();
-            // Exact match or very close match
-            return invName === queryLower || 
-                   invName.includes(queryLower) || 
-                   queryLower.includes(invName) ||
-                   // Handle partial matches like "a16z" for "Andreessen Horowitz"
-                   invName.split(/\s+/).some(word => word.startsWith(queryLower)) ||
-                   // Handle slug-based search
-                   (inv.slug || '').toLowerCase().includes(queryLower.replace(/\s+/g, '-'));
-        });
+        // Name contains the query (or vice versa), or the slug does
+        const { total: directTotal, results: directMatches } = investorDb.findInvestors(
+            { name: queryLower, isNameSearch: true },
+            { limit: 20 }
+        );
         
-        if (directMatches.length > 0 && directMatches.length <= 20) {
+        if (directTotal > 0 && directTotal <= 20) {
             // Found direct matches, return them without other filters
-            console.log(`Direct name search for "${query}" found ${directMatches.length} matches`);
+            log.info(`Direct name search for "${query}" found ${directMatches.length} matches`);
             
             // Sort by relevance (exact match first, then by name similarity)
             directMatches.sort((a, b) => {
@@ -1235,13 +1244,12 @@ async function searchFunds(filters, skipAI = false) {
             const paginatedResults = directMatches.slice(startIndex, startIndex + limit);
             
             const formattedResults = paginatedResults.map(inv => {
-                const team = teamByInvestorId.get(inv.id) || [];
+                const team = investorDb.getTeam(inv.id);
                 const teamWithContacts = team.filter(tm => 
                     (tm.emails && tm.emails.length > 0) || 
                     (tm.work_emails && tm.work_emails.length > 0) ||
                     tm.linkedin_url
                 );
-                const portfolio = investmentsByInvestorId.get(inv.id) || [];
                 
                 return {
                     id: inv.id,
@@ -1260,7 +1268,8 @@ async function searchFunds(filters, skipAI = false) {
                     tags: toArray(inv.tags).slice(0, 8),
                     verified: inv.verified,
                     contacts_count: teamWithContacts.length,
-                    portfolio_count: portfolio.length
+                    portfolio_count: inv.portfolio_count,
+                    activity: fundActivity(getPortfolioIndex(investorDb).getInvestments(inv.id).map(i => i.announced_date), inv.fund_close_date)
                 };
             });
             
@@ -1279,7 +1288,7 @@ async function searchFunds(filters, skipAI = false) {
     // If there's a natural language query, parse it first (only for authenticated users)
     let parsedFilters = {};
     if (query && query.trim() && !skipAI) {
-        parsedFilters = await parseNaturalLanguageQuery(query) || {};
+        parsedFilters = await parseNaturalLanguageQuery(llm, query, userId) || {};
     }
     
     // Merge parsed filters with explicit filters (explicit takes precedence)
@@ -1291,156 +1300,58 @@ async function searchFunds(filters, skipAI = false) {
         locations: locations?.length ? locations : parsedFilters.locations,
         check_size_min: check_size_min ?? parsedFilters.check_size_min,
         check_size_max: check_size_max ?? parsedFilters.check_size_max,
-        has_contacts: has_contacts ?? parsedFilters.has_contacts
+        has_contacts: has_contacts ?? parsedFilters.has_contacts,
+        leads_investments: leads_investments ?? parsedFilters.leads_investments,
+        co_invests: co_invests ?? parsedFilters.co_invests,
+        takes_board_seats: takes_board_seats ?? parsedFilters.takes_board_seats
     };
     
     // If searching by name (from AI parsing), skip location filter for better results
     const isNameSearch = mergedFilters.name && !mergedFilters.stages?.length && !mergedFilters.focuses?.length;
     
-    // Filter investors
-    let results = investors.filter(inv => {
-        // Name search (fuzzy)
-        if (mergedFilters.name) {
-            const searchName = mergedFilters.name.toLowerCase();
-            const invName = (inv.name || '').toLowerCase();
-            const invSlug = (inv.slug || '').toLowerCase();
-            // More flexible name matching
-            const nameMatches = invName.includes(searchName) || 
-                               searchName.includes(invName) ||
-                               invSlug.includes(searchName.replace(/\s+/g, '-')) ||
-                               invName.split(/\s+/).some(word => word.startsWith(searchName));
-            if (!nameMatches) {
-                return false;
-            }
-            // If this is primarily a name search, skip other filters
-            if (isNameSearch) {
-                return true;
-            }
-        }
-        
-        // Stage filter
-        if (mergedFilters.stages?.length) {
-            const invStages = (inv.stages || []).map(s => s.toLowerCase());
-            const hasStage = mergedFilters.stages.some(s => 
-                invStages.some(is => is.includes(s.toLowerCase()))
-            );
-            if (!hasStage) return false;
-        }
-        
-        // Focus filter
-        if (mergedFilters.focuses?.length) {
-            const invFocus = [...toArray(inv.focus), ...toArray(inv.tags)].map(f => f.toLowerCase());
-            const hasFocus = mergedFilters.focuses.some(f => 
-                invFocus.some(inf => inf.includes(f.toLowerCase()) || f.toLowerCase().includes(inf))
-            );
-            if (!hasFocus) return false;
-        }
-        
-        // Tags filter
-        if (mergedFilters.tags?.length) {
-            const invTags = toArray(inv.tags).map(t => t.toLowerCase());
-            const hasTag = mergedFilters.tags.some(t => 
-                invTags.some(it => it.includes(t.toLowerCase()))
-            );
-            if (!hasTag) return false;
-        }
-        
-        // Location filter
-        if (mergedFilters.locations?.length) {
-            const invLocation = [inv.city, inv.region, inv.country].filter(Boolean).join(' ').toLowerCase();
-            const hasLocation = mergedFilters.locations.some(loc => 
-                invLocation.includes(loc.toLowerCase())
-            );
-            if (!hasLocation) return false;
-        }
-        
-        // US City filter
-        if (us_city) {
-            const invCity = (inv.city || '').toLowerCase();
-            if (!invCity.includes(us_city.toLowerCase())) return false;
-        }
-        
-        // Check size filter
-        if (mergedFilters.check_size_min) {
-            const maxCheck = inv.check_size_max || inv.sweet_spot || 0;
-            if (maxCheck < mergedFilters.check_size_min) return false;
-        }
-        if (mergedFilters.check_size_max) {
-            const minCheck = inv.check_size_min || 0;
-            if (minCheck > mergedFilters.check_size_max) return false;
-        }
-        
-        // Has contacts filter - use index
-        if (mergedFilters.has_contacts) {
-            const team = teamByInvestorId.get(inv.id) || [];
-            const hasContacts = team.some(tm => 
-                (tm.emails?.length > 0) || (tm.work_emails?.length > 0)
-            );
-            if (!hasContacts) return false;
-        }
-        
-        // Verified only filter
-        if (verified_only && !inv.verified) {
-            return false;
-        }
-        
-        // Recently active filter - check if fund has investments in last N days
-        if (recently_active_days) {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - recently_active_days);
-            const portfolio = investmentsByInvestorId.get(inv.id) || [];
-            const hasRecentInvestment = portfolio.some(investment => {
-                if (!investment.announced_date) return false;
-                const investmentDate = new Date(investment.announced_date);
-                return investmentDate >= cutoffDate;
-            });
-            if (!hasRecentInvestment) return false;
-        }
-        
-        return true;
-    });
+    // Recently active filter - funds with investments in the last N days
+    let activeSince = null;
+    if (recently_active_days) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - recently_active_days);
+        activeSince = cutoffDate.toISOString().slice(0, 10); // Investment dates are YYYY-MM-DD
+    }
     
-    // Sort by relevance (verified first, then by portfolio size) - use indexes
-    results.sort((a, b) => {
-        if (a.verified !== b.verified) return b.verified ? 1 : -1;
-        const aPortfolio = (investmentsByInvestorId.get(a.id) || []).length;
-        const bPortfolio = (investmentsByInvestorId.get(b.id) || []).length;
-        return bPortfolio - aPortfolio;
+    // Filter, sort (verified first, then by portfolio size, unless sorting by
+    // activity) and paginate in SQLite
+    const { total, results: paginatedResults } = investorDb.findInvestors({
+        ...mergedFilters,
+        isNameSearch,
+        us_city,
+        verified_only,
+        active_since: activeSince
+    }, {
+        offset: (page - 1) * limit,
+        limit,
+        sort
     });
     
-    // Pagination
-    const total = results.length;
-    const startIndex = (page - 1) * limit;
-    const paginatedResults = results.slice(startIndex, startIndex + limit);
-    
-    // Format results - use indexes
-    const formattedResults = paginatedResults.map(inv => {
-        const team = teamByInvestorId.get(inv.id) || [];
-        const teamWithContacts = team.filter(tm => 
-            (tm.emails?.length > 0) || (tm.work_emails?.length > 0)
-        );
-        const portfolio = investmentsByInvestorId.get(inv.id) || [];
-        
-        return {
-            id: inv.id,
-            name: inv.name,
-            slug: inv.slug,
-            website: inv.website,
-            description: inv.description?.substring(0, 200),
-            location: [inv.city, inv.region, inv.country].filter(Boolean).join(', '),
-            check_size: {
-                min: inv.check_size_min,
-                max: inv.check_size_max,
-                sweet_spot: inv.sweet_spot
-            },
-            stages: toArray(inv.stages),
-            focus: toArray(inv.focus),
-            tags: toArray(inv.tags).slice(0, 8),
-            verified: inv.verified,
-            contacts_count: teamWithContacts.length,
-            portfolio_count: portfolio.length
-        };
-    });
+    // Format results
+    const formattedResults = paginatedResults.map(inv => ({
+        id: inv.id,
+        name: inv.name,
+        slug: inv.slug,
+        website: inv.website,
+        description: inv.description?.substring(0, 200),
+        location: [inv.city, inv.region, inv.country].filter(Boolean).join(', '),
+        check_size: {
+            min: inv.check_size_min,
+            max: inv.check_size_max,
+            sweet_spot: inv.sweet_spot
+        },
+        stages: toArray(inv.stages),
+        focus: toArray(inv.focus),
+        tags: toArray(inv.tags).slice(0, 8),
+        verified: inv.verified,
+        contacts_count: inv.contacts_count,
+        portfolio_count: inv.portfolio_count,
+        activity: fundActivity(getPortfolioIndex(investorDb).getInvestments(inv.id).map(i => i.announced_date), inv.fund_close_date)
+    }));
     
     return {
         results: formattedResults,
@@ -1452,20 +1363,27 @@ async function searchFunds(filters, skipAI = false) {
     };
 }
 
+// Fund search on a user's behalf. Once their monthly AI quota is used up the
+// natural-language query is no longer parsed, and the response says so.
+async function searchFundsAsUser(investorDb, filters, user) {
+    const aiQuotaExhausted = getAiQuota(user).exhausted;
+    const results = await searchFunds(investorDb, filters, aiQuotaExhausted, user.id);
+    return aiQuotaExhausted ? { ...results, ai_quota_exhausted: true } : results;
+}
+
 // Get detailed fund information
-function getFundDetails(fundId) {
-    const inv = investors.find(i => i.id === fundId || i.slug === fundId);
+function getFundDetails(investorDb, fundId) {
+    const inv = investorDb.getInvestor(fundId);
     if (!inv) return null;
     
-    const team = teamMembers.filter(tm => tm.investor_id === inv.id);
-    const portfolio = investments.filter(i => i.investor_id === inv.id);
+    const team = investorDb.getTeam(inv.id);
+    const portfolio = investorDb.getInvestments(inv.id);
     
-    // Get recent investments with founders
+    // Get recent investments with founders (portfolio is already newest first)
     const recentInvestments = portfolio
-        .sort((a, b) => new Date(b.announced_date || 0) - new Date(a.announced_date || 0))
         .slice(0, 20)
         .map(investment => {
-            const companyFounders = foundersByCompany.get(investment.company_name?.toLowerCase()) || [];
+            const companyFounders = investorDb.getFounders(investment.company_name);
             return {
                 company: investment.company_name,
                 website: investment.company_website,
@@ -1498,6 +1416,9 @@ function getFundDetails(fundId) {
             sweet_spot: inv.sweet_spot
         },
         fund_size: inv.fund_size,
+        leads_investments: inv.leads_investments,
+        co_invests: inv.co_invests,
+        takes_board_seats: inv.takes_board_seats,
         stages: inv.stages || [],
         focus: inv.focus || [],
         tags: inv.tags || [],
@@ -1518,11 +1439,12 @@ function getFundDetails(fundId) {
         })),
         portfolio: recentInvestments,
         portfolio_count: portfolio.length,
+        activity: fundActivity(portfolio.map(i => i.announced_date), inv.fund_close_date),
         contacts_count: team.filter(tm => 
             (tm.emails?.length > 0) || (tm.work_emails?.length > 0)
         ).length,
         // Founder Approach Guide (enrichment data)
-        approach_guide: enrichedInvestors[inv.id] || null
+        approach_guide: investorDb.getEnrichment(inv.id)
     };
 }
 
@@ -1551,7 +1473,8 @@ function serveStaticFile(filePath, res) {
 function sendJSON(res, statusCode, data, rateLimitInfo = null) {
     const headers = {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*'
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'X-Request-Id'
     };
     
     // Add rate limit headers if provided
@@ -1582,695 +1505,1072 @@ function sendRateLimitError(res, rateLimitResult) {
     }, rateLimitResult);
 }
 
-// Main request handler
-async function handleRequest(req, res) {
-    const url = new URL(req.url, `http://localhost:${PORT}`);
-    const clientIP = getClientIP(req);
-    
-    // Handle CORS preflight (no rate limiting for OPTIONS)
-    if (req.method === 'OPTIONS') {
-        res.writeHead(204, {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-        });
-        res.end();
-        return;
+// ============================================================================
+// Middleware
+// ============================================================================
+
+// Spend a token from one of the RATE_LIMIT buckets ('general', 'search', 'auth').
+// Signed-in users are limited per account at their subscription tier, everyone
+// else per IP; auth attempts are always counted per IP.
+function checkRateLimit(ctx, type) {
+    const subject = ctx.user && type !== 'auth'
+        ? { key: `user:${ctx.user.id}`, tier: subscriptionTier(ctx.user) }
+        : { key: `ip:${ctx.clientIP}`, tier: 'anonymous' };
+    const result = rateLimiter.check({ ...subject, type });
+    if (!result.allowed) {
+        rateLimitRejectionsTotal.inc({ type });
+        log.warn(`⚠️ Rate limit exceeded for ${subject.key} (${type})`, { ...subject, type, retry_after: result.retryAfter });
     }
-    
-    // Skip rate limiting for static files (html, css, js, images)
-    const isStaticFile = !url.pathname.startsWith('/api/');
-    
-    // Apply general rate limiting for API requests
-    if (!isStaticFile) {
-        const generalLimit = checkRateLimit(clientIP, 'general');
-        if (!generalLimit.allowed) {
-            sendRateLimitError(res, generalLimit);
+    return result;
+}
+
+function rateLimit(type) {
+    return async (ctx, next) => {
+        const result = checkRateLimit(ctx, type);
+        if (!result.allowed) {
+            sendRateLimitError(ctx.res, result);
             return;
         }
+        ctx.res.setHeader('X-RateLimit-Limit', result.limit);
+        ctx.res.setHeader('X-RateLimit-Remaining', result.remaining);
+        ctx.res.setHeader('X-RateLimit-Reset', result.resetIn);
+        await next();
+    };
+}
+
+// Refuse requests that would call OpenAI once the user's monthly quota is used up
+async function requireAiQuota(ctx, next) {
+    const quota = getAiQuota(ctx.user);
+    if (quota.exhausted) throw aiQuotaExceededError(quota);
+    await next();
+}
+
+// Searches spend AI budget on the account's behalf, so they wait until the
+// address is confirmed. Use after requireAuth() or requireApiKey().
+async function requireVerifiedEmail(ctx, next) {
+    if (!ctx.user.email_verified_at) {
+        throw new HttpError(403, 'Please confirm your email address first. Open the link we sent you, or resend it from your profile.', {
+            code: 'email_unverified',
+            action: 'verify_email'
+        });
     }
-    
-    // API: Analyze and search (AI-powered - stricter rate limiting)
-    // IMPORTANT: This uses OpenAI API, so we must protect against abuse
-    if (url.pathname === '/api/search' && req.method === 'POST') {
-        // Apply stricter rate limiting for AI search (expensive operation)
-        const searchLimit = checkRateLimit(clientIP, 'search');
-        if (!searchLimit.allowed) {
-            sendRateLimitError(res, searchLimit);
-            return;
+    await next();
+}
+
+// Resolve the session cookie into ctx.session / ctx.user. Active sessions are
+// kept alive: the 7-day expiry slides forward and the cookie is re-issued.
+async function loadSession(ctx, next) {
+    const sessionToken = getSessionFromCookie(ctx.req);
+    const session = sessionToken ? userStore.touchSession(sessionToken) : null;
+    if (session) {
+        if (session.renewed) {
+            setSessionCookie(ctx.res, sessionToken, session.expires_at);
+        }
+        ctx.session = session;
+        ctx.sessionToken = sessionToken;
+        ctx.user = findUserById(session.user_id);
+    }
+    await next();
+}
+
+// Reject anonymous requests with 401. `extra` adds fields to the error body.
+function requireAuth(message = 'Please login first', extra = {}) {
+    return async (ctx, next) => {
+        if (!ctx.user) {
+            throw new HttpError(401, message, extra);
+        }
+        await next();
+    };
+}
+
+async function requireAdmin(ctx, next) {
+    if (!isAdmin(ctx.user)) {
+        throw new HttpError(403, 'Admin access required');
+    }
+    await next();
+}
+
+// Authenticate a public API request by API key (X-API-Key header or Bearer
+// token), check its scope and count it against the key's daily quota.
+// Session cookies are deliberately not accepted here.
+function requireApiKey(scope) {
+    const middleware = async (ctx, next) => {
+        const authorization = ctx.req.headers.authorization || '';
+        const key = ctx.req.headers['x-api-key'] ||
+            (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+        const apiKey = key ? userStore.findApiKey(key) : null;
+        
+        if (!apiKey) {
+            throw new HttpError(401, 'A valid API key is required (X-API-Key header or Bearer token)');
+        }
+        if (!apiKey.scopes.includes(scope)) {
+            throw new HttpError(403, `This API key does not have the "${scope}" scope`);
         }
         
-        // Require authentication for website analysis (uses OpenAI API)
-        const sessionToken = getSessionFromCookie(req);
-        const sessionUser = sessionToken ? findUserBySession(sessionToken) : null;
-        if (!sessionUser) {
-            sendJSON(res, 401, { error: 'Please register or login to analyze your company website' });
-            return;
+        const usage = userStore.recordApiKeyUse(apiKey);
+        ctx.res.setHeader('X-Quota-Limit', usage.limit);
+        ctx.res.setHeader('X-Quota-Remaining', Math.max(0, usage.limit - usage.used));
+        if (!usage.allowed) {
+            rateLimitRejectionsTotal.inc({ type: 'api_key_quota' });
+            throw new HttpError(429, `Daily quota of ${usage.limit} requests used up for this API key`);
+        }
+        
+        ctx.apiKey = apiKey;
+        ctx.user = findUserById(apiKey.user_id);
+        await next();
+    };
+    middleware.scope = scope; // Read by the OpenAPI generator
+    return middleware;
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+const router = createRouter({ send: sendJSON });
+
+// Every API request: session lookup, then the general rate limit (per user
+// when signed in, so the limit follows the account rather than the IP)
+router.use('/api/', loadSession);
+router.use('/api/', rateLimit('general'));
+
+// API: Analyze and search (AI-powered - stricter rate limiting)
+// IMPORTANT: This uses OpenAI API, so we must protect against abuse
+router.post('/api/search',
+    rateLimit('search'),
+    requireAuth('Please register or login to analyze your company website'),
+    requireVerifiedEmail,
+    requireAiQuota,
+    jsonBody(REQUEST_SCHEMAS.search),
+    async ({ res, body, user, investorDb }) => {
+        const { website_url, force_refresh = false } = body;
+        
+        const given = SEARCH_INPUTS.filter(key => body[key] !== undefined);
+        if (given.length !== 1) {
+            throw new HttpError(400, `Provide exactly one of ${SEARCH_INPUTS.join(', ')}`, {
+                details: [{ field: given[1] || 'website_url', message: `exactly one of ${SEARCH_INPUTS.join(', ')} is required` }]
+            });
         }
         
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', async () => {
+        // Decks are read here so a bad upload fails the request, and so a
+        // queued job holds the extracted text rather than the file
+        const document = await searchDocument(body);
+        
+        // async: queue the search and return a job to follow instead of waiting
+        if (body.async) {
+            let job;
             try {
-                const { website_url } = JSON.parse(body);
-                
-                if (!website_url) {
-                    sendJSON(res, 400, { error: 'website_url is required' });
-                    return;
-                }
-                
-                // Step 1: Scrape website
-                const scrapedData = await scrapeWebsite(website_url);
-                
-                // Step 2: Analyze with AI
-                const companyAnalysis = await analyzeCompany(scrapedData);
-                
-                // Step 3: Match investors
-                const matches = matchInvestors(companyAnalysis);
-                
-                // Step 4: Format and return results
-                const results = formatResults(matches, companyAnalysis);
-                
-                // Track search in user history and cache results (user is authenticated at this point)
-                addSearchToHistory(sessionUser.id, {
-                    query: website_url,
-                    company_name: companyAnalysis.name || website_url,
-                    matches_count: matches.length
+                job = searchJobs.enqueue(user.id, {
+                    userId: user.id,
+                    website_url,
+                    document,
+                    force_refresh,
+                    request_id: getLogContext().request_id
                 });
-                
-                // Cache the results for the user's company website
-                const user = findUserById(sessionUser.id);
-                if (user && user.company_website && normalizeUrl(website_url) === normalizeUrl(user.company_website)) {
-                    user.cached_results = {
-                        results: results,
-                        cached_at: new Date().toISOString()
-                    };
-                    saveUsers();
-                }
-                
-                sendJSON(res, 200, results);
-                
             } catch (error) {
-                console.error('Search error:', error);
-                sendJSON(res, 500, { error: error.message });
+                if (error instanceof JobLimitError) throw new HttpError(429, error.message);
+                throw error;
+            }
+            sendJSON(res, 202, {
+                job_id: job.id,
+                status: job.status,
+                position: job.position,
+                status_url: `/api/search/jobs/${job.id}`,
+                events_url: `/api/search/jobs/${job.id}/events`
+            });
+            return;
+        }
+        
+        try {
+            sendJSON(res, 200, await runSearch(investorDb, user, { website_url, document, force_refresh }));
+        } catch (error) {
+            log.error('Search error', { err: error });
+            throw new HttpError(500, error.message);
+        }
+    });
+
+// API: Match again with a company analysis the user corrected. There is no
+// analysis call: the edited profile goes straight to matchInvestors, though it
+// is embedded for semantic fit, which counts toward the AI quota. It is saved
+// as the user's company profile, and its results as their cached results.
+router.post('/api/search/rematch',
+    rateLimit('search'),
+    requireAuth('Please login to edit your company profile'),
+    requireVerifiedEmail,
+    requireAiQuota,
+    errorMessage('Failed to match investors'),
+    jsonBody(REQUEST_SCHEMAS.rematch),
+    async ({ res, body, user, investorDb }) => {
+        const profile = {
+            ...pickFields(body.company, COMPANY_PROFILE_FIELDS),
+            edited_at: new Date().toISOString()
+        };
+        
+        const matches = matchInvestors(investorDb, profile, 50, await semanticQuery(profile, user.id));
+        const results = formatResults(investorDb, matches, profile);
+        
+        userStore.updateUser(user.id, {
+            company_profile: profile,
+            cached_results: {
+                results: results,
+                cached_at: profile.edited_at
             }
         });
-        return;
-    }
+        log.info(`✏️ Re-matched edited profile: ${profile.company_name} (${matches.length} matches)`, {
+            company: profile.company_name, matches: matches.length
+        });
+        
+        sendJSON(res, 200, results);
+    });
+
+// API: Status of a background search; includes the results once it succeeded
+router.get('/api/search/jobs/:id', requireAuth('Not authenticated'), async ({ res, user, params }) => {
+    const job = searchJobs.get(params.id, user.id);
+    if (!job) throw new HttpError(404, 'Search job not found');
+    sendJSON(res, 200, job);
+});
+
+// API: Progress of a background search as Server-Sent Events. Event types:
+//   status    { status: 'queued', position } or { status: 'running' }
+//   progress  { phase: 'scraping' | 'analyzing' | 'matching', state: 'started' | 'done' | 'skipped', message }
+//   complete  { result }               (the same body a synchronous /api/search returns)
+//   failed    { error, status }
+// Reconnecting clients send Last-Event-ID and only get what they missed. The
+// stream closes after complete or failed.
+router.get('/api/search/jobs/:id/events', requireAuth('Not authenticated'), async ({ req, res, user, params }) => {
+    if (!searchJobs.get(params.id, user.id)) throw new HttpError(404, 'Search job not found');
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'   // Don't let nginx buffer the stream
+    });
+    
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+    req.on('close', close);
     
-    // API: Get database stats
-    if (url.pathname === '/api/stats' && req.method === 'GET') {
+    unsubscribe = searchJobs.subscribe(params.id, event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        if (event.type === 'complete' || event.type === 'failed') close();
+    }, Number(req.headers['last-event-id']) || 0);
+});
+
+// API: Get database stats
+router.get('/api/stats', async ({ res, investorDb }) => {
+    const counts = investorDb.getCounts();
+    sendJSON(res, 200, {
+        investors: counts.investors,
+        team_members: counts.team_members,
+        team_with_emails: counts.team_with_emails,
+        investments: counts.investments
+    });
+});
+
+// API: Get cached investor results for user's company
+router.get('/api/my-investors', requireAuth('Not authenticated'), async ({ res, user }) => {
+    if (user.cached_results) {
         sendJSON(res, 200, {
-            investors: investors.length,
-            team_members: teamMembers.length,
-            team_with_emails: teamMembers.filter(t => t.emails?.length > 0 || t.work_emails?.length > 0).length,
-            investments: investments.length
+            has_cached: true,
+            company_website: user.company_website,
+            cached_at: user.cached_results.cached_at,
+            ...user.cached_results.results
+        });
+    } else {
+        sendJSON(res, 200, {
+            has_cached: false,
+            company_website: user.company_website
         });
-        return;
     }
-    
-    // API: Get cached investor results for user's company
-    if (url.pathname === '/api/my-investors' && req.method === 'GET') {
-        const sessionToken = getSessionFromCookie(req);
-        const sessionUser = sessionToken ? findUserBySession(sessionToken) : null;
-        
-        if (!sessionUser) {
-            sendJSON(res, 401, { error: 'Not authenticated' });
-            return;
+});
+
+// API: Create Stripe Checkout Session for registration
+router.post('/api/create-checkout-session',
+    rateLimit('auth'),
+    errorMessage('Failed to create checkout session'),
+    jsonBody(REQUEST_SCHEMAS.createCheckoutSession),
+    async ({ res, body }) => {
+        const { email, password, company_website } = body;
+        
+        // Check if user exists
+        if (findUserByEmail(email)) {
+            throw new HttpError(400, 'An account with this email already exists');
         }
         
-        const user = findUserById(sessionUser.id);
-        if (!user) {
-            sendJSON(res, 404, { error: 'User not found' });
-            return;
+        // Store pending registration data (will be completed after payment).
+        // Only its id goes to Stripe; the password hash never leaves the server.
+        const pendingId = crypto.randomUUID();
+        userStore.createPendingRegistration({
+            id: pendingId,
+            email: email.toLowerCase(),
+            password_hash: await hashPassword(password),
+            company_website: company_website
+        });
+        
+        // Create Stripe Checkout Session
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: [{
+                price_data: {
+                    currency: 'usd',
+                    product_data: {
+                        name: 'Investor Match - 1 Year Access',
+                        description: 'Full access to 19K+ investor database with contact info'
+                    },
+                    unit_amount: STRIPE_PRICE_AMOUNT,
+                },
+                quantity: 1,
+            }],
+            mode: 'payment',
+            success_url: `http://localhost:${PORT}/payment-success.html?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `http://localhost:${PORT}/register.html?canceled=true`,
+            customer_email: email,
+            metadata: {
+                pending_user_id: pendingId,
+                email: email.toLowerCase(),
+                company_website: company_website
+            }
+        });
+        
+        sendJSON(res, 200, {
+            sessionId: session.id,
+            url: session.url
+        });
+    });
+
+// API: Verify payment and complete registration
+router.post('/api/verify-payment',
+    errorMessage('Failed to verify payment'),
+    jsonBody(REQUEST_SCHEMAS.verifyPayment),
+    async ({ req, res, body }) => {
+        const { session_id } = body;
+        
+        // Retrieve the checkout session from Stripe
+        const session = await stripe.checkout.sessions.retrieve(session_id);
+        
+        if (session.payment_status !== 'paid') {
+            throw new HttpError(400, 'Payment not completed');
         }
         
-        if (user.cached_results) {
-            sendJSON(res, 200, {
-                has_cached: true,
-                company_website: user.company_website,
-                cached_at: user.cached_results.cached_at,
-                ...user.cached_results.results
-            });
-        } else {
+        // Check if user already exists (prevent duplicate registrations)
+        const existingUser = findUserByEmail(session.metadata.email);
+        if (existingUser) {
+            // User already registered, just log them in
+            startSession(req, res, existingUser);
             sendJSON(res, 200, {
-                has_cached: false,
-                company_website: user.company_website
+                success: true,
+                user: { email: existingUser.email, company_website: existingUser.company_website }
             });
-        }
-        return;
-    }
-    
-    // API: Create Stripe Checkout Session for registration
-    if (url.pathname === '/api/create-checkout-session' && req.method === 'POST') {
-        // Apply auth rate limiting
-        const authLimit = checkRateLimit(clientIP, 'auth');
-        if (!authLimit.allowed) {
-            sendRateLimitError(res, authLimit);
             return;
         }
         
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', async () => {
-            try {
-                const { email, password, company_website } = JSON.parse(body);
-                
-                // Validation
-                if (!email || !password || !company_website) {
-                    sendJSON(res, 400, { error: 'Email, password, and company website are required' });
-                    return;
-                }
-                
-                if (!email.includes('@')) {
-                    sendJSON(res, 400, { error: 'Invalid email format' });
-                    return;
-                }
-                
-                if (password.length < 6) {
-                    sendJSON(res, 400, { error: 'Password must be at least 6 characters' });
-                    return;
-                }
-                
-                // Check if user exists
-                if (findUserByEmail(email)) {
-                    sendJSON(res, 400, { error: 'An account with this email already exists' });
-                    return;
-                }
-                
-                // Store pending registration data (will be completed after payment)
-                const pendingId = crypto.randomUUID();
-                const pendingUser = {
-                    id: pendingId,
-                    email: email.toLowerCase(),
-                    password_hash: hashPassword(password),
-                    company_website: company_website,
-                    status: 'pending',
-                    created_at: new Date().toISOString()
-                };
-                
-                // Create Stripe Checkout Session
-                const session = await stripe.checkout.sessions.create({
-                    payment_method_types: ['card'],
-                    line_items: [{
-                        price_data: {
-                            currency: 'usd',
-                            product_data: {
-                                name: 'Investor Match - 1 Year Access',
-                                description: 'Full access to 19K+ investor database with contact info'
-                            },
-                            unit_amount: STRIPE_PRICE_AMOUNT,
-                        },
-                        quantity: 1,
-                    }],
-                    mode: 'payment',
-                    success_url: `http://localhost:${PORT}/payment-success.html?session_id={CHECKOUT_SESSION_ID}`,
-                    cancel_url: `http://localhost:${PORT}/register.html?canceled=true`,
-                    customer_email: email,
-                    metadata: {
-                        pending_user_id: pendingId,
-                        email: email.toLowerCase(),
-                        password_hash: pendingUser.password_hash,
-                        company_website: company_website
-                    }
-                });
-                
-                sendJSON(res, 200, { 
-                    sessionId: session.id,
-                    url: session.url 
-                });
-                
-            } catch (error) {
-                console.error('Stripe checkout error:', error);
-                sendJSON(res, 500, { error: 'Failed to create checkout session' });
-            }
+        // Checkouts started before pending registrations were stored
+        // server-side still carry the (legacy) hash in their metadata
+        const pending = userStore.getPendingRegistration(session.metadata.pending_user_id);
+        const passwordHash = pending?.password_hash || session.metadata.password_hash;
+        if (!passwordHash) {
+            log.error(`❌ No pending registration for paid checkout ${session.id} (${session.metadata.email})`, {
+                checkout_session: session.id
+            });
+            throw new HttpError(409, 'Registration expired. Please contact support to activate your account.');
+        }
+        
+        // Create the user account
+        const user = {
+            id: session.metadata.pending_user_id,
+            email: session.metadata.email,
+            password_hash: passwordHash,
+            company_website: pending?.company_website || session.metadata.company_website,
+            status: 'active',
+            payment_id: session.payment_intent,
+            paid_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year
+            created_at: new Date().toISOString()
+        };
+        
+        userStore.completePendingRegistration(user.id, user);
+        sendVerificationEmailInBackground(user);
+        
+        // Create session and log in
+        startSession(req, res, user);
+        
+        log.info(`✅ New paid user registered: ${user.email}`, { user_id: user.id });
+        
+        sendJSON(res, 200, {
+            success: true,
+            user: { email: user.email, company_website: user.company_website }
         });
-        return;
+    });
+
+// API: Get Stripe publishable key
+router.get('/api/stripe-key', async ({ res }) => {
+    sendJSON(res, 200, { publishableKey: STRIPE_PUBLISHABLE_KEY });
+});
+
+// API: Get user profile
+router.get('/api/profile', requireAuth('Please login to view profile'), async ({ res, user }) => {
+    // Calculate subscription status
+    const now = new Date();
+    const expiresAt = user.expires_at ? new Date(user.expires_at) : null;
+    const isActive = hasActiveSubscription(user);
+    const daysRemaining = expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24))) : null;
+    
+    sendJSON(res, 200, {
+        id: user.id,
+        email: user.email,
+        company_website: user.company_website,
+        created_at: user.created_at,
+        email_verified: !!user.email_verified_at,
+        subscription: {
+            status: user.status || 'free',
+            is_active: isActive,
+            paid_at: user.paid_at || null,
+            expires_at: user.expires_at || null,
+            days_remaining: daysRemaining,
+            canceled_at: user.canceled_at || null
+        },
+        company_profile: user.company_profile || null,
+        search_history: userStore.getSearchHistory(user.id, 10)
+    });
+});
+
+// API: This month's AI usage and quota
+router.get('/api/usage', requireAuth('Please login to view usage'), async ({ res, user }) => {
+    sendJSON(res, 200, getAiQuota(user));
+});
+
+// API: Update user profile
+router.put('/api/profile',
+    requireAuth('Please login to update profile'),
+    errorMessage('Failed to update profile'),
+    jsonBody(REQUEST_SCHEMAS.updateProfile),
+    async ({ res, body, user }) => {
+        const { company_website } = body;
+        
+        if (company_website) {
+            user = userStore.updateUser(user.id, { company_website });
+        }
+        
+        sendJSON(res, 200, { success: true, company_website: user.company_website });
+    });
+
+// API: Cancel subscription
+router.post('/api/cancel-subscription', requireAuth('Please login to cancel subscription'), async ({ res, user }) => {
+    if (user.status !== 'active') {
+        throw new HttpError(400, 'No active subscription to cancel');
     }
     
-    // API: Verify payment and complete registration
-    if (url.pathname === '/api/verify-payment' && req.method === 'POST') {
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', async () => {
-            try {
-                const { session_id } = JSON.parse(body);
-                
-                if (!session_id) {
-                    sendJSON(res, 400, { error: 'Session ID is required' });
-                    return;
-                }
-                
-                // Retrieve the checkout session from Stripe
-                const session = await stripe.checkout.sessions.retrieve(session_id);
-                
-                if (session.payment_status !== 'paid') {
-                    sendJSON(res, 400, { error: 'Payment not completed' });
-                    return;
-                }
-                
-                // Check if user already exists (prevent duplicate registrations)
-                const existingUser = findUserByEmail(session.metadata.email);
-                if (existingUser) {
-                    // User already registered, just log them in
-                    const sessionToken = generateSessionToken();
-                    sessions.set(sessionToken, { 
-                        id: existingUser.id, 
-                        email: existingUser.email, 
-                        company_website: existingUser.company_website 
-                    });
-                    setSessionCookie(res, sessionToken);
-                    sendJSON(res, 200, { 
-                        success: true, 
-                        user: { email: existingUser.email, company_website: existingUser.company_website }
-                    });
-                    return;
-                }
-                
-                // Create the user account
-                const user = {
-                    id: session.metadata.pending_user_id,
-                    email: session.metadata.email,
-                    password_hash: session.metadata.password_hash,
-                    company_website: session.metadata.company_website,
-                    status: 'active',
-                    payment_id: session.payment_intent,
-                    paid_at: new Date().toISOString(),
-                    expires_at: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year
-                    created_at: new Date().toISOString()
-                };
-                
-                users.push(user);
-                saveUsers();
-                
-                // Create session and log in
-                const sessionToken = generateSessionToken();
-                sessions.set(sessionToken, { id: user.id, email: user.email, company_website: user.company_website });
-                setSessionCookie(res, sessionToken);
-                
-                console.log(`✅ New paid user registered: ${user.email}`);
-                
-                sendJSON(res, 200, { 
-                    success: true, 
-                    user: { email: user.email, company_website: user.company_website }
-                });
-                
-            } catch (error) {
-                console.error('Payment verification error:', error);
-                sendJSON(res, 500, { error: 'Failed to verify payment' });
-            }
-        });
-        return;
-    }
+    // Mark as canceled but keep access until expiry
+    userStore.updateUser(user.id, {
+        status: 'canceled',
+        canceled_at: new Date().toISOString()
+    });
     
-    // API: Get Stripe publishable key
-    if (url.pathname === '/api/stripe-key' && req.method === 'GET') {
-        sendJSON(res, 200, { publishableKey: STRIPE_PUBLISHABLE_KEY });
-        return;
-    }
+    log.info(`⚠️ Subscription canceled: ${user.email}`, { user_id: user.id });
     
-    // API: Get user profile
-    if (url.pathname === '/api/profile' && req.method === 'GET') {
-        const sessionToken = getSessionFromCookie(req);
-        const sessionUser = sessionToken ? findUserBySession(sessionToken) : null;
+    sendJSON(res, 200, {
+        success: true,
+        message: 'Subscription canceled. You will retain access until your current period ends.',
+        expires_at: user.expires_at
+    });
+});
+
+// API: Delete search from history
+router.post('/api/delete-search',
+    requireAuth('Please login'),
+    errorMessage('Failed to delete search'),
+    jsonBody(REQUEST_SCHEMAS.deleteSearch),
+    async ({ res, body, user }) => {
+        userStore.deleteSearch(user.id, body.search_id);
+        sendJSON(res, 200, { success: true });
+    });
+
+// API: Register new user (FREE - keep for testing)
+router.post('/api/register',
+    rateLimit('auth'),
+    errorMessage('Registration failed'),
+    jsonBody(REQUEST_SCHEMAS.register),
+    async ({ req, res, body }) => {
+        const { email, password, company_website } = body;
+        
+        // Check if user exists
+        if (findUserByEmail(email)) {
+            throw new HttpError(400, 'An account with this email already exists');
+        }
         
-        if (!sessionUser) {
-            sendJSON(res, 401, { error: 'Please login to view profile' });
-            return;
+        // Create user
+        const user = {
+            id: crypto.randomUUID(),
+            email: email.toLowerCase(),
+            password_hash: await hashPassword(password),
+            company_website: company_website,
+            created_at: new Date().toISOString()
+        };
+        
+        try {
+            userStore.createUser(user);
+        } catch (err) {
+            // Lost a race with a concurrent registration for the same email
+            if (err.code === 'EMAIL_EXISTS') {
+                throw new HttpError(400, 'An account with this email already exists');
+            }
+            throw err;
         }
         
-        const user = findUserById(sessionUser.id);
-        if (!user) {
-            sendJSON(res, 404, { error: 'User not found' });
-            return;
+        sendVerificationEmailInBackground(user);
+        
+        // Create session
+        startSession(req, res, user);
+        
+        sendJSON(res, 201, {
+            success: true,
+            user: { email: user.email, company_website: user.company_website }
+        });
+    });
+
+// API: Login (auth rate limiting prevents brute force attacks)
+router.post('/api/login',
+    rateLimit('auth'),
+    errorMessage('Login failed'),
+    jsonBody(REQUEST_SCHEMAS.login),
+    async ({ req, res, body }) => {
+        const { email, password } = body;
+        
+        const user = findUserByEmail(email);
+        const { valid, needsRehash } = await verifyPassword(password, user?.password_hash);
+        if (!user || !valid) {
+            throw new HttpError(401, 'Invalid email or password');
         }
         
-        // Calculate subscription status
-        const now = new Date();
-        const expiresAt = user.expires_at ? new Date(user.expires_at) : null;
-        const isActive = user.status === 'active' && (!expiresAt || expiresAt > now);
-        const daysRemaining = expiresAt ? Math.max(0, Math.ceil((expiresAt - now) / (1000 * 60 * 60 * 24))) : null;
+        // Upgrade legacy SHA-256 (or outdated scrypt) hashes now that we have the password
+        if (needsRehash) {
+            userStore.updateUser(user.id, { password_hash: await hashPassword(password) });
+        }
+        
+        // Create session
+        startSession(req, res, user);
         
         sendJSON(res, 200, {
-            id: user.id,
-            email: user.email,
-            company_website: user.company_website,
-            created_at: user.created_at,
-            subscription: {
-                status: user.status || 'free',
-                is_active: isActive,
-                paid_at: user.paid_at || null,
-                expires_at: user.expires_at || null,
-                days_remaining: daysRemaining,
-                canceled_at: user.canceled_at || null
-            },
-            search_history: (user.search_history || []).slice(0, 10)
+            success: true,
+            user: { email: user.email, company_website: user.company_website }
         });
-        return;
+    });
+
+// API: Logout
+router.post('/api/logout', async ({ res, sessionToken }) => {
+    if (sessionToken) {
+        userStore.deleteSession(sessionToken);
     }
-    
-    // API: Update user profile
-    if (url.pathname === '/api/profile' && req.method === 'PUT') {
-        const sessionToken = getSessionFromCookie(req);
-        const sessionUser = sessionToken ? findUserBySession(sessionToken) : null;
+    clearSessionCookie(res);
+    sendJSON(res, 200, { success: true });
+});
+
+// API: Request a password reset link
+router.post('/api/forgot-password',
+    rateLimit('auth'),
+    errorMessage('Failed to send reset email'),
+    jsonBody(REQUEST_SCHEMAS.forgotPassword),
+    async ({ res, body }) => {
+        const { email } = body;
+        
+        // Same answer whether or not the account exists, so this can't be used to probe emails
+        const user = findUserByEmail(email);
+        if (user) {
+            await sendPasswordResetEmail(user);
+            log.info(`🔑 Password reset requested for ${user.email}`, { user_id: user.id });
+        }
         
-        if (!sessionUser) {
-            sendJSON(res, 401, { error: 'Please login to update profile' });
-            return;
+        sendJSON(res, 200, { success: true });
+    });
+
+// API: Set a new password using a reset link
+router.post('/api/reset-password',
+    rateLimit('auth'),
+    errorMessage('Failed to reset password'),
+    jsonBody(REQUEST_SCHEMAS.resetPassword),
+    async ({ req, res, body }) => {
+        const { token, password } = body;
+        
+        const claims = verifyAuthToken(authTokenSecret, token, 'reset_password');
+        const user = claims ? findUserById(claims.sub) : null;
+        if (!user || claims.pwd !== fingerprint(user.password_hash)) {
+            throw new HttpError(400, 'This reset link is invalid or has expired');
         }
         
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { company_website } = JSON.parse(body);
-                
-                const user = findUserById(sessionUser.id);
-                if (!user) {
-                    sendJSON(res, 404, { error: 'User not found' });
-                    return;
-                }
-                
-                if (company_website) {
-                    user.company_website = company_website;
-                }
-                
-                saveUsers();
-                
-                // Update session
-                sessions.set(sessionToken, { 
-                    id: user.id, 
-                    email: user.email, 
-                    company_website: user.company_website 
-                });
-                
-                sendJSON(res, 200, { success: true, company_website: user.company_website });
-            } catch (error) {
-                sendJSON(res, 500, { error: 'Failed to update profile' });
-            }
+        // The reset link reached their inbox, so the address is verified too
+        const updated = userStore.updateUser(user.id, {
+            password_hash: await hashPassword(password),
+            email_verified_at: user.email_verified_at || new Date().toISOString()
         });
-        return;
-    }
-    
-    // API: Cancel subscription
-    if (url.pathname === '/api/cancel-subscription' && req.method === 'POST') {
-        const sessionToken = getSessionFromCookie(req);
-        const sessionUser = sessionToken ? findUserBySession(sessionToken) : null;
         
-        if (!sessionUser) {
-            sendJSON(res, 401, { error: 'Please login to cancel subscription' });
-            return;
+        // Sign out everywhere else (whoever knew the old password included)
+        userStore.revokeUserSessions(user.id);
+        startSession(req, res, updated);
+        log.info(`🔑 Password reset completed for ${user.email}`, { user_id: user.id });
+        
+        sendJSON(res, 200, {
+            success: true,
+            user: { email: updated.email, company_website: updated.company_website }
+        });
+    });
+
+// API: Confirm an email address from a verification link
+router.post('/api/verify-email',
+    errorMessage('Failed to verify email'),
+    jsonBody(REQUEST_SCHEMAS.verifyEmail),
+    async ({ res, body }) => {
+        const claims = verifyAuthToken(authTokenSecret, body.token, 'verify_email');
+        const user = claims ? findUserById(claims.sub) : null;
+        if (!user || user.email.toLowerCase() !== claims.email) {
+            throw new HttpError(400, 'This verification link is invalid or has expired');
         }
         
-        const user = findUserById(sessionUser.id);
-        if (!user) {
-            sendJSON(res, 404, { error: 'User not found' });
-            return;
+        if (!user.email_verified_at) {
+            userStore.updateUser(user.id, { email_verified_at: new Date().toISOString() });
         }
         
-        if (user.status !== 'active') {
-            sendJSON(res, 400, { error: 'No active subscription to cancel' });
+        sendJSON(res, 200, { success: true, email: user.email });
+    });
+
+// API: Send the verification email again
+router.post('/api/resend-verification',
+    rateLimit('auth'),
+    requireAuth(),
+    errorMessage('Failed to send verification email'),
+    async ({ res, user }) => {
+        if (user.email_verified_at) {
+            sendJSON(res, 200, { success: true, already_verified: true });
             return;
         }
         
-        // Mark as canceled but keep access until expiry
-        user.status = 'canceled';
-        user.canceled_at = new Date().toISOString();
-        saveUsers();
-        
-        console.log(`⚠️ Subscription canceled: ${user.email}`);
+        await sendVerificationEmail(user);
+        sendJSON(res, 200, { success: true });
+    });
+
+// API: Log out of all devices
+router.post('/api/logout-all', requireAuth(), async ({ res, user }) => {
+    const revoked = userStore.revokeUserSessions(user.id);
+    clearSessionCookie(res);
+    sendJSON(res, 200, { success: true, revoked });
+});
+
+// API: List the current user's active sessions
+router.get('/api/sessions', requireAuth('Please login to view sessions'), async ({ res, user, session }) => {
+    const sessions = userStore.listSessions(user.id).map(s => ({
+        ...s,
+        current: s.id === session.id
+    }));
+    sendJSON(res, 200, { sessions });
+});
+
+// API: Revoke one session (e.g. a lost device)
+router.post('/api/sessions/revoke',
+    requireAuth(),
+    errorMessage('Failed to revoke session'),
+    jsonBody(REQUEST_SCHEMAS.revokeSession),
+    async ({ res, body, user, session }) => {
+        const { session_id } = body;
+        
+        if (!userStore.revokeSession(user.id, session_id)) {
+            throw new HttpError(404, 'Session not found');
+        }
         
-        sendJSON(res, 200, { 
-            success: true, 
-            message: 'Subscription canceled. You will retain access until your current period ends.',
-            expires_at: user.expires_at
+        if (session_id === session.id) {
+            clearSessionCookie(res);
+        }
+        sendJSON(res, 200, { success: true });
+    });
+
+// API: Get current user
+router.get('/api/me', async ({ res, user }) => {
+    if (user) {
+        sendJSON(res, 200, {
+            authenticated: true,
+            user: {
+                email: user.email,
+                company_website: user.company_website,
+                email_verified: !!user.email_verified_at
+            }
         });
-        return;
+    } else {
+        sendJSON(res, 200, { authenticated: false });
     }
-    
-    // API: Delete search from history
-    if (url.pathname === '/api/delete-search' && req.method === 'POST') {
-        const sessionToken = getSessionFromCookie(req);
-        const sessionUser = sessionToken ? findUserBySession(sessionToken) : null;
-        
-        if (!sessionUser) {
-            sendJSON(res, 401, { error: 'Please login' });
-            return;
+});
+
+// API: Admin - report which database snapshot is live
+router.get('/api/admin/snapshot', requireAdmin, async ({ res }) => {
+    sendJSON(res, 200, investorSnapshots.status());
+});
+
+// API: Admin - rebuild the database snapshot now instead of waiting for the watcher
+router.post('/api/admin/reload', requireAdmin, async ({ res, user }) => {
+    try {
+        const result = await investorSnapshots.reload({ force: true });
+        log.info(`🔄 Database reloaded by ${user.email}: snapshot ${result.version}`, {
+            user_id: user.id, snapshot: result.version
+        });
+        sendJSON(res, 200, { ...result, snapshot: investorSnapshots.status() });
+    } catch (error) {
+        log.error('Database reload error', { err: error });
+        throw new HttpError(500, `Reload failed: ${error.message}`);
+    }
+});
+
+// API: Get filter options
+router.get('/api/funds/filters', async ({ res, investorDb }) => {
+    sendJSON(res, 200, getFilterOptions(investorDb));
+});
+
+// API: Search funds - REQUIRES AUTHENTICATION (prevents API abuse)
+router.post('/api/funds/search',
+    requireAuth('Authentication required', {
+        message: 'Please register or login to search our investor database',
+        action: 'register'
+    }),
+    jsonBody(REQUEST_SCHEMAS.fundSearch),
+    async ({ res, body: filters, user, investorDb }) => {
+        try {
+            const results = await searchFundsAsUser(investorDb, filters, user);
+            
+            // Track fund search in user history if there's a query
+            if (filters.query && filters.query.trim()) {
+                addSearchToHistory(user.id, {
+                    query: filters.query,
+                    company_name: `🔍 Fund Search: "${filters.query}"`,
+                    matches_count: results.total,
+                    type: 'fund_search'
+                });
+            }
+            
+            sendJSON(res, 200, results);
+        } catch (error) {
+            log.error('Fund search error', { err: error });
+            throw new HttpError(500, error.message);
         }
-        
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { search_id } = JSON.parse(body);
-                
-                const user = findUserById(sessionUser.id);
-                if (!user || !user.search_history) {
-                    sendJSON(res, 404, { error: 'Not found' });
-                    return;
-                }
-                
-                user.search_history = user.search_history.filter(s => s.id !== search_id);
-                saveUsers();
-                
-                sendJSON(res, 200, { success: true });
-            } catch (error) {
-                sendJSON(res, 500, { error: 'Failed to delete search' });
+    });
+
+// API: Get fund details - REQUIRES AUTHENTICATION (prevents API abuse)
+router.get('/api/funds/:id',
+    requireAuth('Authentication required', {
+        message: 'Please register or login to view fund details',
+        action: 'register'
+    }),
+    async ({ res, params, investorDb }) => {
+        const fund = getFundDetails(investorDb, params.id);
+        
+        if (!fund) {
+            throw new HttpError(404, 'Fund not found');
+        }
+        sendJSON(res, 200, fund);
+    });
+
+// API: List the current user's API keys
+router.get('/api/api-keys', requireAuth('Please login to manage API keys'), async ({ res, user }) => {
+    sendJSON(res, 200, {
+        keys: userStore.listApiKeys(user.id),
+        available_scopes: API_KEY_CONFIG.scopes,
+        default_quota_per_day: API_KEY_CONFIG.defaultQuotaPerDay,
+        max_quota_per_day: API_KEY_CONFIG.maxQuotaPerDay
+    });
+});
+
+// API: Create an API key (the key itself is only ever shown in this response)
+router.post('/api/api-keys',
+    requireAuth('Please login to manage API keys'),
+    requireVerifiedEmail,
+    jsonBody(REQUEST_SCHEMAS.createApiKey),
+    async ({ res, body, user }) => {
+        try {
+            const { key, apiKey } = userStore.createApiKey(user.id, {
+                name: body.name,
+                scopes: [...new Set(body.scopes)],
+                quotaPerDay: body.quota_per_day
+            });
+            log.info(`🔑 API key ${apiKey.key_prefix}… created by ${user.email}`, {
+                user_id: user.id, api_key_id: apiKey.id
+            });
+            sendJSON(res, 201, { key, api_key: apiKey });
+        } catch (err) {
+            if (err.code === 'API_KEY_LIMIT') {
+                throw new HttpError(400, err.message);
             }
+            throw err;
+        }
+    });
+
+// API: Revoke an API key
+router.delete('/api/api-keys/:id', requireAuth('Please login to manage API keys'), async ({ res, params, user }) => {
+    if (!userStore.revokeApiKey(user.id, params.id)) {
+        throw new HttpError(404, 'API key not found');
+    }
+    sendJSON(res, 200, { success: true });
+});
+
+// ============================================================================
+// Public API v1 (API key authentication, see requireApiKey)
+// ============================================================================
+
+let openApiDocument = null;
+
+router.get('/api/v1/stats', {
+    summary: 'Database statistics',
+    tags: ['Stats'],
+    operationId: 'getStats'
+}, requireApiKey('stats:read'), async ({ res, investorDb }) => {
+    const counts = investorDb.getCounts();
+    sendJSON(res, 200, {
+        investors: counts.investors,
+        team_members: counts.team_members,
+        team_with_emails: counts.team_with_emails,
+        investments: counts.investments
+    });
+});
+
+router.post('/api/v1/funds/search', {
+    summary: 'Search funds',
+    description: 'Filter funds by stage, focus, location, check size and activity. ' +
+        '`query` accepts natural language or a fund/person name.',
+    tags: ['Funds'],
+    operationId: 'searchFunds',
+    response: 'Paginated funds: { results, total, page, limit, ... }'
+}, requireApiKey('funds:read'), jsonBody(REQUEST_SCHEMAS.fundSearch), async ({ res, body, user, investorDb }) => {
+    sendJSON(res, 200, await searchFundsAsUser(investorDb, body, user));
+});
+
+router.get('/api/v1/funds/:id', {
+    summary: 'Fund details',
+    description: 'Full profile of one fund (by id or slug), including team, portfolio and enrichment.',
+    tags: ['Funds'],
+    operationId: 'getFund'
+}, requireApiKey('funds:read'), async ({ res, params, investorDb }) => {
+    const fund = getFundDetails(investorDb, params.id);
+    if (!fund) {
+        throw new HttpError(404, 'Fund not found');
+    }
+    sendJSON(res, 200, fund);
+});
+
+router.post('/api/v1/match', {
+    summary: 'Match a company with investors',
+    description: 'Pass either `website_url` (the site is scraped and analyzed) or a `company` profile to match ' +
+        'directly. Both are subject to the search rate limit. The key\'s owner must have confirmed their email address.',
+    tags: ['Matching'],
+    operationId: 'matchCompany',
+    response: 'Ranked investors with scores and match reasons'
+}, requireApiKey('match'), requireVerifiedEmail, jsonBody(REQUEST_SCHEMAS.apiMatch), async (ctx) => {
+    const { res, body, investorDb } = ctx;
+    const { website_url, company, limit = 50, force_refresh = false } = body;
+    
+    if (!website_url === !company) {
+        throw new HttpError(400, 'Provide exactly one of website_url or company', {
+            details: [{ field: 'website_url', message: 'exactly one of website_url or company is required' }]
         });
+    }
+    
+    const searchLimit = checkRateLimit(ctx, 'search');
+    if (!searchLimit.allowed) {
+        sendRateLimitError(res, searchLimit);
         return;
     }
     
-    // API: Register new user (FREE - keep for testing)
-    if (url.pathname === '/api/register' && req.method === 'POST') {
-        // Apply auth rate limiting
-        const authLimit = checkRateLimit(clientIP, 'auth');
-        if (!authLimit.allowed) {
-            sendRateLimitError(res, authLimit);
-            return;
+    let companyAnalysis = company;
+    let cache;
+    if (website_url) {
+        const quota = getAiQuota(ctx.user);
+        if (quota.exhausted) throw aiQuotaExceededError(quota);
+        try {
+            ({ analysis: companyAnalysis, cache } = await analyzeWebsite(website_url, {
+                userId: ctx.user.id,
+                forceRefresh: force_refresh
+            }));
+        } catch (error) {
+            log.error('API match error', { err: error });
+            throw new HttpError(500, error.message);
         }
-        
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { email, password, company_website } = JSON.parse(body);
-                
-                // Validation
-                if (!email || !password || !company_website) {
-                    sendJSON(res, 400, { error: 'Email, password, and company website are required' });
-                    return;
-                }
-                
-                if (!email.includes('@')) {
-                    sendJSON(res, 400, { error: 'Invalid email format' });
-                    return;
-                }
-                
-                if (password.length < 6) {
-                    sendJSON(res, 400, { error: 'Password must be at least 6 characters' });
-                    return;
-                }
-                
-                // Check if user exists
-                if (findUserByEmail(email)) {
-                    sendJSON(res, 400, { error: 'An account with this email already exists' });
-                    return;
-                }
-                
-                // Create user
-                const user = {
-                    id: crypto.randomUUID(),
-                    email: email.toLowerCase(),
-                    password_hash: hashPassword(password),
-                    company_website: company_website,
-                    created_at: new Date().toISOString()
-                };
-                
-                users.push(user);
-                saveUsers();
-                
-                // Create session
-                const sessionToken = generateSessionToken();
-                sessions.set(sessionToken, { id: user.id, email: user.email, company_website: user.company_website });
-                setSessionCookie(res, sessionToken);
-                
-                sendJSON(res, 201, { 
-                    success: true, 
-                    user: { email: user.email, company_website: user.company_website }
-                });
-                
-            } catch (error) {
-                console.error('Registration error:', error);
-                sendJSON(res, 500, { error: 'Registration failed' });
-            }
-        });
-        return;
     }
     
-    // API: Login
-    if (url.pathname === '/api/login' && req.method === 'POST') {
-        // Apply auth rate limiting (prevents brute force attacks)
-        const authLimit = checkRateLimit(clientIP, 'auth');
-        if (!authLimit.allowed) {
-            sendRateLimitError(res, authLimit);
+    const matches = matchInvestors(investorDb, companyAnalysis, limit, await semanticQuery(companyAnalysis, ctx.user.id));
+    sendJSON(res, 200, { ...formatResults(investorDb, matches, companyAnalysis), analysis_cache: cache });
+});
+
+router.get('/api/v1/openapi.json', {
+    summary: 'This OpenAPI document',
+    tags: ['Meta'],
+    operationId: 'getOpenApiDocument'
+}, async ({ res }) => {
+    // Routes are all registered before the server starts, so build once
+    openApiDocument = openApiDocument || buildOpenApiDocument(router.routes(), {
+        prefix: '/api/v1/',
+        title: 'Investor Match API',
+        version: '1.0.0',
+        description: 'Programmatic access to the investor database. Create API keys on your profile page.',
+        serverUrl: APP_URL,
+        scopes: API_KEY_CONFIG.scopes
+    });
+    sendJSON(res, 200, openApiDocument);
+});
+
+// Liveness, readiness and metrics. Served outside the router and before the
+// database snapshot is pinned, so they answer while the server is starting up.
+const OPERATIONAL_ENDPOINTS = {
+    // The process is up and serving HTTP
+    '/healthz': (req, res) => {
+        sendJSON(res, 200, { status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+    },
+    
+    // The database is loaded and API requests can be answered
+    '/readyz': (req, res) => {
+        const snapshot = investorSnapshots.status();
+        if (!ready || !snapshot.version) {
+            sendJSON(res, 503, { status: 'starting' }, { retryAfter: 5 });
             return;
         }
-        
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const { email, password } = JSON.parse(body);
-                
-                if (!email || !password) {
-                    sendJSON(res, 400, { error: 'Email and password are required' });
-                    return;
-                }
-                
-                const user = findUserByEmail(email);
-                if (!user || user.password_hash !== hashPassword(password)) {
-                    sendJSON(res, 401, { error: 'Invalid email or password' });
-                    return;
-                }
-                
-                // Create session
-                const sessionToken = generateSessionToken();
-                sessions.set(sessionToken, { id: user.id, email: user.email, company_website: user.company_website });
-                setSessionCookie(res, sessionToken);
-                
-                sendJSON(res, 200, { 
-                    success: true, 
-                    user: { email: user.email, company_website: user.company_website }
-                });
-                
-            } catch (error) {
-                console.error('Login error:', error);
-                sendJSON(res, 500, { error: 'Login failed' });
-            }
-        });
-        return;
+        sendJSON(res, 200, { status: 'ready', snapshot: snapshot.version, loaded_at: snapshot.loaded_at });
+    },
+    
+    // Set METRICS_TOKEN to require "Authorization: Bearer <token>" for scrapes
+    '/metrics': (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (token && req.headers['authorization'] !== `Bearer ${token}`) {
+            sendJSON(res, 401, { error: 'Invalid metrics token' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': metrics.contentType });
+        res.end(metrics.render());
     }
+};
+
+// Accept a caller-supplied X-Request-Id (e.g. from a proxy) if it looks sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+function getRequestId(req) {
+    const incoming = req.headers['x-request-id'];
+    return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// Main request handler. Everything logged while handling the request - scrape,
+// OpenAI calls, matching - carries its request_id, which is also returned in
+// the X-Request-Id header.
+function handleRequest(req, res) {
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    return withLogContext({ request_id: requestId }, () => routeRequest(req, res));
+}
+
+async function routeRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
     
-    // API: Logout
-    if (url.pathname === '/api/logout' && req.method === 'POST') {
-        const sessionToken = getSessionFromCookie(req);
-        if (sessionToken) {
-            sessions.delete(sessionToken);
-        }
-        clearSessionCookie(res);
-        sendJSON(res, 200, { success: true });
+    // Handle CORS preflight (no rate limiting for OPTIONS)
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Request-Id'
+        });
+        res.end();
         return;
     }
     
-    // API: Get current user
-    if (url.pathname === '/api/me' && req.method === 'GET') {
-        const sessionToken = getSessionFromCookie(req);
-        const user = sessionToken ? findUserBySession(sessionToken) : null;
-        
-        if (user) {
-            sendJSON(res, 200, { 
-                authenticated: true, 
-                user: { email: user.email, company_website: user.company_website }
-            });
-        } else {
-            sendJSON(res, 200, { authenticated: false });
-        }
+    const ctx = {
+        req,
+        res,
+        url,
+        clientIP: getClientIP(req),
+        investorDb: null,
+        route: null,
+        params: {},
+        body: undefined,
+        session: null,
+        sessionToken: null,
+        user: null
+    };
+    
+    // Label by route pattern (set by the router) to keep metric cardinality bounded
+    const endTimer = httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        const isApi = url.pathname.startsWith('/api/');
+        const route = ctx.route || (isApi ? 'unmatched' : 'static');
+        httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+        const durationMs = Math.round(endTimer({ route }) * 1000);
+        
+        // API calls are logged at info; static files and probes only at debug
+        const level = !isApi ? 'debug' : res.statusCode >= 500 ? 'error' : 'info';
+        log[level](`${req.method} ${url.pathname} ${res.statusCode} ${durationMs}ms`, {
+            method: req.method,
+            path: url.pathname,
+            route,
+            status: res.statusCode,
+            duration_ms: durationMs,
+            ip: ctx.clientIP,
+            user_id: ctx.user?.id
+        });
+    });
+    
+    const operational = OPERATIONAL_ENDPOINTS[url.pathname];
+    if (operational && (req.method === 'GET' || req.method === 'HEAD')) {
+        ctx.route = url.pathname;
+        operational(req, res);
         return;
     }
     
-    // API: Get filter options (must be before /api/funds/:id)
-    if (url.pathname === '/api/funds/filters' && req.method === 'GET') {
-        sendJSON(res, 200, getFilterOptions());
+    // Static pages don't need the database; the API waits for it
+    if (!ready && url.pathname.startsWith('/api/')) {
+        sendJSON(res, 503, { error: 'Server is starting up. Please try again shortly.' }, { retryAfter: 5 });
         return;
     }
     
-    // API: Search funds - REQUIRES AUTHENTICATION
-    if (url.pathname === '/api/funds/search' && req.method === 'POST') {
-        const sessionToken = getSessionFromCookie(req);
-        const user = sessionToken ? findUserBySession(sessionToken) : null;
-        
-        // Require authentication to prevent API abuse
-        if (!user) {
-            sendJSON(res, 401, { 
-                error: 'Authentication required',
-                message: 'Please register or login to search our investor database',
-                action: 'register'
-            });
-            return;
-        }
+    if (ready) {
+        // Pin the current database snapshot for the lifetime of this request,
+        // so a hot reload never swaps data out from under it
+        const snapshot = investorSnapshots.acquire();
+        res.on('close', () => investorSnapshots.release(snapshot));
+        ctx.investorDb = snapshot.db;
         
-        let body = '';
-        req.on('data', chunk => body += chunk);
-        req.on('end', async () => {
-            try {
-                const filters = JSON.parse(body);
-                const results = await searchFunds(filters, false);
-                
-                // Track fund search in user history if there's a query
-                if (filters.query && filters.query.trim()) {
-                    addSearchToHistory(user.id, {
-                        query: filters.query,
-                        company_name: `🔍 Fund Search: "${filters.query}"`,
-                        matches_count: results.total,
-                        type: 'fund_search'
-                    });
-                }
-                
-                sendJSON(res, 200, results);
-            } catch (error) {
-                console.error('Fund search error:', error);
-                sendJSON(res, 500, { error: error.message });
-            }
-        });
-        return;
+        if (await router.handle(ctx)) return;
     }
     
-    // API: Get fund details - REQUIRES AUTHENTICATION
-    if (url.pathname.startsWith('/api/funds/') && req.method === 'GET') {
-        const sessionToken = getSessionFromCookie(req);
-        const user = sessionToken ? findUserBySession(sessionToken) : null;
-        
-        // Require authentication to prevent API abuse
-        if (!user) {
-            sendJSON(res, 401, { 
-                error: 'Authentication required',
-                message: 'Please register or login to view fund details',
-                action: 'register'
-            });
-            return;
-        }
-        
-        const fundId = url.pathname.replace('/api/funds/', '');
-        const fund = getFundDetails(fundId);
-        
-        if (fund) {
-            sendJSON(res, 200, fund);
-        } else {
-            sendJSON(res, 404, { error: 'Fund not found' });
-        }
+    if (url.pathname.startsWith('/api/')) {
+        sendJSON(res, 404, { error: 'Not found' });
         return;
     }
     
-    // Serve static files
-    let filePath = path.join(__dirname, url.pathname === '/' ? 'index.html' : url.pathname);
-    serveStaticFile(filePath, res);
+    // Serve the pages (no rate limiting); nothing else in the app directory is public
+    const page = url.pathname === '/' ? 'index.html' : url.pathname.slice(1);
+    if (!STATIC_PAGES.has(page)) {
+        res.writeHead(404);
+        res.end('File not found');
+        return;
+    }
+    serveStaticFile(path.join(__dirname, page), res);
 }
 
 // Create and start server
 const server = http.createServer(handleRequest);
 
+// Listen straight away so /healthz answers during startup; /readyz and the API
+// report 503 until initialize() has loaded the database
+server.listen(PORT, () => {
+    log.info(`\n🚀 Investor Match listening at http://localhost:${PORT}\n`, { port: PORT });
+});
+
 // Start the application
 initialize().then(() => {
-    server.listen(PORT, () => {
-        console.log(`\n🚀 Investor Match running at http://localhost:${PORT}\n`);
-        console.log('Endpoints:');
-        console.log('  GET  /           → Main application');
-        console.log('  POST /api/search → Analyze website and find investors');
-        console.log('  GET  /api/stats  → Database statistics\n');
-    });
+    ready = true;
+    log.info([
+        'Endpoints:',
+        '  GET  /           → Main application',
+        '  POST /api/search → Analyze website and find investors',
+        '  GET  /api/stats  → Database statistics',
+        '  GET  /healthz, /readyz, /metrics → Health, readiness and Prometheus metrics\n'
+    ].join('\n'));
 }).catch(err => {
-    console.error('Failed to initialize:', err);
+    log.error('Failed to initialize', { err });
     process.exit(1);
 });
 
@@ -0,0 +1,426 @@
+/**
+ * Company Website Crawler
+ *
+ * Reads a startup's site the way an analyst would: the homepage plus a few of
+ * the internal pages that usually say what the company does (about, product,
+ * pricing, customers, careers). Crawls are bounded by page count, per-page
+ * timeout and an overall time budget, stay on the starting origin and honour
+ * robots.txt for our user agent token.
+ *
+ * Besides page text (with sentences repeated across pages, like footers and
+ * calls to action, kept once) the crawl extracts signals for the analysis:
+ *   pricing     price points, free plan / trial, "contact sales"
+ *   customers   names from logo walls and customer pages
+ *   team_size   phrases like "team of 40" or "200+ employees"
+ *   hiring      careers page, applicant tracking system, open roles
+ *
+ * fetch (node-fetch) and cheerio are injected because the server loads them as
+ * ESM modules at startup.
+ */
+
+const CRAWL_CONFIG = {
+    maxPages: 6,                    // Homepage included
+    pageTimeoutMs: 10000,
+    budgetMs: 25000,                // Stop following links after this long
+    maxPageBytes: 2 * 1024 * 1024,
+    maxPageChars: 4000,             // Text kept per page
+    maxTotalChars: 12000,           // Text kept across the crawl
+    botToken: 'InvestorMatchBot',   // Matched against robots.txt User-agent lines
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 InvestorMatchBot/1.0'
+};
+
+// What a link's path or text suggests about the page, best first. The last path
+// segment decides when it matches (/company/careers is a careers page), then the
+// whole path and the link text.
+const LINK_RANKS = [
+    { kind: 'about', score: 10, pattern: /\b(about|about-us|company|who-we-are|our-story|mission)\b/i },
+    { kind: 'product', score: 9, pattern: /\b(product|products|platform|features|solutions?|how-it-works|use-cases|technology)\b/i },
+    { kind: 'pricing', score: 9, pattern: /\b(pricing|plans|price)\b/i },
+    { kind: 'customers', score: 8, pattern: /\b(customers|case-studies|case-study|clients|success-stories|testimonials)\b/i },
+    { kind: 'careers', score: 7, pattern: /\b(careers|jobs|join-us|hiring|work-with-us|open-positions)\b/i },
+    { kind: 'team', score: 6, pattern: /\b(team|leadership|founders|people)\b/i }
+];
+
+// Pages that never help describe the business
+const SKIP_LINK = /\b(login|log-in|signin|sign-in|signup|sign-up|register|logout|cart|checkout|privacy|terms|legal|cookies?|gdpr|imprint|status|docs|api|support|help|blog|news|press|events|webinars?)\b/i;
+const SKIP_EXTENSION = /\.(pdf|zip|jpe?g|png|gif|svg|webp|mp4|mov|mp3|css|js|xml|json|ics)$/i;
+
+const ATS_HOSTS = {
+    'greenhouse.io': 'greenhouse',
+    'lever.co': 'lever',
+    'ashbyhq.com': 'ashby',
+    'workable.com': 'workable',
+    'bamboohr.com': 'bamboohr',
+    'recruitee.com': 'recruitee',
+    'breezy.hr': 'breezy',
+    'smartrecruiters.com': 'smartrecruiters',
+    'wellfound.com': 'wellfound'
+};
+
+// ============================================================================
+// robots.txt
+// ============================================================================
+
+// Parse robots.txt into { agent: [{ allow, path }] } groups
+function parseRobots(text) {
+    const groups = {};
+    let agents = [];
+    let inRules = false;
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'user-agent') {
+            // A User-agent line after rules starts a new group
+            if (inRules) {
+                agents = [];
+                inRules = false;
+            }
+            const agent = value.toLowerCase();
+            agents.push(agent);
+            groups[agent] = groups[agent] || [];
+        } else if (field === 'allow' || field === 'disallow') {
+            inRules = true;
+            if (field === 'disallow' && value === '') continue; // "Disallow:" allows everything
+            for (const agent of agents) {
+                groups[agent].push({ allow: field === 'allow', path: value });
+            }
+        }
+    }
+    return groups;
+}
+
+// Does a robots.txt path pattern (with * and $) match `path`?
+function robotsPatternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$');
+    const source = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Build an isAllowed(path) check for `botToken` from parsed robots groups: the
+ * bot's own group if there is one, else `*`; the longest matching rule wins and
+ * Allow wins a tie.
+ */
+function robotsChecker(groups, botToken) {
+    const token = botToken.toLowerCase();
+    const agent = Object.keys(groups).find(a => a !== '*' && token.includes(a));
+    const rules = groups[agent] || groups['*'] || [];
+
+    return function isAllowed(path) {
+        let best = null;
+        for (const rule of rules) {
+            if (!robotsPatternMatches(rule.path, path)) continue;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+        return !best || best.allow;
+    };
+}
+
+// ============================================================================
+// Link ranking
+// ============================================================================
+
+const sameSite = (a, b) => a.replace(/^www\./, '') === b.replace(/^www\./, '');
+
+// Score an internal link; null when it isn't worth fetching
+function rankLink(url, text) {
+    const path = url.pathname.toLowerCase();
+    if (path === '/' || SKIP_EXTENSION.test(path) || SKIP_LINK.test(path)) return null;
+
+    const segments = path.split('/').filter(Boolean);
+    const haystack = `${segments.join(' ').replace(/_/g, ' ')} ${String(text).toLowerCase()}`;
+    const rank = LINK_RANKS.find(r => r.pattern.test(segments[segments.length - 1]))
+        || LINK_RANKS.find(r => r.pattern.test(haystack));
+    if (!rank) return null;
+
+    // Prefer /pricing over /pricing/enterprise/faq
+    const depth = segments.length;
+    return { kind: rank.kind, score: rank.score - (depth - 1) * 2 };
+}
+
+// ============================================================================
+// Page extraction
+// ============================================================================
+
+// Names from logo walls: image alt/title text inside containers that look like
+// customer or partner sections, or anywhere on a customers page
+function extractCustomerNames($, isCustomersPage) {
+    const names = new Set();
+    const containers = isCustomersPage
+        ? $('body')
+        : $('[class*="logo" i], [id*="logo" i], [class*="customer" i], [id*="customer" i], [class*="client" i], [class*="trusted" i], [class*="partner" i]');
+
+    containers.find('img').each((i, el) => {
+        if ($(el).closest('header, nav').length > 0) return; // The site's own logo
+        const label = ($(el).attr('alt') || $(el).attr('title') || '').trim();
+        const name = label.replace(/\b(logo|logotype|icon|image)\b/gi, '').replace(/[-_|]+/g, ' ').trim();
+        // Skip empty or sentence-like alt text
+        if (name.length >= 2 && name.length <= 40 && name.split(/\s+/).length <= 4 && !/^\d+$/.test(name)) {
+            names.add(name);
+        }
+    });
+    return [...names];
+}
+
+// Price points come from the pricing page when there is one; the plan and trial
+// flags from anywhere on the site
+function extractPricing(pricingText, allText) {
+    const pricePattern = /[$€£]\s?\d[\d,]*(\.\d+)?\s?(k|K)?(\s?(\/|per)\s?(month|mo|year|yr|user|seat|member)(\/(month|mo|year|yr))?)?/g;
+    const pricePoints = [...new Set(
+        (pricingText.match(pricePattern) || []).map(p => p.replace(/\s+/g, ' ').trim())
+    )].slice(0, 8);
+
+    return {
+        price_points: pricePoints,
+        free_plan: /\b(free plan|free forever|free tier|freemium|\$0)\b/i.test(allText),
+        free_trial: /\b(free trial|try (it )?free|\d+[- ]day trial)\b/i.test(allText),
+        contact_sales: /\b(contact sales|talk to sales|request (a )?(demo|quote)|book a demo|custom pricing)\b/i.test(allText)
+    };
+}
+
+function extractTeamSizeHints(text) {
+    const patterns = [
+        /\bteam of (over |more than )?\d[\d,]*\+?( people| engineers| employees)?/gi,
+        /\b\d[\d,]*\+? (employees|people|team members|teammates|engineers|staff)\b/gi,
+        /\b(over|more than) \d[\d,]* (employees|people|team members)\b/gi
+    ];
+    const hints = new Set();
+    for (const pattern of patterns) {
+        for (const match of text.match(pattern) || []) hints.add(match.trim());
+    }
+    // "team of 25 people" makes "25 people" redundant
+    return [...hints].filter(h => ![...hints].some(other => other !== h && other.includes(h))).slice(0, 5);
+}
+
+// Parse one HTML page; links are collected before nav/header/footer are removed
+function extractPage($, pageUrl, kind) {
+    const links = [];
+    $('a[href]').each((i, el) => {
+        try {
+            const url = new URL($(el).attr('href'), pageUrl);
+            url.hash = '';
+            url.search = '';
+            links.push({ url, text: $(el).text().trim().slice(0, 100) });
+        } catch (e) {
+            // Malformed href
+        }
+    });
+
+    const atsLinks = links.filter(l => Object.keys(ATS_HOSTS).some(host => l.url.hostname.endsWith(host)));
+    const customers = extractCustomerNames($, kind === 'customers');
+
+    $('script, style, nav, footer, header, iframe, noscript, svg').remove();
+    // Keep words in neighbouring blocks apart once the markup is gone
+    $('p, div, li, td, th, h1, h2, h3, h4, h5, h6, section, article, a, br').append(' ');
+
+    const headings = [];
+    $('h1, h2, h3').each((i, el) => {
+        const text = $(el).text().replace(/\s+/g, ' ').trim();
+        if (text && text.length < 200) headings.push(text);
+    });
+
+    return {
+        url: pageUrl.href,
+        kind,
+        title: $('title').text().trim(),
+        metaDescription: $('meta[name="description"]').attr('content') || '',
+        metaKeywords: $('meta[name="keywords"]').attr('content') || '',
+        ogTitle: $('meta[property="og:title"]').attr('content') || '',
+        ogDescription: $('meta[property="og:description"]').attr('content') || '',
+        headings,
+        text: $('body').text().replace(/\s+/g, ' ').trim(),
+        links,
+        atsLinks,
+        customers
+    };
+}
+
+// Keep each sentence once across the whole crawl, so boilerplate repeated on
+// every page doesn't crowd out what's unique to each
+function dedupeText(text, seen, maxChars) {
+    const kept = [];
+    let length = 0;
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+        const key = sentence.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        if (length + sentence.length > maxChars) break;
+        kept.push(sentence);
+        length += sentence.length + 1;
+    }
+    return kept.join(' ');
+}
+
+// ============================================================================
+// Crawler
+// ============================================================================
+
+class CrawlError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'CrawlError';
+        this.code = code;
+    }
+}
+
+function createCrawler({ fetch, cheerio, log, ...options }) {
+    const config = { ...CRAWL_CONFIG, ...options };
+    const headers = {
+        'User-Agent': config.userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+    };
+
+    // robots.txt for an origin; an unreachable or missing file allows everything
+    async function loadRobots(origin) {
+        try {
+            const response = await fetch(`${origin}/robots.txt`, { headers, timeout: 5000, size: 512 * 1024 });
+            if (!response.ok) return () => true;
+            return robotsChecker(parseRobots(await response.text()), config.botToken);
+        } catch (e) {
+            return () => true;
+        }
+    }
+
+    async function fetchPage(url) {
+        const response = await fetch(url.href, { headers, timeout: config.pageTimeoutMs, size: config.maxPageBytes });
+        if (!response.ok) {
+            throw new CrawlError(`HTTP ${response.status}: ${response.statusText}`, 'HTTP_ERROR');
+        }
+        const type = response.headers.get('content-type') || '';
+        if (type && !/html|xml/i.test(type)) {
+            throw new CrawlError(`Not an HTML page (${type})`, 'NOT_HTML');
+        }
+        return { finalUrl: new URL(response.url || url.href), html: await response.text() };
+    }
+
+    /**
+     * Crawl from `startUrl`. Resolves with the homepage's metadata plus the
+     * combined text of every page read, the pages themselves and the signals.
+     */
+    async function crawl(startUrl) {
+        const started = Date.now();
+        let start = new URL(/^https?:\/\//i.test(startUrl) ? startUrl : `https://${startUrl}`);
+
+        let isAllowed = await loadRobots(start.origin);
+        if (!isAllowed(start.pathname)) {
+            throw new CrawlError(`robots.txt on ${start.host} does not allow us to read ${start.pathname}`, 'ROBOTS_DISALLOWED');
+        }
+
+        // The homepage is required; everything after it is best effort
+        const home = await fetchPage(start);
+        if (home.finalUrl.origin !== start.origin) {
+            // Redirected, e.g. to www.; crawl (and obey robots.txt) there instead
+            start = home.finalUrl;
+            isAllowed = await loadRobots(start.origin);
+        }
+        const pages = [extractPage(cheerio.load(home.html), home.finalUrl, 'home')];
+        const visited = new Set([start.origin + start.pathname.replace(/\/$/, '')]);
+
+        // Rank the homepage's internal links, best first, one per URL
+        const candidates = new Map();
+        for (const { url, text } of pages[0].links) {
+            if (!sameSite(url.hostname, start.hostname) || !/^https?:$/.test(url.protocol)) continue;
+            const key = url.origin + url.pathname.replace(/\/$/, '');
+            if (visited.has(key)) continue;
+            const rank = rankLink(url, text);
+            if (rank && (!candidates.has(key) || candidates.get(key).score < rank.score)) {
+                candidates.set(key, { url, ...rank });
+            }
+        }
+        // At most two pages of each kind, so five product pages can't crowd out pricing
+        const perKind = {};
+        const queue = [...candidates.values()]
+            .sort((a, b) => b.score - a.score)
+            .filter(c => (perKind[c.kind] = (perKind[c.kind] || 0) + 1) <= 2);
+
+        for (const candidate of queue) {
+            if (pages.length >= config.maxPages || Date.now() - started > config.budgetMs) break;
+            if (!isAllowed(candidate.url.pathname)) {
+                log?.debug(`   🤖 robots.txt disallows ${candidate.url.pathname}`, { url: candidate.url.href });
+                continue;
+            }
+            try {
+                const page = await fetchPage(candidate.url);
+                const key = page.finalUrl.origin + page.finalUrl.pathname.replace(/\/$/, '');
+                if (visited.has(key) || !sameSite(page.finalUrl.hostname, start.hostname)) continue;
+                visited.add(key);
+                pages.push(extractPage(cheerio.load(page.html), page.finalUrl, candidate.kind));
+            } catch (error) {
+                log?.debug(`   ⚠️  Skipped ${candidate.url.href}`, { url: candidate.url.href, err: error });
+            }
+        }
+
+        // Combine page text, each sentence once
+        const seen = new Set();
+        let remaining = config.maxTotalChars;
+        for (const page of pages) {
+            page.text = dedupeText(page.text, seen, Math.min(config.maxPageChars, remaining));
+            remaining -= page.text.length;
+        }
+        const allText = pages.map(p => p.text).join(' ');
+
+        // Signals
+        const pricingPage = pages.find(p => p.kind === 'pricing');
+        const careersPage = pages.find(p => p.kind === 'careers')?.url
+            || [...candidates.values()].find(c => c.kind === 'careers')?.url.href
+            || null;
+        const atsLinks = pages.flatMap(p => p.atsLinks);
+        const atsHost = atsLinks.length > 0
+            ? Object.keys(ATS_HOSTS).find(host => atsLinks[0].url.hostname.endsWith(host))
+            : null;
+        // ATS links that point at individual postings rather than the board
+        const roles = [...new Set(atsLinks
+            .filter(l => l.url.pathname.split('/').filter(Boolean).length >= 2 && l.text)
+            .map(l => l.text.replace(/\s+/g, ' ')))];
+
+        const homePage = pages[0];
+        return {
+            url: homePage.url,
+            domain: start.hostname.replace(/^www\./, ''),
+            title: homePage.title,
+            metaDescription: homePage.metaDescription,
+            metaKeywords: homePage.metaKeywords,
+            ogTitle: homePage.ogTitle,
+            ogDescription: homePage.ogDescription,
+            headings: [...new Set(pages.flatMap(p => p.headings))].slice(0, 30),
+            bodyText: allText,
+            pages: pages.map(p => ({ url: p.url, kind: p.kind, title: p.title, text: p.text })),
+            signals: {
+                pricing: {
+                    page: pricingPage?.url || null,
+                    ...extractPricing(pricingPage ? pricingPage.text : allText, allText)
+                },
+                customers: [...new Set(pages.flatMap(p => p.customers))].slice(0, 20),
+                team_size: extractTeamSizeHints(allText),
+                hiring: {
+                    careers_page: careersPage,
+                    ats: atsHost ? ATS_HOSTS[atsHost] : null,
+                    open_roles: roles.length || null,
+                    roles: roles.slice(0, 10)
+                }
+            }
+        };
+    }
+
+    return { crawl };
+}
+
+module.exports = {
+    CRAWL_CONFIG,
+    CrawlError,
+    parseRobots,
+    robotsChecker,
+    rankLink,
+    createCrawler
+};
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuthToken, verifyAuthToken, fingerprint } = require('../auth-tokens');
+
+const SECRET = 'test-secret';
+const HOUR = 60 * 60 * 1000;
+
+test('a token verifies for its purpose and returns its claims', () => {
+    const token = createAuthToken(SECRET, 'reset', { uid: 'u1' }, HOUR);
+    const claims = verifyAuthToken(SECRET, token, 'reset');
+    assert.equal(claims.uid, 'u1');
+    assert.equal(claims.purpose, 'reset');
+    assert.ok(claims.exp > Date.now());
+});
+
+test('a token is rejected for another purpose, another secret or after it expires', () => {
+    const token = createAuthToken(SECRET, 'verify', { uid: 'u1' }, HOUR);
+    assert.equal(verifyAuthToken(SECRET, token, 'reset'), null);
+    assert.equal(verifyAuthToken('other-secret', token, 'verify'), null);
+    assert.equal(verifyAuthToken(SECRET, createAuthToken(SECRET, 'verify', { uid: 'u1' }, -1), 'verify'), null);
+});
+
+test('claims cannot override the purpose or expiry', () => {
+    const token = createAuthToken(SECRET, 'verify', { purpose: 'reset', exp: Date.now() + 100 * HOUR }, -1);
+    assert.equal(verifyAuthToken(SECRET, token, 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, token, 'verify'), null);
+});
+
+test('altered or malformed tokens are rejected', () => {
+    const token = createAuthToken(SECRET, 'reset', { uid: 'u1' }, HOUR);
+    const [encoded, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ uid: 'admin', purpose: 'reset', exp: Date.now() + HOUR })).toString('base64url');
+
+    assert.equal(verifyAuthToken(SECRET, `${forged}.${signature}`, 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, `${encoded}.${signature.slice(0, -2)}`, 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, `${token}.extra`, 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, encoded, 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, '', 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, undefined, 'reset'), null);
+    assert.equal(verifyAuthToken(SECRET, { toString: () => token }, 'reset'), null);
+});
+
+test('fingerprint is stable, short and differs between values', () => {
+    assert.equal(fingerprint('hash-a'), fingerprint('hash-a'));
+    assert.notEqual(fingerprint('hash-a'), fingerprint('hash-b'));
+    assert.equal(fingerprint('hash-a').length, 16);
+    assert.equal(fingerprint(null), fingerprint(''));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIp, createClientIpResolver } = require('../client-ip');
+
+// A request from `peer` with the given headers
+function request(peer, headers = {}) {
+    return { socket: { remoteAddress: peer }, headers };
+}
+
+test('a direct peer that is not a trusted proxy is the client, whatever it claims', () => {
+    const getClientIP = createClientIpResolver('10.0.0.0/8');
+    const headers = { 'x-forwarded-for': '1.2.3.4', 'x-real-ip': '5.6.7.8' };
+    assert.equal(getClientIP(request('203.0.113.9', headers)), '203.0.113.9');
+    assert.equal(getClientIP(request('::ffff:203.0.113.9', headers)), '203.0.113.9');
+    assert.equal(getClientIP(request(undefined)), 'unknown');
+});
+
+test('a chain of trusted proxies is walked back to the first untrusted hop', () => {
+    const getClientIP = createClientIpResolver('loopback, 10.0.0.0/8, 192.0.2.10');
+    assert.equal(getClientIP(request('127.0.0.1', { 'x-forwarded-for': '198.51.100.7, 192.0.2.10, 10.1.2.3' })), '198.51.100.7');
+    // Every hop trusted: the leftmost is as far back as the chain goes
+    assert.equal(getClientIP(request('127.0.0.1', { 'x-forwarded-for': '10.0.0.5, 10.1.2.3' })), '10.0.0.5');
+    // No X-Forwarded-For: X-Real-IP, then the proxy itself
+    assert.equal(getClientIP(request('127.0.0.1', { 'x-real-ip': '::ffff:198.51.100.7' })), '198.51.100.7');
+    assert.equal(getClientIP(request('127.0.0.1')), '127.0.0.1');
+});
+
+test('a spoofed leftmost X-Forwarded-For entry is ignored', () => {
+    const getClientIP = createClientIpResolver('private');
+    // The client sent "X-Forwarded-For: 1.1.1.1"; the proxy appended its real address
+    assert.equal(getClientIP(request('10.0.0.2', { 'x-forwarded-for': '1.1.1.1, 198.51.100.7' })), '198.51.100.7');
+    assert.equal(getClientIP(request('fd12::1', { 'x-forwarded-for': '1.1.1.1,198.51.100.7, 172.16.4.4' })), '198.51.100.7');
+});
+
+test('the loopback default trusts only a proxy on this host', () => {
+    const getClientIP = createClientIpResolver('loopback');
+    const headers = { 'x-forwarded-for': '198.51.100.7' };
+    for (const peer of ['127.0.0.1', '127.0.1.1', '::1', '::ffff:127.0.0.1']) {
+        assert.equal(getClientIP(request(peer, headers)), '198.51.100.7', peer);
+    }
+    for (const peer of ['10.0.0.2', '192.168.1.1', 'fd12::1']) {
+        assert.equal(getClientIP(request(peer, headers)), peer, peer);
+    }
+});
+
+test('no trusted proxies: the peer is always the client', () => {
+    const getClientIP = createClientIpResolver('');
+    assert.equal(getClientIP(request('127.0.0.1', { 'x-forwarded-for': '198.51.100.7' })), '127.0.0.1');
+    assert.equal(normalizeIp(' ::ffff:10.0.0.1 '), '10.0.0.1');
+    assert.equal(normalizeIp('::ffff:zz'), '::ffff:zz');
+});
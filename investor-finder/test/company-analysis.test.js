@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LOG_LEVEL = 'silent';
+
+const { createLlmClient } = require('../llm-client');
+const { analyzeCompany, parseNaturalLanguageQuery } = require('../company-analysis');
+
+// The fixture client, with the operation of every call it makes kept in `requests`
+function recordingClient() {
+    const requests = [];
+    const llm = createLlmClient({ onCall: ({ operation }) => requests.push(operation) });
+    return { llm, requests };
+}
+
+const WEBSITE = {
+    url: 'https://acme.example/',
+    domain: 'acme.example',
+    title: 'Acme Analytics',
+    metaDescription: 'Dashboards from your spreadsheets',
+    ogDescription: '',
+    metaKeywords: '',
+    headings: ['Live dashboards'],
+    pages: [{ kind: 'home', url: 'https://acme.example/', text: 'Acme turns spreadsheets into dashboards.' }],
+    signals: {
+        pricing: { price_points: ['$49/mo'], free_plan: false, free_trial: true, contact_sales: false, page: 'https://acme.example/pricing' },
+        customers: ['Globex'],
+        team_size: ['12 people'],
+        hiring: { careers_page: null, ats: null, open_roles: 0, roles: [] }
+    }
+};
+
+test('analyzeCompany returns the fixture analysis with the crawl attached', async () => {
+    const { llm, requests } = recordingClient();
+    const analysis = await analyzeCompany(llm, WEBSITE, 'u1');
+
+    assert.equal(analysis.company_name, 'Acme Analytics');
+    assert.equal(analysis.industry, 'SaaS');
+    assert.equal(analysis.source_url, WEBSITE.url);
+    assert.equal(analysis.source_domain, 'acme.example');
+    assert.deepEqual(analysis.pages_crawled, ['https://acme.example/']);
+    assert.deepEqual(analysis.site_signals, WEBSITE.signals);
+    assert.deepEqual(requests, ['analyze_company']);
+});
+
+test('analyzeCompany marks a document analysis with its source', async () => {
+    const { llm } = recordingClient();
+    const document = {
+        source: { type: 'pitch_text', name: null, label: 'Company description' },
+        title: 'Acme Analytics',
+        pages: [{ title: 'Description', text: 'We build dashboards for operations teams.' }]
+    };
+    const analysis = await analyzeCompany(llm, document);
+
+    assert.equal(analysis.source_type, 'pitch_text');
+    assert.equal(analysis.source_url, undefined);
+});
+
+test('analyzeCompany fails with a readable error when the model output is unusable', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'analyze_company.json'), JSON.stringify({ response: { content: { industry: 'SaaS' } } }));
+    const llm = createLlmClient({ fixturesDir: dir, maxRetries: 1, baseDelayMs: 1 });
+
+    await assert.rejects(analyzeCompany(llm, WEBSITE), /^Error: Failed to analyze company: Model output failed validation: company_name is required/);
+});
+
+test('parseNaturalLanguageQuery returns the fixture filters, and null when parsing fails', async t => {
+    const { llm } = recordingClient();
+    assert.deepEqual(await parseNaturalLanguageQuery(llm, 'AI seed funds'), { focuses: ['AI'], stages: ['Seed'] });
+    assert.equal(await parseNaturalLanguageQuery(null, 'AI seed funds'), null);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    assert.equal(await parseNaturalLanguageQuery(createLlmClient({ fixturesDir: dir }), 'AI seed funds'), null);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildEmbeddingIndex, loadEmbeddingIndex, createEmbeddingIndexLoader } = require('../embedding-index');
+const { createEmbedder, cosine } = require('../embeddings');
+
+const INVESTORS = [
+    { id: 'pay', name: 'Ledger Ventures', description: 'We back B2B payments and invoicing software for logistics.', focus: ['Fintech'] },
+    { id: 'bio', name: 'Helix Capital', description: 'Early-stage therapeutics and drug discovery.', focus: ['Biotech'] },
+    { id: 'game', name: 'Arcade Fund', description: 'Consumer games and interactive entertainment.', focus: ['Gaming'] },
+    { id: 'blank', name: 'Nothing Said' }
+];
+
+const INVESTMENTS = [
+    { investor_id: 'pay', company_name: 'FreightPay', company_website: 'https://freightpay.example' },
+    { investor_id: 'bio', company_name: 'Proteo', company_city: 'Boston', company_country: 'United States' },
+    { investor_id: 'game', company_name: ' ' }
+];
+
+// A data directory with the JSON exports and a path for the index, removed afterwards
+function exportsDir(t, { investors = INVESTORS, investments = INVESTMENTS } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-index-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'investors.json'), JSON.stringify(investors));
+    fs.writeFileSync(path.join(dir, 'investments.json'), JSON.stringify(investments));
+    fs.writeFileSync(path.join(dir, 'portfolio_companies.json'), JSON.stringify([
+        { company_name: 'FreightPay', description: 'Payments for freight brokers', sectors: ['Fintech', 'Logistics'] }
+    ]));
+    return { dataDir: dir, dbPath: path.join(dir, 'embeddings.db') };
+}
+
+test('an index builds from the exports and loads into one buffer', async t => {
+    const { dataDir, dbPath } = exportsDir(t);
+    const embedder = createEmbedder({ provider: 'hash' });
+    const result = await buildEmbeddingIndex({ dataDir, dbPath, embedder });
+    // The fund with no text and the company with no name are left out
+    assert.deepEqual(result, { embedded: 5, unchanged: 0, removed: 0, remaining: 0 });
+
+    const index = loadEmbeddingIndex(dbPath);
+    assert.equal(index.provider, 'hash');
+    assert.equal(index.model, 'hash-512');
+    assert.equal(index.dimensions, 512);
+    assert.deepEqual([...index.investors.keys()].sort(), ['bio', 'game', 'pay']);
+    assert.deepEqual([...index.companies.keys()].sort(), ['freightpay', 'proteo']);
+
+    const vectors = [...index.investors.values(), ...index.companies.values()];
+    for (const vector of vectors) {
+        assert.equal(vector.length, 512);
+        assert.equal(vector.buffer, vectors[0].buffer);
+        assert.ok(Math.abs(cosine(vector, vector) - 1) < 1e-5);
+    }
+    assert.equal(vectors[0].buffer.byteLength, 5 * 512 * 4);
+
+    // The stored vectors are the ones the embedder makes
+    const [pay] = await embedder.embed([
+        'We back B2B payments and invoicing software for logistics.\nFocus: Fintech'
+    ]);
+    assert.deepEqual(index.investors.get('pay'), pay);
+});
+
+test('funds and companies rank by cosine similarity to the query', async t => {
+    const { dataDir, dbPath } = exportsDir(t);
+    await buildEmbeddingIndex({ dataDir, dbPath, embedder: createEmbedder({ provider: 'hash' }) });
+    const calls = [];
+    const index = loadEmbeddingIndex(dbPath, { onCall: call => calls.push(call) });
+
+    const [query] = await index.embed(['Invoicing and payments software for freight brokers'], { context: { userId: 'u1' } });
+    const ranked = map => [...map].sort((a, b) => cosine(query, b[1]) - cosine(query, a[1])).map(([key]) => key);
+    assert.equal(ranked(index.investors)[0], 'pay');
+    assert.equal(ranked(index.companies)[0], 'freightpay');
+    assert.deepEqual(calls.map(c => [c.operation, c.provider, c.context.userId]), [['embed', 'hash', 'u1']]);
+});
+
+test('a rebuild embeds only what changed and drops what is gone', async t => {
+    const { dataDir, dbPath } = exportsDir(t);
+    const embedder = createEmbedder({ provider: 'hash' });
+    await buildEmbeddingIndex({ dataDir, dbPath, embedder });
+    assert.deepEqual(await buildEmbeddingIndex({ dataDir, dbPath, embedder }),
+        { embedded: 0, unchanged: 5, removed: 0, remaining: 0 });
+
+    const investors = INVESTORS.filter(inv => inv.id !== 'game')
+        .map(inv => (inv.id === 'bio' ? { ...inv, description: 'Medical devices.' } : inv));
+    fs.writeFileSync(path.join(dataDir, 'investors.json'), JSON.stringify(investors));
+    assert.deepEqual(await buildEmbeddingIndex({ dataDir, dbPath, embedder }),
+        { embedded: 1, unchanged: 3, removed: 1, remaining: 0 });
+    assert.deepEqual([...loadEmbeddingIndex(dbPath).investors.keys()].sort(), ['bio', 'pay']);
+
+    // Another model's vectors aren't comparable, so they are all replaced
+    const result = await buildEmbeddingIndex({ dataDir, dbPath, embedder: createEmbedder({ provider: 'hash', model: 'hash-64' }) });
+    assert.equal(result.embedded, 4);
+    assert.equal(loadEmbeddingIndex(dbPath).dimensions, 64);
+});
+
+test('the loader has no index until one is built', async t => {
+    const { dataDir, dbPath } = exportsDir(t);
+    const current = createEmbeddingIndexLoader(dbPath);
+    assert.equal(current(), null);
+    assert.equal(loadEmbeddingIndex(dbPath), null);
+
+    await buildEmbeddingIndex({ dataDir, dbPath, embedder: createEmbedder({ provider: 'hash' }) });
+    assert.equal(current().investors.size, 3);
+    assert.equal(current(), current());
+});
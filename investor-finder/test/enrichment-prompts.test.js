@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LOG_LEVEL = 'silent';
+
+const { extractFoundersWithAI, findFoundersWithAI } = require('../founder-enrichment');
+const { analyzeWithGPT } = require('../investor-enrichment');
+const { profileCompany } = require('../portfolio-enrichment');
+
+test('founder prompts return the founders from their fixtures', async () => {
+    const extracted = await extractFoundersWithAI('Acme Analytics', 'https://acme.example', 'Founded by Jordan Example');
+    assert.deepEqual(extracted.founders.map(f => f.name), ['Jordan Example']);
+
+    const found = await findFoundersWithAI('Acme Analytics', null);
+    assert.ok(Array.isArray(found.founders));
+    assert.notEqual(found.confidence, 'failed');
+});
+
+test('the investor guide prompt returns a guide', async () => {
+    const investor = { id: 'inv-1', name: 'Fund 1', stages: ['Seed'], focus: ['SaaS'], tags: [] };
+    const guide = await analyzeWithGPT(investor, [{ investor_id: 'inv-1', name: 'Sam Partner', title: 'Partner' }], '');
+    assert.equal(typeof guide.summary, 'string');
+    assert.ok(Array.isArray(guide.approach_tips));
+});
+
+test('the portfolio profile prompt returns a profile', async () => {
+    const profile = await profileCompany({ company_name: 'Acme Analytics', amount_raised: 2000000, announced_date: '2024-02-01' }, null);
+    assert.deepEqual(profile.sectors, ['SaaS', 'Data Analytics']);
+    assert.equal(profile.stage_at_investment, 'Seed');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ACTIVITY_CONFIG, fundActivity, describeAge, isFreshFund } = require('../fund-activity');
+
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+
+// The date `days` before NOW, as the data stores it
+function daysAgo(days) {
+    return new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+test('deals fall into rolling 91-day quarters, the latest first', () => {
+    const activity = fundActivity([daysAgo(0), daysAgo(90), daysAgo(91), daysAgo(363), daysAgo(364)], null, NOW);
+    assert.equal(activity.deals_last_quarter, 2);
+    // The deal 364 days ago is in the fifth quarter back: outside the year
+    assert.equal(activity.deals_last_year, 4);
+    assert.equal(activity.deals_per_quarter, 1);
+    assert.equal(activity.last_deal_date, daysAgo(0));
+    assert.equal(activity.days_since_last_deal, 0);
+});
+
+test('the trend compares the last two quarters with the two before', () => {
+    assert.equal(fundActivity([10, 20, 100].map(daysAgo), null, NOW).trend, 'up');
+    assert.equal(fundActivity([200, 250, 300, 10].map(daysAgo), null, NOW).trend, 'down');
+    assert.equal(fundActivity([10, 100, 200, 300].map(daysAgo), null, NOW).trend, 'flat');
+    assert.equal(fundActivity([10, 20].map(daysAgo), null, NOW).trend, null);
+});
+
+test('a fund is active with a deal in the past year, then quiet, then dormant', () => {
+    const status = days => fundActivity([daysAgo(days)], null, NOW).status;
+    assert.equal(status(ACTIVITY_CONFIG.quarterDays * ACTIVITY_CONFIG.yearQuarters - 1), 'active');
+    assert.equal(status(ACTIVITY_CONFIG.quarterDays * ACTIVITY_CONFIG.yearQuarters), 'quiet');
+    assert.equal(status(ACTIVITY_CONFIG.dormantDays - 1), 'quiet');
+    assert.equal(status(ACTIVITY_CONFIG.dormantDays), 'dormant');
+});
+
+test('a fund without dated deals has unknown activity', () => {
+    const activity = fundActivity([null, '', 'not a date'], null, NOW);
+    assert.equal(activity.status, 'unknown');
+    assert.equal(activity.deals_last_year, 0);
+    assert.equal(activity.last_deal_date, null);
+    assert.equal(activity.trend, null);
+    assert.equal(isFreshFund(activity), false);
+
+    // ...but a recent fund close still counts
+    assert.equal(isFreshFund(fundActivity([], daysAgo(ACTIVITY_CONFIG.freshFundDays), NOW)), true);
+    assert.equal(isFreshFund(fundActivity([], daysAgo(ACTIVITY_CONFIG.freshFundDays + 1), NOW)), false);
+});
+
+test('describeAge rounds to days, months or years', () => {
+    assert.equal(describeAge(0), 'today');
+    assert.equal(describeAge(1), '1 day ago');
+    assert.equal(describeAge(59), '59 days ago');
+    assert.equal(describeAge(400), '13 months ago');
+    assert.equal(describeAge(800), '2 years ago');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLocation, parseAreas, isWithin, describeLocation } = require('../geography');
+
+// The fields of a location worth comparing: where it is, without the lookups
+function place(location) {
+    return location && { city: location.city, state: location.state, country: location.country };
+}
+
+test('a city with a state abbreviation resolves to the state and the US', () => {
+    assert.deepEqual(place(parseLocation('Columbus, OH')), { city: 'Columbus', state: 'Ohio', country: 'United States' });
+    // Cities missing from the list still take the state they're given
+    assert.deepEqual(place(parseLocation('Akron, OH')), { city: 'Akron', state: 'Ohio', country: 'United States' });
+    // A known US city gives its state on its own
+    assert.deepEqual(place(parseLocation('Cleveland', 'US')), { city: 'Cleveland', state: 'Ohio', country: 'United States' });
+    assert.equal(describeLocation(parseLocation('Washington, D.C.')), 'Washington DC, District of Columbia');
+});
+
+test('country abbreviations and cities elsewhere resolve to their country', () => {
+    assert.deepEqual(parseLocation('UK').regions, ['Europe']);
+    assert.deepEqual(place(parseLocation('London, UK')), { city: 'London', state: null, country: 'United Kingdom' });
+    // Not London's US namesakes, nor a state for a city outside the US
+    assert.deepEqual(place(parseLocation('London, Ontario, Canada')), { city: 'London', state: null, country: 'Canada' });
+});
+
+test('places that name nothing recognisable parse to null', () => {
+    for (const text of ['Remote', 'Emerging markets', '', null, undefined]) {
+        assert.equal(parseLocation(text), null, String(text));
+    }
+    // A lone two-letter word isn't taken for a state: "IN", "OR" and "ME" are words too
+    assert.equal(parseLocation('OH'), null);
+});
+
+test('parseAreas splits a fund\'s geography and drops what it can\'t read', () => {
+    assert.deepEqual(parseAreas('Texas / Oklahoma and UK; nowhere in particular').map(describeLocation),
+        ['Texas', 'Oklahoma', 'United Kingdom']);
+    assert.deepEqual(parseAreas(['Midwest', 'Global']).map(describeLocation), ['Midwest', 'Global']);
+    assert.deepEqual(parseAreas(null), []);
+});
+
+test('a state lies within its country, sub-region and world region only', () => {
+    const columbus = parseLocation('Columbus, OH');
+    for (const area of ['Ohio', 'Midwest', 'United States', 'US', 'North America', 'Global']) {
+        assert.equal(isWithin(columbus, parseLocation(area)), true, area);
+    }
+    for (const area of ['Texas', 'West Coast', 'Canada', 'Europe', 'Austin, TX']) {
+        assert.equal(isWithin(columbus, parseLocation(area)), false, area);
+    }
+});
+
+test('isWithin can\'t tell when the place is less precise than the area', () => {
+    const us = parseLocation('United States');
+    assert.equal(isWithin(us, parseLocation('Texas')), null);
+    assert.equal(isWithin(us, parseLocation('Midwest')), null);
+    assert.equal(isWithin(parseLocation('Ohio'), parseLocation('Columbus, OH')), null);
+    // ...unless it is in another country altogether
+    assert.equal(isWithin(parseLocation('UK'), parseLocation('Texas')), false);
+});
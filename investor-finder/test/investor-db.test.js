@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openInvestorDb } = require('../investor-db');
+
+// A database in a temp directory with `data` bulk-loaded, closed and removed afterwards
+function loadDb(t, data) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'investor-db-'));
+    const investorDb = openInvestorDb(path.join(dir, 'investors.db'));
+    t.after(() => {
+        investorDb.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    investorDb.bulkLoad(data);
+    return investorDb;
+}
+
+test('the portfolio index answers like the per-fund lookups', t => {
+    const investorDb = loadDb(t, {
+        investors: [{ id: 'a', name: 'Alpha' }, { id: 'b', name: 'Beta' }, { id: 'c', name: 'Gamma' }],
+        investments: [
+            { id: 'i1', investor_id: 'a', company_name: 'Payly', announced_date: '2023-01-10' },
+            { id: 'i2', investor_id: 'a', company_name: 'Shipfast', announced_date: '2024-06-01' },
+            { id: 'i3', investor_id: 'b', company_name: 'Payly', announced_date: '2022-03-03' }
+        ],
+        portfolioCompanies: [{ company_name: 'Payly', description: 'B2B payments', sectors: ['fintech'] }]
+    });
+
+    const index = investorDb.loadPortfolioIndex();
+    for (const id of ['a', 'b', 'c']) {
+        assert.deepEqual(index.getInvestments(id), investorDb.getInvestments(id));
+    }
+    assert.deepEqual(index.getInvestments('a').map(i => i.company_name), ['Shipfast', 'Payly']);
+    assert.deepEqual(index.getInvestments('missing'), []);
+
+    assert.deepEqual(index.getPortfolioProfile(' payly '), investorDb.getPortfolioProfile('Payly'));
+    assert.equal(index.getPortfolioProfile('Payly').description, 'B2B payments');
+    assert.equal(index.getPortfolioProfile('Shipfast'), null);
+    assert.equal(index.getPortfolioProfile(''), null);
+});
+
+test('funds sort by deals in the past year or by their latest deal, funds without deals last', t => {
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const deals = (investorId, days) => days.map((d, i) => ({
+        id: `${investorId}-${i}`, investor_id: investorId, company_name: `Company ${investorId}${i}`, announced_date: daysAgo(d)
+    }));
+    const investorDb = loadDb(t, {
+        investors: [
+            { id: 'none', name: 'No Deals' },
+            { id: 'old', name: 'Old Hand' },
+            { id: 'steady', name: 'Steady' },
+            { id: 'recent', name: 'Recent' }
+        ],
+        investments: [
+            ...deals('old', [800, 900, 1000, 1100, 1200]),
+            ...deals('steady', [200, 250, 300]),
+            ...deals('recent', [10])
+        ]
+    });
+    const order = sort => investorDb.findInvestors({}, { sort }).results.map(inv => inv.id);
+
+    assert.deepEqual(order('activity'), ['steady', 'recent', 'old', 'none']);
+    assert.deepEqual(order('last_deal'), ['recent', 'steady', 'old', 'none']);
+    assert.equal(investorDb.findInvestors({}, { sort: 'activity' }).total, 4);
+});
+
+test('role filters keep funds known to take the role, not those unknown', t => {
+    const investorDb = loadDb(t, {
+        investors: [
+            { id: 'leader', name: 'Leader', leads_investments: true, co_invests: false, takes_board_seats: true },
+            { id: 'follower', name: 'Follower', leads_investments: false, co_invests: true, takes_board_seats: false },
+            { id: 'unknown', name: 'Unknown' }
+        ]
+    });
+    const ids = criteria => investorDb.findInvestors(criteria).results.map(inv => inv.id).sort();
+
+    assert.deepEqual(ids({ leads_investments: true }), ['leader']);
+    assert.deepEqual(ids({ co_invests: true }), ['follower']);
+    assert.deepEqual(ids({ takes_board_seats: true }), ['leader']);
+    assert.deepEqual(ids({ leads_investments: true, co_invests: true }), []);
+    // false means "don't filter", not "funds that don't"
+    assert.deepEqual(ids({ leads_investments: false }), ['follower', 'leader', 'unknown']);
+
+    const [leader, follower, unknown] = ['leader', 'follower', 'unknown'].map(id => investorDb.getInvestor(id));
+    assert.equal(leader.leads_investments, true);
+    assert.equal(follower.leads_investments, false);
+    assert.equal(unknown.leads_investments, null);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createSnapshotManager } = require('../investor-snapshots');
+
+// Exports in a temp directory and a manager over them, closed and removed afterwards
+function loadManager(t, investorCount = 2) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'investor-snapshots-'));
+    const manager = createSnapshotManager({ dataDir, dbPath: path.join(dataDir, 'investors.db'), debounceMs: 0 });
+    t.after(() => {
+        manager.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+    writeInvestors(dataDir, investorCount);
+    manager.loadInitial();
+    return { dataDir, manager };
+}
+
+function writeInvestors(dataDir, count) {
+    const investors = Array.from({ length: count }, (_, i) => ({ id: `inv-${i}`, name: `Fund ${i}` }));
+    fs.writeFileSync(path.join(dataDir, 'investors.json'), JSON.stringify(investors));
+}
+
+test('a reload skips unchanged exports unless forced', async t => {
+    const { manager } = loadManager(t);
+    assert.deepEqual(await manager.reload(), { swapped: false, reason: 'unchanged' });
+    assert.equal((await manager.reload({ force: true })).swapped, true);
+    assert.equal(manager.status().history.length, 2);
+});
+
+test('concurrent reloads share one rebuild', async t => {
+    const { dataDir, manager } = loadManager(t);
+    writeInvestors(dataDir, 3);
+    const first = manager.reload();
+    assert.equal(manager.reload(), first);
+    assert.equal((await first).swapped, true);
+    assert.equal(manager.status().counts.investors, 3);
+    assert.equal(manager.status().history.length, 2);
+});
+
+test('a forced reload during one in flight gets a forced pass of its own', async t => {
+    const { manager } = loadManager(t);
+    const inFlight = manager.reload();
+    const forced = manager.reload({ force: true });
+    const forcedAgain = manager.reload({ force: true });
+
+    assert.deepEqual(await inFlight, { swapped: false, reason: 'unchanged' });
+    const result = await forced;
+    assert.equal(result.swapped, true);
+    assert.deepEqual(await forcedAgain, result);
+    // One follow-up pass for both forced calls
+    assert.equal(manager.status().history.length, 2);
+    assert.equal(manager.status().reloading, false);
+});
+
+test('a forced follow-up pass that fails rejects its callers', async t => {
+    const { dataDir, manager } = loadManager(t);
+    const inFlight = manager.reload();
+    const forced = manager.reload({ force: true });
+    fs.writeFileSync(path.join(dataDir, 'investors.json'), '[]');
+
+    await inFlight;
+    await assert.rejects(forced, /no investors/);
+    assert.equal(manager.status().counts.investors, 2);
+    assert.match(manager.status().last_error.message, /no investors/);
+});
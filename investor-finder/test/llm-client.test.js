@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LlmError, extractJson, fixtureKey, describeUsage, createLlmClient } = require('../llm-client');
+const { LLM_SCHEMAS } = require('../llm-schemas');
+
+process.env.LLM_PROVIDER = 'fixture';
+
+const NO_DELAY = { baseDelayMs: 1, maxDelayMs: 5 };
+const usage = { prompt_tokens: 10, completion_tokens: 5 };
+
+// An adapter that answers with `responses` in turn; an Error is thrown instead
+function scriptedAdapter(responses) {
+    const requests = [];
+    return {
+        name: 'scripted',
+        requests,
+        async send(request, operation) {
+            requests.push({ request, operation });
+            const next = responses[Math.min(requests.length, responses.length) - 1];
+            if (next instanceof Error) throw next;
+            return { content: next, model: 'gpt-4o-mini', usage };
+        }
+    };
+}
+
+// A fixture directory holding `files` ({ name: fixture }), removed afterwards
+function fixtureDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [name, fixture] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(fixture));
+    }
+    return dir;
+}
+
+test('extractJson takes the object out of code fences and surrounding prose', () => {
+    assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(extractJson('Here you go: {"a": {"b": [1, 2]}} Hope that helps.'), { a: { b: [1, 2] } });
+    assert.throws(() => extractJson('No JSON here'), { name: 'LlmError', code: 'LLM_INVALID_OUTPUT', retryable: true });
+    assert.throws(() => extractJson('{"a": 1,}'), { code: 'LLM_INVALID_OUTPUT', message: /invalid JSON/ });
+});
+
+test('every recorded fixture replays and fits the schema of the prompt that uses it', async () => {
+    const schemas = {
+        analyze_company: LLM_SCHEMAS.companyAnalysis,
+        parse_query: LLM_SCHEMAS.searchFilters,
+        extract_founders: LLM_SCHEMAS.founders,
+        find_founders: LLM_SCHEMAS.founders,
+        investor_guide: LLM_SCHEMAS.investorGuide,
+        profile_portfolio_company: LLM_SCHEMAS.portfolioProfile
+    };
+    const llm = createLlmClient();
+    assert.equal(llm.provider, 'fixture');
+
+    for (const [operation, schema] of Object.entries(schemas)) {
+        const { data, attempts } = await llm.completeJson({ operation, model: 'gpt-4o', prompt: 'anything', schema });
+        assert.equal(attempts, 1, operation);
+        assert.equal(typeof data, 'object', operation);
+    }
+    assert.equal(llm.usageTotals().requests, Object.keys(schemas).length);
+});
+
+test('an exact recording wins over the operation default', async t => {
+    const request = { model: 'gpt-4o', messages: [{ role: 'user', content: 'exact' }], temperature: 0.3, maxTokens: 1000, json: true };
+    const dir = fixtureDir(t, {
+        parse_query: { response: { content: { stages: ['Seed'] } } },
+        [fixtureKey('parse_query', request)]: { response: { content: { stages: ['Series A'] } } }
+    });
+    const llm = createLlmClient({ fixturesDir: dir });
+
+    assert.deepEqual((await llm.completeJson({ operation: 'parse_query', model: 'gpt-4o', prompt: 'exact' })).data, { stages: ['Series A'] });
+    assert.deepEqual((await llm.completeJson({ operation: 'parse_query', model: 'gpt-4o', prompt: 'other' })).data, { stages: ['Seed'] });
+});
+
+test('a missing fixture fails at once', async t => {
+    const calls = [];
+    const llm = createLlmClient({ fixturesDir: fixtureDir(t, {}), onCall: call => calls.push(call), ...NO_DELAY });
+    await assert.rejects(llm.complete({ operation: 'analyze_company', prompt: 'x' }), { code: 'LLM_FIXTURE_MISSING' });
+    assert.equal(calls[0].attempts, 1);
+});
+
+test('a malformed fixture response is retried, then reported as invalid output', async t => {
+    const dir = fixtureDir(t, { analyze_company: { response: { content: 'Sure! {"company_name": "Acme",', usage } } });
+    const calls = [];
+    const retries = [];
+    const llm = createLlmClient({ fixturesDir: dir, maxRetries: 2, ...NO_DELAY,
+        onCall: call => calls.push(call), onRetry: retry => retries.push(retry) });
+
+    await assert.rejects(
+        llm.completeJson({ operation: 'analyze_company', prompt: 'x', schema: LLM_SCHEMAS.companyAnalysis }),
+        { name: 'LlmError', code: 'LLM_INVALID_OUTPUT' }
+    );
+    assert.deepEqual(retries.map(r => r.attempt), [1, 2]);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].outcome, 'error');
+    assert.equal(calls[0].attempts, 3);
+    // Every attempt reached the model, so every attempt is charged
+    assert.equal(calls[0].usage.prompt_tokens, 30);
+});
+
+test('output that fails the schema is retried until it fits', async () => {
+    const adapter = scriptedAdapter(['{"industry": "SaaS"}', '{"company_name": "Acme", "industry": "SaaS"}']);
+    const llm = createLlmClient({ adapter, ...NO_DELAY });
+
+    const result = await llm.completeJson({ operation: 'analyze_company', prompt: 'x', schema: LLM_SCHEMAS.companyAnalysis });
+    assert.equal(result.data.company_name, 'Acme');
+    assert.equal(result.attempts, 2);
+    assert.deepEqual(result.usage, { prompt_tokens: 20, completion_tokens: 10 });
+    assert.deepEqual(llm.usageTotals().by_model, { 'gpt-4o-mini': { requests: 1, prompt_tokens: 20, completion_tokens: 10 } });
+});
+
+test('transient errors back off and retry; others fail at once', async () => {
+    const overloaded = new LlmError('openai returned 503', { code: 'LLM_HTTP', status: 503, retryable: true });
+    const limited = Object.assign(new LlmError('openai returned 429', { code: 'LLM_HTTP', status: 429, retryable: true }),
+        { retryAfterMs: 3 });
+    const retries = [];
+    const llm = createLlmClient({
+        adapter: scriptedAdapter([overloaded, limited, 'plain text']),
+        ...NO_DELAY,
+        onRetry: ({ attempt, delayMs }) => retries.push({ attempt, delayMs })
+    });
+    const result = await llm.complete({ operation: 'test', prompt: 'x' });
+    assert.equal(result.text, 'plain text');
+    assert.equal(result.attempts, 3);
+    assert.deepEqual(retries, [{ attempt: 1, delayMs: 1 }, { attempt: 2, delayMs: 3 }]);
+
+    const badRequest = new LlmError('openai returned 400', { code: 'LLM_HTTP', status: 400 });
+    const adapter = scriptedAdapter([badRequest, 'never reached']);
+    await assert.rejects(createLlmClient({ adapter, ...NO_DELAY }).complete({ operation: 'test', prompt: 'x' }), { status: 400 });
+    assert.equal(adapter.requests.length, 1);
+});
+
+test('usageSummary prices the tokens by model', async () => {
+    const llm = createLlmClient({ adapter: scriptedAdapter(['{}']) });
+    await llm.completeJson({ operation: 'test', prompt: 'x' });
+    const summary = llm.usageSummary();
+    assert.equal(summary.provider, 'scripted');
+    assert.ok(Math.abs(summary.estimated_cost_usd - (10 * 0.15 + 5 * 0.60) / 1e6) < 1e-12);
+    assert.equal(describeUsage(summary), '10 prompt + 5 completion (~$0.00, scripted)');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../logger');
+const { createMailTransport } = require('../mailer');
+
+const MESSAGE = {
+    to: 'founder@example.com',
+    subject: 'Reset your password',
+    text: 'Reset it here: https://app.example/reset-password.html?token=abc.def\nThe link expires in an hour.'
+};
+
+// A console transport whose log lines at `level` end up in `lines`
+function consoleTransport(options, level = 'debug') {
+    const lines = [];
+    const log = createLogger('mailer', { level, format: 'pretty', stdout: { write: line => lines.push(line) } });
+    return { mailer: createMailTransport({ transport: 'console', from: 'Investor Match <no-reply@app.example>', log, ...options }), lines };
+}
+
+test('the console transport logs messages at debug level, links included', async () => {
+    const { mailer, lines } = consoleTransport({ redactLinks: false });
+    assert.deepEqual(await mailer.send(MESSAGE), { id: null });
+    assert.equal(lines.join(''), [
+        '📧 Mail to founder@example.com: Reset your password',
+        '   From: Investor Match <no-reply@app.example>',
+        '   Reset it here: https://app.example/reset-password.html?token=abc.def',
+        '   The link expires in an hour.',
+        ''
+    ].join('\n'));
+
+    const quiet = consoleTransport({ redactLinks: false }, 'info');
+    await quiet.mailer.send(MESSAGE);
+    assert.deepEqual(quiet.lines, []);
+});
+
+test('the console transport redacts links in production', async t => {
+    const { mailer, lines } = consoleTransport({ redactLinks: true });
+    await mailer.send(MESSAGE);
+    assert.match(lines.join(''), /Reset it here: \[link redacted\]\n/);
+    assert.doesNotMatch(lines.join(''), /token/);
+
+    const nodeEnv = process.env.NODE_ENV;
+    t.after(() => {
+        if (nodeEnv === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = nodeEnv;
+    });
+    process.env.NODE_ENV = 'production';
+    const fromEnv = consoleTransport({});
+    await fromEnv.mailer.send(MESSAGE);
+    assert.doesNotMatch(fromEnv.lines.join(''), /token/);
+});
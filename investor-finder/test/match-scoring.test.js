@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fundActivity } = require('../fund-activity');
+const {
+    extractCategories, scoreCheckSizeFit, companyLocation, scoreGeographyFit, scoreDeploymentActivity, scoreLeadFit,
+    portfolioProfileMatch, portfolioNameMatch, describePortfolioMatch
+} = require('../match-scoring');
+
+const RAISE = 2000000;
+
+test('a sweet spot that can anchor the round scores highest', () => {
+    assert.deepEqual(scoreCheckSizeFit({ check_size_min: 250000, check_size_max: 1000000, sweet_spot: 500000 }, RAISE),
+        { score: 10, reason: 'Check size: sweet spot $500K is 25% of your $2M round' });
+});
+
+test('a sweet spot outside the raise falls back to the check range', () => {
+    assert.deepEqual(scoreCheckSizeFit({ check_size_min: 1000000, check_size_max: 5000000, sweet_spot: 3000000 }, RAISE),
+        { score: 7, reason: 'Check size: writes $1M-$5M checks, enough to cover your $2M round' });
+    assert.deepEqual(scoreCheckSizeFit({ check_size_min: 50000, check_size_max: 300000, sweet_spot: 100000 }, RAISE),
+        { score: 7, reason: 'Check size: writes $50K-$300K checks, up to 15% of your $2M round' });
+});
+
+test('a minimum-only range is judged by its minimum', () => {
+    assert.deepEqual(scoreCheckSizeFit({ check_size_min: 500000 }, RAISE),
+        { score: 7, reason: 'Check size: writes $500K+ checks, up to 25% of your $2M round' });
+    assert.deepEqual(scoreCheckSizeFit({ check_size_min: 5000000 }, RAISE),
+        { score: -15, reason: 'Check size: minimum check $5M is more than your $2M round' });
+});
+
+test('a maximum-only range is judged by its maximum', () => {
+    assert.deepEqual(scoreCheckSizeFit({ check_size_max: 3000000 }, RAISE),
+        { score: 7, reason: 'Check size: writes up to $3M checks, enough to cover your $2M round' });
+    assert.deepEqual(scoreCheckSizeFit({ check_size_max: 100000 }, RAISE),
+        { score: -10, reason: 'Check size: largest check $100K is only 5% of your $2M round' });
+});
+
+test('checks estimated from the fund size count for less', () => {
+    assert.deepEqual(scoreCheckSizeFit({ fund_size: 50000000 }, RAISE),
+        { score: 4, reason: 'Check size: a $50M fund typically writes $500K-$2.5M checks, enough to cover your $2M round' });
+    assert.deepEqual(scoreCheckSizeFit({ fund_size: 1000000000 }, RAISE),
+        { score: -5, reason: 'Check size: a $1B fund typically writes $10M-$50M checks, more than your $2M round' });
+    assert.equal(scoreCheckSizeFit({}, RAISE), null);
+});
+
+test('without a raise amount there is no check-size fit', () => {
+    const investor = { check_size_min: 250000, check_size_max: 1000000, sweet_spot: 500000 };
+    for (const raiseAmount of [undefined, null, 0, -1]) {
+        assert.equal(scoreCheckSizeFit(investor, raiseAmount), null);
+    }
+});
+
+const COLUMBUS = companyLocation({ headquarters: 'Columbus, OH' });
+
+test('a fund in the company\'s region, city and state scores for all three', () => {
+    const investor = { investment_geography: 'Midwest', city: 'Columbus', region: 'OH', country: 'United States' };
+    const portfolio = [
+        { company_city: 'Cleveland', company_country: 'United States' },
+        { company_city: 'Columbus', company_country: 'United States' },
+        { company_city: 'London', company_country: 'United Kingdom' }
+    ];
+    assert.deepEqual(scoreGeographyFit(investor, portfolio, COLUMBUS), {
+        score: 12,
+        reasons: [
+            'Geography: invests in Midwest',
+            'Geography: HQ in Columbus, Ohio',
+            'Invested in 2 companies in Ohio (1 in Columbus)'
+        ]
+    });
+});
+
+test('a state counts as inside its country, for less than a specific match', () => {
+    assert.deepEqual(scoreGeographyFit({ investment_geography: ['United States', 'Canada'] }, [], COLUMBUS),
+        { score: 2, reasons: ['Geography: invests in United States'] });
+    assert.deepEqual(scoreGeographyFit({ investment_geography: 'Ohio' }, [], COLUMBUS),
+        { score: 6, reasons: ['Geography: invests in Ohio'] });
+});
+
+test('a fund whose every stated geography leaves the company out is marked down', () => {
+    assert.deepEqual(scoreGeographyFit({ investment_geography: 'Texas / West Coast' }, [], COLUMBUS),
+        { score: -10, reasons: ['Geography: invests in Texas, West Coast only'] });
+    assert.deepEqual(scoreGeographyFit({ investment_geography: 'UK' }, [], COLUMBUS),
+        { score: -10, reasons: ['Geography: invests in United Kingdom only'] });
+
+    const london = companyLocation({ headquarters: 'London, UK' });
+    assert.deepEqual(scoreGeographyFit({ investment_geography: 'UK' }, [], london),
+        { score: 6, reasons: ['Geography: invests in United Kingdom'] });
+});
+
+test('unreadable locations score nothing either way', () => {
+    assert.equal(companyLocation({ headquarters: 'Remote', geography: 'Emerging markets' }), null);
+    assert.equal(scoreGeographyFit({ investment_geography: 'Ohio' }, [], null), null);
+    assert.deepEqual(scoreGeographyFit({ investment_geography: 'Emerging markets' }, [], COLUMBUS), { score: 0, reasons: [] });
+    // A company known only by country can't be ruled in or out of a state
+    const us = companyLocation({ headquarters: 'USA' });
+    assert.deepEqual(scoreGeographyFit({ investment_geography: 'Texas' }, [], us), { score: 0, reasons: [] });
+});
+
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+
+// Deployment fit of a fund with deals `dealDaysAgo` days before NOW
+function deploymentFit(dealDaysAgo, fundCloseDaysAgo = null) {
+    const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const fundClose = fundCloseDaysAgo === null ? null : daysAgo(fundCloseDaysAgo);
+    return scoreDeploymentActivity(fundActivity(dealDaysAgo.map(daysAgo), fundClose, NOW));
+}
+
+test('an active fund scores by its pace and trend, up to the cap', () => {
+    assert.deepEqual(deploymentFit([10]),
+        { score: 3, reasons: ['Activity: 1 deal in the past year, last 10 days ago'] });
+    assert.deepEqual(deploymentFit([10, 200, 250, 300]),
+        { score: 4, reasons: ['Activity: 4 deals in the past year, last 10 days ago, slowing down'] });
+    assert.deepEqual(deploymentFit([0, 5, 10, 20, 30, 40, 60, 80, 200], 100), {
+        score: 10,
+        reasons: ['Activity: 9 deals in the past year, last today, picking up', 'Activity: closed a fund in Sep 2024']
+    });
+});
+
+test('a quiet fund is only marked down after 18 months, a dormant one more so', () => {
+    assert.deepEqual(deploymentFit([400]), { score: 0, reasons: ['Activity: last deal 13 months ago'] });
+    assert.deepEqual(deploymentFit([600]), { score: -8, reasons: ['Activity: last deal 20 months ago'] });
+    assert.deepEqual(deploymentFit([1200]), { score: -15, reasons: ['Activity: no deals since Sep 2021'] });
+});
+
+test('a fund with no deals scores only a recent fund close', () => {
+    assert.equal(deploymentFit([]), null);
+    assert.equal(deploymentFit([], 1000), null);
+    assert.deepEqual(deploymentFit([], 100), { score: 3, reasons: ['Activity: closed a fund in Sep 2024'] });
+});
+
+test('a company that needs a lead wants funds that lead at its stage', () => {
+    const leader = { leads_investments: true, co_invests: true, takes_board_seats: true };
+    assert.deepEqual(scoreLeadFit(leader, true, 'seed', true),
+        { score: 10, reason: 'Lead: leads seed rounds and takes board seats' });
+    assert.deepEqual(scoreLeadFit({ ...leader, takes_board_seats: null }, true, 'series b', false),
+        { score: 3, reason: 'Lead: leads rounds, not at series b' });
+    assert.deepEqual(scoreLeadFit({ leads_investments: true }, true, '', false),
+        { score: 3, reason: 'Lead: leads rounds' });
+
+    assert.deepEqual(scoreLeadFit({ leads_investments: false, co_invests: true }, true, 'seed', true),
+        { score: -10, reason: 'Lead: co-invests only' });
+    for (const coInvests of [false, null]) {
+        assert.deepEqual(scoreLeadFit({ leads_investments: false, co_invests: coInvests }, true, 'seed', true),
+            { score: -10, reason: 'Lead: does not lead rounds' });
+    }
+    assert.equal(scoreLeadFit({ leads_investments: null, co_invests: true }, true, 'seed', true), null);
+});
+
+test('a company whose round has a lead wants funds that co-invest', () => {
+    assert.deepEqual(scoreLeadFit({ leads_investments: false, co_invests: true }, false, 'seed', true),
+        { score: 3, reason: 'Lead: co-invests alongside a lead' });
+    // Leading isn't held against a fund when the round already has a lead
+    for (const leads of [true, false, null]) {
+        for (const coInvests of [false, null]) {
+            assert.equal(scoreLeadFit({ leads_investments: leads, co_invests: coInvests }, false, 'seed', true), null);
+        }
+    }
+});
+
+test('without knowing whether the company needs a lead there is no lead fit', () => {
+    for (const leads of [true, false, null]) {
+        for (const coInvests of [true, false, null]) {
+            const investor = { leads_investments: leads, co_invests: coInvests };
+            assert.equal(scoreLeadFit(investor, null, 'seed', true), null);
+            assert.equal(scoreLeadFit(investor, undefined, 'seed', true), null);
+        }
+    }
+});
+
+const PAYMENTS_COMPANY = extractCategories(['fintech', 'b2b saas', 'payments']);
+
+test('a profiled portfolio company matches on shared sectors, then model and stage', () => {
+    const profile = {
+        description: 'Payments for freight brokers',
+        sectors: ['Fintech', 'SaaS', 'Logistics'],
+        business_model: 'B2B SaaS',
+        stage_at_investment: 'Seed'
+    };
+    const match = portfolioProfileMatch(profile, PAYMENTS_COMPANY, 'b2b saas', 'seed');
+    assert.deepEqual(match, {
+        score: 3,
+        profiled: true,
+        shared: ['fintech', 'saas'],
+        same_model: true,
+        same_stage: true,
+        description: 'Payments for freight brokers',
+        sectors: ['Fintech', 'SaaS', 'Logistics'],
+        business_model: 'B2B SaaS',
+        stage_at_investment: 'Seed'
+    });
+    assert.equal(describePortfolioMatch({ company: 'FreightPay', ...match }), 'FreightPay (fintech, saas, B2B SaaS, Seed)');
+
+    const other = portfolioProfileMatch({ ...profile, business_model: 'Marketplace', stage_at_investment: null },
+        PAYMENTS_COMPANY, 'b2b saas', 'seed');
+    assert.equal(other.score, 2);
+    assert.equal(describePortfolioMatch({ company: 'FreightPay', ...other }), 'FreightPay (fintech, saas)');
+});
+
+test('a profiled company sharing no sector is no match, whatever its model and stage', () => {
+    const profile = { description: 'Games', sectors: ['Gaming'], business_model: 'B2B SaaS', stage_at_investment: 'Seed' };
+    assert.equal(portfolioProfileMatch(profile, PAYMENTS_COMPANY, 'b2b saas', 'seed'), null);
+    assert.equal(portfolioProfileMatch({ description: 'Unknown' }, PAYMENTS_COMPANY, 'b2b saas', 'seed'), null);
+});
+
+test('an unprofiled company matches on whole words of its name and website only', () => {
+    const categories = new Set(['acme', 'fintech', 'ai', 'healthcare']);
+    const match = name => portfolioNameMatch({ company_name: name }, categories);
+
+    assert.deepEqual(match('Acme Labs'), { score: 1, profiled: false });
+    assert.equal(match('Acmeon'), null);
+    assert.deepEqual(match('Pay Flow'), { score: 0.5, profiled: false });
+    for (const name of ['PayFlow', 'Kaizen', 'MedCloud']) {
+        assert.equal(match(name), null, name);
+    }
+    assert.deepEqual(portfolioNameMatch({ company_name: 'Flow', company_website: 'https://www.pay-flow.io/about' }, categories),
+        { score: 0.5, profiled: false });
+    assert.equal(portfolioNameMatch({ company_name: 'Acmeon', company_website: 'acmeon.com' }, categories), null);
+    assert.equal(describePortfolioMatch({ company: 'Acme Labs', score: 1, profiled: false }), 'Acme Labs');
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SCRYPT_CONFIG, hashPassword, verifyPassword } = require('../password-hash');
+
+test('hashPassword stores the scrypt parameters with a random salt', async () => {
+    const [first, second] = await Promise.all([hashPassword('hunter22'), hashPassword('hunter22')]);
+    const { N, r, p } = SCRYPT_CONFIG;
+    assert.match(first, new RegExp(`^scrypt\\$${N}\\$${r}\\$${p}\\$[^$]+\\$[^$]+$`));
+    assert.notEqual(first, second);
+});
+
+test('verifyPassword accepts the right password and rejects others', async () => {
+    const stored = await hashPassword('correct horse');
+    assert.deepEqual(await verifyPassword('correct horse', stored), { valid: true, needsRehash: false });
+    assert.deepEqual(await verifyPassword('correct horse ', stored), { valid: false, needsRehash: false });
+});
+
+test('legacy SHA-256 hashes verify and ask for a rehash', async () => {
+    const stored = crypto.createHash('sha256').update('old-password').digest('hex');
+    assert.deepEqual(await verifyPassword('old-password', stored), { valid: true, needsRehash: true });
+    assert.equal((await verifyPassword('other', stored)).valid, false);
+});
+
+test('hashes made with weaker parameters ask for a rehash', async () => {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.scryptSync('pw', salt, 32, { N: 1024, r: 8, p: 1 });
+    const stored = `scrypt$1024$8$1$${salt.toString('base64')}$${key.toString('base64')}`;
+    assert.deepEqual(await verifyPassword('pw', stored), { valid: true, needsRehash: true });
+});
+
+test('a missing account, malformed hash or non-string password never verifies', async () => {
+    const stored = await hashPassword('secret');
+    assert.deepEqual(await verifyPassword('secret', null), { valid: false, needsRehash: false });
+    assert.deepEqual(await verifyPassword('secret', undefined), { valid: false, needsRehash: false });
+    assert.equal((await verifyPassword('secret', 'scrypt$x$8$1$abc$def')).valid, false);
+    assert.equal((await verifyPassword('secret', 'scrypt$16384$8$1$abc$')).valid, false);
+    assert.equal((await verifyPassword('secret', 'plaintext')).valid, false);
+    assert.equal((await verifyPassword(undefined, stored)).valid, false);
+    assert.equal((await verifyPassword({ toString: () => 'secret' }, stored)).valid, false);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LOG_LEVEL = 'silent';
+
+const { enrichCompany, distinctCompanies } = require('../portfolio-enrichment');
+const { extractCategories, portfolioProfileMatch } = require('../match-scoring');
+
+test('each company is profiled once, from the round the fund first invested in', () => {
+    const companies = distinctCompanies([
+        { company_name: 'Acme', announced_date: '2023-05-01', amount_raised: 10000000 },
+        { company_name: ' acme ', announced_date: '2021-02-01', amount_raised: 2000000 },
+        { company_name: 'ACME', company_website: 'https://acme.example' },
+        { company_name: 'Acmeon', announced_date: '2022-01-01' },
+        { company_name: '  ' },
+        { company_website: 'https://nameless.example' }
+    ]);
+    assert.deepEqual(companies.map(c => c.company_name), [' acme ', 'Acmeon']);
+    assert.equal(companies[0].amount_raised, 2000000);
+    assert.equal(companies[0].company_website, 'https://acme.example');
+});
+
+test('a company without a website is profiled from the model, and the profile matches like one', async () => {
+    const profile = await enrichCompany({ company_name: 'Acme Analytics', amount_raised: 2000000, announced_date: '2024-02-01' });
+    assert.equal(profile.company_key, 'acme analytics');
+    assert.equal(profile.source, 'model');
+    assert.equal(profile.company_website, null);
+    assert.deepEqual(profile.sectors, ['SaaS', 'Data Analytics']);
+    assert.equal(profile.stage_at_investment, 'Seed');
+    assert.equal(profile.amount_raised, 2000000);
+
+    const match = portfolioProfileMatch(profile, extractCategories(['saas', 'analytics']), 'b2b', 'seed');
+    assert.deepEqual(match.shared, ['saas', 'data']);
+    assert.equal(match.score, 3);
+});
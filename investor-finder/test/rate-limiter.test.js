@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    IDLE_BUCKET_TTL_MS,
+    takeTokens,
+    createMemoryStore,
+    createSqliteStore,
+    createStore,
+    createRateLimiter
+} = require('../rate-limiter');
+
+const POLICIES = {
+    anonymous: { general: { capacity: 2, perMinute: 60 }, search: { capacity: 1, perMinute: 1 } },
+    paid: { general: { capacity: 5, perMinute: 60 } }
+};
+
+test('takeTokens allows a burst up to capacity, then refills over time', () => {
+    const policy = { capacity: 2, perMinute: 60 };
+    let state;
+    const take = now => {
+        const step = takeTokens(state, policy, 1, now);
+        state = step.state;
+        return step.result;
+    };
+
+    assert.equal(take(0).remaining, 1);
+    assert.equal(take(0).remaining, 0);
+    const denied = take(0);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfter, 1);
+    assert.equal(take(1000).allowed, true);
+    assert.equal(take(60 * 60 * 1000).remaining, 1);
+});
+
+test('the limiter keeps a separate bucket per key and per type', () => {
+    const limiter = createRateLimiter({ policies: POLICIES });
+    assert.equal(limiter.check({ key: 'ip:1', type: 'search' }).allowed, true);
+
+    const denied = limiter.check({ key: 'ip:1', type: 'search' });
+    assert.equal(denied.allowed, false);
+    assert.match(denied.message, /try again in \d+ seconds/);
+    assert.equal(limiter.check({ key: 'ip:2', type: 'search' }).allowed, true);
+    assert.equal(limiter.check({ key: 'ip:1', type: 'general' }).allowed, true);
+});
+
+test('tiers without a policy for a type fall back to the default tier', () => {
+    const limiter = createRateLimiter({ policies: POLICIES });
+    assert.equal(limiter.policyFor('paid', 'general').capacity, 5);
+    assert.equal(limiter.policyFor('paid', 'search'), POLICIES.anonymous.search);
+    assert.equal(limiter.check({ key: 'user:1', tier: 'paid', type: 'general' }).limit, 5);
+    assert.throws(() => limiter.policyFor('paid', 'auth'), /No rate limit policy for paid\/auth/);
+});
+
+test('the memory store purges buckets idle for longer than the TTL', () => {
+    const store = createMemoryStore();
+    const policy = POLICIES.anonymous.general;
+    store.take('general:ip:1', policy, 1, 0);
+    store.take('general:ip:2', policy, 1, IDLE_BUCKET_TTL_MS);
+    assert.equal(store.purge(IDLE_BUCKET_TTL_MS + 1), 1);
+    assert.equal(store.take('general:ip:1', policy, 1, IDLE_BUCKET_TTL_MS + 1).remaining, 1);
+});
+
+test('sqlite stores on the same file share buckets', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limiter-'));
+    const dbPath = path.join(dir, 'nested', 'rate-limits.db');
+    const first = createSqliteStore(dbPath);
+    const second = createSqliteStore(dbPath);
+    t.after(() => {
+        first.close();
+        second.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const policy = POLICIES.anonymous.general;
+    const now = Date.now();
+    assert.equal(first.take('general:ip:1', policy, 1, now).allowed, true);
+    assert.equal(second.take('general:ip:1', policy, 1, now).allowed, true);
+    assert.equal(first.take('general:ip:1', policy, 1, now).allowed, false);
+    assert.equal(second.purge(now + IDLE_BUCKET_TTL_MS + 1), 1);
+});
+
+test('createStore rejects unknown store types', () => {
+    assert.equal(createStore(undefined).name, 'memory');
+    assert.throws(() => createStore('redis'), /Unknown rate limit store "redis"/);
+});
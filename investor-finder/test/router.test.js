@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { HttpError, createRouter, jsonBody, errorMessage } = require('../router');
+
+// A request whose body arrives in `chunks`
+function fakeRequest(method, headers, chunks) {
+    return Object.assign(Readable.from(chunks.map(chunk => Buffer.from(chunk))), { method, headers });
+}
+
+// A response that keeps what was sent, with the JSON body parsed
+function fakeResponse() {
+    return {
+        status: null,
+        headers: {},
+        body: null,
+        headersSent: false,
+        writableEnded: false,
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        writeHead(status, headers = {}) {
+            this.status = status;
+            for (const [name, value] of Object.entries(headers)) this.setHeader(name, value);
+            this.headersSent = true;
+        },
+        end(data) {
+            this.body = data ? JSON.parse(data) : null;
+            this.writableEnded = true;
+        }
+    };
+}
+
+async function request(router, method, pathname, { headers = {}, chunks = [] } = {}) {
+    const ctx = { req: fakeRequest(method, headers, chunks), res: fakeResponse(), url: new URL(pathname, 'http://localhost') };
+    const handled = await router.handle(ctx);
+    return { handled, status: ctx.res.status, headers: ctx.res.headers, body: ctx.res.body };
+}
+
+// A handler answering 200 with `data`, plus the route's params and parsed body
+function reply(data) {
+    return ({ res, params, body }) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ...data, params, body }));
+    };
+}
+
+test('an exact path wins over a parameterised one declared before it', async () => {
+    const router = createRouter();
+    router.get('/api/funds/:id', reply({ route: 'fund' }));
+    router.get('/api/funds/filters', reply({ route: 'filters' }));
+
+    assert.equal((await request(router, 'GET', '/api/funds/filters')).body.route, 'filters');
+    assert.equal((await request(router, 'GET', '/api/funds/filters/')).body.route, 'filters');
+    const fund = await request(router, 'GET', '/api/funds/acme%20capital');
+    assert.equal(fund.body.route, 'fund');
+    assert.deepEqual(fund.body.params, { id: 'acme capital' });
+    assert.deepEqual((await request(router, 'GET', '/api/funds/%E0%A4%A')).body.params, { id: '%E0%A4%A' });
+});
+
+test('unknown paths fall through; known paths with another method get 405', async () => {
+    const router = createRouter();
+    router.get('/api/funds/:id', reply({ route: 'fund' }));
+    router.post('/api/funds/search', reply({ route: 'search' }));
+
+    assert.equal((await request(router, 'GET', '/index.html')).handled, false);
+    assert.equal((await request(router, 'HEAD', '/api/funds/1')).body.route, 'fund');
+
+    // The exact route answers for its path: no falling back to /api/funds/:id
+    const wrongMethod = await request(router, 'GET', '/api/funds/search');
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.allow, 'POST');
+    assert.deepEqual(wrongMethod.body, { error: 'Method GET not allowed' });
+});
+
+test('middleware runs in order, and errors become JSON responses', async () => {
+    const router = createRouter();
+    const seen = [];
+    router.use('/api/private', async (ctx, next) => {
+        seen.push('prefix');
+        await next();
+    });
+    router.get('/api/private/missing', () => {
+        throw new HttpError(404, 'Fund not found', { code: 'not_found' });
+    });
+    router.get('/api/private/broken', errorMessage('Failed to load the fund'), () => {
+        throw new Error('database is locked');
+    });
+    router.get('/api/public/broken', () => {
+        throw new Error('database is locked');
+    });
+    router.get('/api/public/twice', async (ctx, next) => {
+        await next();
+        await next();
+    }, () => {});
+
+    assert.deepEqual((await request(router, 'GET', '/api/private/missing')).body, { error: 'Fund not found', code: 'not_found' });
+    assert.deepEqual(seen, ['prefix']);
+    const broken = await request(router, 'GET', '/api/private/broken');
+    assert.deepEqual([broken.status, broken.body], [500, { error: 'Failed to load the fund' }]);
+    const unexpected = await request(router, 'GET', '/api/public/broken');
+    assert.deepEqual([unexpected.status, unexpected.body], [500, { error: 'Internal server error' }]);
+    assert.equal((await request(router, 'GET', '/api/public/twice')).status, 500);
+    assert.deepEqual(seen, ['prefix', 'prefix']);
+});
+
+test('jsonBody parses and validates the body', async () => {
+    const router = createRouter();
+    const schema = { type: 'object', properties: { limit: { type: 'integer' } } };
+    router.post('/api/search', jsonBody({ schema }), reply({}));
+
+    assert.deepEqual((await request(router, 'POST', '/api/search', { chunks: ['{"limit":', ' 5}'] })).body.body, { limit: 5 });
+    assert.deepEqual((await request(router, 'POST', '/api/search')).body.body, {});
+
+    const invalid = await request(router, 'POST', '/api/search', { chunks: ['{"limit": "5"}'] });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(d => d.field), ['limit']);
+    assert.deepEqual((await request(router, 'POST', '/api/search', { chunks: ['{nope'] })).body,
+        { error: 'Request body must be valid JSON' });
+    assert.equal(router.routes()[0].bodySchema, schema);
+});
+
+test('jsonBody answers 413 for a body over its limit, declared or streamed', async () => {
+    const router = createRouter();
+    router.post('/api/upload', jsonBody({ limit: 1024 }), reply({}));
+    const tooLarge = { error: 'Request body too large (max 1024 bytes)' };
+
+    const declared = await request(router, 'POST', '/api/upload', { headers: { 'content-length': '2048' } });
+    assert.deepEqual([declared.status, declared.body], [413, tooLarge]);
+
+    const streamed = await request(router, 'POST', '/api/upload', { chunks: [`"${'a'.repeat(600)}`, `${'a'.repeat(600)}"`] });
+    assert.deepEqual([streamed.status, streamed.body], [413, tooLarge]);
+
+    const atLimit = await request(router, 'POST', '/api/upload', { chunks: [`"${'a'.repeat(1022)}"`] });
+    assert.equal(atLimit.status, 200);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, describeErrors } = require('../schema');
+const { REQUEST_SCHEMAS } = require('../request-schemas');
+
+const USER_SCHEMA = {
+    type: 'object',
+    required: ['email', 'age'],
+    properties: {
+        email: { type: 'string', format: 'email', maxLength: 50 },
+        age: { type: 'integer', minimum: 18, maximum: 120 },
+        plan: { type: 'string', enum: ['free', 'paid'] },
+        nickname: { type: 'string', nullable: true, minLength: 1 },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } },
+        address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } }
+    }
+};
+
+test('a valid value has no errors', () => {
+    const value = { email: 'a@b.co', age: 30, plan: 'paid', nickname: null, tags: ['x'], address: { city: 'Oslo' } };
+    assert.deepEqual(validate(USER_SCHEMA, value), []);
+});
+
+test('every problem is reported against its field', () => {
+    const errors = validate(USER_SCHEMA, {
+        email: 'not-an-email',
+        age: 12.5,
+        plan: 'gold',
+        nickname: '',
+        tags: ['ok', 'Not OK', 'three'],
+        address: {}
+    });
+    assert.deepEqual(errors, [
+        { field: 'email', message: 'must be a valid email address' },
+        { field: 'age', message: 'must be an integer' },
+        { field: 'plan', message: 'must be one of: free, paid' },
+        { field: 'nickname', message: 'must not be empty' },
+        { field: 'tags', message: 'must have at most 2 items' },
+        { field: 'tags[1]', message: 'has an invalid format' },
+        { field: 'address.city', message: 'is required' }
+    ]);
+});
+
+test('missing, null and wrongly typed values', () => {
+    assert.deepEqual(validate(USER_SCHEMA, {}), [
+        { field: 'email', message: 'is required' },
+        { field: 'age', message: 'is required' }
+    ]);
+    assert.deepEqual(validate(USER_SCHEMA, null), [{ field: '(body)', message: 'must not be null' }]);
+    assert.deepEqual(validate(USER_SCHEMA, []), [{ field: '(body)', message: 'must be an object' }]);
+    assert.deepEqual(validate({ type: 'number' }, 5), []);
+    assert.deepEqual(validate({ type: 'integer', maximum: 3 }, 4), [{ field: '(body)', message: 'must be at most 3' }]);
+});
+
+test('describeErrors joins the errors into one sentence', () => {
+    const errors = validate(REQUEST_SCHEMAS.login.schema, { email: 5 });
+    assert.equal(describeErrors(errors), 'password is required; email must be a string');
+});
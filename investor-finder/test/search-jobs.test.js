@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEARCH_JOB_CONFIG, JobLimitError, createJobQueue } = require('../search-jobs');
+
+// A queue whose jobs run until the test settles them: `running.get(input)`
+// holds { resolve, reject, progress } for each job that has started
+function controlledQueue(options = {}) {
+    const running = new Map();
+    const queue = createJobQueue({
+        ...options,
+        run: (input, progress) => new Promise((resolve, reject) => running.set(input, { resolve, reject, progress }))
+    });
+    return { queue, running };
+}
+
+// Let settled jobs finish and the queue move on
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('an owner can have at most 3 searches queued or running', async () => {
+    assert.equal(SEARCH_JOB_CONFIG.maxActivePerOwner, 3);
+    const { queue, running } = controlledQueue({ concurrency: 1 });
+    for (const input of ['a', 'b', 'c']) queue.enqueue('u1', input);
+
+    assert.throws(() => queue.enqueue('u1', 'd'), JobLimitError);
+    assert.throws(() => queue.enqueue('u1', 'd'), /already have 3 searches in progress/);
+    queue.enqueue('u2', 'other');
+    assert.deepEqual(queue.stats(), { queued: 3, running: 1, retained: 4 });
+
+    running.get('a').resolve('done');
+    await settle();
+    assert.equal(queue.enqueue('u1', 'd').status, 'queued');
+});
+
+test('jobs run in order, at most `concurrency` at a time', async () => {
+    const { queue, running } = controlledQueue({ concurrency: 1 });
+    const first = queue.enqueue('u1', 'first');
+    const second = queue.enqueue('u2', 'second');
+    assert.equal(first.status, 'running');
+    assert.deepEqual([second.status, second.position], ['queued', 1]);
+    assert.deepEqual([...running.keys()], ['first']);
+
+    running.get('first').resolve({ matches: 3 });
+    await settle();
+    assert.deepEqual([...running.keys()], ['first', 'second']);
+    assert.deepEqual(queue.get(first.id, 'u1').result, { matches: 3 });
+    assert.equal(queue.get(second.id, 'u2').status, 'running');
+    // Jobs are private to their owner
+    assert.equal(queue.get(first.id, 'u2'), null);
+});
+
+test('a subscriber is replayed what it missed, then gets events live', async () => {
+    const { queue, running } = controlledQueue({ concurrency: 1 });
+    const blocker = queue.enqueue('u1', 'blocker');
+    const job = queue.enqueue('u1', 'job');
+    running.get('blocker').resolve(null);
+    await settle();
+    running.get('job').progress('scrape', 'done', 'Read 4 pages');
+
+    const early = [];
+    queue.subscribe(job.id, event => early.push(event));
+    assert.deepEqual(early.map(e => [e.id, e.type]), [[1, 'status'], [2, 'status'], [3, 'progress']]);
+    assert.deepEqual(early[0].data, { status: 'queued', position: 1 });
+    assert.deepEqual(early[2].data, { phase: 'scrape', state: 'done', message: 'Read 4 pages' });
+
+    // A reconnect with Last-Event-ID: 2 gets only what came after
+    const resumed = [];
+    const unsubscribe = queue.subscribe(job.id, event => resumed.push(event), 2);
+    running.get('job').progress('analyze', 'active', 'Analyzing');
+    unsubscribe();
+    running.get('job').resolve({ matches: 1 });
+    await settle();
+    assert.deepEqual(resumed.map(e => e.id), [3, 4]);
+    assert.deepEqual(early.map(e => e.type).slice(3), ['progress', 'complete']);
+
+    // A finished job replays its whole log and then has nothing more to send
+    const late = [];
+    queue.subscribe(job.id, event => late.push(event))();
+    assert.deepEqual(late.map(e => e.type), ['status', 'status', 'progress', 'progress', 'complete']);
+    assert.equal(queue.get(blocker.id, 'u1').status, 'succeeded');
+});
+
+test('a failed job keeps its error', async () => {
+    const { queue, running } = controlledQueue();
+    const job = queue.enqueue('u1', 'job');
+    running.get('job').reject(Object.assign(new Error('Could not reach the website'), { status: 422 }));
+    await settle();
+
+    const failed = queue.get(job.id, 'u1');
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.error, { message: 'Could not reach the website', status: 422 });
+    const events = [];
+    queue.subscribe(job.id, event => events.push(event));
+    assert.deepEqual(events.at(-1).data, { error: 'Could not reach the website', status: 422 });
+});
+
+test('finished jobs are kept for the retention period, unfinished ones always', async () => {
+    const { queue, running } = controlledQueue({ retentionMs: 1000 });
+    const finished = queue.enqueue('u1', 'finished');
+    const unfinished = queue.enqueue('u1', 'unfinished');
+    running.get('finished').resolve('done');
+    await settle();
+
+    const finishedAt = Date.parse(queue.get(finished.id, 'u1').finished_at);
+    assert.equal(queue.purge(finishedAt + 1000), 0);
+    assert.equal(queue.purge(finishedAt + 1001), 1);
+    assert.equal(queue.get(finished.id, 'u1'), null);
+    assert.equal(queue.purge(finishedAt + 60 * 60 * 1000), 0);
+    assert.equal(queue.get(unfinished.id, 'u1').status, 'running');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CRAWL_CONFIG, parseRobots, robotsChecker } = require('../site-crawler');
+
+const checker = text => robotsChecker(parseRobots(text), CRAWL_CONFIG.botToken);
+
+test('parseRobots groups rules by user agent, ignoring comments and empty Disallow', () => {
+    const groups = parseRobots([
+        'User-agent: *',
+        'Disallow: /private  # not for crawlers',
+        '',
+        'User-agent: BotA',
+        'User-agent: BotB',
+        'Allow: /',
+        'Disallow:',
+        'Sitemap: https://example.com/sitemap.xml'
+    ].join('\r\n'));
+    assert.deepEqual(groups, {
+        '*': [{ allow: false, path: '/private' }],
+        bota: [{ allow: true, path: '/' }],
+        botb: [{ allow: true, path: '/' }]
+    });
+});
+
+test('the bot uses its own group instead of *', () => {
+    const isAllowed = checker('User-agent: *\nDisallow: /\n\nUser-agent: investormatchbot\nDisallow: /admin');
+    assert.equal(isAllowed('/about'), true);
+    assert.equal(isAllowed('/admin/users'), false);
+    assert.equal(checker('User-agent: *\nDisallow: /')('/about'), false);
+});
+
+test('the longest matching rule wins and Allow wins a tie', () => {
+    const isAllowed = checker('User-agent: *\nDisallow: /docs\nAllow: /docs/public\nDisallow: /x\nAllow: /x');
+    assert.equal(isAllowed('/docs/secret'), false);
+    assert.equal(isAllowed('/docs/public/page'), true);
+    assert.equal(isAllowed('/x'), true);
+});
+
+test('* matches any run of characters and $ anchors the end', () => {
+    const isAllowed = checker('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=');
+    assert.equal(isAllowed('/files/deck.pdf'), false);
+    assert.equal(isAllowed('/files/deck.pdf?download=1'), true);
+    assert.equal(isAllowed('/search/results?q=fintech'), false);
+    assert.equal(isAllowed('/search'), true);
+});
+
+test('patterns are matched literally apart from * and $', () => {
+    const isAllowed = checker('User-agent: *\nDisallow: /a.b(c)');
+    assert.equal(isAllowed('/a.b(c)/d'), false);
+    assert.equal(isAllowed('/axb(c)'), true);
+});
+
+test('with no rules everything is allowed', () => {
+    assert.equal(checker('')('/anything'), true);
+    assert.equal(checker('User-agent: OtherBot\nDisallow: /')('/anything'), true);
+});
@@ -0,0 +1,225 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MAX_SEARCH_HISTORY, SESSION_CONFIG, openUserStore } = require('../user-store');
+
+// A fresh directory for one test's databases, removed afterwards
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function openStore(t, dbPath) {
+    const store = openUserStore(dbPath);
+    t.after(() => store.close());
+    return store;
+}
+
+test('accounts in a database from before email verification come out verified', t => {
+    const dbPath = path.join(tempDir(t), 'users.db');
+    const legacy = new Database(dbPath);
+    legacy.exec(`CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT,
+        company_website TEXT,
+        status TEXT,
+        payment_id TEXT,
+        paid_at TEXT,
+        expires_at TEXT,
+        canceled_at TEXT,
+        cached_results TEXT,
+        created_at TEXT
+    )`);
+    legacy.prepare('INSERT INTO users (id, email, status, created_at) VALUES (?, ?, ?, ?)')
+        .run('u1', 'paid@example.com', 'paid', '2024-03-01T10:00:00.000Z');
+    legacy.prepare('INSERT INTO users (id, email) VALUES (?, ?)').run('u2', 'old@example.com');
+    legacy.close();
+
+    const store = openStore(t, dbPath);
+    assert.equal(store.findById('u1').email_verified_at, '2024-03-01T10:00:00.000Z');
+    assert.match(store.findById('u2').email_verified_at, /^\d{4}-\d{2}-\d{2}T/);
+
+    // New sign-ups still have to verify
+    store.createUser({ id: 'u3', email: 'new@example.com' });
+    assert.equal(store.findById('u3').email_verified_at, undefined);
+});
+
+test('accounts imported from users.json come in verified', t => {
+    const dir = tempDir(t);
+    const jsonPath = path.join(dir, 'users.json');
+    fs.writeFileSync(jsonPath, JSON.stringify([
+        { id: 'u1', email: 'Founder@Example.com', created_at: '2023-05-06T07:08:09.000Z',
+            search_history: [{ id: 's1', query: 'https://example.com', searched_at: '2023-06-01T00:00:00.000Z' }] },
+        { id: 'u2', email: 'verified@example.com', email_verified_at: '2024-01-01T00:00:00.000Z' },
+        { id: 'u3', email: 'nodate@example.com' },
+        { email: 'no-id@example.com' }
+    ]));
+
+    const store = openStore(t, path.join(dir, 'users.db'));
+    assert.equal(store.migrateFromJson(jsonPath), 3);
+    assert.equal(store.migrateFromJson(jsonPath), 0);
+
+    const founder = store.findByEmail('founder@example.com');
+    assert.equal(founder.email_verified_at, '2023-05-06T07:08:09.000Z');
+    assert.equal(store.getSearchHistory('u1').length, 1);
+    assert.equal(store.findById('u2').email_verified_at, '2024-01-01T00:00:00.000Z');
+    assert.ok(store.findById('u3').email_verified_at);
+});
+
+test('accounts are found by id or by email in any case, and emails stay unique', t => {
+    const store = openStore(t, path.join(tempDir(t), 'users.db'));
+    const user = store.createUser({ id: 'u1', email: 'Founder@Example.com', password_hash: 'hash' });
+    assert.equal(user.email, 'founder@example.com');
+    assert.equal(user.status, undefined);
+    assert.equal(store.findByEmail('FOUNDER@example.com').id, 'u1');
+    assert.equal(store.findByEmail(''), null);
+    assert.equal(store.findById('missing'), null);
+
+    assert.throws(() => store.createUser({ id: 'u2', email: 'founder@EXAMPLE.com' }), { code: 'EMAIL_EXISTS' });
+    assert.equal(store.countUsers(), 1);
+});
+
+test('updateUser changes only the columns it may, and keeps JSON columns as objects', t => {
+    const store = openStore(t, path.join(tempDir(t), 'users.db'));
+    store.createUser({ id: 'u1', email: 'founder@example.com', created_at: '2024-01-01T00:00:00.000Z' });
+
+    const results = { results: { investors: [{ id: 'inv-1' }] }, cached_at: '2024-02-01T00:00:00.000Z' };
+    const user = store.updateUser('u1', { status: 'paid', cached_results: results, id: 'u2', created_at: 'now' });
+    assert.equal(user.id, 'u1');
+    assert.equal(user.status, 'paid');
+    assert.equal(user.created_at, '2024-01-01T00:00:00.000Z');
+    assert.deepEqual(user.cached_results, results);
+
+    assert.equal(store.updateUser('u1', { status: null }).status, undefined);
+    assert.deepEqual(store.updateUser('u1', { nothing: 1 }), store.findById('u1'));
+});
+
+test('search history keeps the latest entries per user, newest first', t => {
+    const store = openStore(t, path.join(tempDir(t), 'users.db'));
+    store.createUser({ id: 'u1', email: 'one@example.com' });
+    store.createUser({ id: 'u2', email: 'two@example.com' });
+
+    for (let i = 0; i < MAX_SEARCH_HISTORY + 5; i++) {
+        const searchedAt = new Date(Date.UTC(2024, 0, 1 + i)).toISOString();
+        store.addSearch('u1', { id: `s${i}`, query: `https://site${i}.example`, searched_at: searchedAt });
+    }
+    store.addSearch('u2', { id: 'other', query: 'https://other.example' });
+
+    const history = store.getSearchHistory('u1');
+    assert.equal(history.length, MAX_SEARCH_HISTORY);
+    assert.equal(history[0].id, `s${MAX_SEARCH_HISTORY + 4}`);
+    assert.equal(history.at(-1).id, 's5');
+    assert.equal(history[0].type, 'website_search');
+
+    assert.equal(store.deleteSearch('u2', 's10'), false);
+    assert.equal(store.deleteSearch('u1', 's10'), true);
+    assert.equal(store.getSearchHistory('u1').length, MAX_SEARCH_HISTORY - 1);
+    assert.deepEqual(store.getSearchHistory('u2').map(s => s.id), ['other']);
+});
+
+test('deleting an account takes its searches and sessions with it', t => {
+    const store = openStore(t, path.join(tempDir(t), 'users.db'));
+    store.createUser({ id: 'u1', email: 'one@example.com' });
+    store.addSearch('u1', { id: 's1', query: 'https://site.example' });
+    store.createSession('u1');
+
+    store.db.prepare('DELETE FROM users WHERE id = ?').run('u1');
+    assert.deepEqual(store.getSearchHistory('u1'), []);
+    assert.equal(store.countActiveSessions(), 0);
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A store with one account, and a way to move a session's clock back by `ms`
+function sessionStore(t) {
+    const store = openStore(t, path.join(tempDir(t), 'users.db'));
+    store.createUser({ id: 'u1', email: 'founder@example.com' });
+    const age = (id, ms, { expiresIn = null } = {}) => {
+        const session = store.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+        const shift = iso => new Date(Date.parse(iso) - ms).toISOString();
+        store.db.prepare('UPDATE sessions SET created_at = ?, last_seen_at = ?, expires_at = ? WHERE id = ?').run(
+            shift(session.created_at), shift(session.last_seen_at),
+            expiresIn === null ? shift(session.expires_at) : new Date(Date.now() + expiresIn).toISOString(), id);
+    };
+    return { store, age };
+}
+
+test('only a hash of the session token is stored', t => {
+    const { store } = sessionStore(t);
+    const { token, id, expires_at } = store.createSession('u1', { ip: '203.0.113.9', userAgent: 'x'.repeat(400) });
+
+    const row = store.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+    assert.equal(row.token_hash, crypto.createHash('sha256').update(token).digest('hex'));
+    assert.equal(store.db.prepare('SELECT COUNT(*) AS n FROM sessions WHERE token_hash = ? OR id = ?').get(token, token).n, 0);
+    assert.equal(row.user_agent.length, 300);
+    assert.ok(Math.abs(Date.parse(expires_at) - Date.now() - SESSION_CONFIG.ttlMs) < 60 * 1000);
+
+    assert.equal(store.getSession(token).user_id, 'u1');
+    assert.equal(store.getSession(row.token_hash), null);
+    assert.equal(store.getSession(''), null);
+});
+
+test('an expired session is gone, and deleted when it is looked up', t => {
+    const { store, age } = sessionStore(t);
+    const expired = store.createSession('u1');
+    const live = store.createSession('u1');
+    age(expired.id, SESSION_CONFIG.ttlMs + 1000);
+
+    assert.equal(store.countActiveSessions(), 1);
+    assert.deepEqual(store.listSessions('u1').map(s => s.id), [live.id]);
+    assert.equal(store.getSession(expired.token), null);
+    assert.equal(store.touchSession(expired.token), null);
+    assert.equal(store.db.prepare('SELECT COUNT(*) AS n FROM sessions').get().n, 1);
+
+    const another = store.createSession('u1');
+    age(another.id, SESSION_CONFIG.ttlMs);
+    assert.equal(store.purgeExpiredSessions(), 1);
+    assert.equal(store.getSession(live.token).id, live.id);
+});
+
+test('an active session\'s expiry slides forward at most once a day', t => {
+    const { store, age } = sessionStore(t);
+    const { token, id, expires_at } = store.createSession('u1');
+
+    // Fresh: nothing to write
+    const fresh = store.touchSession(token);
+    assert.equal(fresh.renewed, false);
+    assert.equal(fresh.expires_at, expires_at);
+
+    // Seen a while ago, but renewed within the day: last_seen_at moves, the expiry doesn't
+    age(id, SESSION_CONFIG.touchIntervalMs + 1000);
+    const touched = store.touchSession(token);
+    assert.equal(touched.renewed, false);
+    assert.ok(Date.parse(touched.last_seen_at) > Date.now() - 60 * 1000);
+    assert.equal(store.getSession(token).expires_at, touched.expires_at);
+
+    // Renewed more than a day ago: a new 7-day expiry and a cookie to re-issue
+    age(id, DAY_MS + 1000);
+    const renewed = store.touchSession(token);
+    assert.equal(renewed.renewed, true);
+    assert.ok(Math.abs(Date.parse(renewed.expires_at) - Date.now() - SESSION_CONFIG.ttlMs) < 60 * 1000);
+    assert.equal(store.getSession(token).expires_at, renewed.expires_at);
+});
+
+test('sessions can be ended one at a time or all at once', t => {
+    const { store } = sessionStore(t);
+    store.createUser({ id: 'u2', email: 'other@example.com' });
+    const [a, b, c] = [store.createSession('u1'), store.createSession('u1'), store.createSession('u1')];
+    const other = store.createSession('u2');
+
+    assert.equal(store.deleteSession(a.token), true);
+    assert.equal(store.deleteSession(a.token), false);
+    assert.equal(store.revokeSession('u2', b.id), false);
+    assert.equal(store.revokeSession('u1', b.id), true);
+    assert.equal(store.getSession(c.token).id, c.id);
+
+    assert.equal(store.revokeUserSessions('u1'), 1);
+    assert.equal(store.getSession(c.token), null);
+    assert.equal(store.getSession(other.token).user_id, 'u2');
+});
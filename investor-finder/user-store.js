@@ -0,0 +1,618 @@
+/**
+ * User Store (SQLite)
+ *
+ * Transactional storage for user accounts, login sessions, API keys, pending
+ * paid registrations, search history and AI usage. Every mutation is a single-record update
+ * committed through SQLite's write-ahead log, so concurrent requests can't
+ * clobber each other and a crash mid-write leaves the other accounts untouched.
+ *
+ * On first open, accounts from the legacy users.json flat file are imported.
+ * The database lives in the app data directory (see app-data.js); older
+ * versions kept it next to the code as LEGACY_USERS_DB_PATH.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { appDataPath, ensureParentDir } = require('./app-data');
+
+const USERS_DB_PATH = process.env.USERS_DB_PATH || appDataPath('users.db');
+const LEGACY_USERS_DB_PATH = path.join(__dirname, 'users.db');
+const LEGACY_USERS_PATH = path.join(__dirname, 'users.json');
+
+const MAX_SEARCH_HISTORY = 20;
+
+const SESSION_CONFIG = {
+    ttlMs: 7 * 24 * 60 * 60 * 1000,     // Sessions expire 7 days after last renewal
+    renewAfterMs: 24 * 60 * 60 * 1000,  // Slide the expiry forward at most once a day
+    touchIntervalMs: 5 * 60 * 1000      // Throttle last_seen_at writes
+};
+
+// API keys for the public /api/v1 API
+const API_KEY_CONFIG = {
+    prefix: 'imk_',
+    scopes: ['funds:read', 'match', 'stats:read'],
+    defaultQuotaPerDay: 1000,
+    maxQuotaPerDay: 10000,
+    maxKeysPerUser: 10
+};
+
+// Stripe Checkout sessions expire after 24 hours; keep pending sign-ups a little longer
+const PENDING_REGISTRATION_TTL_MS = 48 * 60 * 60 * 1000;
+
+// Columns that updateUser() may change
+const UPDATABLE_COLUMNS = ['email', 'password_hash', 'company_website', 'status', 'payment_id',
+    'paid_at', 'expires_at', 'canceled_at', 'cached_results', 'email_verified_at', 'company_profile'];
+
+// Columns holding JSON objects
+const JSON_COLUMNS = ['cached_results', 'company_profile'];
+
+// Columns added after the first release, applied to existing databases on open.
+// `backfill` is an SQL expression that fills the column in for existing rows.
+const ADDED_USER_COLUMNS = {
+    // Accounts from before email verification existed count as verified
+    email_verified_at: { type: 'TEXT', backfill: "COALESCE(created_at, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))" },
+    company_profile: { type: 'TEXT' }
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT,
+    company_website TEXT,
+    status TEXT,
+    payment_id TEXT,
+    paid_at TEXT,
+    expires_at TEXT,
+    canceled_at TEXT,
+    cached_results TEXT,
+    created_at TEXT,
+    email_verified_at TEXT,
+    company_profile TEXT            -- the company analysis as corrected by the user
+);
+
+CREATE TABLE IF NOT EXISTS search_history (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    query TEXT,
+    company_name TEXT,
+    matches_count INTEGER,
+    type TEXT,
+    searched_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_history_user ON search_history(user_id, searched_at DESC);
+
+-- Login sessions. Only a SHA-256 of the cookie token is stored, so a copy of
+-- the database can't be used to hijack live sessions.
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    token_hash TEXT NOT NULL UNIQUE,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ip TEXT,
+    user_agent TEXT,
+    created_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+
+-- Sign-ups waiting on Stripe Checkout. The password hash stays here rather
+-- than in Stripe session metadata.
+CREATE TABLE IF NOT EXISTS pending_registrations (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    company_website TEXT,
+    created_at TEXT NOT NULL
+);
+
+-- API keys; like sessions, only a hash of the key is stored. Usage is counted
+-- per UTC day against each key's own quota.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    quota_per_day INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+CREATE TABLE IF NOT EXISTS api_key_usage (
+    key_id TEXT NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    day TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+);
+
+-- One row per OpenAI call made on a user's behalf, for monthly quotas
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    operation TEXT NOT NULL,
+    model TEXT,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    cost_usd REAL NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user ON ai_usage(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+`;
+
+function rowToUser(row) {
+    if (!row) return null;
+    const user = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (value !== null) user[key] = value;
+    }
+    for (const column of JSON_COLUMNS) {
+        if (!row[column]) continue;
+        try {
+            user[column] = JSON.parse(row[column]);
+        } catch (e) {
+            delete user[column];
+        }
+    }
+    return user;
+}
+
+function userToRow(user) {
+    return {
+        id: user.id,
+        email: user.email.toLowerCase(),
+        password_hash: user.password_hash ?? null,
+        company_website: user.company_website ?? null,
+        status: user.status ?? null,
+        payment_id: user.payment_id ?? null,
+        paid_at: user.paid_at ?? null,
+        expires_at: user.expires_at ?? null,
+        canceled_at: user.canceled_at ?? null,
+        cached_results: user.cached_results ? JSON.stringify(user.cached_results) : null,
+        created_at: user.created_at || new Date().toISOString(),
+        email_verified_at: user.email_verified_at ?? null,
+        company_profile: user.company_profile ? JSON.stringify(user.company_profile) : null
+    };
+}
+
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function rowToApiKey(row) {
+    if (!row) return null;
+    const { key_hash, ...apiKey } = row;
+    return { ...apiKey, scopes: JSON.parse(row.scopes) };
+}
+
+// Open (or create) the user database and return its repository interface
+function openUserStore(dbPath = USERS_DB_PATH) {
+    ensureParentDir(dbPath);
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.pragma('foreign_keys = ON');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+
+    const existingColumns = new Set(db.pragma('table_info(users)').map(col => col.name));
+    for (const [column, { type, backfill }] of Object.entries(ADDED_USER_COLUMNS)) {
+        if (!existingColumns.has(column)) {
+            db.transaction(() => {
+                db.exec(`ALTER TABLE users ADD COLUMN ${column} ${type}`);
+                if (backfill) db.exec(`UPDATE users SET ${column} = ${backfill}`);
+            })();
+        }
+    }
+
+    const stmts = {
+        byId: db.prepare('SELECT * FROM users WHERE id = ?'),
+        byEmail: db.prepare('SELECT * FROM users WHERE email = ?'),
+        insert: db.prepare(`INSERT INTO users (id, email, password_hash, company_website, status, payment_id,
+                paid_at, expires_at, canceled_at, cached_results, created_at, email_verified_at, company_profile)
+            VALUES (@id, @email, @password_hash, @company_website, @status, @payment_id,
+                @paid_at, @expires_at, @canceled_at, @cached_results, @created_at, @email_verified_at, @company_profile)`),
+        count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+        insertSearch: db.prepare(`INSERT OR REPLACE INTO search_history
+                (id, user_id, query, company_name, matches_count, type, searched_at)
+            VALUES (@id, @user_id, @query, @company_name, @matches_count, @type, @searched_at)`),
+        trimSearches: db.prepare(`DELETE FROM search_history WHERE user_id = ? AND id NOT IN (
+                SELECT id FROM search_history WHERE user_id = ? ORDER BY searched_at DESC, rowid DESC LIMIT ?)`),
+        searches: db.prepare(`SELECT id, query, company_name, matches_count, type, searched_at
+            FROM search_history WHERE user_id = ? ORDER BY searched_at DESC, rowid DESC LIMIT ?`),
+        deleteSearch: db.prepare('DELETE FROM search_history WHERE user_id = ? AND id = ?'),
+        insertSession: db.prepare(`INSERT INTO sessions
+                (id, token_hash, user_id, ip, user_agent, created_at, last_seen_at, expires_at)
+            VALUES (@id, @token_hash, @user_id, @ip, @user_agent, @created_at, @last_seen_at, @expires_at)`),
+        sessionByToken: db.prepare('SELECT * FROM sessions WHERE token_hash = ?'),
+        touchSession: db.prepare('UPDATE sessions SET last_seen_at = ?, expires_at = ? WHERE id = ?'),
+        sessionsForUser: db.prepare(`SELECT id, ip, user_agent, created_at, last_seen_at, expires_at
+            FROM sessions WHERE user_id = ? AND expires_at > ? ORDER BY last_seen_at DESC`),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE id = ?'),
+        deleteUserSession: db.prepare('DELETE FROM sessions WHERE user_id = ? AND id = ?'),
+        deleteUserSessions: db.prepare('DELETE FROM sessions WHERE user_id = ?'),
+        deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+        countSessions: db.prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?'),
+        insertPending: db.prepare(`INSERT INTO pending_registrations (id, email, password_hash, company_website, created_at)
+            VALUES (@id, @email, @password_hash, @company_website, @created_at)`),
+        pendingById: db.prepare('SELECT * FROM pending_registrations WHERE id = ?'),
+        deletePending: db.prepare('DELETE FROM pending_registrations WHERE id = ?'),
+        deleteExpiredPending: db.prepare('DELETE FROM pending_registrations WHERE created_at <= ?'),
+        insertApiKey: db.prepare(`INSERT INTO api_keys
+                (id, key_hash, key_prefix, user_id, name, scopes, quota_per_day, created_at)
+            VALUES (@id, @key_hash, @key_prefix, @user_id, @name, @scopes, @quota_per_day, @created_at)`),
+        apiKeyByHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+        apiKeysForUser: db.prepare(`SELECT k.*, COALESCE(u.count, 0) AS used_today
+            FROM api_keys k LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+            WHERE k.user_id = ? AND k.revoked_at IS NULL ORDER BY k.created_at DESC`),
+        countApiKeys: db.prepare('SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL'),
+        revokeApiKey: db.prepare(`UPDATE api_keys SET revoked_at = ?
+            WHERE user_id = ? AND id = ? AND revoked_at IS NULL`),
+        usage: db.prepare('SELECT count FROM api_key_usage WHERE key_id = ? AND day = ?'),
+        incrementUsage: db.prepare(`INSERT INTO api_key_usage (key_id, day, count) VALUES (?, ?, 1)
+            ON CONFLICT(key_id, day) DO UPDATE SET count = count + 1`),
+        touchApiKey: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+        insertAiUsage: db.prepare(`INSERT INTO ai_usage
+                (user_id, operation, model, prompt_tokens, completion_tokens, cost_usd, created_at)
+            VALUES (@user_id, @operation, @model, @prompt_tokens, @completion_tokens, @cost_usd, @created_at)`),
+        aiUsageByOperation: db.prepare(`SELECT operation, COUNT(*) AS requests,
+                SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens,
+                SUM(cost_usd) AS cost_usd
+            FROM ai_usage WHERE user_id = ? AND created_at >= ? GROUP BY operation ORDER BY operation`),
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        setMeta: db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+    };
+
+    function findById(id) {
+        return rowToUser(stmts.byId.get(id));
+    }
+
+    function findByEmail(email) {
+        if (!email) return null;
+        return rowToUser(stmts.byEmail.get(email.toLowerCase()));
+    }
+
+    function createUser(user) {
+        try {
+            stmts.insert.run(userToRow(user));
+        } catch (err) {
+            if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                const duplicate = new Error(`An account with email ${user.email} already exists`);
+                duplicate.code = 'EMAIL_EXISTS';
+                throw duplicate;
+            }
+            throw err;
+        }
+        return findById(user.id);
+    }
+
+    // Update only the given fields of one account; returns the updated user
+    function updateUser(id, fields) {
+        const columns = Object.keys(fields).filter(key => UPDATABLE_COLUMNS.includes(key));
+        if (columns.length === 0) return findById(id);
+
+        const params = { id };
+        for (const col of columns) {
+            const value = fields[col];
+            params[col] = JSON_COLUMNS.includes(col) && value ? JSON.stringify(value) : (value ?? null);
+        }
+        const assignments = columns.map(col => `${col} = @${col}`).join(', ');
+        db.prepare(`UPDATE users SET ${assignments} WHERE id = @id`).run(params);
+        return findById(id);
+    }
+
+    // Record a search and keep only the most recent MAX_SEARCH_HISTORY entries
+    const addSearch = db.transaction((userId, entry) => {
+        stmts.insertSearch.run({
+            id: entry.id,
+            user_id: userId,
+            query: entry.query ?? null,
+            company_name: entry.company_name ?? null,
+            matches_count: entry.matches_count ?? null,
+            type: entry.type || 'website_search',
+            searched_at: entry.searched_at || new Date().toISOString()
+        });
+        stmts.trimSearches.run(userId, userId, MAX_SEARCH_HISTORY);
+    });
+
+    function getSearchHistory(userId, limit = MAX_SEARCH_HISTORY) {
+        return stmts.searches.all(userId, limit);
+    }
+
+    // Returns true if an entry was removed
+    function deleteSearch(userId, searchId) {
+        return stmts.deleteSearch.run(userId, searchId).changes > 0;
+    }
+
+    function countUsers() {
+        return stmts.count.get().count;
+    }
+
+    // Start a login session; returns the cookie token (only its hash is stored)
+    function createSession(userId, { ip = null, userAgent = null } = {}) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = new Date();
+        const session = {
+            id: crypto.randomUUID(),
+            token_hash: hashSessionToken(token),
+            user_id: userId,
+            ip,
+            user_agent: userAgent ? userAgent.slice(0, 300) : null,
+            created_at: now.toISOString(),
+            last_seen_at: now.toISOString(),
+            expires_at: new Date(now.getTime() + SESSION_CONFIG.ttlMs).toISOString()
+        };
+        stmts.insertSession.run(session);
+        return { token, id: session.id, expires_at: session.expires_at };
+    }
+
+    // Look up a live session by cookie token (expired sessions are deleted on sight)
+    function getSession(token) {
+        if (!token) return null;
+        const session = stmts.sessionByToken.get(hashSessionToken(token));
+        if (!session) return null;
+        if (session.expires_at <= new Date().toISOString()) {
+            stmts.deleteSession.run(session.id);
+            return null;
+        }
+        return session;
+    }
+
+    // Record activity on a session and slide its expiry forward. Returns the
+    // session with renewed = true when the expiry moved (the cookie needs re-issuing).
+    function touchSession(token) {
+        const session = getSession(token);
+        if (!session) return null;
+
+        const now = Date.now();
+        const expiresAt = Date.parse(session.expires_at);
+        const renew = expiresAt - now < SESSION_CONFIG.ttlMs - SESSION_CONFIG.renewAfterMs;
+        const stale = now - Date.parse(session.last_seen_at) >= SESSION_CONFIG.touchIntervalMs;
+        if (!renew && !stale) return { ...session, renewed: false };
+
+        const lastSeenAt = new Date(now).toISOString();
+        const newExpiresAt = renew ? new Date(now + SESSION_CONFIG.ttlMs).toISOString() : session.expires_at;
+        stmts.touchSession.run(lastSeenAt, newExpiresAt, session.id);
+        return { ...session, last_seen_at: lastSeenAt, expires_at: newExpiresAt, renewed: renew };
+    }
+
+    function deleteSession(token) {
+        const session = token ? stmts.sessionByToken.get(hashSessionToken(token)) : null;
+        if (session) stmts.deleteSession.run(session.id);
+        return !!session;
+    }
+
+    function listSessions(userId) {
+        return stmts.sessionsForUser.all(userId, new Date().toISOString());
+    }
+
+    // Revoke one of a user's sessions by its public id; returns true if one was removed
+    function revokeSession(userId, sessionId) {
+        return stmts.deleteUserSession.run(userId, sessionId).changes > 0;
+    }
+
+    // Log a user out everywhere; returns the number of sessions removed
+    function revokeUserSessions(userId) {
+        return stmts.deleteUserSessions.run(userId).changes;
+    }
+
+    function purgeExpiredSessions() {
+        return stmts.deleteExpiredSessions.run(new Date().toISOString()).changes;
+    }
+
+    function createPendingRegistration(pending) {
+        stmts.insertPending.run({
+            id: pending.id,
+            email: pending.email.toLowerCase(),
+            password_hash: pending.password_hash,
+            company_website: pending.company_website ?? null,
+            created_at: pending.created_at || new Date().toISOString()
+        });
+    }
+
+    function getPendingRegistration(id) {
+        return id ? stmts.pendingById.get(id) || null : null;
+    }
+
+    // Turn a paid pending registration into an account in one transaction
+    const completePendingRegistration = db.transaction((pendingId, user) => {
+        stmts.deletePending.run(pendingId);
+        return createUser(user);
+    });
+
+    function purgeExpiredPendingRegistrations() {
+        const cutoff = new Date(Date.now() - PENDING_REGISTRATION_TTL_MS).toISOString();
+        return stmts.deleteExpiredPending.run(cutoff).changes;
+    }
+
+    // Create an API key; the plaintext key is returned once and never stored
+    function createApiKey(userId, { name, scopes, quotaPerDay }) {
+        if (stmts.countApiKeys.get(userId).count >= API_KEY_CONFIG.maxKeysPerUser) {
+            const limit = new Error(`At most ${API_KEY_CONFIG.maxKeysPerUser} active API keys per account`);
+            limit.code = 'API_KEY_LIMIT';
+            throw limit;
+        }
+
+        const key = API_KEY_CONFIG.prefix + crypto.randomBytes(24).toString('base64url');
+        const record = {
+            id: crypto.randomUUID(),
+            key_hash: hashSessionToken(key),
+            key_prefix: key.slice(0, API_KEY_CONFIG.prefix.length + 6),
+            user_id: userId,
+            name,
+            scopes: JSON.stringify(scopes),
+            quota_per_day: Math.min(quotaPerDay || API_KEY_CONFIG.defaultQuotaPerDay, API_KEY_CONFIG.maxQuotaPerDay),
+            created_at: new Date().toISOString()
+        };
+        stmts.insertApiKey.run(record);
+        return { key, apiKey: rowToApiKey(record) };
+    }
+
+    // Look up an active (unrevoked) key by its plaintext value
+    function findApiKey(key) {
+        if (!key || !key.startsWith(API_KEY_CONFIG.prefix)) return null;
+        return rowToApiKey(stmts.apiKeyByHash.get(hashSessionToken(key)));
+    }
+
+    function listApiKeys(userId) {
+        const today = new Date().toISOString().slice(0, 10);
+        return stmts.apiKeysForUser.all(today, userId).map(rowToApiKey);
+    }
+
+    // Returns true if a key was revoked
+    function revokeApiKey(userId, keyId) {
+        return stmts.revokeApiKey.run(new Date().toISOString(), userId, keyId).changes > 0;
+    }
+
+    // Count one request against today's quota; rejected requests aren't counted.
+    // Returns { allowed, used, limit }.
+    const recordApiKeyUse = db.transaction(apiKey => {
+        const now = new Date().toISOString();
+        const day = now.slice(0, 10);
+        const used = stmts.usage.get(apiKey.id, day)?.count || 0;
+        if (used >= apiKey.quota_per_day) {
+            return { allowed: false, used, limit: apiKey.quota_per_day };
+        }
+        stmts.incrementUsage.run(apiKey.id, day);
+        stmts.touchApiKey.run(now, apiKey.id);
+        return { allowed: true, used: used + 1, limit: apiKey.quota_per_day };
+    });
+
+    function recordAiUsage(userId, { operation, model, promptTokens = 0, completionTokens = 0, costUsd = 0 }) {
+        stmts.insertAiUsage.run({
+            user_id: userId,
+            operation,
+            model: model ?? null,
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            cost_usd: costUsd,
+            created_at: new Date().toISOString()
+        });
+    }
+
+    // Totals (and a per-operation breakdown) of AI usage since an ISO timestamp
+    function getAiUsage(userId, since) {
+        const byOperation = stmts.aiUsageByOperation.all(userId, since);
+        const sum = key => byOperation.reduce((total, row) => total + row[key], 0);
+        return {
+            requests: sum('requests'),
+            prompt_tokens: sum('prompt_tokens'),
+            completion_tokens: sum('completion_tokens'),
+            cost_usd: sum('cost_usd'),
+            by_operation: byOperation
+        };
+    }
+
+    // Random secret persisted in the database, created on first use
+    function getOrCreateSecret(name) {
+        const key = `secret:${name}`;
+        const existing = stmts.getMeta.get(key);
+        if (existing) return existing.value;
+
+        stmts.setMeta.run(key, crypto.randomBytes(32).toString('hex'));
+        return stmts.getMeta.get(key).value;
+    }
+
+    function countActiveSessions() {
+        return stmts.countSessions.get(new Date().toISOString()).count;
+    }
+
+    // Import accounts from the legacy users.json once. Accounts that already exist
+    // (same id or email) are skipped, so re-running is harmless. They predate
+    // email verification, so they come in verified.
+    const importUsers = db.transaction(legacyUsers => {
+        let imported = 0;
+        for (const user of legacyUsers) {
+            if (!user.id || !user.email) continue;
+            if (stmts.byId.get(user.id) || stmts.byEmail.get(user.email.toLowerCase())) continue;
+
+            const row = userToRow(user);
+            stmts.insert.run({ ...row, email_verified_at: row.email_verified_at ?? row.created_at });
+            const history = (user.search_history || []).slice(0, MAX_SEARCH_HISTORY);
+            for (const entry of history) {
+                if (!entry.id) continue;
+                stmts.insertSearch.run({
+                    id: entry.id,
+                    user_id: user.id,
+                    query: entry.query ?? null,
+                    company_name: entry.company_name ?? null,
+                    matches_count: entry.matches_count ?? null,
+                    type: entry.type || 'website_search',
+                    searched_at: entry.searched_at || user.created_at || null
+                });
+            }
+            imported++;
+        }
+        return imported;
+    });
+
+    function migrateFromJson(jsonPath = LEGACY_USERS_PATH) {
+        if (stmts.getMeta.get('users_json_migrated_at')) return 0;
+        if (!fs.existsSync(jsonPath)) return 0;
+
+        const legacyUsers = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+        const imported = importUsers(Array.isArray(legacyUsers) ? legacyUsers : []);
+        stmts.setMeta.run('users_json_migrated_at', new Date().toISOString());
+        return imported;
+    }
+
+    return {
+        db,
+        findById,
+        findByEmail,
+        createUser,
+        updateUser,
+        addSearch,
+        getSearchHistory,
+        deleteSearch,
+        countUsers,
+        createSession,
+        getSession,
+        touchSession,
+        deleteSession,
+        listSessions,
+        revokeSession,
+        revokeUserSessions,
+        purgeExpiredSessions,
+        countActiveSessions,
+        createPendingRegistration,
+        getPendingRegistration,
+        completePendingRegistration,
+        purgeExpiredPendingRegistrations,
+        createApiKey,
+        findApiKey,
+        listApiKeys,
+        revokeApiKey,
+        recordApiKeyUse,
+        recordAiUsage,
+        getAiUsage,
+        getOrCreateSecret,
+        migrateFromJson,
+        close: () => db.close()
+    };
+}
+
+module.exports = {
+    USERS_DB_PATH,
+    LEGACY_USERS_DB_PATH,
+    LEGACY_USERS_PATH,
+    MAX_SEARCH_HISTORY,
+    SESSION_CONFIG,
+    API_KEY_CONFIG,
+    openUserStore
+};